@@ -0,0 +1,154 @@
+'use strict';
+
+/* eslint-disable no-sync */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cli = require('../../bin/shared-utils');
+const environment = require('../../utils/environment');
+
+describe('shared-utils CLI', () => {
+  let tmpDir;
+  let io;
+
+  const output = stream => stream.chunks.join('');
+  const createStream = () => {
+    const stream = { chunks: [] };
+    stream.write = chunk => stream.chunks.push(chunk);
+    return stream;
+  };
+
+  const writeFile = (name, content) => {
+    const filePath = path.join(tmpDir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shared-utils-cli-'));
+    io = { stdout: createStream(), stderr: createStream(), env: {} };
+    environment.resetServiceEnvironments();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    environment.resetServiceEnvironments();
+  });
+
+  describe('env check', () => {
+    it('should pass for a complete environment', () => {
+      io.env = {
+        DYNAMODB_TABLE_NAME: 'users',
+        COGNITO_USER_POOL_ID: 'pool',
+        COGNITO_USER_POOL_CLIENT_ID: 'client',
+        HOME: '/root'
+      };
+
+      expect(cli.run(['env', 'check', '--service', 'auth-service'], io)).toBe(cli.EXIT_CODES.OK);
+      expect(output(io.stdout)).toBe('auth-service: 0 missing, 0 deprecated, 0 unknown\n');
+    });
+
+    it('should list missing, deprecated and unknown variables from an env file', () => {
+      const envFile = writeFile('.env.prod', 'DYNAMODB_TABLE=users\nCOGNITO_USER_POOL_ID=pool\nFEATURE_X=1\nAWS_LAMBDA_FUNCTION_NAME=fn\n');
+
+      const code = cli.run(['env', 'check', '-s', 'organizations-service', '--env-file', envFile], io);
+
+      expect(code).toBe(cli.EXIT_CODES.PROBLEMS);
+      expect(output(io.stdout)).toBe([
+        'organizations-service: 1 missing, 1 deprecated, 1 unknown',
+        '',
+        'Missing:',
+        '  COGNITO_USER_POOL_CLIENT_ID  Cognito User Pool Client ID',
+        '',
+        'Deprecated:',
+        '  DYNAMODB_TABLE               use DYNAMODB_TABLE_NAME (Primary DynamoDB table name)',
+        '',
+        'Unknown:',
+        '  FEATURE_X',
+        ''
+      ].join('\n'));
+    });
+
+    it('should print JSON and read Lambda configuration files', () => {
+      const envFile = writeFile('lambda.json', JSON.stringify({
+        Environment: { Variables: { DYNAMODB_TABLE_NAME: 'users', COGNITO_USER_POOL_ID: 'pool', COGNITO_USER_POOL_CLIENT_ID: 'c', LEGACY: 'x' } }
+      }));
+
+      const code = cli.run(['env', 'check', '--service=auth-service', `--env-file=${envFile}`, '--json'], io);
+
+      expect(code).toBe(cli.EXIT_CODES.OK);
+      expect(JSON.parse(output(io.stdout))).toEqual({
+        service: 'auth-service',
+        valid: true,
+        ok: true,
+        missing: [],
+        deprecated: [],
+        unknown: [{ variable: 'LEGACY' }]
+      });
+    });
+
+    it('should fail on warnings with --strict', () => {
+      const envFile = writeFile('.env', 'DYNAMODB_TABLE_NAME=users\nCOGNITO_USER_POOL_ID=pool\nCOGNITO_USER_POOL_CLIENT_ID=c\nLEGACY=x\n');
+
+      expect(cli.run(['env', 'check', '-s', 'auth-service', '-e', envFile, '--strict'], io)).toBe(cli.EXIT_CODES.PROBLEMS);
+    });
+
+    it('should layer env files and load service definitions', () => {
+      const config = writeFile('services.json', JSON.stringify({ 'billing-service': { required: { STRIPE_API_KEY: 'Stripe secret key' } } }));
+      const base = writeFile('.env', 'STRIPE_API_KEY=\n');
+      const local = writeFile('.env.local', 'STRIPE_API_KEY=sk_test\n');
+
+      expect(cli.run(['env', 'check', '-s', 'billing-service', '-c', config, '-e', base], io)).toBe(cli.EXIT_CODES.PROBLEMS);
+      expect(output(io.stdout)).toContain('STRIPE_API_KEY  Stripe secret key');
+
+      expect(cli.run(['env', 'check', '-s', 'billing-service', '-c', config, '-e', base, '-e', local], io)).toBe(cli.EXIT_CODES.OK);
+    });
+  });
+
+  describe('--config', () => {
+    it('should ignore service-env.json in the working directory', () => {
+      const cwdSpy = jest.spyOn(process, 'cwd').mockReturnValue(tmpDir);
+      writeFile('service-env.json', JSON.stringify({ 'my-svc': { required: ['FROM_CWD'] } }));
+      const config = writeFile('flag.json', JSON.stringify({ 'my-svc': { required: ['FROM_FLAG'] } }));
+      const envFile = writeFile('e.env', 'FROM_FLAG=1\n');
+
+      try {
+        expect(cli.run(['env', 'check', '-s', 'my-svc', '-c', config, '-e', envFile], io)).toBe(cli.EXIT_CODES.OK);
+        expect(output(io.stdout)).toContain('my-svc: 0 missing, 0 deprecated, 0 unknown');
+      } finally {
+        cwdSpy.mockRestore();
+      }
+    });
+  });
+
+  describe('usage errors', () => {
+    it('should exit with 2 for bad arguments and unknown services', () => {
+      expect(cli.run(['env', 'check'], io)).toBe(cli.EXIT_CODES.USAGE);
+      expect(output(io.stderr)).toContain('env check needs --service <name>');
+
+      expect(cli.run(['env', 'check', '--bogus'], io)).toBe(cli.EXIT_CODES.USAGE);
+      expect(cli.run(['deploy'], io)).toBe(cli.EXIT_CODES.USAGE);
+      expect(cli.run(['env', 'check', '-s', 'nope-service'], io)).toBe(cli.EXIT_CODES.USAGE);
+      expect(output(io.stderr)).toContain('Unknown service environment: nope-service');
+    });
+
+    it('should reject inherited property names as options', () => {
+      expect(() => cli.parseArgs(['--constructor'])).toThrow('Unknown option: --constructor');
+      expect(() => cli.parseArgs(['--toString=x'])).toThrow('Unknown option: --toString');
+      expect(() => cli.parseArgs(['-x'])).toThrow('Unknown option: -x');
+    });
+
+    it('should name env files that are not valid JSON', () => {
+      const file = writeFile('lambda.json', '{ "Variables": ');
+
+      expect(cli.run(['env', 'check', '-s', 'auth-service', '-e', file], io)).toBe(cli.EXIT_CODES.USAGE);
+      expect(output(io.stderr)).toContain(`Could not parse ${file}:`);
+    });
+
+    it('should print help', () => {
+      expect(cli.run(['--help'], io)).toBe(cli.EXIT_CODES.OK);
+      expect(output(io.stdout)).toContain('Usage: shared-utils env check --service <name>');
+    });
+  });
+});
@@ -0,0 +1,160 @@
+'use strict';
+
+const { installStsFake } = require('../../testing');
+const awsClients = require('../../clients/aws-clients');
+const assumedRole = require('../../clients/assumed-role');
+
+const ROLE_ARN = 'arn:aws:iam::210987654321:role/TenantAccess';
+
+describe('Assumed-role clients', () => {
+  let sts;
+
+  class FakeSqsClient {
+    constructor(config) {
+      this.config = config;
+    }
+  }
+
+  beforeEach(() => {
+    sts = installStsFake({ roles: { [ROLE_ARN]: { externalId: 'tenant-42' } } });
+    awsClients.registerClient('sqs', { clientClass: FakeSqsClient });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    awsClients.unregisterClient('sqs');
+  });
+
+  afterAll(() => {
+    delete global.mockStsClient;
+    awsClients.resetClients();
+  });
+
+  const role = { roleArn: ROLE_ARN, externalId: 'tenant-42', sessionName: 'auth-service' };
+
+  describe('getAssumedRoleCredentials', () => {
+    it('should assume the role once and reuse the credentials', async () => {
+      const first = await assumedRole.getAssumedRoleCredentials(role, sts);
+      const second = await assumedRole.getAssumedRoleCredentials(role, sts);
+
+      expect(second).toBe(first);
+      expect(first).toMatchObject({ accessKeyId: expect.stringMatching(/^ASIA/), expiration: expect.any(Date) });
+      expect(sts.commands).toEqual([{
+        name: 'AssumeRoleCommand',
+        input: { RoleArn: ROLE_ARN, RoleSessionName: 'auth-service', ExternalId: 'tenant-42', DurationSeconds: 3600 }
+      }]);
+    });
+
+    it('should share one in-flight AssumeRole call', async () => {
+      const [a, b] = await Promise.all([
+        assumedRole.getAssumedRoleCredentials(role, sts),
+        assumedRole.getAssumedRoleCredentials(role, sts)
+      ]);
+
+      expect(a).toBe(b);
+      expect(sts.commands).toHaveLength(1);
+    });
+
+    it('should refresh shortly before the credentials expire', async () => {
+      const now = Date.now();
+      const shortRole = { ...role, durationSeconds: 900 };
+      const first = await assumedRole.getAssumedRoleCredentials(shortRole, sts);
+
+      jest.spyOn(Date, 'now').mockReturnValue(now + 9 * 60 * 1000);
+      expect(await assumedRole.getAssumedRoleCredentials(shortRole, sts)).toBe(first);
+
+      Date.now.mockReturnValue(now + 11 * 60 * 1000);
+      const refreshed = await assumedRole.getAssumedRoleCredentials(shortRole, sts);
+
+      expect(refreshed.accessKeyId).not.toBe(first.accessKeyId);
+      expect(sts.commands).toHaveLength(2);
+    });
+
+    it('should keep sessions for different external ids apart and surface STS errors', async () => {
+      await expect(assumedRole.getAssumedRoleCredentials({ ...role, externalId: 'tenant-7' }, sts))
+        .rejects.toMatchObject({ name: 'AccessDenied' });
+
+      expect(assumedRole.getAssumedRoleSessions()).toEqual([
+        expect.objectContaining({ hasExternalId: true, credentialsExpireAt: null, lastError: 'AccessDenied' })
+      ]);
+    });
+
+    it('should reject invalid role ARNs', () => {
+      expect(() => assumedRole.normalizeRoleOptions({ roleArn: 'TenantAccess' })).toThrow('Invalid role ARN');
+      expect(assumedRole.normalizeRoleOptions({ roleArn: ROLE_ARN, sessionName: 'auth service' }).sessionName)
+        .toBe('auth-service');
+    });
+  });
+
+  describe('getAssumedRoleClient', () => {
+    it('should create role-scoped clients with a cached credential provider', async () => {
+      const client = awsClients.getAssumedRoleClient('sqs', role, { region: 'eu-west-1' });
+
+      expect(awsClients.getAssumedRoleClient('sqs', role, { region: 'eu-west-1' })).toBe(client);
+      expect(client).not.toBe(awsClients.getClient('sqs', { region: 'eu-west-1' }));
+      expect(client.config.region).toBe('eu-west-1');
+
+      const credentials = await client.config.credentials();
+      expect(sts.getIssuedCredentials(credentials.accessKeyId)).toMatchObject({ roleArn: ROLE_ARN, externalId: 'tenant-42' });
+    });
+
+    it('should give each role its own client', () => {
+      const a = awsClients.getAssumedRoleClient('sqs', role);
+      const b = awsClients.getAssumedRoleClient('sqs', { ...role, roleArn: 'arn:aws:iam::111111111111:role/TenantAccess' });
+
+      expect(a).not.toBe(b);
+      expect(() => awsClients.getAssumedRoleClient('missing', role)).toThrow('not registered');
+    });
+
+    it('should not reuse a provider built with other session or STS options', async () => {
+      const hourly = awsClients.getAssumedRoleClient('sqs', role);
+      const short = awsClients.getAssumedRoleClient('sqs', { ...role, durationSeconds: 900 });
+      const eager = awsClients.getAssumedRoleClient('sqs', { ...role, refreshWindowMs: 0 });
+      const regional = awsClients.getAssumedRoleClient('sqs', { ...role, stsOptions: { region: 'eu-west-1' } });
+
+      expect(new Set([hourly, short, eager, regional]).size).toBe(4);
+      expect(awsClients.getAssumedRoleClient('sqs', { ...role, durationSeconds: 900 })).toBe(short);
+
+      await short.config.credentials();
+      expect(sts.commands[0].input.DurationSeconds).toBe(900);
+    });
+
+    it('should report role sessions in getClientHealth without secrets', async () => {
+      await awsClients.getAssumedRoleClient('sqs', role).config.credentials();
+
+      const health = awsClients.getClientHealth().sqs;
+
+      expect(health.instances).toBe(1);
+      expect(health.assumedRoles).toEqual([{
+        roleArn: ROLE_ARN,
+        sessionName: 'auth-service',
+        hasExternalId: true,
+        credentialsExpireAt: expect.any(String),
+        fresh: true,
+        refreshes: 1,
+        lastRefreshedAt: expect.any(String),
+        lastError: null
+      }]);
+      expect(JSON.stringify(health)).not.toContain('tenant-42');
+    });
+
+    it('should drop role clients and cached credentials on resetClients', async () => {
+      const client = awsClients.getAssumedRoleClient('sqs', role);
+      await client.config.credentials();
+
+      awsClients.resetClients();
+
+      expect(awsClients.getClientHealth().sqs.assumedRoles).toEqual([]);
+      expect(assumedRole.getAssumedRoleSessions()).toEqual([]);
+      expect(awsClients.getAssumedRoleClient('sqs', role)).not.toBe(client);
+    });
+
+    it('should provide Cognito and DynamoDB variants', () => {
+      awsClients.getAssumedRoleCognitoClient(role);
+      awsClients.getAssumedRoleDynamoDbClient(role);
+
+      expect(awsClients.getClientHealth().cognito.assumedRoles).toHaveLength(1);
+      expect(awsClients.getClientHealth().dynamodb.assumedRoles).toHaveLength(1);
+    });
+  });
+});
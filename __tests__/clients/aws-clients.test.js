@@ -60,6 +60,196 @@ describe('AWS Clients', () => {
     });
   });
 
+  describe('client registry', () => {
+    class FakeS3Client {
+      constructor(config) {
+        this.config = config;
+      }
+    }
+
+    afterEach(() => {
+      awsClients.unregisterClient('s3');
+      delete global.mockS3Client;
+    });
+
+    it('should register built-in clients', () => {
+      expect(awsClients.getRegisteredClientNames()).toEqual(expect.arrayContaining(['cognito', 'dynamodb']));
+    });
+
+    it('should create a singleton for a registered client class', () => {
+      awsClients.registerClient('s3', { clientClass: FakeS3Client, config: { forcePathStyle: true } });
+
+      const client1 = awsClients.getClient('s3');
+      const client2 = awsClients.getClient('s3');
+
+      expect(client1).toBe(client2);
+      expect(client1).toBeInstanceOf(FakeS3Client);
+      expect(client1.config.region).toBe('us-east-1');
+      expect(client1.config.forcePathStyle).toBe(true);
+    });
+
+    it('should support factory functions', () => {
+      const factory = jest.fn(defaultConfig => ({ config: defaultConfig }));
+      awsClients.registerClient('s3', { factory });
+
+      awsClients.getClient('s3');
+      awsClients.getClient('s3');
+
+      expect(factory).toHaveBeenCalledTimes(1);
+    });
+
+    it('should inject the default mock global in test environment', () => {
+      global.mockS3Client = { send: jest.fn() };
+      awsClients.registerClient('s3', { clientClass: FakeS3Client });
+
+      expect(awsClients.getClient('s3')).toBe(global.mockS3Client);
+      expect(awsClients.getClientHealth().s3).toMatchObject({ initialized: true, isMock: true, instances: 1 });
+    });
+
+    it('should reset registered clients', () => {
+      awsClients.registerClient('s3', { clientClass: FakeS3Client });
+      const client1 = awsClients.getClient('s3');
+
+      awsClients.resetClients();
+
+      expect(awsClients.getClientHealth().s3.initialized).toBe(false);
+      expect(awsClients.getClient('s3')).not.toBe(client1);
+    });
+
+    it('should cache one instance per distinct client config', () => {
+      awsClients.registerClient('s3', { clientClass: FakeS3Client });
+
+      const usEast = awsClients.getClient('s3', { region: 'us-east-1', endpoint: undefined });
+      const euWest = awsClients.getClient('s3', { region: 'eu-west-1' });
+
+      expect(awsClients.getClient('s3', { region: 'eu-west-1' })).toBe(euWest);
+      expect(usEast).not.toBe(euWest);
+      expect(euWest.config.region).toBe('eu-west-1');
+      expect(euWest.config.maxAttempts).toBe(3);
+      expect(awsClients.getClientHealth().s3.instances).toBe(2);
+    });
+
+    it('should share one instance between options that resolve to the same config', () => {
+      awsClients.registerClient('s3', { clientClass: FakeS3Client, config: { forcePathStyle: true } });
+
+      const client = awsClients.getClient('s3');
+
+      expect(awsClients.getClient('s3', { region: client.config.region })).toBe(client);
+      expect(awsClients.getClient('s3', { forcePathStyle: true, maxAttempts: 3 })).toBe(client);
+      expect(awsClients.getClientHealth().s3.instances).toBe(1);
+    });
+
+    it('should pass endpoint, credentials and retry options to the client', () => {
+      awsClients.registerClient('s3', { clientClass: FakeS3Client });
+      const credentials = { accessKeyId: 'AKIA', secretAccessKey: 'secret' };
+
+      const client = awsClients.getClient('s3', {
+        endpoint: 'http://localhost:4566',
+        credentials,
+        retryMode: 'adaptive',
+        maxAttempts: 5
+      });
+
+      expect(client.config).toMatchObject({
+        endpoint: 'http://localhost:4566',
+        credentials,
+        retryMode: 'adaptive',
+        maxAttempts: 5
+      });
+    });
+
+    it('should reject unknown clients and invalid definitions', () => {
+      expect(() => awsClients.getClient('unknown')).toThrow('AWS client unknown is not registered');
+      expect(() => awsClients.registerClient('s3', {})).toThrow('Client s3 requires a clientClass or factory');
+      expect(() => awsClients.registerClient('')).toThrow('Client name must be a non-empty string');
+    });
+  });
+
+  describe('local endpoint mode', () => {
+    const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+
+    afterEach(() => {
+      delete process.env.AWS_ENDPOINT_URL;
+      delete process.env.DYNAMODB_ENDPOINT;
+      awsClients.unregisterClient('secretsManager');
+    });
+
+    it('should point DynamoDB at DYNAMODB_ENDPOINT with dummy credentials', () => {
+      process.env.DYNAMODB_ENDPOINT = 'http://localhost:8000';
+
+      awsClients.getDynamoDbClient();
+
+      expect(DynamoDBClient).toHaveBeenCalledWith(expect.objectContaining({
+        endpoint: 'http://localhost:8000',
+        credentials: { accessKeyId: 'local', secretAccessKey: 'local' }
+      }));
+    });
+
+    it('should prefer the per-service endpoint over AWS_ENDPOINT_URL', () => {
+      process.env.AWS_ENDPOINT_URL = 'http://localhost:4566';
+      process.env.DYNAMODB_ENDPOINT = 'http://localhost:8000';
+
+      awsClients.getDynamoDbClient();
+
+      expect(DynamoDBClient.mock.calls[0][0].endpoint).toBe('http://localhost:8000');
+    });
+
+    it('should keep explicit credentials over the dummy ones', () => {
+      process.env.AWS_ENDPOINT_URL = 'http://localhost:4566';
+      const credentials = { accessKeyId: 'AKIA', secretAccessKey: 'secret' };
+
+      awsClients.getDynamoDbClient({ credentials });
+
+      expect(DynamoDBClient.mock.calls[0][0].credentials).toBe(credentials);
+    });
+
+    it('should apply AWS_ENDPOINT_URL to registered clients', () => {
+      process.env.AWS_ENDPOINT_URL = 'http://localhost:4566';
+      awsClients.registerClient('secretsManager', { factory: config => ({ config }) });
+
+      expect(awsClients.getClient('secretsManager').config.endpoint).toBe('http://localhost:4566');
+      expect(awsClients.getDefaultEndpointEnvVar('secretsManager')).toBe('SECRETS_MANAGER_ENDPOINT');
+    });
+
+    it('should not use jest mocks without a local endpoint', () => {
+      awsClients.getDynamoDbClient();
+
+      expect(DynamoDBClient).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getClientConfigKey', () => {
+    it('should be independent of option order', () => {
+      expect(awsClients.getClientConfigKey({ region: 'eu-west-1', maxAttempts: 5 }))
+        .toBe(awsClients.getClientConfigKey({ maxAttempts: 5, region: 'eu-west-1' }));
+    });
+
+    it('should use the default key without options', () => {
+      expect(awsClients.getClientConfigKey()).toBe('default');
+      expect(awsClients.getClientConfigKey({ region: undefined })).toBe('default');
+    });
+
+    it('should not expose static credentials', () => {
+      const key = awsClients.getClientConfigKey({
+        credentials: { accessKeyId: 'AKIAEXAMPLE', secretAccessKey: 'very-secret' }
+      });
+
+      expect(key).toMatch(/^credentials=sha256:/);
+      expect(key).not.toContain('very-secret');
+      expect(key).not.toContain('AKIAEXAMPLE');
+    });
+
+    it('should distinguish credential providers by identity', () => {
+      const providerA = async () => ({});
+      const providerB = async () => ({});
+
+      expect(awsClients.getClientConfigKey({ credentials: providerA }))
+        .not.toBe(awsClients.getClientConfigKey({ credentials: providerB }));
+      expect(awsClients.getClientConfigKey({ credentials: providerA }))
+        .toBe(awsClients.getClientConfigKey({ credentials: providerA }));
+    });
+  });
+
   describe('resetClients', () => {
     it('should reset all clients to null', () => {
       // Initialize clients
@@ -87,4 +277,133 @@ describe('AWS Clients', () => {
       expect(health.dynamodb.initialized).toBe(true);
     });
   });
+
+  describe('initialization strategy', () => {
+    const originalEnv = process.env;
+    let logSpy;
+    let warnSpy;
+
+    class FakeSqsClient {
+      constructor(config) {
+        this.config = config;
+      }
+    }
+
+    beforeEach(() => {
+      process.env = { ...originalEnv };
+      logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+      warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      process.env = originalEnv;
+      awsClients.setClientInitStrategy(null);
+      awsClients.unregisterClient('sqs');
+      jest.restoreAllMocks();
+    });
+
+    it('should default to none in tests and read AWS_CLIENT_INIT_STRATEGY', () => {
+      expect(awsClients.getClientInitStrategy()).toBe('none');
+
+      process.env.AWS_CLIENT_INIT_STRATEGY = 'Lazy';
+      expect(awsClients.getClientInitStrategy()).toBe('lazy');
+
+      process.env.AWS_CLIENT_INIT_STRATEGY = 'sometimes';
+      expect(awsClients.getClientInitStrategy()).toBe('none');
+      expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('AWS_CLIENT_INIT_STRATEGY'));
+    });
+
+    it('should let the API override the environment', () => {
+      process.env.AWS_CLIENT_INIT_STRATEGY = 'lazy';
+      awsClients.setClientInitStrategy('eager');
+
+      expect(awsClients.getClientInitStrategy()).toBe('eager');
+      expect(() => awsClients.setClientInitStrategy('always')).toThrow('Unknown client init strategy');
+    });
+
+    it('should not create clients unless eager', async () => {
+      awsClients.setClientInitStrategy('lazy');
+
+      await expect(awsClients.initializeClients()).resolves.toEqual({});
+      expect(awsClients.getClientHealth().cognito.initialized).toBe(false);
+    });
+
+    it('should create the requested clients eagerly, log through the logger and warm them up', async () => {
+      const warmUp = jest.fn();
+      awsClients.registerClient('sqs', { clientClass: FakeSqsClient, warmUp });
+      awsClients.setClientInitStrategy('eager');
+
+      const results = await awsClients.initializeClients({ clients: ['dynamodb', 'sqs'] });
+      const health = awsClients.getClientHealth();
+
+      expect(results).toEqual({ sqs: { status: 'ok', durationMs: expect.any(Number) } });
+      expect(warmUp).toHaveBeenCalledWith(awsClients.getClient('sqs'), { name: 'sqs' });
+      expect(health.cognito.initialized).toBe(false);
+      expect(health.dynamodb.init).toMatchObject({ strategy: 'eager', trigger: 'eager', durationMs: expect.any(Number), warmUp: null });
+      expect(health.sqs.init.warmUp.status).toBe('ok');
+
+      const entry = JSON.parse(logSpy.mock.calls[0][0]);
+      expect(entry).toMatchObject({
+        level: 'INFO',
+        message: 'AWS clients initialized for Lambda execution context reuse',
+        strategy: 'eager',
+        durations: { dynamodb: expect.any(Number), sqs: expect.any(Number) }
+      });
+    });
+
+    it('should warm up lazily created clients on first use', async () => {
+      const warmUp = jest.fn();
+      awsClients.registerClient('sqs', { clientClass: FakeSqsClient });
+      awsClients.addWarmUpHook('sqs', warmUp);
+      awsClients.setClientInitStrategy('lazy');
+
+      const client = awsClients.getClient('sqs');
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(warmUp).toHaveBeenCalledWith(client, { name: 'sqs' });
+      expect(awsClients.getClientHealth().sqs.init).toMatchObject({
+        strategy: 'lazy',
+        trigger: 'first-use',
+        warmUp: { status: 'ok' }
+      });
+    });
+
+    it('should warm up the instance created on first use without building a default one', async () => {
+      const warmUp = jest.fn().mockRejectedValue(new Error('connection refused'));
+      awsClients.registerClient('sqs', { clientClass: FakeSqsClient, warmUp });
+      awsClients.setClientInitStrategy('lazy');
+
+      const client = awsClients.getClient('sqs', { region: 'eu-west-1' });
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(warmUp).toHaveBeenCalledWith(client, { name: 'sqs' });
+      expect(awsClients.getClientHealth().sqs.instances).toBe(1);
+      expect(awsClients.getClientHealth().sqs.init.warmUp.status).toBe('error');
+    });
+
+    it('should only warm up on request under none and record failures', async () => {
+      const warmUp = jest.fn().mockRejectedValue(new Error('connection refused'));
+      awsClients.registerClient('sqs', { clientClass: FakeSqsClient, warmUp: [warmUp] });
+
+      awsClients.getClient('sqs');
+      await new Promise(resolve => setImmediate(resolve));
+      expect(warmUp).not.toHaveBeenCalled();
+
+      await expect(awsClients.warmUpClients(['sqs'])).resolves.toEqual({
+        sqs: { status: 'error', durationMs: expect.any(Number), error: 'connection refused' }
+      });
+      expect(awsClients.getClientHealth().sqs.init.warmUp.status).toBe('error');
+      expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('AWS client warm-up failed'));
+      await expect(awsClients.warmUpClients(['missing'])).rejects.toThrow('not registered');
+      expect(() => awsClients.addWarmUpHook('sqs', 'nope')).toThrow('must be a function');
+    });
+
+    it('should clear init records on reset', () => {
+      awsClients.getDynamoDbClient();
+      expect(awsClients.getClientHealth().dynamodb.init).not.toBeNull();
+
+      awsClients.resetClients();
+      expect(awsClients.getClientHealth().dynamodb.init).toBeNull();
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,106 @@
+'use strict';
+
+const { NodeHttpHandler } = require('@smithy/node-http-handler');
+const httpHandler = require('../../clients/http-handler');
+const awsClients = require('../../clients/aws-clients');
+const { checkAWSClientHealth } = require('../../utils/health');
+
+describe('HTTP Handler', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('getDefaultHttpSettings', () => {
+    it('should use keep-alive pooling defaults', () => {
+      expect(httpHandler.getDefaultHttpSettings()).toEqual({
+        keepAlive: true,
+        keepAliveMsecs: 1000,
+        maxSockets: 50,
+        connectionTimeout: 5000,
+        requestTimeout: 30000
+      });
+    });
+
+    it('should read settings from env vars', () => {
+      process.env.AWS_HTTP_KEEP_ALIVE = 'false';
+      process.env.AWS_HTTP_MAX_SOCKETS = '10';
+      process.env.AWS_HTTP_CONNECTION_TIMEOUT = '1000';
+      process.env.AWS_HTTP_REQUEST_TIMEOUT = 'not-a-number';
+
+      const settings = httpHandler.getDefaultHttpSettings();
+
+      expect(settings.keepAlive).toBe(false);
+      expect(settings.maxSockets).toBe(10);
+      expect(settings.connectionTimeout).toBe(1000);
+      expect(settings.requestTimeout).toBe(30000);
+    });
+  });
+
+  describe('createRequestHandler', () => {
+    it('should create a NodeHttpHandler and track its settings', () => {
+      const handler = httpHandler.createRequestHandler({ maxSockets: 25, requestTimeout: undefined });
+
+      expect(handler).toBeInstanceOf(NodeHttpHandler);
+      expect(httpHandler.getRequestHandlerSettings(handler)).toMatchObject({
+        keepAlive: true,
+        maxSockets: 25,
+        requestTimeout: 30000
+      });
+    });
+
+    it('should return null settings for unknown handlers', () => {
+      expect(httpHandler.getRequestHandlerSettings({})).toBeNull();
+      expect(httpHandler.getRequestHandlerSettings(undefined)).toBeNull();
+    });
+  });
+
+  describe('splitHttpOptions', () => {
+    it('should separate HTTP settings from client config', () => {
+      const { httpOptions, clientConfig } = httpHandler.splitHttpOptions({
+        region: 'eu-west-1',
+        maxSockets: 10,
+        requestTimeout: 2000
+      });
+
+      expect(httpOptions).toEqual({ maxSockets: 10, requestTimeout: 2000 });
+      expect(clientConfig).toEqual({ region: 'eu-west-1' });
+    });
+  });
+
+  describe('registry integration', () => {
+    class FakeSqsClient {
+      constructor(config) {
+        this.config = config;
+      }
+    }
+
+    afterEach(() => {
+      awsClients.unregisterClient('sqs');
+    });
+
+    it('should give registered clients a pooled request handler', () => {
+      awsClients.registerClient('sqs', { clientClass: FakeSqsClient });
+
+      const client = awsClients.getClient('sqs', { maxSockets: 5 });
+
+      expect(client.config.maxSockets).toBeUndefined();
+      expect(client.config.keepAlive).toBeUndefined();
+      expect(httpHandler.getRequestHandlerSettings(client.config.requestHandler).maxSockets).toBe(5);
+    });
+
+    it('should report pool settings in checkAWSClientHealth', async () => {
+      awsClients.registerClient('sqs', { clientClass: FakeSqsClient });
+
+      const health = await checkAWSClientHealth(awsClients.getClient('sqs'), 'sqs');
+
+      expect(health.connectionPool).toMatchObject({ keepAlive: true, maxSockets: 50 });
+      expect(health.timeout).toBe(30000);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+'use strict';
+
+const instrumentation = require('../../clients/instrumentation');
+const awsClients = require('../../clients/aws-clients');
+const { performHealthCheck } = require('../../utils/health');
+
+/**
+ * Minimal stand-in for an SDK middleware stack that runs the registered
+ * middleware around a handler the test controls
+ */
+function createFakeClient(handler) {
+  const middleware = {};
+
+  return {
+    middlewareStack: {
+      add: jest.fn((fn, options) => {
+        middleware[options.step] = fn;
+      })
+    },
+    send(commandName, attemptErrors = []) {
+      const context = { commandName };
+      const attempt = async args => {
+        const error = attemptErrors.shift();
+        if (error) {
+          throw error;
+        }
+        return handler(args);
+      };
+
+      // Simplified retry loop between the two middleware
+      const retrying = async args => {
+        const inner = middleware.finalizeRequest(attempt, context);
+        for (;;) {
+          try {
+            return await inner(args);
+          } catch (error) {
+            if (attemptErrors.length === 0 && !instrumentation.isThrottlingError(error)) {
+              throw error;
+            }
+          }
+        }
+      };
+
+      return middleware.initialize(retrying, context)({});
+    }
+  };
+}
+
+describe('Instrumentation', () => {
+  beforeEach(() => {
+    instrumentation.resetClientMetrics();
+  });
+
+  describe('instrumentClient', () => {
+    it('should add command and attempt middleware once', () => {
+      const client = createFakeClient(async () => ({ output: {} }));
+
+      expect(instrumentation.instrumentClient(client, 'test')).toBe(true);
+      expect(instrumentation.instrumentClient(client, 'test')).toBe(true);
+
+      expect(client.middlewareStack.add).toHaveBeenCalledTimes(2);
+    });
+
+    it('should skip clients without a middleware stack', () => {
+      expect(instrumentation.instrumentClient({ send: jest.fn() }, 'mock')).toBe(false);
+    });
+  });
+
+  describe('metrics', () => {
+    it('should record latency, retries and consumed capacity', async () => {
+      const client = createFakeClient(async () => ({
+        output: {
+          $metadata: { attempts: 2 },
+          ConsumedCapacity: [{ CapacityUnits: 1.5 }, { CapacityUnits: 0.5 }]
+        }
+      }));
+      instrumentation.instrumentClient(client, 'dynamodb');
+
+      await client.send('QueryCommand');
+      await client.send('QueryCommand');
+
+      const metrics = instrumentation.getClientMetrics('dynamodb');
+      expect(metrics.commands).toBe(2);
+      expect(metrics.retries).toBe(2);
+      expect(metrics.consumedCapacityUnits).toBe(4);
+      expect(metrics.byCommand.QueryCommand.count).toBe(2);
+      expect(metrics.byCommand.QueryCommand.averageDurationMs).toBeGreaterThanOrEqual(0);
+    });
+
+    it('should count throttled attempts and failed commands', async () => {
+      const throttle = Object.assign(new Error('Rate exceeded'), { name: 'ProvisionedThroughputExceededException' });
+      const failure = Object.assign(new Error('Missing'), {
+        name: 'ResourceNotFoundException',
+        $metadata: { attempts: 1 }
+      });
+      const client = createFakeClient(async () => ({ output: { $metadata: { attempts: 2 } } }));
+      instrumentation.instrumentClient(client, 'dynamodb');
+
+      await client.send('PutItemCommand', [throttle]);
+      await expect(client.send('GetItemCommand', [failure])).rejects.toThrow('Missing');
+
+      const metrics = instrumentation.getClientMetrics('dynamodb');
+      expect(metrics.throttles).toBe(1);
+      expect(metrics.errors).toBe(1);
+      expect(metrics.byCommand.GetItemCommand.lastError).toBe('ResourceNotFoundException');
+    });
+
+    it('should return empty metrics for unknown clients', () => {
+      expect(instrumentation.getClientMetrics('unknown')).toEqual({
+        commands: 0,
+        errors: 0,
+        retries: 0,
+        throttles: 0,
+        consumedCapacityUnits: 0,
+        byCommand: {}
+      });
+    });
+  });
+
+  describe('isThrottlingError', () => {
+    it('should detect throttling by name and status code', () => {
+      expect(instrumentation.isThrottlingError({ name: 'ThrottlingException' })).toBe(true);
+      expect(instrumentation.isThrottlingError({ name: 'Error', $metadata: { httpStatusCode: 429 } })).toBe(true);
+      expect(instrumentation.isThrottlingError({ name: 'ValidationException' })).toBe(false);
+      expect(instrumentation.isThrottlingError(null)).toBe(false);
+    });
+  });
+
+  describe('health integration', () => {
+    afterEach(() => {
+      awsClients.unregisterClient('sns');
+    });
+
+    it('should expose metrics through getClientHealth and performHealthCheck', async () => {
+      const fakeClient = createFakeClient(async () => ({ output: {} }));
+      awsClients.registerClient('sns', { factory: () => fakeClient });
+
+      await awsClients.getClient('sns').send('PublishCommand');
+
+      expect(awsClients.getClientHealth().sns.metrics.commands).toBe(1);
+
+      const health = await performHealthCheck('test-service', {}, {
+        checkEnvironment: false,
+        includeMetrics: true
+      });
+      expect(health.checks.performance.awsClients.sns.byCommand.PublishCommand.count).toBe(1);
+    });
+  });
+});
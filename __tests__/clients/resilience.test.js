@@ -0,0 +1,219 @@
+'use strict';
+
+const { createAwsError } = require('../../testing/aws-errors');
+const resilience = require('../../clients/resilience');
+const awsClients = require('../../clients/aws-clients');
+const { performHealthCheck } = require('../../utils/health');
+
+const serverError = (name = 'InternalServerError') =>
+  createAwsError(name, 'Server error', { $fault: 'server', $metadata: { httpStatusCode: 500, attempts: 3 } });
+
+const NO_DELAY = { baseDelayMs: 0, throttlingBaseDelayMs: 0 };
+
+/**
+ * Client whose send() fails with the queued errors, then succeeds
+ */
+function createFlakyClient(errors = []) {
+  const queue = [...errors];
+
+  return {
+    config: { region: 'us-east-1' },
+    send: jest.fn(async () => {
+      const error = queue.shift();
+      if (error) {
+        throw error;
+      }
+      return { ok: true };
+    })
+  };
+}
+
+describe('Client Resilience', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    resilience.resetCircuitBreakers();
+  });
+
+  describe('classifyError', () => {
+    it('should classify errors by name and status code', () => {
+      const { ERROR_CATEGORIES: C } = resilience;
+
+      expect(resilience.classifyError(createAwsError('ProvisionedThroughputExceededException', 'x'))).toBe(C.THROTTLING);
+      expect(resilience.classifyError(createAwsError('Anything', 'x', { $metadata: { httpStatusCode: 429 } }))).toBe(C.THROTTLING);
+      expect(resilience.classifyError(serverError())).toBe(C.RETRYABLE);
+      expect(resilience.classifyError(Object.assign(new Error('reset'), { code: 'ECONNRESET' }))).toBe(C.RETRYABLE);
+      expect(resilience.classifyError(createAwsError('AccessDeniedException', 'x'))).toBe(C.AUTH);
+      expect(resilience.classifyError(createAwsError('Forbidden', 'x', { $metadata: { httpStatusCode: 403 } }))).toBe(C.AUTH);
+      expect(resilience.classifyError(createAwsError('ValidationException', 'x'))).toBe(C.VALIDATION);
+      expect(resilience.classifyError(createAwsError('SomethingBad', 'x'))).toBe(C.VALIDATION);
+      expect(resilience.classifyError(createAwsError('ConditionalCheckFailedException', 'x'))).toBe(C.CONFLICT);
+      expect(resilience.classifyError(new Error('plain'))).toBe(C.UNKNOWN);
+    });
+
+    it('should only retry throttling and transient errors', () => {
+      expect(resilience.isRetryableError(serverError('ServiceUnavailableException'))).toBe(true);
+      expect(resilience.isRetryableError(createAwsError('ThrottlingException', 'x'))).toBe(true);
+      expect(resilience.isRetryableError(createAwsError('ConditionalCheckFailedException', 'x'))).toBe(false);
+    });
+  });
+
+  describe('resilientSend', () => {
+    it('should retry retryable errors until the command succeeds', async () => {
+      const client = createFlakyClient([serverError(), createAwsError('ThrottlingException', 'slow down')]);
+
+      await expect(resilience.resilientSend(client, {}, NO_DELAY)).resolves.toEqual({ ok: true });
+      expect(client.send).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not retry non-retryable errors and tag the category', async () => {
+      const client = createFlakyClient([createAwsError('ValidationException', 'bad input')]);
+
+      await expect(resilience.resilientSend(client, {}, NO_DELAY))
+        .rejects.toMatchObject({ name: 'ValidationException', errorCategory: 'validation' });
+      expect(client.send).toHaveBeenCalledTimes(1);
+    });
+
+    it('should give up after maxRetries', async () => {
+      const client = createFlakyClient([serverError(), serverError(), serverError()]);
+
+      await expect(resilience.resilientSend(client, {}, { ...NO_DELAY, maxRetries: 1 }))
+        .rejects.toMatchObject({ name: 'InternalServerError', errorCategory: 'retryable' });
+      expect(client.send).toHaveBeenCalledTimes(2);
+    });
+
+    it('should pass send options through', async () => {
+      const client = createFlakyClient();
+      const sendOptions = { abortSignal: new AbortController().signal };
+
+      await resilience.resilientSend(client, 'command', { sendOptions });
+      expect(client.send).toHaveBeenCalledWith('command', sendOptions);
+    });
+  });
+
+  describe('circuit breaker', () => {
+    const options = { ...NO_DELAY, maxRetries: 0, dependency: 'dynamodb', circuitBreaker: { failureThreshold: 2, resetTimeoutMs: 1000 } };
+
+    it('should open after repeated failures and fail fast', async () => {
+      const client = createFlakyClient([serverError(), serverError()]);
+
+      await expect(resilience.resilientSend(client, {}, options)).rejects.toThrow('Server error');
+      await expect(resilience.resilientSend(client, {}, options)).rejects.toThrow('Server error');
+
+      const error = await resilience.resilientSend(client, {}, options).catch(err => err);
+
+      expect(error).toMatchObject({ name: 'CircuitOpenError', dependency: 'dynamodb' });
+      expect(error.retryAfterMs).toBeGreaterThan(0);
+      expect(client.send).toHaveBeenCalledTimes(2);
+      expect(resilience.getCircuitBreakerState('dynamodb')).toMatchObject({
+        state: 'open',
+        consecutiveFailures: 2,
+        rejected: 1,
+        lastError: 'InternalServerError'
+      });
+    });
+
+    it('should stop retrying once the breaker opens mid-request', async () => {
+      const client = createFlakyClient([serverError(), serverError(), serverError()]);
+
+      const error = await resilience.resilientSend(client, {}, { ...options, maxRetries: 5 }).catch(err => err);
+
+      expect(error.name).toBe('CircuitOpenError');
+      expect(error.cause.name).toBe('InternalServerError');
+      expect(client.send).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not count caller errors as dependency failures', async () => {
+      const client = createFlakyClient([
+        createAwsError('ConditionalCheckFailedException', 'x'),
+        createAwsError('ValidationException', 'x'),
+        createAwsError('AccessDeniedException', 'x')
+      ]);
+
+      for (let i = 0; i < 3; i += 1) {
+        await resilience.resilientSend(client, {}, options).catch(() => {});
+      }
+
+      expect(resilience.getCircuitBreakerState('dynamodb').state).toBe('closed');
+    });
+
+    it('should half-open after the reset timeout and close on success', async () => {
+      const now = Date.now();
+      const client = createFlakyClient([serverError(), serverError(), serverError()]);
+
+      await resilience.resilientSend(client, {}, options).catch(() => {});
+      await resilience.resilientSend(client, {}, options).catch(() => {});
+
+      jest.spyOn(Date, 'now').mockReturnValue(now + 5000);
+      expect(resilience.getCircuitBreakerState('dynamodb').state).toBe('half-open');
+
+      // Failed trial reopens the breaker
+      await expect(resilience.resilientSend(client, {}, options)).rejects.toThrow('Server error');
+      expect(resilience.getCircuitBreakerState('dynamodb').state).toBe('open');
+
+      Date.now.mockReturnValue(now + 10000);
+      await expect(resilience.resilientSend(client, {}, options)).resolves.toEqual({ ok: true });
+      expect(resilience.getCircuitBreakerState('dynamodb')).toMatchObject({ state: 'closed', consecutiveFailures: 0 });
+    });
+
+    it('should limit concurrent half-open trials', () => {
+      const breaker = resilience.createCircuitBreaker('cognito', { failureThreshold: 1, resetTimeoutMs: 0 });
+
+      breaker.recordFailure(serverError());
+      breaker.acquire();
+
+      expect(() => breaker.acquire()).toThrow('Circuit for cognito is open');
+    });
+  });
+
+  describe('withResilience', () => {
+    it('should wrap send() and keep the client surface', async () => {
+      const client = createFlakyClient([serverError()]);
+      const wrapped = resilience.withResilience(client, { ...NO_DELAY, dependency: 'dynamodb' });
+
+      await expect(wrapped.send('command')).resolves.toEqual({ ok: true });
+      expect(wrapped.config.region).toBe('us-east-1');
+      expect(client.send).toHaveBeenCalledTimes(2);
+      expect(() => resilience.withResilience({})).toThrow('send() method');
+    });
+  });
+
+  describe('health reporting', () => {
+    const originalEnv = process.env;
+
+    beforeEach(() => {
+      process.env = { ...originalEnv, COGNITO_USER_POOL_ID: 'pool', COGNITO_CLIENT_ID: 'client', DYNAMODB_TABLE_NAME: 'table' };
+    });
+
+    afterAll(() => {
+      process.env = originalEnv;
+    });
+
+    it('should report open breakers as degraded', async () => {
+      const breaker = resilience.getCircuitBreaker('dynamodb', { failureThreshold: 1 });
+
+      const healthy = await performHealthCheck('auth-service', {}, { checkEnvironment: false });
+      expect(healthy.status).toBe('healthy');
+      expect(healthy.checks.circuitBreakers.status).toBe('ok');
+
+      breaker.recordFailure(serverError());
+      const degraded = await performHealthCheck('auth-service', {}, { checkEnvironment: false });
+
+      expect(degraded.status).toBe('degraded');
+      expect(degraded.checks.circuitBreakers).toMatchObject({
+        status: 'degraded',
+        degraded: ['dynamodb'],
+        dependencies: { dynamodb: { state: 'open' } }
+      });
+    });
+
+    it('should include breaker state in client health and clear it on reset', () => {
+      resilience.getCircuitBreaker('dynamodb');
+
+      expect(awsClients.getClientHealth().dynamodb.circuitBreaker).toMatchObject({ state: 'closed' });
+      expect(awsClients.getClientHealth().cognito.circuitBreaker).toBeNull();
+
+      awsClients.resetClients();
+      expect(awsClients.getClientHealth().dynamodb.circuitBreaker).toBeNull();
+    });
+  });
+});
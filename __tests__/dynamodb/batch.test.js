@@ -0,0 +1,124 @@
+'use strict';
+
+const { installDynamoDbFake } = require('../../testing');
+const awsClients = require('../../clients/aws-clients');
+const batch = require('../../dynamodb/batch');
+
+const TABLE = 'erp-table';
+const AUDIT_TABLE = 'audit-table';
+
+describe('DynamoDB Batch Operations', () => {
+  const originalMock = global.mockDynamoDbDocumentClient;
+  const retry = { baseDelayMs: 0 };
+  let db;
+
+  const items = count => Array.from({ length: count }, (_, i) => ({ PK: `ITEM#${i}`, SK: 'METADATA', n: i }));
+  const keys = count => items(count).map(({ PK, SK }) => ({ PK, SK }));
+
+  beforeEach(() => {
+    db = installDynamoDbFake();
+  });
+
+  afterAll(() => {
+    global.mockDynamoDbDocumentClient = originalMock;
+    awsClients.resetClients();
+  });
+
+  describe('batchWriteItems', () => {
+    it('should split writes into chunks of 25', async () => {
+      const result = await batch.batchPut(TABLE, items(60), retry);
+
+      expect(result).toEqual({ calls: 3, retries: 0 });
+      expect(db.getItems(TABLE)).toHaveLength(60);
+      expect(db.commands.map(command => command.input.RequestItems[TABLE].length)).toEqual([25, 25, 10]);
+    });
+
+    it('should chunk across tables', async () => {
+      await batch.batchWriteItems({
+        [TABLE]: items(20).map(Item => ({ PutRequest: { Item } })),
+        [AUDIT_TABLE]: items(10).map(Item => ({ PutRequest: { Item } }))
+      }, retry);
+
+      expect(db.commands[0].input.RequestItems[TABLE]).toHaveLength(20);
+      expect(db.commands[0].input.RequestItems[AUDIT_TABLE]).toHaveLength(5);
+      expect(db.getItems(AUDIT_TABLE)).toHaveLength(10);
+    });
+
+    it('should retry unprocessed items until all are written', async () => {
+      db.batchCapacity = 10;
+
+      const result = await batch.batchPut(TABLE, items(30), retry);
+
+      expect(db.getItems(TABLE)).toHaveLength(30);
+      expect(result.retries).toBeGreaterThan(0);
+      expect(db.commands.every(command => command.input.RequestItems[TABLE].length <= 25)).toBe(true);
+    });
+
+    it('should throw with the unprocessed items once retries are exhausted', async () => {
+      db.batchCapacity = 0;
+
+      const error = await batch.batchPut(TABLE, items(3), { ...retry, maxRetries: 2 }).catch(err => err);
+
+      expect(error.name).toBe('BatchUnprocessedError');
+      expect(error.unprocessedItems[TABLE]).toHaveLength(3);
+      expect(db.commands).toHaveLength(3);
+    });
+
+    it('should delete items', async () => {
+      await batch.batchPut(TABLE, items(5), retry);
+      await batch.batchDelete(TABLE, keys(5).slice(0, 3), retry);
+
+      expect(db.getItems(TABLE).map(item => item.n)).toEqual([3, 4]);
+    });
+  });
+
+  describe('batchGetItems', () => {
+    beforeEach(() => {
+      db.seed(TABLE, items(150));
+    });
+
+    it('should split reads into chunks of 100', async () => {
+      const found = await batch.batchGet(TABLE, keys(150), retry);
+
+      expect(found).toHaveLength(150);
+      expect(db.commands.map(command => command.input.RequestItems[TABLE].Keys.length)).toEqual([100, 50]);
+    });
+
+    it('should retry unprocessed keys and keep table options', async () => {
+      db.batchCapacity = 40;
+
+      const found = await batch.batchGet(TABLE, keys(120), {
+        ...retry,
+        projectionExpression: '#n',
+        expressionAttributeNames: { '#n': 'n' }
+      });
+
+      expect(found).toHaveLength(120);
+      expect(found[0]).toEqual({ n: expect.any(Number) });
+      expect(db.commands.every(command => command.input.RequestItems[TABLE].ProjectionExpression === '#n')).toBe(true);
+    });
+
+    it('should throw with unprocessed keys and partial responses once retries are exhausted', async () => {
+      db.batchCapacity = 0;
+
+      const error = await batch.batchGetItems({ [TABLE]: { Keys: keys(2) } }, { ...retry, maxRetries: 1 })
+        .catch(err => err);
+
+      expect(error.name).toBe('BatchUnprocessedError');
+      expect(error.unprocessedKeys[TABLE].Keys).toHaveLength(2);
+      expect(error.responses[TABLE]).toEqual([]);
+    });
+  });
+
+  describe('getBackoffDelay', () => {
+    it('should grow exponentially up to the cap with jitter', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0.999);
+
+      expect(batch.getBackoffDelay(1, { baseDelayMs: 100 })).toBe(99);
+      expect(batch.getBackoffDelay(3, { baseDelayMs: 100 })).toBe(399);
+      expect(batch.getBackoffDelay(20, { baseDelayMs: 100, maxDelayMs: 1000 })).toBe(999);
+
+      Math.random.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,263 @@
+'use strict';
+
+const { installDynamoDbFake } = require('../../testing');
+const awsClients = require('../../clients/aws-clients');
+const entities = require('../../dynamodb/entities');
+
+const TABLE = 'erp-table';
+
+describe('DynamoDB Entities', () => {
+  const originalEnv = process.env;
+  const originalMock = global.mockDynamoDbDocumentClient;
+  let db;
+  let Organization;
+  let User;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, DYNAMODB_TABLE_NAME: TABLE };
+    db = installDynamoDbFake({
+      tables: {
+        [TABLE]: {
+          partitionKey: 'PK',
+          sortKey: 'SK',
+          indexes: { GSI1: { partitionKey: 'GSI1PK', sortKey: 'GSI1SK' } }
+        }
+      }
+    });
+
+    Organization = entities.defineEntity({
+      type: 'Organization',
+      key: { PK: 'ORG#{organizationId}', SK: 'METADATA' },
+      attributes: { name: 'string' },
+      required: ['name']
+    });
+
+    User = entities.defineEntity({
+      type: 'User',
+      key: { PK: 'ORG#{organizationId}', SK: 'USER#{userId}' },
+      indexes: {
+        GSI1: { GSI1PK: 'ORG#{organizationId}#EMAIL#{email}', GSI1SK: 'USER#{userId}' }
+      },
+      attributes: { email: 'string', active: 'boolean', roles: 'array' },
+      required: ['userId', 'email']
+    });
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+    global.mockDynamoDbDocumentClient = originalMock;
+    awsClients.resetClients();
+  });
+
+  describe('key templates', () => {
+    it('should parse and format templates', () => {
+      const parsed = entities.parseKeyTemplate('ORG#{organizationId}#USER#{userId}');
+
+      expect(parsed.fields).toEqual(['organizationId', 'userId']);
+      expect(entities.formatKeyTemplate(parsed, { organizationId: 'org-1', userId: 7 })).toEqual({
+        value: 'ORG#org-1#USER#7',
+        complete: true
+      });
+      expect(entities.formatKeyTemplate(parsed, { organizationId: 'org-1' }, { partial: true })).toEqual({
+        value: 'ORG#org-1#USER#',
+        complete: false
+      });
+    });
+
+    it('should throw for missing key values', () => {
+      expect(() => User.buildKey('org-1', {})).toThrow('Missing value for {userId}');
+    });
+
+    it('should build table and sparse index keys', () => {
+      expect(User.buildKey('org-1', { userId: 'u1' })).toEqual({ PK: 'ORG#org-1', SK: 'USER#u1' });
+      expect(User.buildIndexKeys('org-1', { userId: 'u1', email: 'a@b.c' })).toEqual({
+        GSI1PK: 'ORG#org-1#EMAIL#a@b.c',
+        GSI1SK: 'USER#u1'
+      });
+      expect(User.buildIndexKeys('org-1', { userId: 'u1' })).toEqual({});
+    });
+  });
+
+  describe('definitions', () => {
+    it('should require the tenant id in every partition template', () => {
+      expect(() => entities.defineEntity({
+        type: 'Global',
+        key: { PK: 'GLOBAL#{id}', SK: 'METADATA' }
+      })).toThrow('must include {organizationId}');
+
+      expect(() => entities.defineEntity({
+        type: 'ByEmail',
+        key: { PK: 'ORG#{organizationId}' },
+        indexes: { GSI1: { GSI1PK: 'EMAIL#{email}' } }
+      })).toThrow('index GSI1 partition template');
+    });
+
+    it('should reject invalid definitions', () => {
+      expect(() => entities.defineEntity({ key: { PK: 'ORG#{organizationId}' } })).toThrow('Entity type');
+      expect(() => entities.defineEntity({ type: 'X', key: {} })).toThrow('partition key');
+      expect(() => entities.defineEntity({
+        type: 'X',
+        key: { PK: 'ORG#{organizationId}' },
+        attributes: { when: 'date' }
+      })).toThrow('unsupported type date');
+    });
+
+    it('should register entity types', () => {
+      expect(entities.getEntity('User')).toBe(User);
+      expect(entities.getEntityTypes()).toEqual(expect.arrayContaining(['Organization', 'User']));
+    });
+  });
+
+  describe('get / put / delete', () => {
+    it('should store items with keys, tenant id and entity type', async () => {
+      const saved = await User.put('org-1', { userId: 'u1', email: 'a@b.c', active: true });
+
+      expect(saved).toEqual({ organizationId: 'org-1', userId: 'u1', email: 'a@b.c', active: true });
+      expect(db.getItem(TABLE, { PK: 'ORG#org-1', SK: 'USER#u1' })).toEqual({
+        PK: 'ORG#org-1',
+        SK: 'USER#u1',
+        GSI1PK: 'ORG#org-1#EMAIL#a@b.c',
+        GSI1SK: 'USER#u1',
+        entityType: 'User',
+        organizationId: 'org-1',
+        userId: 'u1',
+        email: 'a@b.c',
+        active: true
+      });
+
+      await expect(User.get('org-1', { userId: 'u1' })).resolves.toEqual(saved);
+      await expect(User.get('org-1', { userId: 'missing' })).resolves.toBeNull();
+    });
+
+    it('should validate required attributes and types', async () => {
+      await expect(User.put('org-1', { userId: 'u1', email: 42 })).rejects.toMatchObject({
+        name: 'EntityValidationError',
+        errors: ['email must be of type string']
+      });
+      await expect(Organization.put('org-1', {})).rejects.toMatchObject({
+        errors: ['name is required']
+      });
+      expect(db.commands).toHaveLength(0);
+    });
+
+    it('should fail conditional creates for existing items', async () => {
+      await Organization.put('org-1', { name: 'Acme' }, { ifNotExists: true });
+
+      await expect(Organization.put('org-1', { name: 'Other' }, { ifNotExists: true }))
+        .rejects.toMatchObject({ name: 'ConditionalCheckFailedException' });
+    });
+
+    it('should not return items of another entity type stored under the same key', async () => {
+      db.seed(TABLE, [{ PK: 'ORG#org-1', SK: 'METADATA', entityType: 'Settings', organizationId: 'org-1' }]);
+
+      await expect(Organization.get('org-1')).resolves.toBeNull();
+      await expect(Organization.delete('org-1')).rejects.toMatchObject({ name: 'ConditionalCheckFailedException' });
+    });
+
+    it('should delete items and return the old data', async () => {
+      await Organization.put('org-1', { name: 'Acme' });
+
+      await expect(Organization.delete('org-1')).resolves.toEqual({ organizationId: 'org-1', name: 'Acme' });
+      await expect(Organization.delete('org-1')).resolves.toBeNull();
+    });
+
+    it('should use an explicit table name and client', async () => {
+      const client = { send: jest.fn().mockResolvedValue({}) };
+
+      await Organization.get('org-1', {}, { tableName: 'other-table', client });
+
+      expect(client.send.mock.calls[0][0].input.TableName).toBe('other-table');
+    });
+
+    it('should require a table name', async () => {
+      delete process.env.DYNAMODB_TABLE_NAME;
+
+      await expect(Organization.get('org-1')).rejects.toThrow('DYNAMODB_TABLE_NAME');
+    });
+  });
+
+  describe('tenant scoping', () => {
+    it('should require a tenant id', async () => {
+      await expect(User.get(undefined, { userId: 'u1' })).rejects.toMatchObject({ name: 'TenantScopeError' });
+      await expect(User.query('')).rejects.toMatchObject({ name: 'TenantScopeError' });
+    });
+
+    it('should reject data belonging to another tenant', async () => {
+      await expect(User.put('org-1', { organizationId: 'org-2', userId: 'u1', email: 'a@b.c' }))
+        .rejects.toMatchObject({ name: 'TenantScopeError' });
+      expect(() => User.buildQuery('org-1', { values: { organizationId: 'org-2' } })).toThrow('belongs to');
+    });
+
+    it('should reject tenant ids containing the key separator', () => {
+      expect(() => User.buildKey('org-1#USER#u1', { userId: 'u2' })).toThrow('must not contain');
+    });
+
+    it('should never return other tenants\' items', async () => {
+      await User.put('org-1', { userId: 'u1', email: 'a@org1.com' });
+      await User.put('org-2', { userId: 'u1', email: 'a@org2.com' });
+
+      const { items } = await User.query('org-1');
+
+      expect(items).toEqual([{ organizationId: 'org-1', userId: 'u1', email: 'a@org1.com' }]);
+    });
+  });
+
+  describe('query', () => {
+    beforeEach(async () => {
+      await Organization.put('org-1', { name: 'Acme' });
+      await User.put('org-1', { userId: 'u1', email: 'one@acme.com' });
+      await User.put('org-1', { userId: 'u2', email: 'two@acme.com' });
+    });
+
+    it('should query all entities of a type with begins_with', async () => {
+      const { items } = await User.query('org-1');
+
+      expect(items.map(user => user.userId)).toEqual(['u1', 'u2']);
+      expect(db.commands.at(-1).input).toMatchObject({
+        KeyConditionExpression: '#pk = :pk AND begins_with(#sk, :sk)',
+        ExpressionAttributeValues: { ':pk': 'ORG#org-1', ':sk': 'USER#', ':type': 'User' }
+      });
+    });
+
+    it('should query by full key and by index', async () => {
+      const byKey = await User.query('org-1', { values: { userId: 'u2' } });
+      const byEmail = await User.query('org-1', { index: 'GSI1', values: { email: 'one@acme.com' } });
+
+      expect(byKey.items.map(user => user.userId)).toEqual(['u2']);
+      expect(byEmail.items.map(user => user.userId)).toEqual(['u1']);
+    });
+
+    it('should paginate', async () => {
+      const first = await User.query('org-1', { limit: 1, scanIndexForward: false });
+      const second = await User.query('org-1', { limit: 1, scanIndexForward: false, exclusiveStartKey: first.lastEvaluatedKey });
+
+      expect(first.items.map(user => user.userId)).toEqual(['u2']);
+      expect(second.items.map(user => user.userId)).toEqual(['u1']);
+    });
+
+    it('should iterate across pages', async () => {
+      const userIds = [];
+
+      for await (const user of User.iterate('org-1', { pageSize: 1 })) {
+        userIds.push(user.userId);
+      }
+
+      expect(userIds).toEqual(['u1', 'u2']);
+      expect(db.commands.filter(command => command.input.Limit === 1)).toHaveLength(2);
+    });
+
+    it('should reject unknown indexes', async () => {
+      await expect(User.query('org-1', { index: 'GSI9' })).rejects.toThrow('has no index GSI9');
+    });
+
+    it('should parse items by entity type', () => {
+      const item = db.getItem(TABLE, { PK: 'ORG#org-1', SK: 'METADATA' });
+
+      expect(entities.parseItem(item)).toEqual({
+        type: 'Organization',
+        data: { organizationId: 'org-1', name: 'Acme' }
+      });
+      expect(entities.parseItem({ entityType: 'Unknown' })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,219 @@
+'use strict';
+
+const { UpdateCommand, QueryCommand, PutCommand } = require('@aws-sdk/lib-dynamodb');
+const { installDynamoDbFake } = require('../../testing');
+const awsClients = require('../../clients/aws-clients');
+const {
+  buildExpressions,
+  buildUpdateExpression,
+  buildConditionExpression,
+  buildFilterExpression,
+  set,
+  remove,
+  add,
+  append,
+  ifNotExists,
+  eq,
+  ne,
+  gte,
+  lt,
+  between,
+  beginsWith,
+  contains,
+  attributeExists,
+  attributeNotExists
+} = require('../../dynamodb/expressions');
+
+const TABLE = 'erp-table';
+const KEY = { PK: 'ORG#1', SK: 'METADATA' };
+
+describe('DynamoDB Expressions', () => {
+  const originalMock = global.mockDynamoDbDocumentClient;
+  let db;
+
+  beforeEach(() => {
+    db = installDynamoDbFake();
+  });
+
+  afterAll(() => {
+    global.mockDynamoDbDocumentClient = originalMock;
+    awsClients.resetClients();
+  });
+
+  describe('buildUpdateExpression', () => {
+    it('should escape every attribute name, including reserved words', () => {
+      expect(buildUpdateExpression({ name: 'Acme', status: 'ACTIVE' })).toEqual({
+        UpdateExpression: 'SET #name = :name, #status = :status',
+        ExpressionAttributeNames: { '#name': 'name', '#status': 'status' },
+        ExpressionAttributeValues: { ':name': 'Acme', ':status': 'ACTIVE' }
+      });
+    });
+
+    it('should group actions into SET, REMOVE and ADD clauses', () => {
+      const result = buildUpdateExpression({
+        name: set({ first: 'Jane' }),
+        legacy: remove(),
+        loginCount: add(1),
+        tags: append(['new']),
+        createdAt: ifNotExists('2024-01-01'),
+        skipped: undefined
+      });
+
+      expect(result.UpdateExpression).toBe(
+        'SET #name = :name, #tags = list_append(if_not_exists(#tags, :tags_empty), :tags), ' +
+        '#createdAt = if_not_exists(#createdAt, :createdAt) REMOVE #legacy ADD #loginCount :loginCount'
+      );
+      expect(result.ExpressionAttributeValues).toEqual({
+        ':name': { first: 'Jane' },
+        ':loginCount': 1,
+        ':tags_empty': [],
+        ':tags': ['new'],
+        ':createdAt': '2024-01-01'
+      });
+    });
+
+    it('should escape nested paths and list indexes', () => {
+      const result = buildUpdateExpression({ 'address.city': 'Yerevan', 'items[0].status': 'DONE' });
+
+      expect(result.UpdateExpression).toBe('SET #address.#city = :city, #items[0].#status = :status');
+      expect(result.ExpressionAttributeNames).toEqual({
+        '#address': 'address',
+        '#city': 'city',
+        '#items': 'items',
+        '#status': 'status'
+      });
+    });
+
+    it('should omit values when only removing', () => {
+      expect(buildUpdateExpression({ legacy: remove() })).toEqual({
+        UpdateExpression: 'REMOVE #legacy',
+        ExpressionAttributeNames: { '#legacy': 'legacy' }
+      });
+    });
+
+    it('should reject empty updates and condition operators', () => {
+      expect(() => buildUpdateExpression({})).toThrow('Update has no actions');
+      expect(() => buildUpdateExpression({ a: gte(1) })).toThrow('cannot be used in an update');
+      expect(() => buildUpdateExpression({ 'a..b': 1 })).toThrow('Invalid attribute path');
+    });
+  });
+
+  describe('buildConditionExpression', () => {
+    it('should AND entries and default to equality', () => {
+      expect(buildConditionExpression({
+        status: 'ACTIVE',
+        total: [gte(10), lt(100)],
+        name: beginsWith('Ac'),
+        deletedAt: attributeNotExists()
+      })).toEqual({
+        ConditionExpression: '#status = :status AND #total >= :total AND #total < :total_1 AND ' +
+          'begins_with(#name, :name) AND attribute_not_exists(#deletedAt)',
+        ExpressionAttributeNames: { '#status': 'status', '#total': 'total', '#name': 'name', '#deletedAt': 'deletedAt' },
+        ExpressionAttributeValues: { ':status': 'ACTIVE', ':total': 10, ':total_1': 100, ':name': 'Ac' }
+      });
+    });
+
+    it('should OR groups given as an array', () => {
+      const result = buildFilterExpression([{ status: 'ACTIVE' }, { status: ne('DELETED'), role: attributeExists() }]);
+
+      expect(result.FilterExpression).toBe('(#status = :status) OR (#status <> :status_1 AND attribute_exists(#role))');
+    });
+
+    it('should support between, contains and eq', () => {
+      const result = buildConditionExpression({ total: between(1, 5), tags: contains('vip'), version: eq(2) });
+
+      expect(result.ConditionExpression).toBe(
+        '#total BETWEEN :total AND :total_1 AND contains(#tags, :tags) AND #version = :version'
+      );
+    });
+
+    it('should reject empty conditions and update operators', () => {
+      expect(() => buildConditionExpression({})).toThrow('Condition has no clauses');
+      expect(() => buildConditionExpression({ a: remove() })).toThrow('cannot be used in a condition');
+    });
+  });
+
+  describe('buildExpressions', () => {
+    it('should share placeholders across expressions of one command', () => {
+      const result = buildExpressions({
+        update: { status: 'ACTIVE' },
+        condition: { status: 'PENDING' }
+      });
+
+      expect(result).toEqual({
+        UpdateExpression: 'SET #status = :status',
+        ConditionExpression: '#status = :status_1',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: { ':status': 'ACTIVE', ':status_1': 'PENDING' }
+      });
+    });
+
+    it('should build key conditions, filters and projections', () => {
+      const result = buildExpressions({
+        keyCondition: { PK: 'ORG#1', SK: beginsWith('USER#') },
+        filter: { status: 'ACTIVE' },
+        projection: ['name', 'status']
+      });
+
+      expect(result.KeyConditionExpression).toBe('#PK = :PK AND begins_with(#SK, :SK)');
+      expect(result.ProjectionExpression).toBe('#name, #status');
+    });
+  });
+
+  describe('with the DynamoDB client', () => {
+    it('should apply updates and conditions', async () => {
+      const client = awsClients.getDynamoDbClient();
+      await client.send(new PutCommand({ TableName: TABLE, Item: { ...KEY, name: 'Acme', status: 'PENDING', legacy: true } }));
+
+      const result = await client.send(new UpdateCommand({
+        TableName: TABLE,
+        Key: KEY,
+        ...buildExpressions({
+          update: {
+            status: 'ACTIVE',
+            legacy: remove(),
+            loginCount: add(2),
+            tags: append(['a']),
+            createdAt: ifNotExists('2024-01-01')
+          },
+          condition: { status: 'PENDING', name: attributeExists() }
+        }),
+        ReturnValues: 'ALL_NEW'
+      }));
+
+      expect(result.Attributes).toEqual({
+        ...KEY,
+        name: 'Acme',
+        status: 'ACTIVE',
+        loginCount: 2,
+        tags: ['a'],
+        createdAt: '2024-01-01'
+      });
+
+      await expect(client.send(new UpdateCommand({
+        TableName: TABLE,
+        Key: KEY,
+        ...buildExpressions({ update: { status: 'ACTIVE' }, condition: { status: 'PENDING' } })
+      }))).rejects.toMatchObject({ name: 'ConditionalCheckFailedException' });
+    });
+
+    it('should query with key conditions and filters', async () => {
+      db.seed(TABLE, [
+        { PK: 'ORG#1', SK: 'USER#1', status: 'ACTIVE', name: 'A' },
+        { PK: 'ORG#1', SK: 'USER#2', status: 'DISABLED', name: 'B' },
+        { PK: 'ORG#1', SK: 'ROLE#1', status: 'ACTIVE', name: 'C' }
+      ]);
+
+      const result = await awsClients.getDynamoDbClient().send(new QueryCommand({
+        TableName: TABLE,
+        ...buildExpressions({
+          keyCondition: { PK: 'ORG#1', SK: beginsWith('USER#') },
+          filter: { status: 'ACTIVE' },
+          projection: ['name']
+        })
+      }));
+
+      expect(result.Items).toEqual([{ name: 'A' }]);
+    });
+  });
+});
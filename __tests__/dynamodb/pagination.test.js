@@ -0,0 +1,97 @@
+'use strict';
+
+const { installDynamoDbFake } = require('../../testing');
+const awsClients = require('../../clients/aws-clients');
+const pagination = require('../../dynamodb/pagination');
+
+const TABLE = 'erp-table';
+
+describe('DynamoDB Pagination', () => {
+  const originalMock = global.mockDynamoDbDocumentClient;
+  let db;
+
+  const query = {
+    TableName: TABLE,
+    KeyConditionExpression: 'PK = :pk',
+    ExpressionAttributeValues: { ':pk': 'ORG#1' }
+  };
+
+  beforeEach(() => {
+    db = installDynamoDbFake();
+    db.seed(TABLE, Array.from({ length: 7 }, (_, i) => ({
+      PK: 'ORG#1',
+      SK: `USER#${i}`,
+      active: i % 2 === 0
+    })));
+    db.seed(TABLE, [{ PK: 'ORG#2', SK: 'USER#0' }]);
+  });
+
+  afterAll(() => {
+    global.mockDynamoDbDocumentClient = originalMock;
+    awsClients.resetClients();
+  });
+
+  it('should follow LastEvaluatedKey across pages', async () => {
+    const pages = await pagination.collect(pagination.queryPages(query, { pageSize: 3 }));
+
+    expect(pages.map(page => page.items.length)).toEqual([3, 3, 1]);
+    expect(pages[2].lastEvaluatedKey).toBeUndefined();
+    expect(db.commands.map(command => command.input.Limit)).toEqual([3, 3, 3]);
+    expect(db.commands[1].input.ExclusiveStartKey).toEqual({ PK: 'ORG#1', SK: 'USER#2' });
+  });
+
+  it('should iterate items with an item limit and stop fetching', async () => {
+    const sks = [];
+
+    for await (const item of pagination.queryItems(query, { pageSize: 2, limit: 3 })) {
+      sks.push(item.SK);
+    }
+
+    expect(sks).toEqual(['USER#0', 'USER#1', 'USER#2']);
+    expect(db.commands).toHaveLength(2);
+  });
+
+  it('should stop when the caller breaks out of the loop', async () => {
+    for await (const item of pagination.queryItems(query, { pageSize: 2 })) {
+      if (item.SK === 'USER#1') {
+        break;
+      }
+    }
+
+    expect(db.commands).toHaveLength(1);
+  });
+
+  it('should keep paging through filtered-out pages', async () => {
+    const items = await pagination.queryAll({
+      ...query,
+      FilterExpression: 'active = :active',
+      ExpressionAttributeValues: { ':pk': 'ORG#1', ':active': false }
+    }, { pageSize: 1 });
+
+    expect(items.map(item => item.SK)).toEqual(['USER#1', 'USER#3', 'USER#5']);
+  });
+
+  it('should scan all items and honour maxPages', async () => {
+    await expect(pagination.scanAll({ TableName: TABLE }, { pageSize: 5 })).resolves.toHaveLength(8);
+
+    const limited = await pagination.scanAll({ TableName: TABLE }, { pageSize: 5, maxPages: 1 });
+    expect(limited).toHaveLength(5);
+
+    const pages = await pagination.collect(pagination.scanPages({ TableName: TABLE }));
+    expect(pages).toHaveLength(1);
+  });
+
+  it('should start from a given ExclusiveStartKey and use an explicit client', async () => {
+    const client = { send: jest.fn().mockResolvedValue({ Items: [{ id: 1 }] }) };
+
+    const items = await pagination.queryAll({ ...query, ExclusiveStartKey: { PK: 'ORG#1', SK: 'USER#5' } }, { client });
+
+    expect(items).toEqual([{ id: 1 }]);
+    expect(client.send.mock.calls[0][0].input.ExclusiveStartKey).toEqual({ PK: 'ORG#1', SK: 'USER#5' });
+  });
+
+  it('should return nothing for a zero limit', async () => {
+    await expect(pagination.queryAll(query, { limit: 0 })).resolves.toEqual([]);
+    expect(db.commands).toHaveLength(0);
+  });
+});
@@ -0,0 +1,177 @@
+'use strict';
+
+const { GetCommand } = require('@aws-sdk/lib-dynamodb');
+const { installDynamoDbFake } = require('../../testing');
+const awsClients = require('../../clients/aws-clients');
+const versioning = require('../../dynamodb/versioning');
+const entities = require('../../dynamodb/entities');
+
+const TABLE = 'erp-table';
+const KEY = { PK: 'ORG#1', SK: 'INVOICE#1' };
+
+describe('DynamoDB Versioning', () => {
+  const originalEnv = process.env;
+  const originalMock = global.mockDynamoDbDocumentClient;
+  let db;
+
+  const read = async () => (await db.send(new GetCommand({ TableName: TABLE, Key: KEY }))).Item;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, DYNAMODB_TABLE_NAME: TABLE };
+    db = installDynamoDbFake();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+    global.mockDynamoDbDocumentClient = originalMock;
+    awsClients.resetClients();
+  });
+
+  describe('putVersioned', () => {
+    it('should create items at version 1 and bump on each write', async () => {
+      const created = await versioning.putVersioned({ TableName: TABLE, Item: { ...KEY, total: 10 } });
+      expect(created.version).toBe(1);
+
+      const updated = await versioning.putVersioned({ TableName: TABLE, Item: { ...created.item, total: 20 } });
+
+      expect(updated.version).toBe(2);
+      expect(await read()).toEqual({ ...KEY, total: 20, version: 2 });
+    });
+
+    it('should throw VersionConflictError when a concurrent write wins', async () => {
+      const { item } = await versioning.putVersioned({ TableName: TABLE, Item: { ...KEY, total: 10 } });
+
+      await versioning.putVersioned({ TableName: TABLE, Item: { ...item, total: 20 } });
+      const error = await versioning.putVersioned({ TableName: TABLE, Item: { ...item, total: 30 } }).catch(err => err);
+
+      expect(versioning.isVersionConflict(error)).toBe(true);
+      expect(error).toMatchObject({
+        name: 'VersionConflictError',
+        tableName: TABLE,
+        expectedVersion: 1,
+        currentVersion: 2
+      });
+      expect(error.cause.name).toBe('ConditionalCheckFailedException');
+      expect((await read()).total).toBe(20);
+    });
+
+    it('should refuse to blindly create over a versioned item', async () => {
+      await versioning.putVersioned({ TableName: TABLE, Item: { ...KEY } });
+
+      await expect(versioning.putVersioned({ TableName: TABLE, Item: { ...KEY } }))
+        .rejects.toMatchObject({ name: 'VersionConflictError', expectedVersion: null, currentVersion: 1 });
+    });
+
+    it('should rethrow failures of the caller\'s own condition', async () => {
+      await versioning.putVersioned({ TableName: TABLE, Item: { ...KEY, status: 'PAID' } });
+
+      const error = await versioning.putVersioned({
+        TableName: TABLE,
+        Item: { ...KEY, status: 'DRAFT' },
+        ConditionExpression: '#status <> :paid',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: { ':paid': 'PAID' }
+      }, { expectedVersion: 1 }).catch(err => err);
+
+      expect(error.name).toBe('ConditionalCheckFailedException');
+      expect(db.commands[1].input.ConditionExpression).toBe('(#status <> :paid) AND #__version = :__expectedVersion');
+    });
+
+    it('should support a custom version attribute', async () => {
+      await versioning.putVersioned({ TableName: TABLE, Item: { ...KEY } }, { versionAttribute: 'rev' });
+
+      expect(await read()).toEqual({ ...KEY, rev: 1 });
+    });
+  });
+
+  describe('updateVersioned', () => {
+    it('should merge the version increment into the SET clause', async () => {
+      await versioning.putVersioned({ TableName: TABLE, Item: { ...KEY, total: 10, tags: ['a'] } });
+
+      const result = await versioning.updateVersioned({
+        TableName: TABLE,
+        Key: KEY,
+        UpdateExpression: 'SET total = total + :inc REMOVE tags',
+        ExpressionAttributeValues: { ':inc': 5 }
+      }, 1);
+
+      expect(result.Attributes).toEqual({ ...KEY, total: 15, version: 2 });
+      expect(db.commands[1].input.UpdateExpression).toBe('SET #__version = :__nextVersion, total = total + :inc REMOVE tags');
+    });
+
+    it('should add a SET clause when there is none', () => {
+      expect(versioning.addVersionIncrement('REMOVE tags')).toBe('SET #__version = :__nextVersion REMOVE tags');
+      expect(versioning.addVersionIncrement('ADD #count :one SET a = :a'))
+        .toBe('ADD #count :one SET #__version = :__nextVersion, a = :a');
+      expect(versioning.addVersionIncrement()).toBe('SET #__version = :__nextVersion');
+    });
+
+    it('should throw VersionConflictError for a stale version', async () => {
+      await versioning.putVersioned({ TableName: TABLE, Item: { ...KEY } });
+      await versioning.updateVersioned({ TableName: TABLE, Key: KEY, UpdateExpression: 'SET a = :a', ExpressionAttributeValues: { ':a': 1 } }, 1);
+
+      await expect(versioning.updateVersioned({ TableName: TABLE, Key: KEY, UpdateExpression: 'SET a = :a', ExpressionAttributeValues: { ':a': 2 } }, 1))
+        .rejects.toMatchObject({ name: 'VersionConflictError', key: KEY, expectedVersion: 1, currentVersion: 2 });
+    });
+  });
+
+  describe('deleteVersioned', () => {
+    it('should delete only at the expected version', async () => {
+      await versioning.putVersioned({ TableName: TABLE, Item: { ...KEY } });
+
+      await expect(versioning.deleteVersioned({ TableName: TABLE, Key: KEY }, 3))
+        .rejects.toMatchObject({ name: 'VersionConflictError', currentVersion: 1 });
+
+      await versioning.deleteVersioned({ TableName: TABLE, Key: KEY }, 1);
+      expect(await read()).toBeUndefined();
+    });
+
+    it('should report a deleted item as a conflict', async () => {
+      await expect(versioning.deleteVersioned({ TableName: TABLE, Key: KEY }, 1))
+        .rejects.toMatchObject({ name: 'VersionConflictError', currentVersion: null });
+    });
+  });
+
+  describe('readVersion', () => {
+    it('should read plain and DynamoDB JSON numbers', () => {
+      expect(versioning.readVersion(3)).toBe(3);
+      expect(versioning.readVersion({ N: '4' })).toBe(4);
+      expect(versioning.readVersion(undefined)).toBeNull();
+    });
+  });
+
+  describe('versioned entities', () => {
+    let Invoice;
+
+    beforeEach(() => {
+      Invoice = entities.defineEntity({
+        type: 'Invoice',
+        key: { PK: 'ORG#{organizationId}', SK: 'INVOICE#{invoiceId}' },
+        versioned: true
+      });
+    });
+
+    it('should version entity writes and detect lost updates', async () => {
+      const created = await Invoice.put('org-1', { invoiceId: 'i1', total: 10 });
+      expect(created.version).toBe(1);
+
+      const first = await Invoice.get('org-1', { invoiceId: 'i1' });
+      const second = await Invoice.get('org-1', { invoiceId: 'i1' });
+
+      await Invoice.put('org-1', { ...first, total: 20 });
+      await expect(Invoice.put('org-1', { ...second, total: 30 }))
+        .rejects.toMatchObject({ name: 'VersionConflictError', expectedVersion: 1, currentVersion: 2 });
+
+      await expect(Invoice.get('org-1', { invoiceId: 'i1' })).resolves.toMatchObject({ total: 20, version: 2 });
+    });
+
+    it('should delete at the expected version', async () => {
+      await Invoice.put('org-1', { invoiceId: 'i1' });
+
+      await expect(Invoice.delete('org-1', { invoiceId: 'i1' }, { expectedVersion: 2 }))
+        .rejects.toMatchObject({ name: 'VersionConflictError' });
+      await expect(Invoice.delete('org-1', { invoiceId: 'i1' }, { expectedVersion: 1 }))
+        .resolves.toMatchObject({ invoiceId: 'i1', version: 1 });
+    });
+  });
+});
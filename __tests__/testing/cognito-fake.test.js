@@ -0,0 +1,258 @@
+'use strict';
+
+const {
+  SignUpCommand,
+  ConfirmSignUpCommand,
+  AdminConfirmSignUpCommand,
+  InitiateAuthCommand,
+  GetUserCommand,
+  AdminGetUserCommand,
+  GlobalSignOutCommand,
+  DescribeUserPoolCommand
+} = require('@aws-sdk/client-cognito-identity-provider');
+const { installCognitoFake, createCognitoFake } = require('../../testing');
+const awsClients = require('../../clients/aws-clients');
+
+const CLIENT_ID = 'test-client';
+const POOL_ID = 'us-east-1_TestPool';
+
+describe('CognitoFake', () => {
+  const originalMock = global.mockCognitoClient;
+  let cognito;
+
+  const signUp = (username = 'jane@example.com', password = 'Password1!') => cognito.send(new SignUpCommand({
+    ClientId: CLIENT_ID,
+    Username: username,
+    Password: password,
+    UserAttributes: [{ Name: 'email', Value: username }]
+  }));
+
+  const login = (username = 'jane@example.com', password = 'Password1!') => cognito.send(new InitiateAuthCommand({
+    ClientId: CLIENT_ID,
+    AuthFlow: 'USER_PASSWORD_AUTH',
+    AuthParameters: { USERNAME: username, PASSWORD: password }
+  }));
+
+  beforeEach(() => {
+    cognito = installCognitoFake({ userPoolId: POOL_ID, clientId: CLIENT_ID });
+  });
+
+  afterAll(() => {
+    global.mockCognitoClient = originalMock;
+    awsClients.resetClients();
+  });
+
+  describe('installation', () => {
+    it('should be returned by getCognitoClient', () => {
+      expect(awsClients.getCognitoClient()).toBe(cognito);
+    });
+
+    it('should reject unsupported commands', async () => {
+      await expect(cognito.send({ input: {} })).rejects.toMatchObject({ name: 'InvalidParameterException' });
+    });
+  });
+
+  describe('sign-up', () => {
+    it('should create an unconfirmed user', async () => {
+      const result = await signUp();
+
+      expect(result.UserConfirmed).toBe(false);
+      expect(result.UserSub).toEqual(expect.any(String));
+      expect(result.CodeDeliveryDetails).toEqual({
+        Destination: 'j***@e***',
+        DeliveryMedium: 'EMAIL',
+        AttributeName: 'email'
+      });
+      expect(cognito.getUser('JANE@example.com').status).toBe('UNCONFIRMED');
+    });
+
+    it('should throw UsernameExistsException for duplicates', async () => {
+      await signUp();
+
+      await expect(signUp()).rejects.toMatchObject({
+        name: 'UsernameExistsException',
+        $metadata: { httpStatusCode: 400 }
+      });
+    });
+
+    it('should enforce the password length policy', async () => {
+      await expect(signUp('short@example.com', 'abc')).rejects.toMatchObject({ name: 'InvalidPasswordException' });
+    });
+
+    it('should reject unknown app clients', async () => {
+      await expect(cognito.send(new SignUpCommand({ ClientId: 'other', Username: 'x', Password: 'Password1!' })))
+        .rejects.toMatchObject({ name: 'ResourceNotFoundException' });
+    });
+
+    it('should auto-confirm when configured', async () => {
+      cognito = createCognitoFake({ autoConfirm: true });
+
+      const result = await signUp();
+
+      expect(result.UserConfirmed).toBe(true);
+      expect(result.CodeDeliveryDetails).toBeUndefined();
+    });
+  });
+
+  describe('confirmation', () => {
+    beforeEach(() => signUp());
+
+    it('should confirm with the configured code', async () => {
+      await cognito.send(new ConfirmSignUpCommand({
+        ClientId: CLIENT_ID,
+        Username: 'jane@example.com',
+        ConfirmationCode: '123456'
+      }));
+
+      expect(cognito.getUser('jane@example.com').status).toBe('CONFIRMED');
+    });
+
+    it('should throw CodeMismatchException for a wrong code', async () => {
+      await expect(cognito.send(new ConfirmSignUpCommand({
+        ClientId: CLIENT_ID,
+        Username: 'jane@example.com',
+        ConfirmationCode: '000000'
+      }))).rejects.toMatchObject({ name: 'CodeMismatchException' });
+    });
+
+    it('should confirm through the admin API', async () => {
+      await cognito.send(new AdminConfirmSignUpCommand({ UserPoolId: POOL_ID, Username: 'jane@example.com' }));
+
+      const user = await cognito.send(new AdminGetUserCommand({ UserPoolId: POOL_ID, Username: 'jane@example.com' }));
+      expect(user.UserStatus).toBe('CONFIRMED');
+      expect(user.UserAttributes).toContainEqual({ Name: 'email', Value: 'jane@example.com' });
+    });
+  });
+
+  describe('authentication', () => {
+    it('should throw UserNotConfirmedException before confirmation', async () => {
+      await signUp();
+
+      await expect(login()).rejects.toMatchObject({ name: 'UserNotConfirmedException' });
+    });
+
+    it('should throw NotAuthorizedException for bad credentials', async () => {
+      cognito.createUser({ username: 'jane@example.com', password: 'Password1!' });
+
+      await expect(login('jane@example.com', 'wrong-password')).rejects.toMatchObject({
+        name: 'NotAuthorizedException',
+        message: 'Incorrect username or password.'
+      });
+      await expect(login('nobody@example.com')).rejects.toMatchObject({ name: 'NotAuthorizedException' });
+    });
+
+    it('should issue signed tokens', async () => {
+      const user = cognito.createUser({
+        username: 'jane@example.com',
+        password: 'Password1!',
+        attributes: { email: 'jane@example.com', 'custom:organizationId': 'org-1' }
+      });
+
+      const { AuthenticationResult } = await login();
+
+      expect(AuthenticationResult).toMatchObject({ ExpiresIn: 3600, TokenType: 'Bearer' });
+      expect(AuthenticationResult.RefreshToken).toEqual(expect.any(String));
+
+      const access = cognito.verifyToken(AuthenticationResult.AccessToken, 'access');
+      expect(access).toMatchObject({
+        sub: user.sub,
+        username: 'jane@example.com',
+        client_id: CLIENT_ID,
+        iss: `https://cognito-idp.us-east-1.amazonaws.com/${POOL_ID}`
+      });
+
+      const id = cognito.verifyToken(AuthenticationResult.IdToken, 'id');
+      expect(id).toMatchObject({ aud: CLIENT_ID, 'custom:organizationId': 'org-1', 'cognito:username': 'jane@example.com' });
+    });
+
+    it('should reject tampered or foreign tokens', async () => {
+      cognito.createUser({ username: 'jane@example.com', password: 'Password1!' });
+      const { AuthenticationResult } = await login();
+      const other = createCognitoFake();
+
+      expect(() => other.verifyToken(AuthenticationResult.AccessToken)).toThrow('Invalid Access Token');
+      expect(() => cognito.verifyToken(AuthenticationResult.IdToken, 'access')).toThrow('Invalid Access Token');
+      expect(() => cognito.verifyToken('not-a-token')).toThrow('Invalid Access Token');
+    });
+
+    it('should refresh tokens', async () => {
+      cognito.createUser({ username: 'jane@example.com', password: 'Password1!' });
+      const { AuthenticationResult: first } = await login();
+
+      const { AuthenticationResult } = await cognito.send(new InitiateAuthCommand({
+        ClientId: CLIENT_ID,
+        AuthFlow: 'REFRESH_TOKEN_AUTH',
+        AuthParameters: { REFRESH_TOKEN: first.RefreshToken }
+      }));
+
+      expect(AuthenticationResult.RefreshToken).toBeUndefined();
+      expect(cognito.verifyToken(AuthenticationResult.AccessToken).username).toBe('jane@example.com');
+
+      await expect(cognito.send(new InitiateAuthCommand({
+        ClientId: CLIENT_ID,
+        AuthFlow: 'REFRESH_TOKEN_AUTH',
+        AuthParameters: { REFRESH_TOKEN: 'bogus' }
+      }))).rejects.toMatchObject({ name: 'NotAuthorizedException', message: 'Invalid Refresh Token' });
+    });
+
+    it('should reject expired tokens', async () => {
+      cognito = createCognitoFake({ tokenExpiresIn: 0 });
+      cognito.createUser({ username: 'jane@example.com', password: 'Password1!' });
+
+      const { AuthenticationResult } = await login();
+
+      expect(() => cognito.verifyToken(AuthenticationResult.AccessToken)).toThrow('Access Token has expired');
+    });
+  });
+
+  describe('sessions', () => {
+    it('should return the user for an access token', async () => {
+      cognito.createUser({ username: 'jane@example.com', password: 'Password1!', attributes: { name: 'Jane' } });
+      const { AuthenticationResult } = await login();
+
+      const result = await cognito.send(new GetUserCommand({ AccessToken: AuthenticationResult.AccessToken }));
+
+      expect(result.Username).toBe('jane@example.com');
+      expect(result.UserAttributes).toContainEqual({ Name: 'name', Value: 'Jane' });
+    });
+
+    it('should revoke tokens on global sign-out', async () => {
+      cognito.createUser({ username: 'jane@example.com', password: 'Password1!' });
+      const { AuthenticationResult } = await login();
+
+      await cognito.send(new GlobalSignOutCommand({ AccessToken: AuthenticationResult.AccessToken }));
+
+      await expect(cognito.send(new GetUserCommand({ AccessToken: AuthenticationResult.AccessToken })))
+        .rejects.toMatchObject({ name: 'NotAuthorizedException' });
+      await expect(cognito.send(new InitiateAuthCommand({
+        ClientId: CLIENT_ID,
+        AuthFlow: 'REFRESH_TOKEN_AUTH',
+        AuthParameters: { REFRESH_TOKEN: AuthenticationResult.RefreshToken }
+      }))).rejects.toMatchObject({ name: 'NotAuthorizedException' });
+
+      const { AuthenticationResult: fresh } = await login();
+      expect(cognito.verifyToken(fresh.AccessToken).username).toBe('jane@example.com');
+    });
+  });
+
+  describe('helpers', () => {
+    it('should describe the user pool for readiness probes', async () => {
+      const result = await cognito.send(new DescribeUserPoolCommand({ UserPoolId: POOL_ID }));
+
+      expect(result.UserPool).toMatchObject({ Id: POOL_ID, Status: 'Enabled' });
+      await expect(cognito.send(new DescribeUserPoolCommand({ UserPoolId: 'other' })))
+        .rejects.toMatchObject({ name: 'ResourceNotFoundException' });
+    });
+
+    it('should record commands and reset state', async () => {
+      await signUp();
+
+      expect(cognito.commands.map(command => command.name)).toEqual(['SignUpCommand']);
+
+      cognito.reset();
+
+      expect(cognito.getUser('jane@example.com')).toBeUndefined();
+      expect(cognito.commands).toEqual([]);
+    });
+  });
+});
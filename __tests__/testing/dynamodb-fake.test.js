@@ -0,0 +1,403 @@
+'use strict';
+
+const {
+  GetCommand,
+  PutCommand,
+  UpdateCommand,
+  DeleteCommand,
+  QueryCommand,
+  ScanCommand,
+  BatchGetCommand,
+  BatchWriteCommand,
+  TransactWriteCommand
+} = require('@aws-sdk/lib-dynamodb');
+const { installDynamoDbFake, createDynamoDbFake } = require('../../testing');
+const awsClients = require('../../clients/aws-clients');
+
+const TABLE = 'erp-table';
+
+describe('DynamoDbFake', () => {
+  const originalMock = global.mockDynamoDbDocumentClient;
+  let db;
+
+  beforeEach(() => {
+    db = installDynamoDbFake({
+      tables: {
+        [TABLE]: {
+          partitionKey: 'PK',
+          sortKey: 'SK',
+          indexes: { GSI1: { partitionKey: 'GSI1PK', sortKey: 'GSI1SK' } }
+        }
+      }
+    });
+  });
+
+  afterAll(() => {
+    global.mockDynamoDbDocumentClient = originalMock;
+    awsClients.resetClients();
+  });
+
+  describe('installation', () => {
+    it('should be returned by getDynamoDbClient', () => {
+      expect(awsClients.getDynamoDbClient()).toBe(db);
+    });
+  });
+
+  describe('Get / Put / Delete', () => {
+    it('should store and read items', async () => {
+      await db.send(new PutCommand({ TableName: TABLE, Item: { PK: 'ORG#1', SK: 'METADATA', name: 'Acme' } }));
+
+      const { Item } = await db.send(new GetCommand({ TableName: TABLE, Key: { PK: 'ORG#1', SK: 'METADATA' } }));
+
+      expect(Item).toEqual({ PK: 'ORG#1', SK: 'METADATA', name: 'Acme' });
+    });
+
+    it('should return copies, not stored references', async () => {
+      db.seed(TABLE, [{ PK: 'ORG#1', SK: 'METADATA', tags: ['a'] }]);
+
+      const { Item } = await db.send(new GetCommand({ TableName: TABLE, Key: { PK: 'ORG#1', SK: 'METADATA' } }));
+      Item.tags.push('b');
+
+      expect(db.getItem(TABLE, { PK: 'ORG#1', SK: 'METADATA' }).tags).toEqual(['a']);
+    });
+
+    it('should fail conditional puts with ConditionalCheckFailedException', async () => {
+      const put = new PutCommand({
+        TableName: TABLE,
+        Item: { PK: 'ORG#1', SK: 'METADATA' },
+        ConditionExpression: 'attribute_not_exists(PK)'
+      });
+
+      await db.send(put);
+      await expect(db.send(put)).rejects.toMatchObject({
+        name: 'ConditionalCheckFailedException',
+        $metadata: { httpStatusCode: 400 }
+      });
+    });
+
+    it('should return the old item on condition failure when requested', async () => {
+      db.seed(TABLE, [{ PK: 'ORG#1', SK: 'METADATA', status: 'active' }]);
+
+      await expect(db.send(new DeleteCommand({
+        TableName: TABLE,
+        Key: { PK: 'ORG#1', SK: 'METADATA' },
+        ConditionExpression: '#status = :inactive',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: { ':inactive': 'inactive' },
+        ReturnValuesOnConditionCheckFailure: 'ALL_OLD'
+      }))).rejects.toMatchObject({ Item: { status: 'active' } });
+    });
+
+    it('should delete items and return old values', async () => {
+      db.seed(TABLE, [{ PK: 'ORG#1', SK: 'METADATA', name: 'Acme' }]);
+
+      const result = await db.send(new DeleteCommand({
+        TableName: TABLE,
+        Key: { PK: 'ORG#1', SK: 'METADATA' },
+        ReturnValues: 'ALL_OLD'
+      }));
+
+      expect(result.Attributes.name).toBe('Acme');
+      expect(db.getItems(TABLE)).toHaveLength(0);
+    });
+
+    it('should reject keys that do not match the schema', async () => {
+      await expect(db.send(new GetCommand({ TableName: TABLE, Key: { PK: 'ORG#1' } })))
+        .rejects.toMatchObject({ name: 'ValidationException' });
+    });
+
+    it('should reject unknown tables in strict mode', async () => {
+      const strict = createDynamoDbFake({ strictTables: true });
+
+      await expect(strict.send(new GetCommand({ TableName: 'missing', Key: { PK: 'a', SK: 'b' } })))
+        .rejects.toMatchObject({ name: 'ResourceNotFoundException' });
+    });
+  });
+
+  describe('Update', () => {
+    beforeEach(() => {
+      db.seed(TABLE, [{
+        PK: 'ORG#1',
+        SK: 'METADATA',
+        name: 'Acme',
+        count: 1,
+        tags: new Set(['a']),
+        history: ['created'],
+        settings: { theme: 'light' }
+      }]);
+    });
+
+    const key = { PK: 'ORG#1', SK: 'METADATA' };
+
+    it('should apply SET, REMOVE, ADD and DELETE actions', async () => {
+      const { Attributes } = await db.send(new UpdateCommand({
+        TableName: TABLE,
+        Key: key,
+        UpdateExpression: 'SET #name = :name, settings.theme = :theme, history = list_append(history, :event), ' +
+          'createdAt = if_not_exists(createdAt, :now), #count = #count + :one ' +
+          'REMOVE legacy ADD visits :one, tags :newTags DELETE tags :oldTags',
+        ExpressionAttributeNames: { '#name': 'name', '#count': 'count' },
+        ExpressionAttributeValues: {
+          ':name': 'Acme Corp',
+          ':theme': 'dark',
+          ':event': ['renamed'],
+          ':now': '2024-01-01',
+          ':one': 1,
+          ':newTags': new Set(['b']),
+          ':oldTags': new Set(['a'])
+        },
+        ReturnValues: 'ALL_NEW'
+      }));
+
+      expect(Attributes).toMatchObject({
+        name: 'Acme Corp',
+        settings: { theme: 'dark' },
+        history: ['created', 'renamed'],
+        createdAt: '2024-01-01',
+        count: 2,
+        visits: 1
+      });
+      expect(Attributes.tags).toEqual(new Set(['b']));
+    });
+
+    it('should create the item when it does not exist', async () => {
+      await db.send(new UpdateCommand({
+        TableName: TABLE,
+        Key: { PK: 'ORG#2', SK: 'METADATA' },
+        UpdateExpression: 'SET version = :one',
+        ExpressionAttributeValues: { ':one': 1 }
+      }));
+
+      expect(db.getItem(TABLE, { PK: 'ORG#2', SK: 'METADATA' })).toEqual({ PK: 'ORG#2', SK: 'METADATA', version: 1 });
+    });
+
+    it('should evaluate the condition before updating', async () => {
+      await expect(db.send(new UpdateCommand({
+        TableName: TABLE,
+        Key: key,
+        UpdateExpression: 'SET #count = :two',
+        ConditionExpression: '#count > :five',
+        ExpressionAttributeNames: { '#count': 'count' },
+        ExpressionAttributeValues: { ':two': 2, ':five': 5 }
+      }))).rejects.toMatchObject({ name: 'ConditionalCheckFailedException' });
+
+      expect(db.getItem(TABLE, key).count).toBe(1);
+    });
+
+    it('should return only updated attributes for UPDATED_NEW', async () => {
+      const { Attributes } = await db.send(new UpdateCommand({
+        TableName: TABLE,
+        Key: key,
+        UpdateExpression: 'SET #name = :name',
+        ExpressionAttributeNames: { '#name': 'name' },
+        ExpressionAttributeValues: { ':name': 'Renamed' },
+        ReturnValues: 'UPDATED_NEW'
+      }));
+
+      expect(Attributes).toEqual({ name: 'Renamed' });
+    });
+
+    it('should reject updates to key attributes and undefined placeholders', async () => {
+      await expect(db.send(new UpdateCommand({
+        TableName: TABLE,
+        Key: key,
+        UpdateExpression: 'SET SK = :sk',
+        ExpressionAttributeValues: { ':sk': 'OTHER' }
+      }))).rejects.toMatchObject({ name: 'ValidationException' });
+
+      await expect(db.send(new UpdateCommand({
+        TableName: TABLE,
+        Key: key,
+        UpdateExpression: 'SET #missing = :value',
+        ExpressionAttributeValues: { ':value': 1 }
+      }))).rejects.toMatchObject({ name: 'ValidationException' });
+    });
+
+    it('should reject placeholders that no expression uses', async () => {
+      await expect(db.send(new UpdateCommand({
+        TableName: TABLE,
+        Key: key,
+        UpdateExpression: 'SET #name = :name',
+        ExpressionAttributeNames: { '#name': 'name', '#status': 'status' },
+        ExpressionAttributeValues: { ':name': 'Renamed', ':name2': 'unused' }
+      }))).rejects.toMatchObject({
+        name: 'ValidationException',
+        message: 'Value provided in ExpressionAttributeNames unused in expressions: keys: {#status}'
+      });
+
+      await expect(db.send(new TransactWriteCommand({
+        TransactItems: [{
+          Delete: { TableName: TABLE, Key: key, ExpressionAttributeValues: { ':v': 1 } }
+        }]
+      }))).rejects.toThrow('ExpressionAttributeValues unused in expressions: keys: {:v}');
+    });
+  });
+
+  describe('Query / Scan', () => {
+    beforeEach(() => {
+      db.seed(TABLE, [
+        { PK: 'ORG#1', SK: 'METADATA', name: 'Acme' },
+        { PK: 'ORG#1', SK: 'USER#b', email: 'b@acme.com', status: 'active', GSI1PK: 'EMAIL#b', GSI1SK: 'USER' },
+        { PK: 'ORG#1', SK: 'USER#a', email: 'a@acme.com', status: 'inactive' },
+        { PK: 'ORG#1', SK: 'USER#c', email: 'c@acme.com', status: 'active' },
+        { PK: 'ORG#2', SK: 'USER#a', email: 'a@other.com', status: 'active' }
+      ]);
+    });
+
+    it('should query with begins_with on the sort key in order', async () => {
+      const { Items, Count } = await db.send(new QueryCommand({
+        TableName: TABLE,
+        KeyConditionExpression: 'PK = :pk AND begins_with(SK, :prefix)',
+        ExpressionAttributeValues: { ':pk': 'ORG#1', ':prefix': 'USER#' }
+      }));
+
+      expect(Count).toBe(3);
+      expect(Items.map(item => item.SK)).toEqual(['USER#a', 'USER#b', 'USER#c']);
+    });
+
+    it('should support descending order, filters and projections', async () => {
+      const { Items, ScannedCount } = await db.send(new QueryCommand({
+        TableName: TABLE,
+        KeyConditionExpression: 'PK = :pk AND SK BETWEEN :from AND :to',
+        FilterExpression: '#status = :active',
+        ProjectionExpression: 'SK, email',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: { ':pk': 'ORG#1', ':from': 'USER#a', ':to': 'USER#z', ':active': 'active' },
+        ScanIndexForward: false
+      }));
+
+      expect(ScannedCount).toBe(3);
+      expect(Items).toEqual([
+        { SK: 'USER#c', email: 'c@acme.com' },
+        { SK: 'USER#b', email: 'b@acme.com' }
+      ]);
+    });
+
+    it('should paginate with Limit and ExclusiveStartKey', async () => {
+      const params = {
+        TableName: TABLE,
+        KeyConditionExpression: 'PK = :pk',
+        ExpressionAttributeValues: { ':pk': 'ORG#1' },
+        Limit: 3
+      };
+
+      const first = await db.send(new QueryCommand(params));
+      const second = await db.send(new QueryCommand({ ...params, ExclusiveStartKey: first.LastEvaluatedKey }));
+
+      expect(first.Items).toHaveLength(3);
+      expect(first.LastEvaluatedKey).toEqual({ PK: 'ORG#1', SK: 'USER#b' });
+      expect(second.Items.map(item => item.SK)).toEqual(['USER#c']);
+      expect(second.LastEvaluatedKey).toBeUndefined();
+    });
+
+    it('should query sparse global secondary indexes', async () => {
+      const { Items } = await db.send(new QueryCommand({
+        TableName: TABLE,
+        IndexName: 'GSI1',
+        KeyConditionExpression: 'GSI1PK = :email',
+        ExpressionAttributeValues: { ':email': 'EMAIL#b' }
+      }));
+
+      expect(Items).toHaveLength(1);
+      expect(Items[0].SK).toBe('USER#b');
+    });
+
+    it('should scan with filters and COUNT', async () => {
+      const { Count, Items } = await db.send(new ScanCommand({
+        TableName: TABLE,
+        FilterExpression: 'contains(email, :domain) AND NOT (#status IN (:inactive))',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: { ':domain': 'acme.com', ':inactive': 'inactive' },
+        Select: 'COUNT'
+      }));
+
+      expect(Count).toBe(2);
+      expect(Items).toBeUndefined();
+    });
+  });
+
+  describe('batch operations', () => {
+    it('should write and read batches', async () => {
+      await db.send(new BatchWriteCommand({
+        RequestItems: {
+          [TABLE]: [
+            { PutRequest: { Item: { PK: 'ORG#1', SK: 'USER#a' } } },
+            { PutRequest: { Item: { PK: 'ORG#1', SK: 'USER#b' } } }
+          ]
+        }
+      }));
+
+      const { Responses, UnprocessedKeys } = await db.send(new BatchGetCommand({
+        RequestItems: {
+          [TABLE]: {
+            Keys: [{ PK: 'ORG#1', SK: 'USER#a' }, { PK: 'ORG#1', SK: 'USER#missing' }]
+          }
+        }
+      }));
+
+      expect(Responses[TABLE]).toEqual([{ PK: 'ORG#1', SK: 'USER#a' }]);
+      expect(UnprocessedKeys).toEqual({});
+
+      await db.send(new BatchWriteCommand({
+        RequestItems: { [TABLE]: [{ DeleteRequest: { Key: { PK: 'ORG#1', SK: 'USER#a' } } }] }
+      }));
+      expect(db.getItems(TABLE)).toHaveLength(1);
+    });
+  });
+
+  describe('TransactWrite', () => {
+    it('should apply all writes atomically', async () => {
+      db.seed(TABLE, [{ PK: 'ORG#1', SK: 'METADATA', members: 1 }]);
+
+      await db.send(new TransactWriteCommand({
+        TransactItems: [
+          { Put: { TableName: TABLE, Item: { PK: 'ORG#1', SK: 'USER#a' }, ConditionExpression: 'attribute_not_exists(PK)' } },
+          {
+            Update: {
+              TableName: TABLE,
+              Key: { PK: 'ORG#1', SK: 'METADATA' },
+              UpdateExpression: 'SET members = members + :one',
+              ExpressionAttributeValues: { ':one': 1 }
+            }
+          }
+        ]
+      }));
+
+      expect(db.getItem(TABLE, { PK: 'ORG#1', SK: 'METADATA' }).members).toBe(2);
+      expect(db.getItem(TABLE, { PK: 'ORG#1', SK: 'USER#a' })).toBeDefined();
+    });
+
+    it('should cancel the transaction when any condition fails', async () => {
+      db.seed(TABLE, [{ PK: 'ORG#1', SK: 'USER#a' }]);
+
+      const error = await db.send(new TransactWriteCommand({
+        TransactItems: [
+          { Put: { TableName: TABLE, Item: { PK: 'ORG#1', SK: 'USER#b' } } },
+          {
+            ConditionCheck: {
+              TableName: TABLE,
+              Key: { PK: 'ORG#1', SK: 'USER#a' },
+              ConditionExpression: 'attribute_not_exists(PK)'
+            }
+          }
+        ]
+      })).catch(err => err);
+
+      expect(error.name).toBe('TransactionCanceledException');
+      expect(error.CancellationReasons.map(reason => reason.Code)).toEqual(['None', 'ConditionalCheckFailed']);
+      expect(db.getItem(TABLE, { PK: 'ORG#1', SK: 'USER#b' })).toBeUndefined();
+    });
+  });
+
+  describe('command log', () => {
+    it('should record commands and reject unsupported ones', async () => {
+      await db.send(new GetCommand({ TableName: TABLE, Key: { PK: 'a', SK: 'b' } }));
+
+      expect(db.commands).toEqual([{ name: 'GetCommand', input: { TableName: TABLE, Key: { PK: 'a', SK: 'b' } } }]);
+      await expect(db.send({ input: {} })).rejects.toMatchObject({ name: 'ValidationException' });
+
+      db.reset();
+      expect(db.commands).toHaveLength(0);
+    });
+  });
+});
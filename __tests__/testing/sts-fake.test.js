@@ -0,0 +1,67 @@
+'use strict';
+
+const { AssumeRoleCommand, GetCallerIdentityCommand } = require('@aws-sdk/client-sts');
+const { installStsFake, createStsFake } = require('../../testing');
+const awsClients = require('../../clients/aws-clients');
+
+const ROLE_ARN = 'arn:aws:iam::210987654321:role/erp/TenantAccess';
+
+describe('StsFake', () => {
+  afterAll(() => {
+    delete global.mockStsClient;
+    awsClients.resetClients();
+  });
+
+  const assumeRole = (sts, input = {}) => sts.send(new AssumeRoleCommand({
+    RoleArn: ROLE_ARN,
+    RoleSessionName: 'auth-service',
+    ...input
+  }));
+
+  it('should be returned by the sts client once installed', () => {
+    const sts = installStsFake();
+
+    expect(awsClients.getClient('sts')).toBe(sts);
+  });
+
+  it('should issue expiring credentials and the assumed role user', async () => {
+    const sts = createStsFake();
+    const before = Date.now();
+
+    const { Credentials, AssumedRoleUser } = await assumeRole(sts, { DurationSeconds: 900 });
+
+    expect(Credentials.AccessKeyId).toMatch(/^ASIA[0-9A-F]{16}$/);
+    expect(Credentials.Expiration.getTime()).toBeGreaterThanOrEqual(before + 900000);
+    expect(AssumedRoleUser.Arn).toBe('arn:aws:sts::210987654321:assumed-role/TenantAccess/auth-service');
+    expect(sts.getIssuedCredentials(Credentials.AccessKeyId)).toMatchObject({ roleArn: ROLE_ARN, sessionName: 'auth-service' });
+  });
+
+  it('should enforce allowed roles and external ids', async () => {
+    const sts = createStsFake({ roles: { [ROLE_ARN]: { externalId: 'tenant-42' } } });
+
+    await expect(assumeRole(sts)).rejects.toMatchObject({ name: 'AccessDenied' });
+    await expect(assumeRole(sts, { ExternalId: 'wrong' })).rejects.toMatchObject({ name: 'AccessDenied' });
+    await expect(assumeRole(sts, { ExternalId: 'tenant-42' })).resolves.toHaveProperty('Credentials');
+    await expect(assumeRole(sts, { RoleArn: 'arn:aws:iam::1:role/Other' })).rejects.toMatchObject({ name: 'ValidationError' });
+
+    sts.allowRole('arn:aws:iam::111111111111:role/Other');
+    await expect(assumeRole(sts, { RoleArn: 'arn:aws:iam::111111111111:role/Other' })).resolves.toHaveProperty('Credentials');
+  });
+
+  it('should validate session names and durations', async () => {
+    const sts = createStsFake();
+
+    await expect(assumeRole(sts, { RoleSessionName: 'has spaces' })).rejects.toMatchObject({ name: 'ValidationError' });
+    await expect(assumeRole(sts, { DurationSeconds: 60 })).rejects.toMatchObject({ name: 'ValidationError' });
+  });
+
+  it('should answer GetCallerIdentity and record commands', async () => {
+    const sts = createStsFake({ accountId: '999999999999' });
+
+    await expect(sts.send(new GetCallerIdentityCommand({}))).resolves.toMatchObject({ Account: '999999999999' });
+    expect(sts.commands).toEqual([{ name: 'GetCallerIdentityCommand', input: {} }]);
+
+    sts.reset();
+    expect(sts.commands).toEqual([]);
+  });
+});
@@ -0,0 +1,152 @@
+'use strict';
+
+const envSchema = require('../../utils/env-schema');
+
+describe('Environment Schema', () => {
+  const schema = {
+    PORT: { type: 'int', default: 3000, min: 1, max: 65535 },
+    DEBUG: { type: 'bool', default: false },
+    API_URL: { type: 'url', required: true, description: 'Upstream API' },
+    LOG_LEVEL: { type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info' },
+    FEATURES: { type: 'json', default: {} },
+    TIMEOUT: { type: 'duration', default: '30s' },
+    STAGE: 'string'
+  };
+
+  describe('loadConfig', () => {
+    it('should coerce values and apply defaults', () => {
+      const config = envSchema.loadConfig(schema, {
+        env: {
+          PORT: '8080',
+          DEBUG: 'yes',
+          API_URL: 'https://api.example.com',
+          FEATURES: '{"beta":{"enabled":true}}',
+          TIMEOUT: '1.5m'
+        }
+      });
+
+      expect(config).toEqual({
+        PORT: 8080,
+        DEBUG: true,
+        API_URL: 'https://api.example.com',
+        LOG_LEVEL: 'info',
+        FEATURES: { beta: { enabled: true } },
+        TIMEOUT: 90000,
+        STAGE: undefined
+      });
+    });
+
+    it('should return a deeply frozen config', () => {
+      const config = envSchema.loadConfig(schema, { env: { API_URL: 'http://localhost:4566', FEATURES: '{"a":{"b":1}}' } });
+
+      expect(Object.isFrozen(config)).toBe(true);
+      expect(Object.isFrozen(config.FEATURES.a)).toBe(true);
+      expect(() => {
+        config.PORT = 1;
+      }).toThrow(TypeError);
+    });
+
+    it('should not freeze object defaults in the schema', () => {
+      const defaults = { beta: { enabled: false } };
+      const config = envSchema.loadConfig({ FEATURES: { type: 'json', default: defaults } }, { env: {} });
+
+      expect(config.FEATURES).toEqual(defaults);
+      expect(Object.isFrozen(config.FEATURES.beta)).toBe(true);
+      expect(Object.isFrozen(defaults)).toBe(false);
+      expect(Object.isFrozen(defaults.beta)).toBe(false);
+    });
+
+    it('should report every error at once', () => {
+      const error = (() => {
+        try {
+          envSchema.loadConfig(schema, {
+            env: { PORT: '80a', DEBUG: 'maybe', LOG_LEVEL: 'verbose', FEATURES: '{', TIMEOUT: 'soon' }
+          });
+        } catch (err) {
+          return err;
+        }
+        return null;
+      })();
+
+      expect(error.name).toBe('EnvValidationError');
+      expect(error.errors.map(item => item.variable)).toEqual(['PORT', 'DEBUG', 'API_URL', 'LOG_LEVEL', 'FEATURES', 'TIMEOUT']);
+      expect(error.message).toContain('API_URL is required (Upstream API)');
+      expect(error.message).toContain('LOG_LEVEL must be one of debug, info, warn, error (got "verbose")');
+    });
+
+    it('should treat empty strings as unset', () => {
+      expect(() => envSchema.loadConfig({ API_URL: { type: 'url', required: true } }, { env: { API_URL: '' } }))
+        .toThrow('API_URL is required');
+    });
+
+    it('should not echo sensitive values', () => {
+      const { errors } = envSchema.validateEnvSchema({ DB_PASSWORD: { type: 'int' } }, { DB_PASSWORD: 'hunter2' });
+
+      expect(errors[0].message).toBe('DB_PASSWORD must be an integer (got ***MASKED***)');
+    });
+  });
+
+  describe('types', () => {
+    const coerce = (value, definition) => envSchema.coerceEnvValue(value, envSchema.defineEnvSchema({ X: definition }).X);
+
+    it('should enforce int bounds and url protocols', () => {
+      expect(() => coerce('0', { type: 'int', min: 1 })).toThrow('at least 1');
+      expect(() => coerce('ftp://host', 'url')).toThrow('must use http or https');
+      expect(coerce('redis://cache:6379', { type: 'url', protocols: ['redis'] })).toBe('redis://cache:6379');
+      expect(() => coerce('not a url', 'url')).toThrow('absolute URL');
+    });
+
+    it('should reject values that are not booleans', () => {
+      expect(coerce('Off', 'bool')).toBe(false);
+      expect(() => coerce('constructor', 'bool')).toThrow('must be a boolean');
+      expect(() => coerce('toString', 'bool')).toThrow('must be a boolean');
+    });
+
+    it('should parse durations', () => {
+      expect(envSchema.parseDuration('250')).toBe(250);
+      expect(envSchema.parseDuration('250ms')).toBe(250);
+      expect(envSchema.parseDuration('2h')).toBe(7200000);
+      expect(envSchema.parseDuration('1d')).toBe(86400000);
+      expect(() => envSchema.parseDuration('-5s')).toThrow('duration');
+    });
+  });
+
+  describe('defineEnvSchema', () => {
+    it('should reject unknown types and enums without values', () => {
+      expect(() => envSchema.defineEnvSchema({ X: 'float' })).toThrow('X: unknown type float');
+      expect(() => envSchema.defineEnvSchema({ X: { type: 'enum' } })).toThrow('non-empty values list');
+    });
+
+    it('should fill in standard descriptions', () => {
+      expect(envSchema.defineEnvSchema({ DYNAMODB_TABLE_NAME: 'string' }).DYNAMODB_TABLE_NAME.description)
+        .toBe('Primary DynamoDB table name');
+    });
+  });
+
+  describe('getStandardEnvSchema', () => {
+    it('should seed required string entries from STANDARD_ENV_VARS', () => {
+      const standard = envSchema.getStandardEnvSchema(['DYNAMODB_TABLE_NAME', 'DYNAMODB_ENDPOINT']);
+
+      expect(standard).toEqual({
+        DYNAMODB_TABLE_NAME: { type: 'string', description: 'Primary DynamoDB table name', required: true },
+        DYNAMODB_ENDPOINT: { type: 'url', description: 'DynamoDB endpoint override (e.g. DynamoDB Local)', required: false }
+      });
+      expect(() => envSchema.getStandardEnvSchema(['NOPE'])).toThrow('not a standard environment variable');
+    });
+
+    it('should combine with service variables', () => {
+      const result = envSchema.validateEnvSchema({
+        ...envSchema.getStandardEnvSchema(),
+        PORT: { type: 'int', default: '3000' }
+      }, { AWS_REGION: 'eu-west-1' });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors.map(item => item.variable)).toEqual([
+        'DYNAMODB_TABLE_NAME',
+        'COGNITO_USER_POOL_ID',
+        'COGNITO_USER_POOL_CLIENT_ID'
+      ]);
+      expect(result.config.PORT).toBe(3000);
+    });
+  });
+});
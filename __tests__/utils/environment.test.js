@@ -1,5 +1,10 @@
 'use strict';
 
+/* eslint-disable no-sync */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const environment = require('../../utils/environment');
 
 describe('Environment Utils', () => {
@@ -72,6 +77,145 @@ describe('Environment Utils', () => {
 
       expect(result.valid).toBe(true); // No required vars for unknown service
     });
+
+    it('should require DYNAMODB_TABLE_NAME for organizations-service', () => {
+      process.env.DYNAMODB_TABLE_NAME = 'test-table';
+      process.env.COGNITO_USER_POOL_ID = 'test-pool';
+      process.env.COGNITO_USER_POOL_CLIENT_ID = 'test-client';
+
+      expect(environment.validateServiceEnvironment('organizations-service').valid).toBe(true);
+    });
+  });
+
+  describe('service environments', () => {
+    let warnSpy;
+    let tmpDir;
+
+    beforeEach(() => {
+      environment.resetServiceEnvironments();
+      warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'service-env-'));
+    });
+
+    afterEach(() => {
+      warnSpy.mockRestore();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+      environment.resetServiceEnvironments();
+    });
+
+    it('should inherit the standard set and add service variables', () => {
+      environment.registerServiceEnvironment('billing-service', {
+        extends: 'standard',
+        required: { STRIPE_API_KEY: 'Stripe secret key' },
+        optional: ['INVOICE_BUCKET']
+      });
+
+      const service = environment.getServiceEnvironment('billing-service');
+
+      expect(service.required).toEqual([...Object.keys(environment.STANDARD_ENV_VARS), 'STRIPE_API_KEY']);
+      expect(service.optional).toEqual(['INVOICE_BUCKET']);
+      expect(service.descriptions.STRIPE_API_KEY).toBe('Stripe secret key');
+      expect(service.descriptions.DYNAMODB_TABLE_NAME).toBe('Primary DynamoDB table name');
+      expect(environment.getRegisteredServices()).toContain('billing-service');
+
+      const result = environment.validateServiceEnvironment('billing-service');
+      expect(result.missing).toContain('STRIPE_API_KEY');
+    });
+
+    it('should inherit from other services and detect cycles', () => {
+      environment.registerServiceEnvironment('base-service', { required: ['BASE_VAR'], aliases: { OLD_BASE: 'BASE_VAR' } });
+      environment.registerServiceEnvironment('child-service', { extends: 'base-service', required: ['CHILD_VAR'] });
+
+      expect(environment.getServiceEnvironment('child-service')).toMatchObject({
+        required: ['BASE_VAR', 'CHILD_VAR'],
+        aliases: { OLD_BASE: 'BASE_VAR', DYNAMODB_TABLE: 'DYNAMODB_TABLE_NAME' }
+      });
+
+      environment.registerServiceEnvironment('base-service', { extends: 'child-service' });
+      expect(() => environment.getServiceEnvironment('child-service')).toThrow('inheritance cycle');
+      expect(() => environment.registerServiceEnvironment('standard', {})).toThrow('Invalid service name');
+    });
+
+    it('should accept deprecated aliases with a warning', () => {
+      delete process.env.DYNAMODB_TABLE_NAME;
+      process.env.DYNAMODB_TABLE = 'legacy-table';
+      process.env.COGNITO_USER_POOL_ID = 'test-pool';
+      process.env.COGNITO_USER_POOL_CLIENT_ID = 'test-client';
+
+      const result = environment.validateServiceEnvironment('organizations-service');
+      environment.validateServiceEnvironment('organizations-service');
+
+      expect(result.valid).toBe(true);
+      expect(result.deprecated).toEqual([{ variable: 'DYNAMODB_TABLE', replacement: 'DYNAMODB_TABLE_NAME' }]);
+      expect(result.warnings).toContain('DYNAMODB_TABLE is deprecated, use DYNAMODB_TABLE_NAME instead');
+      expect(process.env.DYNAMODB_TABLE_NAME).toBe('legacy-table');
+      expect(warnSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should load services from a JSON config file', () => {
+      const file = path.join(tmpDir, 'service-env.json');
+      fs.writeFileSync(file, JSON.stringify({
+        services: {
+          'reports-service': { extends: 'auth-service', required: ['REPORTS_BUCKET'] }
+        }
+      }));
+
+      expect(environment.loadServiceEnvironments(file)).toEqual(['reports-service']);
+      expect(environment.getServiceEnvironment('reports-service').required).toEqual([
+        'DYNAMODB_TABLE_NAME',
+        'COGNITO_USER_POOL_ID',
+        'COGNITO_USER_POOL_CLIENT_ID',
+        'REPORTS_BUCKET'
+      ]);
+    });
+
+    it('should load SERVICE_ENV_CONFIG on first use', () => {
+      const file = path.join(tmpDir, 'services.js');
+      fs.writeFileSync(file, `module.exports = ${JSON.stringify({ 'audit-service': { required: ['AUDIT_STREAM'] } })};`);
+      process.env.SERVICE_ENV_CONFIG = file;
+
+      expect(environment.validateServiceEnvironment('audit-service').missing).toEqual(['AUDIT_STREAM']);
+    });
+
+    it('should fail loudly on a broken config file', () => {
+      process.env.SERVICE_ENV_CONFIG = path.join(tmpDir, 'missing.json');
+
+      expect(() => environment.getServiceEnvironment('auth-service')).toThrow('Could not load service environments');
+      expect(() => environment.getServiceEnvironment('auth-service')).toThrow('Could not load service environments');
+    });
+
+    it('should keep runtime registrations when the working directory has a service-env.json', () => {
+      const cwdSpy = jest.spyOn(process, 'cwd').mockReturnValue(tmpDir);
+      fs.writeFileSync(path.join(tmpDir, 'service-env.json'), JSON.stringify({
+        'billing-service': { required: ['FROM_FILE'] },
+        'audit-service': { required: ['AUDIT_STREAM'] }
+      }));
+
+      try {
+        environment.registerServiceEnvironment('billing-service', { required: ['FROM_RUNTIME'] });
+
+        expect(environment.getServiceEnvironment('billing-service').required).toEqual(['FROM_RUNTIME']);
+        expect(environment.getServiceEnvironment('audit-service').required).toEqual(['AUDIT_STREAM']);
+      } finally {
+        cwdSpy.mockRestore();
+      }
+    });
+
+    it('should skip the default config file after an authoritative load', () => {
+      const cwdSpy = jest.spyOn(process, 'cwd').mockReturnValue(tmpDir);
+      fs.writeFileSync(path.join(tmpDir, 'service-env.json'), JSON.stringify({ 'audit-service': { required: ['AUDIT_STREAM'] } }));
+      const file = path.join(tmpDir, 'flag.json');
+      fs.writeFileSync(file, JSON.stringify({ 'billing-service': { required: ['FROM_FLAG'] } }));
+
+      try {
+        environment.loadServiceEnvironments(file, { skipDefaultConfig: true });
+
+        expect(environment.getServiceEnvironment('billing-service').required).toEqual(['FROM_FLAG']);
+        expect(environment.getServiceEnvironment('audit-service')).toBeNull();
+      } finally {
+        cwdSpy.mockRestore();
+      }
+    });
   });
 
   describe('getEnvironmentInfo', () => {
@@ -91,6 +235,218 @@ describe('Environment Utils', () => {
     });
   });
 
+  describe('loadEnvFiles', () => {
+    let tmpDir;
+
+    const writeEnvFile = (name, content) => fs.writeFileSync(path.join(tmpDir, name), content);
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'env-files-'));
+      environment.resetEnvSources();
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+      environment.resetEnvSources();
+    });
+
+    it('should layer .env, .env.<stage> and .env.local with the environment winning', () => {
+      writeEnvFile('.env', 'TABLE=base\nREGION=us-east-1\nLOG_LEVEL=info # default\nFROM_ENV=file\n');
+      writeEnvFile('.env.dev', 'TABLE=dev-table\nREGION=eu-west-1\n');
+      writeEnvFile('.env.local', '# personal overrides\nexport REGION=eu-central-1\n');
+      writeEnvFile('.env.prod', 'TABLE=prod-table\n');
+
+      const env = { FROM_ENV: 'shell' };
+      const result = environment.loadEnvFiles({ dir: tmpDir, stage: 'dev', env });
+
+      expect(env).toEqual({ FROM_ENV: 'shell', TABLE: 'dev-table', REGION: 'eu-central-1', LOG_LEVEL: 'info' });
+      expect(result.files.map(file => path.basename(file))).toEqual(['.env', '.env.dev', '.env.local']);
+      expect(result.sources).toEqual({
+        TABLE: '.env.dev',
+        REGION: '.env.local',
+        LOG_LEVEL: '.env',
+        FROM_ENV: 'process.env'
+      });
+    });
+
+    it('should keep the file source of variables it loaded when called again', () => {
+      writeEnvFile('.env', 'TABLE=base\nREGION=us-east-1\n');
+
+      const env = {};
+      environment.loadEnvFiles({ dir: tmpDir, env });
+      env.REGION = 'eu-west-1';
+
+      expect(environment.loadEnvFiles({ dir: tmpDir, env }).sources).toEqual({
+        TABLE: '.env',
+        REGION: 'process.env'
+      });
+      expect(environment.loadEnvFiles({ dir: tmpDir, env: { TABLE: 'base' } }).sources.TABLE).toBe('process.env');
+    });
+
+    it('should interpolate references across files and the environment', () => {
+      writeEnvFile('.env', [
+        'PREFIX=arqtiva',
+        'TABLE="${PREFIX}-${STAGE}-users"',
+        'ENDPOINT=http://localhost:$PORT',
+        'QUEUE=${QUEUE_NAME:-default-queue}',
+        'LITERAL=\'${PREFIX}\'',
+        'PRICE=\\$5',
+        'MULTILINE="line1\\nline2"'
+      ].join('\n'));
+      writeEnvFile('.env.local', 'PORT=4566\n');
+
+      const env = { STAGE: 'test' };
+      environment.loadEnvFiles({ dir: tmpDir, env });
+
+      expect(env).toMatchObject({
+        TABLE: 'arqtiva-test-users',
+        ENDPOINT: 'http://localhost:4566',
+        QUEUE: 'default-queue',
+        LITERAL: '${PREFIX}',
+        PRICE: '$5',
+        MULTILINE: 'line1\nline2'
+      });
+    });
+
+    it('should reject circular references and malformed lines', () => {
+      writeEnvFile('.env', 'A=${B}\nB=${A}\n');
+      expect(() => environment.loadEnvFiles({ dir: tmpDir, env: {} })).toThrow('Circular .env reference: A -> B -> A');
+
+      writeEnvFile('.env', 'GOOD=1\nnot a variable\n');
+      expect(() => environment.loadEnvFiles({ dir: tmpDir, env: {} })).toThrow('.env:2: expected NAME=value');
+    });
+
+    it('should not load in production unless forced', () => {
+      writeEnvFile('.env', 'TABLE=base\n');
+      process.env.NODE_ENV = 'production';
+
+      const env = {};
+      expect(environment.loadEnvFiles({ dir: tmpDir, env })).toMatchObject({ loaded: false, reason: 'production' });
+      expect(env).toEqual({});
+
+      expect(environment.loadEnvFiles({ dir: tmpDir, env, force: true }).loaded).toBe(true);
+      expect(env.TABLE).toBe('base');
+    });
+
+    it('should not load into a production env passed as an option', () => {
+      writeEnvFile('.env', 'TABLE=base\n');
+      process.env.NODE_ENV = 'development';
+
+      const env = { NODE_ENV: 'production' };
+      expect(environment.loadEnvFiles({ dir: tmpDir, env })).toMatchObject({ loaded: false, reason: 'production' });
+      expect(environment.loadEnvFiles({ dir: tmpDir, env: {}, stage: 'production' }).loaded).toBe(false);
+      expect(env.TABLE).toBeUndefined();
+    });
+
+    it('should report sources through getEnvironmentInfo', () => {
+      writeEnvFile('.env.test', 'DYNAMODB_TABLE_NAME=local-table\n');
+
+      environment.loadEnvFiles({ dir: tmpDir, stage: 'test', env: {} });
+
+      expect(environment.getEnvironmentInfo().envSources).toEqual({ DYNAMODB_TABLE_NAME: '.env.test' });
+    });
+  });
+
+  describe('Lambda runtime', () => {
+    const lambdaContext = {
+      awsRequestId: 'req-1',
+      functionName: 'auth-service-prod-login',
+      functionVersion: '42',
+      memoryLimitInMB: '512',
+      logGroupName: '/aws/lambda/auth-service-prod-login',
+      logStreamName: '2026/10/19/[42]abc'
+    };
+
+    beforeEach(() => {
+      environment.resetInvocationContext();
+      ['AWS_LAMBDA_FUNCTION_NAME', 'AWS_LAMBDA_FUNCTION_VERSION', 'AWS_LAMBDA_FUNCTION_MEMORY_SIZE',
+        'AWS_LAMBDA_LOG_GROUP_NAME', 'AWS_LAMBDA_LOG_STREAM_NAME', 'AWS_SAM_LOCAL', 'IS_OFFLINE']
+        .forEach(name => delete process.env[name]);
+    });
+
+    afterEach(() => {
+      environment.resetInvocationContext();
+    });
+
+    it('should report the function from Lambda environment variables', () => {
+      process.env.AWS_LAMBDA_FUNCTION_NAME = 'auth-service-prod-login';
+      process.env.AWS_LAMBDA_FUNCTION_VERSION = '$LATEST';
+      process.env.AWS_LAMBDA_FUNCTION_MEMORY_SIZE = '256';
+      process.env.AWS_LAMBDA_LOG_GROUP_NAME = '/aws/lambda/auth-service-prod-login';
+
+      expect(environment.getEnvironmentInfo().lambda).toEqual({
+        isLambda: true,
+        localRuntime: null,
+        functionName: 'auth-service-prod-login',
+        functionVersion: '$LATEST',
+        memorySize: 256,
+        logGroupName: '/aws/lambda/auth-service-prod-login',
+        logStreamName: null,
+        coldStart: null,
+        requestId: null
+      });
+    });
+
+    it('should report the request id and cold start inside a wrapped handler', async () => {
+      const handler = environment.withInvocationContext(async () => environment.getLambdaRuntimeInfo());
+
+      const first = await handler({}, lambdaContext);
+      const second = await handler({}, { ...lambdaContext, awsRequestId: 'req-2' });
+
+      expect(first).toMatchObject({ requestId: 'req-1', coldStart: true, memorySize: 512, functionVersion: '42' });
+      expect(second).toMatchObject({ requestId: 'req-2', coldStart: false });
+      expect(environment.getInvocationContext()).toBeNull();
+      expect(environment.getLambdaRuntimeInfo().requestId).toBeNull();
+    });
+
+    it('should not report a cold start outside a wrapped handler', async () => {
+      expect(environment.getEnvironmentInfo().lambda.coldStart).toBeNull();
+      expect(environment.getLambdaRuntimeInfo().coldStart).toBeNull();
+
+      await environment.withInvocationContext(async () => {})({}, lambdaContext);
+
+      expect(environment.getLambdaRuntimeInfo().coldStart).toBe(false);
+    });
+
+    it('should clear the invocation context when the handler throws', async () => {
+      const handler = environment.withInvocationContext(async () => {
+        throw new Error('boom');
+      });
+
+      await expect(handler({}, lambdaContext)).rejects.toThrow('boom');
+      expect(environment.getInvocationContext()).toBeNull();
+    });
+
+    it('should detect SAM local and serverless-offline', () => {
+      expect(environment.getLocalRuntime()).toBeNull();
+
+      process.env.IS_OFFLINE = 'true';
+      expect(environment.getLocalRuntime()).toBe('serverless-offline');
+
+      process.env.AWS_SAM_LOCAL = 'true';
+      expect(environment.getEnvironmentInfo().lambda.localRuntime).toBe('sam-local');
+    });
+  });
+
+  describe('local endpoint mode', () => {
+    it('should report local mode when an endpoint override is set', () => {
+      process.env.DYNAMODB_ENDPOINT = 'http://localhost:8000';
+
+      const info = environment.getEnvironmentInfo();
+
+      expect(info.localMode).toBe(true);
+      expect(info.localEndpoints).toEqual({ DYNAMODB_ENDPOINT: 'http://localhost:8000' });
+    });
+
+    it('should report local mode as inactive by default', () => {
+      delete process.env.AWS_ENDPOINT_URL;
+      delete process.env.DYNAMODB_ENDPOINT;
+      delete process.env.COGNITO_ENDPOINT;
+
+      expect(environment.isLocalEndpointMode()).toBe(false);
+    });
+  });
+
   describe('isTestEnvironment', () => {
     it('should detect test environment from NODE_ENV', () => {
       process.env.NODE_ENV = 'test';
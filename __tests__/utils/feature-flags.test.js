@@ -0,0 +1,157 @@
+'use strict';
+
+const { DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const { installDynamoDbFake } = require('../../testing');
+const awsClients = require('../../clients/aws-clients');
+const flags = require('../../utils/feature-flags');
+
+const TABLE = 'erp-table';
+
+describe('Feature flags', () => {
+  const originalEnv = process.env;
+  const originalMock = global.mockDynamoDbDocumentClient;
+  let db;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, DYNAMODB_TABLE_NAME: TABLE };
+    db = installDynamoDbFake();
+    flags.resetFeatureFlags();
+    flags.defineFeatureFlags({
+      inventoryModule: { default: false, description: 'Inventory ERP module' },
+      newDashboard: { default: '25%', by: 'user' },
+      auditLog: true
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+    global.mockDynamoDbDocumentClient = originalMock;
+    awsClients.resetClients();
+    flags.resetFeatureFlags();
+  });
+
+  describe('defaults and env', () => {
+    it('should use declared defaults', async () => {
+      await expect(flags.isFeatureEnabled('inventoryModule')).resolves.toBe(false);
+      await expect(flags.isFeatureEnabled('auditLog')).resolves.toBe(true);
+      await expect(flags.getFeatureFlag('auditLog')).resolves.toEqual({
+        name: 'auditLog', enabled: true, source: 'default', percentage: 100
+      });
+    });
+
+    it('should let FEATURE_<NAME> env vars override defaults', async () => {
+      process.env.FEATURE_INVENTORY_MODULE = 'on';
+      process.env.FEATURE_AUDIT_LOG = 'maybe';
+
+      await expect(flags.getFeatureFlag('inventoryModule')).resolves.toMatchObject({ enabled: true, source: 'env' });
+      await expect(flags.getFeatureFlag('auditLog')).resolves.toMatchObject({ enabled: true, source: 'default' });
+      expect(console.warn).toHaveBeenCalledTimes(1);
+    });
+
+    it('should ignore env values that are neither booleans nor percentages', async () => {
+      process.env.FEATURE_INVENTORY_MODULE = 'constructor';
+
+      await expect(flags.getFeatureFlag('inventoryModule')).resolves.toMatchObject({ enabled: false, source: 'default' });
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Ignoring invalid feature flag env var'));
+    });
+
+    it('should reject unknown flags and invalid definitions', async () => {
+      await expect(flags.isFeatureEnabled('inventroyModule')).rejects.toThrow('Unknown feature flag: inventroyModule');
+      expect(() => flags.defineFeatureFlags({ x: { default: '150%' } })).toThrow('between 0% and 100%');
+      expect(() => flags.defineFeatureFlags({ x: { by: 'tenant' } })).toThrow('by must be one of organization, user');
+      expect(flags.getFlagEnvVar('new-dashboard')).toBe('FEATURE_NEW_DASHBOARD');
+    });
+  });
+
+  describe('percentage rollouts', () => {
+    it('should bucket ids stably and roughly by percentage', async () => {
+      const userIds = Array.from({ length: 400 }, (_, i) => `user-${i}`);
+      const first = await Promise.all(userIds.map(userId => flags.isFeatureEnabled('newDashboard', { userId })));
+      const second = await Promise.all(userIds.map(userId => flags.isFeatureEnabled('newDashboard', { userId })));
+      const enabled = first.filter(Boolean).length;
+
+      expect(second).toEqual(first);
+      expect(enabled).toBeGreaterThan(60);
+      expect(enabled).toBeLessThan(140);
+    });
+
+    it('should keep ids enabled as the percentage grows', async () => {
+      const userIds = Array.from({ length: 100 }, (_, i) => `user-${i}`);
+      const at25 = await Promise.all(userIds.map(userId => flags.isFeatureEnabled('newDashboard', { userId })));
+
+      process.env.FEATURE_NEW_DASHBOARD = '60%';
+      const at60 = await Promise.all(userIds.map(userId => flags.isFeatureEnabled('newDashboard', { userId })));
+
+      at25.forEach((enabled, i) => {
+        if (enabled) {
+          expect(at60[i]).toBe(true);
+        }
+      });
+    });
+
+    it('should stay off without the id to hash on', async () => {
+      await expect(flags.isFeatureEnabled('newDashboard', { organizationId: 'org-1' })).resolves.toBe(false);
+    });
+  });
+
+  describe('organization overrides', () => {
+    it('should store overrides in DynamoDB and apply them per organization', async () => {
+      await flags.setFeatureFlagOverride('org-1', 'inventoryModule', true);
+      await flags.setFeatureFlagOverride('org-1', 'auditLog', false);
+
+      expect(db.getItems(TABLE)).toEqual(expect.arrayContaining([
+        expect.objectContaining({ PK: 'ORG#org-1', SK: 'FEATURE_FLAG#inventoryModule', percentage: 100 })
+      ]));
+      await expect(flags.evaluateFeatureFlags({ organizationId: 'org-1' })).resolves.toEqual({
+        inventoryModule: true,
+        newDashboard: false,
+        auditLog: false
+      });
+      await expect(flags.getFeatureFlag('inventoryModule', { organizationId: 'org-2' }))
+        .resolves.toMatchObject({ enabled: false, source: 'default' });
+    });
+
+    it('should cache overrides for the TTL', async () => {
+      const now = Date.now();
+      await flags.setFeatureFlagOverride('org-1', 'inventoryModule', true);
+      const sendSpy = jest.spyOn(db, 'send');
+
+      await flags.isFeatureEnabled('inventoryModule', { organizationId: 'org-1' });
+      await flags.isFeatureEnabled('auditLog', { organizationId: 'org-1' });
+      expect(sendSpy).toHaveBeenCalledTimes(1);
+
+      // Changed by another container
+      await db.send(new DeleteCommand({
+        TableName: TABLE,
+        Key: { PK: 'ORG#org-1', SK: 'FEATURE_FLAG#inventoryModule' }
+      }));
+      await expect(flags.isFeatureEnabled('inventoryModule', { organizationId: 'org-1' })).resolves.toBe(true);
+
+      jest.spyOn(Date, 'now').mockReturnValue(now + flags.DEFAULT_FEATURE_FLAG_OPTIONS.cacheTtlMs + 1000);
+      await expect(flags.isFeatureEnabled('inventoryModule', { organizationId: 'org-1' })).resolves.toBe(false);
+    });
+
+    it('should fall back to env and defaults when DynamoDB fails', async () => {
+      jest.spyOn(db, 'send').mockRejectedValue(Object.assign(new Error('Throttled'), { name: 'ThrottlingException' }));
+
+      await expect(flags.getFeatureFlag('auditLog', { organizationId: 'org-1' }))
+        .resolves.toMatchObject({ enabled: true, source: 'default' });
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Failed to load feature flag overrides'));
+    });
+
+    it('should remove overrides', async () => {
+      await flags.setFeatureFlagOverride('org-1', 'newDashboard', '100%');
+      await expect(flags.isFeatureEnabled('newDashboard', { organizationId: 'org-1' })).resolves.toBe(true);
+
+      await flags.removeFeatureFlagOverride('org-1', 'newDashboard');
+      await expect(flags.isFeatureEnabled('newDashboard', { organizationId: 'org-1' })).resolves.toBe(false);
+      await expect(flags.setFeatureFlagOverride('org-1', 'newDashboard', 'sometimes')).rejects.toThrow('Override for newDashboard');
+    });
+  });
+});
@@ -0,0 +1,149 @@
+'use strict';
+
+const health = require('../../utils/health');
+const awsClients = require('../../clients/aws-clients');
+
+describe('Health Utils', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = {
+      ...originalEnv,
+      DYNAMODB_TABLE_NAME: 'erp-table',
+      COGNITO_USER_POOL_ID: 'us-east-1_pool'
+    };
+    health.clearProbeCache();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  const awsError = (name, message) => Object.assign(new Error(message), { name });
+
+  describe('checkAWSClientHealth probes', () => {
+    it('should not probe unless requested', async () => {
+      const client = { send: jest.fn(), config: {} };
+
+      const result = await health.checkAWSClientHealth(client, 'dynamodb');
+
+      expect(result.status).toBe('ok');
+      expect(result.probe).toBeUndefined();
+      expect(client.send).not.toHaveBeenCalled();
+    });
+
+    it('should describe the DynamoDB table', async () => {
+      const client = {
+        send: jest.fn().mockResolvedValue({ Table: { TableStatus: 'ACTIVE' } }),
+        config: {}
+      };
+
+      const result = await health.checkAWSClientHealth(client, 'dynamodb', { probe: true });
+
+      expect(client.send.mock.calls[0][0].input).toEqual({ TableName: 'erp-table' });
+      expect(result.status).toBe('ok');
+      expect(result.probe).toMatchObject({
+        status: 'ok',
+        resource: 'erp-table',
+        tableStatus: 'ACTIVE',
+        cached: false
+      });
+    });
+
+    it('should describe the Cognito user pool', async () => {
+      const client = { send: jest.fn().mockResolvedValue({ UserPool: { Id: 'us-east-1_pool' } }), config: {} };
+
+      const result = await health.checkAWSClientHealth(client, 'cognito', { probe: true });
+
+      expect(client.send.mock.calls[0][0].input).toEqual({ UserPoolId: 'us-east-1_pool' });
+      expect(result.probe.status).toBe('ok');
+    });
+
+    it('should fail when the table is missing or access is denied', async () => {
+      const missing = { send: jest.fn().mockRejectedValue(awsError('ResourceNotFoundException', 'Table not found')), config: {} };
+      const denied = { send: jest.fn().mockRejectedValue(awsError('AccessDeniedException', 'Denied')), config: {} };
+
+      const missingResult = await health.checkAWSClientHealth(missing, 'dynamodb', { probe: true });
+      const deniedResult = await health.checkAWSClientHealth(denied, 'dynamodb', { probe: true, tableName: 'other' });
+
+      expect(missingResult.status).toBe('error');
+      expect(missingResult.probe.errorName).toBe('ResourceNotFoundException');
+      expect(deniedResult.status).toBe('error');
+      expect(deniedResult.probe.errorName).toBe('AccessDeniedException');
+    });
+
+    it('should time out slow probes', async () => {
+      const client = { send: jest.fn(() => new Promise(() => {})), config: {} };
+
+      const result = await health.probeDependency(client, 'dynamodb', { timeoutMs: 10 });
+
+      expect(result.status).toBe('error');
+      expect(result.errorName).toBe('ProbeTimeoutError');
+      expect(client.send.mock.calls[0][1].abortSignal.aborted).toBe(true);
+    });
+
+    it('should cache probe results', async () => {
+      const client = { send: jest.fn().mockResolvedValue({ Table: { TableStatus: 'ACTIVE' } }), config: {} };
+
+      await health.probeDependency(client, 'dynamodb');
+      const second = await health.probeDependency(client, 'dynamodb');
+
+      expect(client.send).toHaveBeenCalledTimes(1);
+      expect(second.cached).toBe(true);
+
+      await health.probeDependency(client, 'dynamodb', { cacheTtlMs: 0 });
+      health.clearProbeCache();
+      await health.probeDependency(client, 'dynamodb');
+      expect(client.send).toHaveBeenCalledTimes(2);
+    });
+
+    it('should report a missing resource name', async () => {
+      delete process.env.DYNAMODB_TABLE_NAME;
+
+      const result = await health.probeDependency({ send: jest.fn() }, 'dynamodb');
+
+      expect(result).toEqual({ status: 'error', message: 'DYNAMODB_TABLE_NAME is not set' });
+    });
+  });
+
+  describe('performHealthCheck readiness', () => {
+    it('should be unhealthy when a probed dependency fails', async () => {
+      const dynamoDb = { send: jest.fn().mockRejectedValue(awsError('ResourceNotFoundException', 'Missing')), config: {} };
+
+      const result = await health.performHealthCheck('test-service', { dynamoDb }, {
+        checkEnvironment: false,
+        probeDependencies: true,
+        clientTypes: { dynamoDb: 'dynamodb' }
+      });
+
+      expect(result.status).toBe('unhealthy');
+      expect(result.checks.dynamoDb.probe.errorName).toBe('ResourceNotFoundException');
+    });
+
+    it('should probe readiness through the middleware', async () => {
+      const dynamoDb = { send: jest.fn().mockRejectedValue(awsError('AccessDeniedException', 'Denied')), config: {} };
+      const middleware = health.healthCheckMiddleware('test-service', { dynamoDb }, {
+        clientTypes: { dynamoDb: 'dynamodb' }
+      });
+
+      const liveness = await middleware({ path: '/health' });
+      expect(liveness.statusCode).toBe(200);
+      expect(dynamoDb.send).not.toHaveBeenCalled();
+
+      const readiness = await middleware({ path: '/health/ready' });
+      expect(readiness.statusCode).toBe(503);
+      expect(dynamoDb.send).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('createLambdaHealthResponse', () => {
+    it('should keep the Secrets Manager client entry in the redacted body', () => {
+      const clients = awsClients.getClientHealth();
+      const response = health.createLambdaHealthResponse({ service: 'test-service', clients });
+      const body = JSON.parse(response.body);
+
+      expect(body.data.clients.secretsManager).toEqual(clients.secretsManager);
+      expect(body.data.clients.secretsManager.initialized).toBe(false);
+    });
+  });
+});
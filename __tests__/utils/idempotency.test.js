@@ -0,0 +1,232 @@
+'use strict';
+
+const { installDynamoDbFake } = require('../../testing');
+const awsClients = require('../../clients/aws-clients');
+const idempotency = require('../../utils/idempotency');
+
+const TABLE = 'erp-table';
+
+describe('Idempotency', () => {
+  const originalEnv = process.env;
+  const originalMock = global.mockDynamoDbDocumentClient;
+  let db;
+
+  const httpEvent = (key, body = { email: 'jane@example.com' }) => ({
+    httpMethod: 'POST',
+    headers: key ? { 'Idempotency-Key': key } : {},
+    body: JSON.stringify(body)
+  });
+
+  const records = () => db.getItems(TABLE).filter(item => item.PK.startsWith('IDEMPOTENCY#'));
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, DYNAMODB_TABLE_NAME: TABLE, SERVICE_NAME: 'auth-service' };
+    db = installDynamoDbFake();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+    global.mockDynamoDbDocumentClient = originalMock;
+    awsClients.resetClients();
+  });
+
+  describe('withIdempotency', () => {
+    it('should store the response and replay it for retries', async () => {
+      const handler = jest.fn().mockResolvedValue({ statusCode: 201, headers: {}, body: '{"id":1}' });
+      const wrapped = idempotency.withIdempotency(handler);
+
+      const first = await wrapped(httpEvent('abc'));
+      const second = await wrapped(httpEvent('abc'));
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(first).toEqual({ statusCode: 201, headers: {}, body: '{"id":1}' });
+      expect(second).toEqual({ statusCode: 201, headers: { 'Idempotent-Replayed': 'true' }, body: '{"id":1}' });
+      expect(records()).toEqual([expect.objectContaining({
+        status: 'COMPLETED',
+        SK: 'IDEMPOTENCY',
+        expiresAt: expect.any(Number)
+      })]);
+    });
+
+    it('should reject concurrent duplicates', async () => {
+      let finish;
+      const handler = jest.fn(() => new Promise(resolve => {
+        finish = () => resolve({ statusCode: 200, body: 'ok' });
+      }));
+      const wrapped = idempotency.withIdempotency(handler);
+
+      const first = wrapped(httpEvent('abc'), { getRemainingTimeInMillis: () => 30000 });
+      await new Promise(resolve => setImmediate(resolve));
+      const duplicate = await wrapped(httpEvent('abc'));
+
+      expect(duplicate.statusCode).toBe(409);
+      expect(JSON.parse(duplicate.body).error.code).toBe('IDEMPOTENCY_CONFLICT');
+
+      finish();
+      await expect(first).resolves.toEqual({ statusCode: 200, body: 'ok' });
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    it('should throw named errors for non-HTTP events', async () => {
+      const wrapped = idempotency.withIdempotency(() => new Promise(() => {}), { key: 'detail.orderId' });
+
+      wrapped({ detail: { orderId: 'o1' } });
+      await new Promise(resolve => setImmediate(resolve));
+
+      await expect(wrapped({ detail: { orderId: 'o1' } })).rejects.toMatchObject({
+        name: 'IdempotencyConflictError',
+        statusCode: 409
+      });
+    });
+
+    it('should reject key reuse with a different payload', async () => {
+      const wrapped = idempotency.withIdempotency(jest.fn().mockResolvedValue({ statusCode: 200 }));
+
+      await wrapped(httpEvent('abc', { amount: 10 }));
+      const reused = await wrapped(httpEvent('abc', { amount: 20 }));
+
+      expect(reused.statusCode).toBe(422);
+    });
+
+    it('should treat reordered JSON bodies as the same payload', async () => {
+      const handler = jest.fn().mockResolvedValue({ statusCode: 200 });
+      const wrapped = idempotency.withIdempotency(handler);
+
+      await wrapped(httpEvent('abc', { a: 1, b: 2 }));
+      const replay = await wrapped({ ...httpEvent('abc'), body: '{"b":2,"a":1}' });
+
+      expect(replay.statusCode).toBe(200);
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    it('should release the key when the handler throws or returns a 5xx', async () => {
+      const handler = jest.fn()
+        .mockRejectedValueOnce(new Error('boom'))
+        .mockResolvedValueOnce({ statusCode: 503 })
+        .mockResolvedValueOnce({ statusCode: 200 });
+      const wrapped = idempotency.withIdempotency(handler);
+
+      await expect(wrapped(httpEvent('abc'))).rejects.toThrow('boom');
+      expect(records()).toEqual([]);
+
+      await expect(wrapped(httpEvent('abc'))).resolves.toEqual({ statusCode: 503 });
+      await expect(wrapped(httpEvent('abc'))).resolves.toEqual({ statusCode: 200 });
+      expect(handler).toHaveBeenCalledTimes(3);
+    });
+
+    it('should run the handler directly without a key unless one is required', async () => {
+      const handler = jest.fn().mockResolvedValue({ statusCode: 200 });
+
+      await idempotency.withIdempotency(handler)(httpEvent());
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(db.commands).toHaveLength(0);
+
+      const required = await idempotency.withIdempotency(handler, { requireKey: true })(httpEvent());
+      expect(required.statusCode).toBe(400);
+    });
+
+    it('should derive keys from body paths and functions', async () => {
+      const handler = jest.fn().mockResolvedValue({ statusCode: 200 });
+      const byEmail = idempotency.withIdempotency(handler, { key: ['body.email', 'body.organizationName'] });
+      const byFunction = idempotency.withIdempotency(handler, { key: event => event.id, payload: false });
+
+      await byEmail(httpEvent(null, { email: 'a@b.c', organizationName: 'Acme' }));
+      await byEmail(httpEvent(null, { email: 'a@b.c', organizationName: 'Acme' }));
+      await byFunction({ id: 'x', body: '1' });
+      await byFunction({ id: 'x', body: '2' });
+
+      expect(handler).toHaveBeenCalledTimes(2);
+    });
+
+    it('should scope keys per service', async () => {
+      const handler = jest.fn().mockResolvedValue({ statusCode: 200 });
+
+      await idempotency.withIdempotency(handler, { scope: 'a' })(httpEvent('abc'));
+      await idempotency.withIdempotency(handler, { scope: 'b' })(httpEvent('abc'));
+
+      expect(handler).toHaveBeenCalledTimes(2);
+    });
+
+    it('should let a retry take over an expired claim', async () => {
+      const now = Date.now();
+      const wrapped = idempotency.withIdempotency(() => new Promise(() => {}), { inProgressTimeoutSeconds: 1 });
+      wrapped({ httpMethod: 'POST', headers: { 'idempotency-key': 'abc' } });
+      await new Promise(resolve => setImmediate(resolve));
+
+      jest.spyOn(Date, 'now').mockReturnValue(now + 5000);
+      const handler = jest.fn().mockResolvedValue({ statusCode: 200 });
+
+      await expect(idempotency.withIdempotency(handler)({ httpMethod: 'POST', headers: { 'idempotency-key': 'abc' } }))
+        .resolves.toEqual({ statusCode: 200 });
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not overwrite a claim taken over by a retry', async () => {
+      const now = Date.now();
+      let finishFirst;
+      const first = idempotency.withIdempotency(
+        () => new Promise(resolve => {
+          finishFirst = resolve;
+        }),
+        { inProgressTimeoutSeconds: 1 }
+      )(httpEvent('abc'));
+      await new Promise(resolve => setImmediate(resolve));
+
+      jest.spyOn(Date, 'now').mockReturnValue(now + 5000);
+      let finishRetry;
+      const retry = idempotency.withIdempotency(() => new Promise(resolve => {
+        finishRetry = resolve;
+      }))(httpEvent('abc'));
+      await new Promise(resolve => setImmediate(resolve));
+
+      const retryClaim = records()[0].claimToken;
+      finishFirst({ statusCode: 200, body: 'first' });
+      await first;
+
+      expect(records()).toEqual([expect.objectContaining({ status: 'IN_PROGRESS', claimToken: retryClaim })]);
+
+      finishRetry({ statusCode: 200, body: 'retry' });
+      await retry;
+
+      expect(records()[0]).toMatchObject({ status: 'COMPLETED', response: { statusCode: 200, body: 'retry' } });
+    });
+
+    it('should not recreate a record deleted before completion', async () => {
+      const wrapped = idempotency.withIdempotency(async () => {
+        db.reset();
+        return { statusCode: 200 };
+      });
+
+      await expect(wrapped(httpEvent('abc'))).resolves.toEqual({ statusCode: 200 });
+      expect(records()).toEqual([]);
+    });
+
+    it('should require a table name', async () => {
+      delete process.env.DYNAMODB_TABLE_NAME;
+
+      await expect(idempotency.withIdempotency(jest.fn())(httpEvent('abc'))).rejects.toThrow('DYNAMODB_TABLE_NAME');
+    });
+  });
+
+  describe('helpers', () => {
+    it('should hash values independently of key order', () => {
+      expect(idempotency.hashValue({ a: 1, b: [1, { c: 2, d: 3 }] }))
+        .toBe(idempotency.hashValue({ b: [1, { d: 3, c: 2 }], a: 1 }));
+      expect(idempotency.hashValue({ a: 1 })).not.toBe(idempotency.hashValue({ a: 2 }));
+    });
+
+    it('should read event paths case-insensitively through JSON bodies', () => {
+      const event = { headers: { 'Idempotency-Key': 'k' }, body: '{"user":{"email":"a@b.c"}}' };
+
+      expect(idempotency.getEventValue(event, 'headers.idempotency-key')).toBe('k');
+      expect(idempotency.getEventValue(event, 'body.user.email')).toBe('a@b.c');
+      expect(idempotency.getEventValue(event, 'body.missing.value')).toBeUndefined();
+    });
+  });
+});
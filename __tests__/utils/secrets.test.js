@@ -0,0 +1,236 @@
+'use strict';
+
+/* eslint-disable no-sync */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const awsClients = require('../../clients/aws-clients');
+const environment = require('../../utils/environment');
+const secrets = require('../../utils/secrets');
+
+const SECRET_ARN = 'arn:aws:secretsmanager:us-east-1:123456789012:secret:cognito-client-AbCdEf';
+
+describe('Secret references', () => {
+  let ssm;
+  let secretsManager;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    ssm = { send: jest.fn(async command => ({ Parameter: { Value: `value-of-${command.input.Name}` } })) };
+    secretsManager = { send: jest.fn(async () => ({ SecretString: '{"clientSecret":"s3cr3t","rotation":7}' })) };
+    global.mockSsmClient = ssm;
+    global.mockSecretsManagerClient = secretsManager;
+    awsClients.resetClients();
+    secrets.resetSecretResolvers();
+    environment.clearSecretEnvVars();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    delete global.mockSsmClient;
+    delete global.mockSecretsManagerClient;
+    awsClients.resetClients();
+  });
+
+  describe('parseSecretRef', () => {
+    it('should parse ssm and secret references', () => {
+      expect(secrets.parseSecretRef('ssm:/arqtiva/prod/api-key')).toEqual({
+        ref: 'ssm:/arqtiva/prod/api-key', scheme: 'ssm', id: '/arqtiva/prod/api-key', field: null
+      });
+      expect(secrets.parseSecretRef(`secret:${SECRET_ARN}#clientSecret`)).toMatchObject({
+        scheme: 'secret', id: SECRET_ARN, field: 'clientSecret'
+      });
+      expect(secrets.parseSecretRef('secret:app/config#db#password')).toMatchObject({
+        id: 'app/config', field: 'db#password'
+      });
+      expect(secrets.isSecretRef('plain-value')).toBe(false);
+      expect(secrets.isSecretRef('https://example.com')).toBe(false);
+    });
+  });
+
+  describe('resolveSecretRef', () => {
+    it('should read decrypted SSM parameters', async () => {
+      await expect(secrets.resolveSecretRef('ssm:/arqtiva/prod/api-key')).resolves.toBe('value-of-/arqtiva/prod/api-key');
+      expect(ssm.send.mock.calls[0][0].input).toEqual({ Name: '/arqtiva/prod/api-key', WithDecryption: true });
+    });
+
+    it('should read Secrets Manager secrets and JSON fields', async () => {
+      await expect(secrets.resolveSecretRef(`secret:${SECRET_ARN}#clientSecret`)).resolves.toBe('s3cr3t');
+      await expect(secrets.resolveSecretRef(`secret:${SECRET_ARN}#rotation`)).resolves.toBe('7');
+      await expect(secrets.resolveSecretRef(`secret:${SECRET_ARN}#missing`)).rejects.toThrow('has no field missing');
+    });
+
+    it('should cache values until the TTL expires', async () => {
+      const now = Date.now();
+      const ref = 'ssm:/arqtiva/prod/api-key';
+
+      await Promise.all([secrets.resolveSecretRef(ref), secrets.resolveSecretRef(ref)]);
+      expect(ssm.send).toHaveBeenCalledTimes(1);
+
+      jest.spyOn(Date, 'now').mockReturnValue(now + secrets.DEFAULT_SECRET_TTL_MS - 1000);
+      await secrets.resolveSecretRef(ref);
+      expect(ssm.send).toHaveBeenCalledTimes(1);
+
+      Date.now.mockReturnValue(now + secrets.DEFAULT_SECRET_TTL_MS + 1000);
+      await secrets.resolveSecretRef(ref);
+      expect(ssm.send).toHaveBeenCalledTimes(2);
+    });
+
+    it('should use registered resolvers', async () => {
+      secrets.registerSecretResolver('ssm', async ref => `custom:${ref.id}`);
+
+      await expect(secrets.resolveSecretRef('ssm:/x')).resolves.toBe('custom:/x');
+      expect(ssm.send).not.toHaveBeenCalled();
+      expect(() => secrets.registerSecretResolver('vault', () => {})).toThrow('Unknown secret reference scheme');
+    });
+  });
+
+  describe('resolveEnvSecrets', () => {
+    it('should replace references and mask the resolved variables', async () => {
+      const env = {
+        STRIPE: 'ssm:/arqtiva/prod/stripe',
+        CLIENT_CREDENTIAL: `secret:${SECRET_ARN}#clientSecret`,
+        DYNAMODB_TABLE_NAME: 'users'
+      };
+
+      await expect(secrets.resolveEnvSecrets({ env })).resolves.toEqual(['STRIPE', 'CLIENT_CREDENTIAL']);
+
+      expect(env.STRIPE).toBe('value-of-/arqtiva/prod/stripe');
+      expect(env.CLIENT_CREDENTIAL).toBe('s3cr3t');
+      expect(environment.maskSensitiveEnvVars({ ...env, COPY: 's3cr3t' })).toEqual({
+        STRIPE: '***MASKED***',
+        CLIENT_CREDENTIAL: '***MASKED***',
+        DYNAMODB_TABLE_NAME: 'users',
+        COPY: '***MASKED***'
+      });
+    });
+
+    it('should report every failure without leaking values', async () => {
+      ssm.send.mockRejectedValue(Object.assign(new Error('Parameter not found'), { name: 'ParameterNotFound' }));
+      const env = { A: 'ssm:/missing/a', B: 'ssm:/missing/b' };
+
+      const error = await secrets.resolveEnvSecrets({ env }).catch(err => err);
+
+      expect(error.name).toBe('SecretResolutionError');
+      expect(error.errors.map(item => item.variable)).toEqual(['A', 'B']);
+      expect(error.message).toContain('A (ssm:/missing/a): Parameter not found');
+    });
+
+    it('should re-resolve from the original reference after the TTL', async () => {
+      const env = { API_KEY: 'ssm:/arqtiva/prod/api-key' };
+      await secrets.resolveEnvSecrets({ env, ttlMs: 0 });
+
+      ssm.send.mockResolvedValue({ Parameter: { Value: 'rotated' } });
+      await secrets.resolveEnvSecrets({ env, ttlMs: 0 });
+
+      expect(env.API_KEY).toBe('rotated');
+    });
+
+    it('should track references per env object', async () => {
+      const first = { API_KEY: 'ssm:/arqtiva/first/api-key' };
+      const second = { API_KEY: 'ssm:/arqtiva/second/api-key' };
+      await secrets.resolveEnvSecrets({ env: first, ttlMs: 0 });
+      await secrets.resolveEnvSecrets({ env: second, ttlMs: 0 });
+
+      await expect(secrets.resolveEnvSecrets({ env: first, ttlMs: 0 })).resolves.toEqual(['API_KEY']);
+      await expect(secrets.resolveEnvSecrets({ env: {}, ttlMs: 0 })).resolves.toEqual([]);
+
+      expect(first.API_KEY).toBe('value-of-/arqtiva/first/api-key');
+      expect(second.API_KEY).toBe('value-of-/arqtiva/second/api-key');
+    });
+
+    it('should not overwrite a variable changed since it was resolved', async () => {
+      const env = { API_KEY: 'ssm:/arqtiva/prod/api-key' };
+      await secrets.resolveEnvSecrets({ env, ttlMs: 0 });
+
+      env.API_KEY = 'set-by-the-handler';
+      await expect(secrets.resolveEnvSecrets({ env, ttlMs: 0 })).resolves.toEqual([]);
+
+      expect(env.API_KEY).toBe('set-by-the-handler');
+    });
+
+    it('should keep the last value when a refresh fails', async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const env = { API_KEY: 'ssm:/arqtiva/prod/api-key' };
+      await secrets.resolveEnvSecrets({ env, ttlMs: 0 });
+
+      ssm.send.mockRejectedValue(Object.assign(new Error('Rate exceeded'), { name: 'ThrottlingException' }));
+      await expect(secrets.resolveEnvSecrets({ env, ttlMs: 0 })).resolves.toEqual(['API_KEY']);
+
+      expect(env.API_KEY).toBe('value-of-/arqtiva/prod/api-key');
+      expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('Failed to refresh secret reference'));
+      expect(warnSpy.mock.calls[0][0]).not.toContain('value-of-');
+    });
+
+    it('should resolve before the wrapped handler runs', async () => {
+      process.env.WRAPPED_SECRET = 'ssm:/wrapped';
+      const handler = secrets.withResolvedSecrets(async () => process.env.WRAPPED_SECRET);
+
+      await expect(handler({}, {})).resolves.toBe('value-of-/wrapped');
+      delete process.env.WRAPPED_SECRET;
+    });
+  });
+
+  describe('file resolver', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'secrets-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should serve references from a JSON file', async () => {
+      const file = path.join(tmpDir, 'secrets.json');
+      fs.writeFileSync(file, JSON.stringify({
+        'ssm:/arqtiva/dev/api-key': 'local-key',
+        [SECRET_ARN]: { clientSecret: 'local-secret' }
+      }));
+
+      secrets.useFileSecretResolver(file);
+
+      await expect(secrets.resolveSecretRef('ssm:/arqtiva/dev/api-key')).resolves.toBe('local-key');
+      await expect(secrets.resolveSecretRef(`secret:${SECRET_ARN}#clientSecret`)).resolves.toBe('local-secret');
+      await expect(secrets.resolveSecretRef('ssm:/unknown')).rejects.toMatchObject({ name: 'ResourceNotFoundException' });
+      expect(ssm.send).not.toHaveBeenCalled();
+      expect(secretsManager.send).not.toHaveBeenCalled();
+    });
+
+    it('should fail loudly for unreadable files', () => {
+      expect(() => secrets.createFileSecretResolver(path.join(tmpDir, 'nope.json'))).toThrow('Could not load secrets');
+    });
+
+    it('should warn and keep the AWS resolvers when the file is missing', async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(secrets.useFileSecretResolver(path.join(tmpDir, 'nope.json'))).toBe(false);
+      await expect(secrets.resolveSecretRef('ssm:/arqtiva/prod/api-key')).resolves.toBe('value-of-/arqtiva/prod/api-key');
+      expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('Secrets file not used'));
+    });
+
+    it('should read SECRETS_FILE only when asked to and never in production', () => {
+      const originalEnv = process.env;
+      const file = path.join(tmpDir, 'secrets.json');
+      fs.writeFileSync(file, '{}');
+
+      try {
+        process.env = { ...originalEnv, SECRETS_FILE: path.join(tmpDir, 'nope.json') };
+        expect(() => jest.isolateModules(() => require('../../utils/secrets'))).not.toThrow();
+
+        process.env = { ...originalEnv, SECRETS_FILE: file, NODE_ENV: 'production' };
+        expect(secrets.useFileSecretResolver()).toBe(false);
+
+        process.env.NODE_ENV = 'development';
+        expect(secrets.useFileSecretResolver()).toBe(true);
+      } finally {
+        process.env = originalEnv;
+      }
+    });
+  });
+});
@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * shared-utils command line
+ * - `env check` validates an environment against a service definition before
+ *   a deploy, instead of the Lambda logging warnings after it
+ * - Exit codes: 0 ok, 1 problems found, 2 usage or configuration error
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  checkServiceEnvironment,
+  loadServiceEnvironments,
+  parseEnvFile
+} = require('../utils/environment');
+
+/**
+ * Exit codes
+ */
+const EXIT_CODES = {
+  OK: 0,
+  PROBLEMS: 1,
+  USAGE: 2
+};
+
+const USAGE = `Usage: shared-utils env check --service <name> [options]
+
+Check an environment against a service's definition.
+
+Options:
+  -s, --service <name>   Service to check (required)
+  -e, --env-file <path>  Read variables from a .env or JSON file instead of the
+                         current environment; repeat to layer files
+  -c, --config <path>    Load service definitions from this file instead of
+                         SERVICE_ENV_CONFIG or service-env.json
+      --strict           Also fail on deprecated and unknown variables
+      --json             Print the report as JSON
+  -h, --help             Show this help
+`;
+
+// Flags taking a value, with their short forms
+const VALUE_FLAGS = { service: 's', 'env-file': 'e', config: 'c' };
+const BOOLEAN_FLAGS = { strict: null, json: null, help: 'h' };
+
+/**
+ * Check for a flag of our own, not an inherited property such as constructor
+ * @param {Object} flags - VALUE_FLAGS or BOOLEAN_FLAGS
+ * @param {string} flag - Flag name
+ * @returns {boolean} True if the flag is defined
+ */
+function hasFlag(flags, flag) {
+  return flag !== undefined && Object.prototype.hasOwnProperty.call(flags, flag);
+}
+
+/**
+ * Create a usage error
+ * @param {string} message - Error message
+ * @returns {Error} Error named UsageError
+ */
+function createUsageError(message) {
+  const error = new Error(message);
+  error.name = 'UsageError';
+  return error;
+}
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the executable
+ * @returns {Object} { command: [...positionals], service, envFiles, config, strict, json, help }
+ * @throws {Error} UsageError for unknown flags or missing values
+ */
+function parseArgs(argv) {
+  const parsed = { command: [], envFiles: [], strict: false, json: false, help: false };
+  const byShort = name => Object.keys({ ...VALUE_FLAGS, ...BOOLEAN_FLAGS })
+    .find(flag => (VALUE_FLAGS[flag] || BOOLEAN_FLAGS[flag]) === name);
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith('-')) {
+      parsed.command.push(arg);
+      continue;
+    }
+
+    const [rawFlag, inlineValue] = arg.split(/=(.*)/s);
+    const flag = rawFlag.startsWith('--') ? rawFlag.slice(2) : byShort(rawFlag.slice(1));
+
+    if (hasFlag(BOOLEAN_FLAGS, flag)) {
+      parsed[flag] = true;
+      continue;
+    }
+    if (!hasFlag(VALUE_FLAGS, flag)) {
+      throw createUsageError(`Unknown option: ${rawFlag}`);
+    }
+
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+    if (value === undefined || value === '') {
+      throw createUsageError(`Option ${rawFlag} needs a value`);
+    }
+
+    if (flag === 'env-file') {
+      parsed.envFiles.push(value);
+    } else {
+      parsed[flag] = value;
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Read variables from a file. JSON files may hold the variables themselves or
+ * Lambda configuration output ({ Variables } or { Environment: { Variables } }).
+ * @param {string} filePath - File path
+ * @returns {Object} { NAME: value }
+ */
+function readEnvFile(filePath) {
+  let content;
+
+  try {
+    // eslint-disable-next-line no-sync
+    content = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw createUsageError(`Could not read ${filePath}: ${error.message}`);
+  }
+
+  if (path.extname(filePath).toLowerCase() !== '.json') {
+    return parseEnvFile(content);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (error) {
+    throw createUsageError(`Could not parse ${filePath}: ${error.message}`);
+  }
+  const variables = parsed.Environment ? parsed.Environment.Variables : parsed.Variables || parsed;
+
+  return { ...variables };
+}
+
+/**
+ * Format a report for people
+ * @param {Object} report - Report from checkServiceEnvironment
+ * @returns {string} Text report
+ */
+function formatReport(report) {
+  const width = Math.max(0, ...[...report.missing, ...report.deprecated, ...report.unknown]
+    .map(item => item.variable.length));
+  const line = (name, text) => (text ? `  ${name.padEnd(width)}  ${text}` : `  ${name}`);
+  const lines = [
+    `${report.service}: ${report.missing.length} missing, ${report.deprecated.length} deprecated, ${report.unknown.length} unknown`
+  ];
+
+  if (report.missing.length > 0) {
+    lines.push('', 'Missing:', ...report.missing.map(item => line(item.variable, item.description)));
+  }
+  if (report.deprecated.length > 0) {
+    lines.push('', 'Deprecated:', ...report.deprecated.map(item => line(
+      item.variable,
+      `use ${item.replacement}${item.description ? ` (${item.description})` : ''}`
+    )));
+  }
+  if (report.unknown.length > 0) {
+    lines.push('', 'Unknown:', ...report.unknown.map(item => line(item.variable)));
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Run `env check`
+ * @param {Object} args - Parsed arguments
+ * @param {Object} io - { stdout, env }
+ * @returns {number} Exit code
+ */
+function runEnvCheck(args, io) {
+  if (!args.service) {
+    throw createUsageError('env check needs --service <name>');
+  }
+
+  if (args.config) {
+    // An explicit config file is authoritative; service-env.json in the working
+    // directory is not consulted
+    loadServiceEnvironments(args.config, { skipDefaultConfig: true });
+  }
+
+  // Unknown variables are only meaningful for an explicit env source; the
+  // shell environment is full of unrelated variables
+  const fromFiles = args.envFiles.length > 0;
+  const env = fromFiles ?
+    Object.assign({}, ...args.envFiles.map(readEnvFile)) :
+    io.env;
+
+  const report = checkServiceEnvironment(args.service, { env, checkUnknown: fromFiles });
+  const failed = !report.valid ||
+    (args.strict && (report.deprecated.length > 0 || report.unknown.length > 0));
+
+  io.stdout.write(args.json ?
+    `${JSON.stringify({ ...report, ok: !failed }, null, 2)}\n` :
+    formatReport(report));
+
+  return failed ? EXIT_CODES.PROBLEMS : EXIT_CODES.OK;
+}
+
+/**
+ * Run the command line
+ * @param {string[]} argv - Arguments after the executable
+ * @param {Object} io - Streams and environment (default: the process's)
+ * @returns {number} Exit code
+ */
+function run(argv, io = {}) {
+  const { stdout = process.stdout, stderr = process.stderr, env = process.env } = io;
+
+  try {
+    const args = parseArgs(argv);
+    const command = args.command.join(' ');
+
+    if (args.help || command === '') {
+      stdout.write(USAGE);
+      return args.help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+    }
+    if (command !== 'env check') {
+      throw createUsageError(`Unknown command: ${command}`);
+    }
+
+    return runEnvCheck(args, { stdout, env });
+  } catch (error) {
+    stderr.write(`shared-utils: ${error.message}\n`);
+    if (error.name === 'UsageError') {
+      stderr.write(`\n${USAGE}`);
+    }
+    return EXIT_CODES.USAGE;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = run(process.argv.slice(2));
+}
+
+module.exports = {
+  // Primary functions
+  run,
+
+  // Utilities
+  parseArgs,
+  readEnvFile,
+  formatReport,
+
+  // Constants
+  EXIT_CODES
+};
@@ -0,0 +1,266 @@
+'use strict';
+
+/**
+ * Temporary credentials for cross-account clients
+ * - AssumeRole with an optional external id, once per role and session
+ * - Credentials cached for the container lifetime until shortly before they
+ *   expire; concurrent callers share one in-flight AssumeRole call
+ * - One stable credential provider per role, so clients built on it are cached
+ *   like any other client config
+ */
+
+const { AssumeRoleCommand } = require('@aws-sdk/client-sts');
+
+/**
+ * Default AssumeRole settings
+ */
+const DEFAULT_SESSION_NAME = 'arqtiva-shared-utils';
+const DEFAULT_DURATION_SECONDS = 3600;
+
+// Refresh this long before expiry; matches the SDK's own credential refresh window
+const DEFAULT_REFRESH_WINDOW_MS = 5 * 60 * 1000;
+
+const ROLE_ARN_PATTERN = /^arn:aws[a-z-]*:iam::\d{12}:role\/.+$/;
+
+// Cached credentials and providers keyed by role key
+const roleSessions = new Map();
+
+/**
+ * Validate and fill in role options
+ * @param {Object} roleOptions - Role options
+ * @param {string} roleOptions.roleArn - Role to assume
+ * @param {string} roleOptions.externalId - External id required by the role's trust policy
+ * @param {string} roleOptions.sessionName - Role session name (default: SERVICE_NAME or arqtiva-shared-utils)
+ * @param {number} roleOptions.durationSeconds - Credential lifetime (default: 3600)
+ * @param {number} roleOptions.refreshWindowMs - Refresh this long before expiry (default: 5 minutes)
+ * @returns {Object} Normalized role options
+ */
+function normalizeRoleOptions(roleOptions = {}) {
+  const { roleArn, externalId } = roleOptions;
+
+  if (typeof roleArn !== 'string' || !ROLE_ARN_PATTERN.test(roleArn)) {
+    throw new Error(`Invalid role ARN: ${roleArn}`);
+  }
+
+  const sessionName = (roleOptions.sessionName || process.env.SERVICE_NAME || DEFAULT_SESSION_NAME)
+    .replace(/[^\w+=,.@-]/g, '-')
+    .slice(0, 64);
+
+  return {
+    roleArn,
+    externalId,
+    sessionName,
+    durationSeconds: roleOptions.durationSeconds || DEFAULT_DURATION_SECONDS,
+    refreshWindowMs: roleOptions.refreshWindowMs ?? DEFAULT_REFRESH_WINDOW_MS
+  };
+}
+
+/**
+ * Cache key for a role session; different session names, external ids,
+ * durations, refresh windows or STS client configs get separate sessions
+ * @param {Object} role - Normalized role options
+ * @param {string} stsClientKey - Cache key of the STS client config ('' when the caller passes the client)
+ * @returns {string} Role key
+ */
+function getRoleKey(role, stsClientKey = '') {
+  return [
+    role.roleArn,
+    role.sessionName,
+    role.externalId || '',
+    role.durationSeconds,
+    role.refreshWindowMs,
+    stsClientKey
+  ].join('|');
+}
+
+/**
+ * Get (or create) the session record for a role
+ * @param {Object} role - Normalized role options
+ * @param {string} stsClientKey - Cache key of the STS client config
+ * @returns {Object} Session record
+ */
+function getRoleSession(role, stsClientKey) {
+  const key = getRoleKey(role, stsClientKey);
+
+  if (!roleSessions.has(key)) {
+    roleSessions.set(key, {
+      role,
+      credentials: null,
+      pending: null,
+      refreshes: 0,
+      lastRefreshedAt: null,
+      lastError: null,
+      provider: null
+    });
+  }
+
+  return roleSessions.get(key);
+}
+
+/**
+ * Check whether cached credentials are still usable
+ * @param {Object} session - Session record
+ * @returns {boolean} True when credentials exist and are outside the refresh window
+ */
+function hasFreshCredentials(session) {
+  return !!session.credentials &&
+    session.credentials.expiration.getTime() - session.role.refreshWindowMs > Date.now();
+}
+
+/**
+ * Call AssumeRole and store the credentials on the session
+ * @param {Object} session - Session record
+ * @param {Object} stsClient - STS client
+ * @returns {Promise<Object>} SDK credential identity
+ */
+async function refreshCredentials(session, stsClient) {
+  const { role } = session;
+
+  try {
+    const output = await stsClient.send(new AssumeRoleCommand({
+      RoleArn: role.roleArn,
+      RoleSessionName: role.sessionName,
+      ExternalId: role.externalId,
+      DurationSeconds: role.durationSeconds
+    }));
+
+    const { AccessKeyId, SecretAccessKey, SessionToken, Expiration } = output.Credentials || {};
+
+    if (!AccessKeyId || !SecretAccessKey) {
+      throw new Error(`AssumeRole for ${role.roleArn} returned no credentials`);
+    }
+
+    session.credentials = {
+      accessKeyId: AccessKeyId,
+      secretAccessKey: SecretAccessKey,
+      sessionToken: SessionToken,
+      expiration: new Date(Expiration)
+    };
+    session.refreshes += 1;
+    session.lastRefreshedAt = Date.now();
+    session.lastError = null;
+
+    return session.credentials;
+  } catch (error) {
+    session.lastError = error.name || 'Error';
+    throw error;
+  }
+}
+
+/**
+ * Get a session's credentials, assuming the role only when they are missing
+ * or about to expire
+ * @param {Object} session - Session record
+ * @param {Object} stsClient - STS client used for AssumeRole
+ * @returns {Promise<Object>} SDK credential identity
+ */
+async function getSessionCredentials(session, stsClient) {
+  if (hasFreshCredentials(session)) {
+    return session.credentials;
+  }
+
+  if (!session.pending) {
+    session.pending = refreshCredentials(session, stsClient).finally(() => {
+      session.pending = null;
+    });
+  }
+
+  return session.pending;
+}
+
+/**
+ * Get temporary credentials for a role, assuming it only when the cached
+ * credentials are missing or about to expire
+ * @param {Object} roleOptions - See normalizeRoleOptions
+ * @param {Object} stsClient - STS client used for AssumeRole
+ * @returns {Promise<Object>} { accessKeyId, secretAccessKey, sessionToken, expiration }
+ */
+async function getAssumedRoleCredentials(roleOptions, stsClient) {
+  return getSessionCredentials(getRoleSession(normalizeRoleOptions(roleOptions)), stsClient);
+}
+
+/**
+ * Get the credential provider for a role. The same function is returned for
+ * the same role options and STS client config, so it can be part of a client
+ * cache key.
+ * @param {Object} roleOptions - See normalizeRoleOptions
+ * @param {Function} getStsClient - Returns the STS client to call AssumeRole with
+ * @param {string} stsClientKey - Cache key of the client getStsClient returns
+ * @returns {Function} SDK credential provider
+ */
+function getAssumedRoleCredentialProvider(roleOptions, getStsClient, stsClientKey = '') {
+  const session = getRoleSession(normalizeRoleOptions(roleOptions), stsClientKey);
+
+  if (!session.provider) {
+    session.provider = () => getSessionCredentials(session, getStsClient());
+  }
+
+  return session.provider;
+}
+
+/**
+ * Describe a role's cached session for health checks. Credentials and
+ * external ids are never included.
+ * @param {Object} session - Session record
+ * @returns {Object} Session status
+ */
+function describeSession(session) {
+  return {
+    roleArn: session.role.roleArn,
+    sessionName: session.role.sessionName,
+    hasExternalId: !!session.role.externalId,
+    credentialsExpireAt: session.credentials ? session.credentials.expiration.toISOString() : null,
+    fresh: hasFreshCredentials(session),
+    refreshes: session.refreshes,
+    lastRefreshedAt: session.lastRefreshedAt ? new Date(session.lastRefreshedAt).toISOString() : null,
+    lastError: session.lastError
+  };
+}
+
+/**
+ * Get the status of the session behind a credential provider
+ * @param {Function} provider - Provider from getAssumedRoleCredentialProvider
+ * @returns {Object|null} Session status, or null for other providers
+ */
+function getAssumedRoleSessionState(provider) {
+  for (const session of roleSessions.values()) {
+    if (session.provider === provider) {
+      return describeSession(session);
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the status of every cached role session
+ * @returns {Object[]} Session statuses
+ */
+function getAssumedRoleSessions() {
+  return Array.from(roleSessions.values()).map(describeSession);
+}
+
+/**
+ * Drop cached credentials and providers (primarily for testing)
+ */
+function clearAssumedRoleCredentials() {
+  roleSessions.clear();
+}
+
+module.exports = {
+  // Primary functions
+  getAssumedRoleCredentials,
+  getAssumedRoleCredentialProvider,
+
+  // Session state
+  getAssumedRoleSessionState,
+  getAssumedRoleSessions,
+  clearAssumedRoleCredentials,
+
+  // Utilities
+  normalizeRoleOptions,
+
+  // Constants
+  DEFAULT_SESSION_NAME,
+  DEFAULT_DURATION_SECONDS,
+  DEFAULT_REFRESH_WINDOW_MS
+};
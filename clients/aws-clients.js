@@ -2,119 +2,647 @@
 
 /**
  * Shared AWS client factory following Lambda best practices
- * - Clients initialized once per container lifecycle
+ * - Clients initialized once per container lifecycle, eagerly at module load,
+ *   lazily on first use or not at all (AWS_CLIENT_INIT_STRATEGY)
+ * - Warm-up hooks and measured init durations per client
  * - Connection pooling and reuse configured
  * - Test environment compatibility maintained
+ * - Registry for additional SDK v3 clients (S3, SQS, SNS, ...)
+ * - Every client instrumented with per-command metrics middleware
+ * - Circuit breaker state reported per client (see resilience.js)
+ * - Cross-account clients on cached assumed-role credentials (see assumed-role.js)
  */
 
 const { CognitoIdentityProviderClient } = require('@aws-sdk/client-cognito-identity-provider');
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
 const { DynamoDBDocumentClient } = require('@aws-sdk/lib-dynamodb');
+const { STSClient } = require('@aws-sdk/client-sts');
+const { SSMClient } = require('@aws-sdk/client-ssm');
+const { SecretsManagerClient } = require('@aws-sdk/client-secrets-manager');
+const crypto = require('crypto');
+const { createRequestHandler, splitHttpOptions } = require('./http-handler');
+const { instrumentClient, getClientMetrics, resetClientMetrics } = require('./instrumentation');
+const { getCircuitBreakerState, resetCircuitBreakers } = require('./resilience');
+const {
+  getAssumedRoleCredentialProvider,
+  getAssumedRoleSessionState,
+  clearAssumedRoleCredentials
+} = require('./assumed-role');
+const { logger } = require('../utils/logger');
 
-// Global client instances for reuse across invocations
-let cognitoClient = null;
-let dynamoDbClient = null;
-let dynamoDbDocumentClient = null;
+// Registered clients keyed by name. Each entry holds its factory,
+// test-mock hook and the instances reused across invocations, cached per config key
+const clientRegistry = new Map();
+
+// Cache key for an empty set of options
+const DEFAULT_CONFIG_KEY = 'default';
+
+// Dummy credentials for DynamoDB Local / LocalStack, which accept any keys
+const LOCAL_CREDENTIALS = {
+  accessKeyId: 'local',
+  secretAccessKey: 'local'
+};
 
 /**
- * Initialize Cognito client with Lambda best practices
- * @returns {CognitoIdentityProviderClient} Configured Cognito client
+ * Client initialization strategies
+ * - eager: create clients at module load and run their warm-up hooks
+ * - lazy: create each client on first use and run its warm-up hooks then
+ * - none: create clients on first use; warm-up hooks only run through warmUpClients()
+ */
+const CLIENT_INIT_STRATEGIES = ['eager', 'lazy', 'none'];
+
+// Strategy set through setClientInitStrategy(), overriding the environment
+let clientInitStrategy = null;
+
+// Set while initializeClients() creates clients, so init records show the trigger
+let eagerInitInProgress = false;
+
+// Identity ids for non-serializable option values (credential providers, retry strategies)
+const objectIds = new WeakMap();
+let nextObjectId = 1;
+
+/**
+ * Default configuration shared by every client created through the registry.
+ * Connection pooling and timeouts are applied through the request handler
+ * (see http-handler.js), as SDK v3 ignores them in the client config.
+ * @returns {Object} AWS SDK client configuration
  */
-function createCognitoClient() {
-  if (cognitoClient) {
-    return cognitoClient;
+function getDefaultClientConfig() {
+  return {
+    region: process.env.AWS_REGION || 'us-east-1',
+    maxAttempts: 3
+  };
+}
+
+/**
+ * Build the default mock global for a client (e.g. 's3' -> 'mockS3Client')
+ * @param {string} name - Registered client name
+ * @returns {string} Name of the global used for mock injection
+ */
+function getDefaultMockGlobal(name) {
+  return `mock${name.charAt(0).toUpperCase()}${name.slice(1)}Client`;
+}
+
+/**
+ * Build the default endpoint env var for a client (e.g. 'secretsManager' -> 'SECRETS_MANAGER_ENDPOINT')
+ * @param {string} name - Registered client name
+ * @returns {string} Environment variable name
+ */
+function getDefaultEndpointEnvVar(name) {
+  return `${name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()}_ENDPOINT`;
+}
+
+/**
+ * Resolve the local endpoint config for a client from the environment.
+ * The per-client variable wins over AWS_ENDPOINT_URL.
+ * @param {Object} entry - Registry entry
+ * @returns {Object} Endpoint and dummy credentials, or an empty object outside local mode
+ */
+function getLocalEndpointConfig(entry) {
+  const endpoint = process.env[entry.endpointEnvVar] || process.env.AWS_ENDPOINT_URL;
+
+  if (!endpoint) {
+    return {};
   }
 
-  // In test environment, allow mock injection
-  if (process.env.NODE_ENV === 'test' && global.mockCognitoClient) {
-    cognitoClient = global.mockCognitoClient;
-    return cognitoClient;
+  return {
+    endpoint,
+    credentials: LOCAL_CREDENTIALS
+  };
+}
+
+/**
+ * Register an AWS SDK v3 client under a name
+ * @param {string} name - Client name (e.g. 's3', 'sqs', 'secretsManager')
+ * @param {Object} definition - Client definition
+ * @param {Function} definition.clientClass - SDK client class (e.g. S3Client)
+ * @param {Function} definition.factory - Alternative to clientClass: receives the resolved config, returns a client
+ * @param {Object} definition.config - Configuration merged over the defaults for every instance
+ * @param {string} definition.mockGlobal - Global used for mock injection in tests (default: mock<Name>Client)
+ * @param {string} definition.endpointEnvVar - Env var with a local endpoint override (default: <NAME>_ENDPOINT)
+ * @param {Function|Function[]} definition.warmUp - Warm-up hook(s): async (client, { name }) => void
+ * @param {boolean} definition.eager - Create under the eager init strategy (default: true)
+ */
+function registerClient(name, definition = {}) {
+  if (!name || typeof name !== 'string') {
+    throw new Error('Client name must be a non-empty string');
   }
 
-  // Production: Initialize with connection pooling and reuse
-  cognitoClient = new CognitoIdentityProviderClient({
-    region: process.env.AWS_REGION || 'us-east-1',
-    maxAttempts: 3,
-    requestTimeout: 30000,
-    // Connection pooling
-    keepAlive: true,
-    maxSockets: 50
+  const {
+    clientClass,
+    factory,
+    config = {},
+    mockGlobal = getDefaultMockGlobal(name),
+    endpointEnvVar = getDefaultEndpointEnvVar(name),
+    warmUp = [],
+    eager = true
+  } = definition;
+
+  if (typeof clientClass !== 'function' && typeof factory !== 'function') {
+    throw new Error(`Client ${name} requires a clientClass or factory`);
+  }
+
+  clientRegistry.set(name, {
+    mockGlobal,
+    endpointEnvVar,
+    config,
+    factory: factory || (resolvedConfig => new clientClass(resolvedConfig)),
+    instances: new Map(),
+    warmUpHooks: [].concat(warmUp),
+    roleProviders: new Set(),
+    eager,
+    init: null
   });
+}
+
+/**
+ * Add a warm-up hook to a registered client, e.g. to open a connection or
+ * prime a cache before the first request
+ * @param {string} name - Registered client name
+ * @param {Function} hook - async (client, { name }) => void
+ */
+function addWarmUpHook(name, hook) {
+  const entry = clientRegistry.get(name);
 
-  return cognitoClient;
+  if (!entry) {
+    throw new Error(`AWS client ${name} is not registered`);
+  }
+  if (typeof hook !== 'function') {
+    throw new Error('Warm-up hook must be a function');
+  }
+
+  entry.warmUpHooks.push(hook);
 }
 
 /**
- * Initialize DynamoDB Document client with Lambda best practices
- * @returns {DynamoDBDocumentClient} Configured DynamoDB Document client
+ * Remove a registered client
+ * @param {string} name - Registered client name
+ * @returns {boolean} True if a client was removed
+ */
+function unregisterClient(name) {
+  return clientRegistry.delete(name);
+}
+
+/**
+ * Check whether a client is registered
+ * @param {string} name - Client name
+ * @returns {boolean} True if registered
+ */
+function isClientRegistered(name) {
+  return clientRegistry.has(name);
+}
+
+/**
+ * List registered client names
+ * @returns {string[]} Registered client names
  */
-function createDynamoDbDocumentClient() {
-  if (dynamoDbDocumentClient) {
-    return dynamoDbDocumentClient;
+function getRegisteredClientNames() {
+  return Array.from(clientRegistry.keys());
+}
+
+/**
+ * Resolve the active client initialization strategy.
+ * setClientInitStrategy() wins over AWS_CLIENT_INIT_STRATEGY; the default is
+ * eager, or none in the test environment.
+ * @returns {string} One of CLIENT_INIT_STRATEGIES
+ */
+function getClientInitStrategy() {
+  if (clientInitStrategy) {
+    return clientInitStrategy;
   }
 
-  // In test environment, allow mock injection
-  if (process.env.NODE_ENV === 'test' && global.mockDynamoDbDocumentClient) {
-    dynamoDbDocumentClient = global.mockDynamoDbDocumentClient;
-    return dynamoDbDocumentClient;
+  const envStrategy = (process.env.AWS_CLIENT_INIT_STRATEGY || '').trim().toLowerCase();
+
+  if (CLIENT_INIT_STRATEGIES.includes(envStrategy)) {
+    return envStrategy;
   }
 
-  // Create base DynamoDB client if not exists
-  if (!dynamoDbClient) {
-    dynamoDbClient = new DynamoDBClient({
-      region: process.env.AWS_REGION || 'us-east-1',
-      maxAttempts: 3,
-      requestTimeout: 30000,
-      // Connection pooling
-      keepAlive: true,
-      maxSockets: 50
-    });
+  if (envStrategy) {
+    logger.warn('Ignoring unknown AWS_CLIENT_INIT_STRATEGY', { strategy: envStrategy });
+  }
+
+  return process.env.NODE_ENV === 'test' ? 'none' : 'eager';
+}
+
+/**
+ * Set the client initialization strategy, overriding AWS_CLIENT_INIT_STRATEGY
+ * @param {string|null} strategy - eager, lazy or none; null returns to the environment setting
+ */
+function setClientInitStrategy(strategy) {
+  if (strategy !== null && !CLIENT_INIT_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown client init strategy ${strategy}; expected one of ${CLIENT_INIT_STRATEGIES.join(', ')}`);
   }
 
-  // Create Document client with optimized marshalling
-  dynamoDbDocumentClient = DynamoDBDocumentClient.from(dynamoDbClient, {
-    marshallOptions: {
-      removeUndefinedValues: true,
-      convertEmptyValues: false,
-      convertClassInstanceToMap: false
-    },
-    unmarshallOptions: {
-      wrapNumbers: false
+  clientInitStrategy = strategy;
+}
+
+/**
+ * Milliseconds elapsed since a performance.now() reading, to two decimals
+ * @param {number} startTime - performance.now() reading
+ * @returns {number} Duration in milliseconds
+ */
+function elapsedMs(startTime) {
+  return Math.round((performance.now() - startTime) * 100) / 100;
+}
+
+/**
+ * Run a client's warm-up hooks. Failures are logged, never thrown, so a
+ * failing warm-up can't break a cold start.
+ * @param {string} name - Registered client name
+ * @param {Object} instance - Client to warm up (default: the default-config instance)
+ * @returns {Promise<Object|null>} { status, durationMs, error }, or null without hooks
+ */
+async function runWarmUpHooks(name, instance) {
+  const entry = clientRegistry.get(name);
+
+  if (!entry || entry.warmUpHooks.length === 0) {
+    return null;
+  }
+
+  const startTime = performance.now();
+  let result;
+
+  try {
+    const client = instance || getClient(name);
+    for (const hook of entry.warmUpHooks) {
+      await hook(client, { name });
     }
-  });
+    result = { status: 'ok', durationMs: elapsedMs(startTime) };
+  } catch (error) {
+    result = { status: 'error', durationMs: elapsedMs(startTime), error: error.message };
+    logger.warn('AWS client warm-up failed', { client: name, error });
+  }
+
+  if (entry.init) {
+    entry.init.warmUp = result;
+  }
+
+  return result;
+}
+
+/**
+ * Run warm-up hooks, creating the clients if needed
+ * @param {string[]} names - Client names (default: every registered client with hooks)
+ * @returns {Promise<Object>} Warm-up results keyed by client name
+ */
+async function warmUpClients(names = getRegisteredClientNames()) {
+  const results = {};
+
+  for (const name of names) {
+    if (!clientRegistry.has(name)) {
+      throw new Error(`AWS client ${name} is not registered`);
+    }
+
+    const result = await runWarmUpHooks(name);
+    if (result) {
+      results[name] = result;
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Serialize a single client option value for use in a cache key
+ * @param {string} key - Option name
+ * @param {*} value - Option value
+ * @returns {string} Serialized value
+ */
+function serializeConfigValue(key, value) {
+  if (value === null || (typeof value !== 'object' && typeof value !== 'function')) {
+    return String(value);
+  }
+
+  // Static credentials are hashed so secrets never appear in cache keys
+  if (key === 'credentials' && typeof value === 'object' && value.accessKeyId) {
+    const hash = crypto.createHash('sha256')
+      .update(`${value.accessKeyId}:${value.secretAccessKey}:${value.sessionToken || ''}`)
+      .digest('hex');
+    return `sha256:${hash.slice(0, 16)}`;
+  }
+
+  if (Array.isArray(value) || Object.getPrototypeOf(value) === Object.prototype) {
+    try {
+      return JSON.stringify(value);
+    } catch (_error) {
+      // Fall through to identity for circular structures
+    }
+  }
+
+  if (!objectIds.has(value)) {
+    objectIds.set(value, nextObjectId++);
+  }
+
+  return `ref#${objectIds.get(value)}`;
+}
 
-  return dynamoDbDocumentClient;
+/**
+ * Build the cache key for a set of client options
+ * @param {Object} options - Client options (region, endpoint, credentials, ...)
+ * @returns {string} Stable cache key
+ */
+function getClientConfigKey(options = {}) {
+  const keys = Object.keys(options)
+    .filter(key => options[key] !== undefined)
+    .sort();
+
+  if (keys.length === 0) {
+    return DEFAULT_CONFIG_KEY;
+  }
+
+  return keys.map(key => `${key}=${serializeConfigValue(key, options[key])}`).join(';');
+}
+
+/**
+ * Get or create a registered client
+ * @param {string} name - Registered client name
+ * @param {Object} options - Client options merged over the defaults (region, endpoint,
+ *   credentials, retryMode, maxAttempts, plus the HTTP settings keepAlive, keepAliveMsecs,
+ *   maxSockets, connectionTimeout and requestTimeout). Each distinct resolved config
+ *   gets its own cached instance.
+ * @returns {Object} Cached client instance
+ */
+function getClient(name, options = {}) {
+  const entry = clientRegistry.get(name);
+
+  if (!entry) {
+    throw new Error(`AWS client ${name} is not registered`);
+  }
+
+  // Keyed on the resolved config, so options that only restate a default
+  // share the default instance
+  const config = resolveClientConfig(entry, options);
+  const configKey = getClientConfigKey(config);
+
+  if (entry.instances.has(configKey)) {
+    return entry.instances.get(configKey);
+  }
+
+  const startTime = performance.now();
+  const instance = createClientInstance(entry, name, config);
+
+  entry.instances.set(configKey, instance);
+  recordClientInit(entry, name, startTime, instance);
+
+  return instance;
+}
+
+/**
+ * Merge client options over the defaults, the local endpoint and the
+ * registered config
+ * @param {Object} entry - Registry entry
+ * @param {Object} options - Client options
+ * @returns {Object} Resolved client config, including HTTP settings
+ */
+function resolveClientConfig(entry, options) {
+  return {
+    ...getDefaultClientConfig(),
+    ...getLocalEndpointConfig(entry),
+    ...entry.config,
+    ...stripUndefined(options)
+  };
+}
+
+/**
+ * Create a client instance (or pick up the test mock)
+ * @param {Object} entry - Registry entry
+ * @param {string} name - Registered client name
+ * @param {Object} config - Resolved client config, see resolveClientConfig
+ * @returns {Object} Client instance
+ */
+function createClientInstance(entry, name, config) {
+  // In test environment, allow mock injection. A configured local endpoint
+  // takes precedence so integration tests can run against DynamoDB Local / LocalStack
+  if (process.env.NODE_ENV === 'test' && !getLocalEndpointConfig(entry).endpoint && global[entry.mockGlobal]) {
+    return global[entry.mockGlobal];
+  }
+
+  const { httpOptions, clientConfig } = splitHttpOptions(config);
+
+  // Connection pooling via keep-alive agents on the request handler
+  if (!clientConfig.requestHandler) {
+    clientConfig.requestHandler = createRequestHandler(httpOptions);
+  }
+
+  const instance = entry.factory(clientConfig);
+
+  // Per-command latency, retry and throttle metrics
+  instrumentClient(instance, name);
+
+  return instance;
+}
+
+/**
+ * Record how long a client's first instance took to create. Under the lazy
+ * strategy this also starts its warm-up hooks.
+ * @param {Object} entry - Registry entry
+ * @param {string} name - Registered client name
+ * @param {number} startTime - performance.now() reading taken before creation
+ * @param {Object} instance - The instance just created, warmed up under the lazy strategy
+ */
+function recordClientInit(entry, name, startTime, instance) {
+  if (entry.init) {
+    return;
+  }
+
+  const strategy = getClientInitStrategy();
+
+  entry.init = {
+    strategy,
+    trigger: eagerInitInProgress ? 'eager' : 'first-use',
+    durationMs: elapsedMs(startTime),
+    initializedAt: new Date().toISOString(),
+    warmUp: null
+  };
+
+  if (strategy === 'lazy' && entry.warmUpHooks.length > 0) {
+    entry.init.warmUp = { status: 'pending' };
+    // Warm up the instance the caller asked for rather than building a
+    // default-config one, and never leave a rejection unhandled
+    runWarmUpHooks(name, instance).catch(error => {
+      logger.warn('AWS client warm-up failed', { client: name, error });
+    });
+  }
+}
+
+/**
+ * Remove undefined values so they do not override defaults
+ * @param {Object} options - Options object
+ * @returns {Object} Options without undefined values
+ */
+function stripUndefined(options) {
+  return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Initialize Cognito client with Lambda best practices
+ * @param {Object} options - Client options (region, endpoint, credentials, retryMode, timeouts)
+ * @returns {CognitoIdentityProviderClient} Configured Cognito client
+ */
+function createCognitoClient(options = {}) {
+  return getClient('cognito', options);
+}
+
+/**
+ * Initialize DynamoDB Document client with Lambda best practices
+ * @param {Object} options - Client options (region, endpoint, credentials, retryMode, timeouts)
+ * @returns {DynamoDBDocumentClient} Configured DynamoDB Document client
+ */
+function createDynamoDbDocumentClient(options = {}) {
+  return getClient('dynamodb', options);
+}
+
+// Built-in clients
+registerClient('cognito', {
+  clientClass: CognitoIdentityProviderClient,
+  mockGlobal: 'mockCognitoClient'
+});
+
+registerClient('dynamodb', {
+  mockGlobal: 'mockDynamoDbDocumentClient',
+  factory: resolvedConfig => {
+    const dynamoDbClient = new DynamoDBClient(resolvedConfig);
+
+    // Create Document client with optimized marshalling
+    return DynamoDBDocumentClient.from(dynamoDbClient, {
+      marshallOptions: {
+        removeUndefinedValues: true,
+        convertEmptyValues: false,
+        convertClassInstanceToMap: false
+      },
+      unmarshallOptions: {
+        wrapNumbers: false
+      }
+    });
+  }
+});
+
+// Only needed for cross-account clients, so never created eagerly
+registerClient('sts', {
+  clientClass: STSClient,
+  mockGlobal: 'mockStsClient',
+  eager: false
+});
+
+// Only needed to resolve secret references in env values, so never created eagerly
+registerClient('ssm', {
+  clientClass: SSMClient,
+  mockGlobal: 'mockSsmClient',
+  eager: false
+});
+
+registerClient('secretsManager', {
+  clientClass: SecretsManagerClient,
+  mockGlobal: 'mockSecretsManagerClient',
+  eager: false
+});
+
+/**
+ * Get or create a registered client that acts as an assumed role, e.g. in a
+ * tenant's own AWS account. Temporary credentials come from AssumeRole through
+ * the 'sts' client and are cached until shortly before they expire.
+ * @param {string} name - Registered client name
+ * @param {Object} roleOptions - Role to assume
+ * @param {string} roleOptions.roleArn - Role ARN
+ * @param {string} roleOptions.externalId - External id required by the role's trust policy
+ * @param {string} roleOptions.sessionName - Role session name (default: SERVICE_NAME)
+ * @param {number} roleOptions.durationSeconds - Credential lifetime (default: 3600)
+ * @param {number} roleOptions.refreshWindowMs - Refresh this long before expiry (default: 5 minutes)
+ * @param {Object} roleOptions.stsOptions - Options for the STS client (region, endpoint, ...)
+ * @param {Object} options - Client options, see getClient
+ * @returns {Object} Cached role-scoped client instance
+ */
+function getAssumedRoleClient(name, roleOptions = {}, options = {}) {
+  if (!clientRegistry.has(name)) {
+    throw new Error(`AWS client ${name} is not registered`);
+  }
+
+  const { stsOptions = {}, ...role } = roleOptions;
+  const stsEntry = clientRegistry.get('sts');
+  const credentials = getAssumedRoleCredentialProvider(
+    role,
+    () => getClient('sts', stsOptions),
+    getClientConfigKey(stsEntry ? resolveClientConfig(stsEntry, stsOptions) : stsOptions)
+  );
+
+  clientRegistry.get(name).roleProviders.add(credentials);
+
+  return getClient(name, { ...options, credentials });
+}
+
+/**
+ * Get a Cognito client acting as an assumed role
+ * @param {Object} roleOptions - Role to assume, see getAssumedRoleClient
+ * @param {Object} options - Client options, see createCognitoClient
+ * @returns {CognitoIdentityProviderClient} Role-scoped Cognito client
+ */
+function getAssumedRoleCognitoClient(roleOptions, options = {}) {
+  return getAssumedRoleClient('cognito', roleOptions, options);
+}
+
+/**
+ * Get a DynamoDB Document client acting as an assumed role
+ * @param {Object} roleOptions - Role to assume, see getAssumedRoleClient
+ * @param {Object} options - Client options, see createDynamoDbDocumentClient
+ * @returns {DynamoDBDocumentClient} Role-scoped DynamoDB Document client
+ */
+function getAssumedRoleDynamoDbClient(roleOptions, options = {}) {
+  return getAssumedRoleClient('dynamodb', roleOptions, options);
 }
 
 /**
  * Get or create Cognito client (for backward compatibility)
+ * @param {Object} options - Client options, see createCognitoClient
  * @returns {CognitoIdentityProviderClient} Configured Cognito client
  */
-function getCognitoClient() {
-  return createCognitoClient();
+function getCognitoClient(options = {}) {
+  return createCognitoClient(options);
 }
 
 /**
  * Get or create DynamoDB Document client (for backward compatibility)
+ * @param {Object} options - Client options, see createDynamoDbDocumentClient
  * @returns {DynamoDBDocumentClient} Configured DynamoDB Document client
  */
-function getDynamoDbClient() {
-  return createDynamoDbDocumentClient();
+function getDynamoDbClient(options = {}) {
+  return createDynamoDbDocumentClient(options);
 }
 
 /**
- * Initialize all clients at module load time (except in test environment)
- * This follows Lambda best practices for execution context reuse
+ * Initialize clients according to the init strategy. Runs at module load;
+ * only the eager strategy creates clients and runs warm-up hooks up front,
+ * following Lambda best practices for execution context reuse.
+ * @param {Object} options - Initialization options
+ * @param {string} options.strategy - Strategy override for this call (default: getClientInitStrategy())
+ * @param {string[]} options.clients - Clients to create (default: every client registered as eager)
+ * @returns {Promise<Object>} Warm-up results keyed by client name (empty unless eager)
  */
-function initializeClients() {
-  if (process.env.NODE_ENV !== 'test') {
-    // Initialize clients immediately in production for maximum reuse
-    createCognitoClient();
-    createDynamoDbDocumentClient();
+function initializeClients(options = {}) {
+  const {
+    strategy = getClientInitStrategy(),
+    clients = getRegisteredClientNames().filter(name => clientRegistry.get(name).eager)
+  } = options;
 
-    // eslint-disable-next-line no-console
-    console.log('AWS clients initialized for Lambda execution context reuse');
+  if (strategy !== 'eager') {
+    return Promise.resolve({});
   }
+
+  const durations = {};
+
+  eagerInitInProgress = true;
+  try {
+    clients.forEach(name => {
+      const startTime = performance.now();
+      getClient(name);
+      durations[name] = elapsedMs(startTime);
+    });
+  } finally {
+    eagerInitInProgress = false;
+  }
+
+  logger.info('AWS clients initialized for Lambda execution context reuse', { strategy, durations });
+
+  return warmUpClients(clients);
 }
 
 /**
@@ -122,9 +650,15 @@ function initializeClients() {
  * Allows tests to inject fresh mocks
  */
 function resetClients() {
-  cognitoClient = null;
-  dynamoDbClient = null;
-  dynamoDbDocumentClient = null;
+  clientRegistry.forEach(entry => {
+    entry.instances.clear();
+    entry.roleProviders.clear();
+    entry.init = null;
+  });
+
+  resetClientMetrics();
+  clearAssumedRoleCredentials();
+  resetCircuitBreakers();
 }
 
 /**
@@ -132,19 +666,27 @@ function resetClients() {
  * @returns {Object} Health status of all clients
  */
 function getClientHealth() {
-  return {
-    cognito: {
-      initialized: !!cognitoClient,
-      isMock: process.env.NODE_ENV === 'test' && cognitoClient === global.mockCognitoClient
-    },
-    dynamodb: {
-      initialized: !!dynamoDbDocumentClient,
-      isMock: process.env.NODE_ENV === 'test' && dynamoDbDocumentClient === global.mockDynamoDbDocumentClient
-    }
-  };
+  const health = {};
+
+  clientRegistry.forEach((entry, name) => {
+    const instances = Array.from(entry.instances.values());
+
+    health[name] = {
+      initialized: instances.length > 0,
+      isMock: process.env.NODE_ENV === 'test' && instances.length > 0 &&
+        instances.every(instance => instance === global[entry.mockGlobal]),
+      instances: instances.length,
+      init: entry.init,
+      assumedRoles: Array.from(entry.roleProviders, getAssumedRoleSessionState).filter(Boolean),
+      metrics: getClientMetrics(name),
+      circuitBreaker: getCircuitBreakerState(name)
+    };
+  });
+
+  return health;
 }
 
-// Initialize clients immediately on module load
+// Initialize clients on module load according to the init strategy
 initializeClients();
 
 module.exports = {
@@ -156,8 +698,31 @@ module.exports = {
   createCognitoClient,
   createDynamoDbDocumentClient,
 
-  // Utility functions
+  // Cross-account clients
+  getAssumedRoleClient,
+  getAssumedRoleCognitoClient,
+  getAssumedRoleDynamoDbClient,
+
+  // Client registry
+  registerClient,
+  unregisterClient,
+  isClientRegistered,
+  getRegisteredClientNames,
+  getClient,
+  getClientConfigKey,
+  getDefaultEndpointEnvVar,
+
+  // Initialization
   initializeClients,
+  warmUpClients,
+  addWarmUpHook,
+  getClientInitStrategy,
+  setClientInitStrategy,
+
+  // Utility functions
   resetClients,
-  getClientHealth
+  getClientHealth,
+
+  // Constants
+  CLIENT_INIT_STRATEGIES
 };
\ No newline at end of file
@@ -0,0 +1,156 @@
+'use strict';
+
+/**
+ * HTTP request handler configuration for AWS SDK v3 clients
+ * - SDK v3 ignores keepAlive/maxSockets in the client config; pooling has
+ *   to be configured on the request handler's agents
+ * - Settings come from env vars with per-client overrides
+ * - Effective settings are tracked per handler for health reporting
+ */
+
+const http = require('http');
+const https = require('https');
+const { NodeHttpHandler } = require('@smithy/node-http-handler');
+
+/**
+ * Client options that configure the request handler rather than the client
+ */
+const HTTP_OPTION_KEYS = [
+  'keepAlive',
+  'keepAliveMsecs',
+  'maxSockets',
+  'connectionTimeout',
+  'requestTimeout'
+];
+
+/**
+ * Environment variables controlling the default pool settings
+ */
+const HTTP_ENV_VARS = {
+  AWS_HTTP_KEEP_ALIVE: 'Reuse TCP connections between requests (default: true)',
+  AWS_HTTP_KEEP_ALIVE_MSECS: 'Initial delay for TCP keep-alive probes in ms (default: 1000)',
+  AWS_HTTP_MAX_SOCKETS: 'Maximum concurrent sockets per client (default: 50)',
+  AWS_HTTP_CONNECTION_TIMEOUT: 'Connection establishment timeout in ms (default: 5000)',
+  AWS_HTTP_REQUEST_TIMEOUT: 'Socket inactivity timeout per request in ms (default: 30000)'
+};
+
+// Effective settings for every handler created here
+const handlerSettings = new WeakMap();
+
+/**
+ * Read a non-negative integer env var
+ * @param {string} varName - Environment variable name
+ * @param {number} defaultValue - Value used when unset or invalid
+ * @returns {number} Parsed value
+ */
+function getIntegerEnv(varName, defaultValue) {
+  const value = parseInt(process.env[varName], 10);
+  return Number.isNaN(value) || value < 0 ? defaultValue : value;
+}
+
+/**
+ * Read a boolean env var ('true'/'false', '1'/'0')
+ * @param {string} varName - Environment variable name
+ * @param {boolean} defaultValue - Value used when unset
+ * @returns {boolean} Parsed value
+ */
+function getBooleanEnv(varName, defaultValue) {
+  const value = (process.env[varName] || '').toLowerCase();
+
+  if (value === 'true' || value === '1') {
+    return true;
+  }
+
+  if (value === 'false' || value === '0') {
+    return false;
+  }
+
+  return defaultValue;
+}
+
+/**
+ * Default HTTP settings resolved from the environment
+ * @returns {Object} HTTP settings
+ */
+function getDefaultHttpSettings() {
+  return {
+    keepAlive: getBooleanEnv('AWS_HTTP_KEEP_ALIVE', true),
+    keepAliveMsecs: getIntegerEnv('AWS_HTTP_KEEP_ALIVE_MSECS', 1000),
+    maxSockets: getIntegerEnv('AWS_HTTP_MAX_SOCKETS', 50),
+    connectionTimeout: getIntegerEnv('AWS_HTTP_CONNECTION_TIMEOUT', 5000),
+    requestTimeout: getIntegerEnv('AWS_HTTP_REQUEST_TIMEOUT', 30000)
+  };
+}
+
+/**
+ * Split client options into HTTP settings and remaining client config
+ * @param {Object} config - Resolved client config
+ * @returns {Object} { httpOptions, clientConfig }
+ */
+function splitHttpOptions(config = {}) {
+  const httpOptions = {};
+  const clientConfig = {};
+
+  Object.keys(config).forEach(key => {
+    if (HTTP_OPTION_KEYS.includes(key)) {
+      httpOptions[key] = config[key];
+    } else {
+      clientConfig[key] = config[key];
+    }
+  });
+
+  return { httpOptions, clientConfig };
+}
+
+/**
+ * Create a request handler with keep-alive agents and socket limits
+ * @param {Object} options - Overrides for the env-derived settings
+ * @returns {NodeHttpHandler} Configured request handler
+ */
+function createRequestHandler(options = {}) {
+  const settings = {
+    ...getDefaultHttpSettings(),
+    ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined))
+  };
+
+  const agentOptions = {
+    keepAlive: settings.keepAlive,
+    keepAliveMsecs: settings.keepAliveMsecs,
+    maxSockets: settings.maxSockets
+  };
+
+  const requestHandler = new NodeHttpHandler({
+    httpAgent: new http.Agent(agentOptions),
+    httpsAgent: new https.Agent(agentOptions),
+    connectionTimeout: settings.connectionTimeout,
+    requestTimeout: settings.requestTimeout
+  });
+
+  handlerSettings.set(requestHandler, settings);
+
+  return requestHandler;
+}
+
+/**
+ * Get the effective settings of a request handler created by createRequestHandler
+ * @param {Object} requestHandler - Request handler instance
+ * @returns {Object|null} HTTP settings, or null for unknown handlers
+ */
+function getRequestHandlerSettings(requestHandler) {
+  if (!requestHandler || typeof requestHandler !== 'object') {
+    return null;
+  }
+
+  return handlerSettings.get(requestHandler) || null;
+}
+
+module.exports = {
+  createRequestHandler,
+  getRequestHandlerSettings,
+  getDefaultHttpSettings,
+  splitHttpOptions,
+
+  // Constants
+  HTTP_OPTION_KEYS,
+  HTTP_ENV_VARS
+};
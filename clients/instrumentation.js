@@ -0,0 +1,293 @@
+'use strict';
+
+/**
+ * SDK v3 middleware instrumentation for AWS clients
+ * - Per-command latency, error and retry counters for every send()
+ * - Throttling errors counted per attempt, including ones later retried
+ * - DynamoDB consumed capacity (when ReturnConsumedCapacity is requested)
+ * - Counters live for the container lifetime and are exposed through health checks
+ */
+
+/**
+ * Middleware names registered on instrumented clients
+ */
+const COMMAND_MIDDLEWARE_NAME = 'arqtivaCommandMetricsMiddleware';
+const ATTEMPT_MIDDLEWARE_NAME = 'arqtivaAttemptMetricsMiddleware';
+
+/**
+ * Error names AWS services use for throttling
+ */
+const THROTTLING_ERROR_NAMES = [
+  'ThrottlingException',
+  'Throttling',
+  'ThrottledException',
+  'RequestThrottledException',
+  'TooManyRequestsException',
+  'ProvisionedThroughputExceededException',
+  'RequestLimitExceeded',
+  'BandwidthLimitExceeded',
+  'SlowDown'
+];
+
+// Metrics keyed by client name
+const clientMetrics = new Map();
+
+// Clients that already carry the middleware
+const instrumentedClients = new WeakSet();
+
+/**
+ * Check whether an error is a throttling error
+ * @param {Error} error - Error thrown by the SDK
+ * @returns {boolean} True for throttling errors
+ */
+function isThrottlingError(error) {
+  if (!error) {
+    return false;
+  }
+
+  return THROTTLING_ERROR_NAMES.includes(error.name) ||
+    THROTTLING_ERROR_NAMES.includes(error.code) ||
+    error.$metadata?.httpStatusCode === 429;
+}
+
+/**
+ * Sum consumed capacity units from a DynamoDB response
+ * @param {Object|Object[]} consumedCapacity - ConsumedCapacity from the response
+ * @returns {number} Total capacity units
+ */
+function sumConsumedCapacity(consumedCapacity) {
+  if (!consumedCapacity) {
+    return 0;
+  }
+
+  const entries = Array.isArray(consumedCapacity) ? consumedCapacity : [consumedCapacity];
+
+  return entries.reduce((total, entry) => total + (entry?.CapacityUnits || 0), 0);
+}
+
+/**
+ * Get (or create) the metrics bucket for a client and command
+ * @param {string} clientName - Client name
+ * @param {string} commandName - Command name
+ * @returns {Object} Command metrics
+ */
+function getCommandBucket(clientName, commandName) {
+  if (!clientMetrics.has(clientName)) {
+    clientMetrics.set(clientName, {});
+  }
+
+  const commands = clientMetrics.get(clientName);
+
+  if (!commands[commandName]) {
+    commands[commandName] = {
+      count: 0,
+      errors: 0,
+      retries: 0,
+      throttles: 0,
+      totalDurationMs: 0,
+      maxDurationMs: 0,
+      lastDurationMs: 0,
+      consumedCapacityUnits: 0,
+      lastError: null
+    };
+  }
+
+  return commands[commandName];
+}
+
+/**
+ * Record a completed send()
+ * @param {string} clientName - Client name
+ * @param {string} commandName - Command name
+ * @param {Object} result - { durationMs, attempts, consumedCapacity, error }
+ */
+function recordCommand(clientName, commandName, result) {
+  const bucket = getCommandBucket(clientName, commandName);
+  const { durationMs, attempts = 1, consumedCapacity, error } = result;
+
+  bucket.count += 1;
+  bucket.retries += Math.max(attempts - 1, 0);
+  bucket.totalDurationMs += durationMs;
+  bucket.maxDurationMs = Math.max(bucket.maxDurationMs, durationMs);
+  bucket.lastDurationMs = durationMs;
+  bucket.consumedCapacityUnits += sumConsumedCapacity(consumedCapacity);
+
+  if (error) {
+    bucket.errors += 1;
+    bucket.lastError = error.name || 'Error';
+  }
+}
+
+/**
+ * Record a throttled attempt
+ * @param {string} clientName - Client name
+ * @param {string} commandName - Command name
+ */
+function recordThrottle(clientName, commandName) {
+  getCommandBucket(clientName, commandName).throttles += 1;
+}
+
+/**
+ * Middleware timing the whole send(), retries included
+ * @param {string} clientName - Client name
+ * @returns {Function} SDK middleware
+ */
+function commandMetricsMiddleware(clientName) {
+  return (next, context) => async args => {
+    const commandName = context.commandName || 'UnknownCommand';
+    const startTime = Date.now();
+
+    try {
+      const response = await next(args);
+
+      recordCommand(clientName, commandName, {
+        durationMs: Date.now() - startTime,
+        attempts: response.output?.$metadata?.attempts,
+        consumedCapacity: response.output?.ConsumedCapacity
+      });
+
+      return response;
+    } catch (error) {
+      recordCommand(clientName, commandName, {
+        durationMs: Date.now() - startTime,
+        attempts: error.$metadata?.attempts,
+        error
+      });
+
+      throw error;
+    }
+  };
+}
+
+/**
+ * Middleware running inside the retry loop to see every attempt
+ * @param {string} clientName - Client name
+ * @returns {Function} SDK middleware
+ */
+function attemptMetricsMiddleware(clientName) {
+  return (next, context) => async args => {
+    try {
+      return await next(args);
+    } catch (error) {
+      if (isThrottlingError(error)) {
+        recordThrottle(clientName, context.commandName || 'UnknownCommand');
+      }
+
+      throw error;
+    }
+  };
+}
+
+/**
+ * Add metrics middleware to an SDK v3 client
+ * @param {Object} client - SDK client (or Document client)
+ * @param {string} clientName - Name metrics are recorded under
+ * @returns {boolean} True if the middleware was added
+ */
+function instrumentClient(client, clientName) {
+  if (!client || !client.middlewareStack || typeof client.middlewareStack.add !== 'function') {
+    return false;
+  }
+
+  if (instrumentedClients.has(client)) {
+    return true;
+  }
+
+  client.middlewareStack.add(commandMetricsMiddleware(clientName), {
+    step: 'initialize',
+    name: COMMAND_MIDDLEWARE_NAME,
+    override: true
+  });
+
+  // Low priority in finalizeRequest runs inside the retry middleware
+  client.middlewareStack.add(attemptMetricsMiddleware(clientName), {
+    step: 'finalizeRequest',
+    priority: 'low',
+    name: ATTEMPT_MIDDLEWARE_NAME,
+    override: true
+  });
+
+  instrumentedClients.add(client);
+
+  return true;
+}
+
+/**
+ * Get metrics for one client
+ * @param {string} clientName - Client name
+ * @returns {Object} Totals and per-command metrics
+ */
+function getClientMetrics(clientName) {
+  const commands = clientMetrics.get(clientName) || {};
+  const totals = {
+    commands: 0,
+    errors: 0,
+    retries: 0,
+    throttles: 0,
+    consumedCapacityUnits: 0
+  };
+  const byCommand = {};
+
+  Object.entries(commands).forEach(([commandName, bucket]) => {
+    totals.commands += bucket.count;
+    totals.errors += bucket.errors;
+    totals.retries += bucket.retries;
+    totals.throttles += bucket.throttles;
+    totals.consumedCapacityUnits += bucket.consumedCapacityUnits;
+
+    byCommand[commandName] = {
+      ...bucket,
+      averageDurationMs: bucket.count > 0 ? Math.round(bucket.totalDurationMs / bucket.count) : 0
+    };
+  });
+
+  return {
+    ...totals,
+    byCommand
+  };
+}
+
+/**
+ * Get metrics for every client that has recorded commands
+ * @returns {Object} Metrics keyed by client name
+ */
+function getAllClientMetrics() {
+  const metrics = {};
+
+  clientMetrics.forEach((_commands, clientName) => {
+    metrics[clientName] = getClientMetrics(clientName);
+  });
+
+  return metrics;
+}
+
+/**
+ * Reset recorded metrics (primarily for testing)
+ * @param {string} clientName - Client to reset; all clients when omitted
+ */
+function resetClientMetrics(clientName) {
+  if (clientName) {
+    clientMetrics.delete(clientName);
+  } else {
+    clientMetrics.clear();
+  }
+}
+
+module.exports = {
+  // Instrumentation
+  instrumentClient,
+  commandMetricsMiddleware,
+  attemptMetricsMiddleware,
+
+  // Metrics
+  getClientMetrics,
+  getAllClientMetrics,
+  resetClientMetrics,
+
+  // Utilities
+  isThrottlingError,
+  sumConsumedCapacity,
+
+  // Constants
+  THROTTLING_ERROR_NAMES
+};
@@ -0,0 +1,506 @@
+'use strict';
+
+/**
+ * Error classification and resilient send() for AWS clients
+ * - Classifies SDK errors as throttling, retryable, auth, validation or conflict
+ * - Retries throttling and transient errors with exponential backoff and full
+ *   jitter, on top of the SDK's own maxAttempts
+ * - Per-dependency circuit breakers fail fast while a dependency is down, so
+ *   requests don't each wait out the Lambda timeout
+ * - Breaker state lives for the container lifetime and is exposed through health checks
+ */
+
+const { isThrottlingError } = require('./instrumentation');
+
+/**
+ * Error categories returned by classifyError
+ */
+const ERROR_CATEGORIES = {
+  THROTTLING: 'throttling',
+  RETRYABLE: 'retryable',
+  AUTH: 'auth',
+  VALIDATION: 'validation',
+  CONFLICT: 'conflict',
+  UNKNOWN: 'unknown'
+};
+
+/**
+ * Circuit breaker states
+ */
+const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+/**
+ * Error names per category. Names not listed fall back to the HTTP status code.
+ */
+const CONFLICT_ERROR_NAMES = [
+  'ConditionalCheckFailedException',
+  'TransactionConflictException',
+  'TransactionCanceledException',
+  'VersionConflictError',
+  'ResourceInUseException',
+  'UsernameExistsException',
+  'AliasExistsException',
+  'ConflictException'
+];
+
+const AUTH_ERROR_NAMES = [
+  'AccessDeniedException',
+  'AccessDenied',
+  'UnrecognizedClientException',
+  'InvalidSignatureException',
+  'SignatureDoesNotMatch',
+  'InvalidClientTokenId',
+  'ExpiredToken',
+  'ExpiredTokenException',
+  'MissingAuthenticationToken',
+  'NotAuthorizedException',
+  'UnauthorizedException',
+  'CredentialsProviderError'
+];
+
+const VALIDATION_ERROR_NAMES = [
+  'ValidationException',
+  'SerializationException',
+  'InvalidParameterException',
+  'InvalidParameterValueException',
+  'InvalidPasswordException',
+  'MissingParameter',
+  'ResourceNotFoundException',
+  'UserNotFoundException'
+];
+
+const RETRYABLE_ERROR_NAMES = [
+  'InternalServerError',
+  'InternalFailure',
+  'InternalErrorException',
+  'ServiceUnavailable',
+  'ServiceUnavailableException',
+  'RequestTimeout',
+  'RequestTimeoutException',
+  'TimeoutError',
+  'TransactionInProgressException',
+  'IDPCommunicationErrorException'
+];
+
+// Node.js network error codes worth retrying
+const RETRYABLE_NETWORK_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENOTFOUND'
+];
+
+/**
+ * Default retry settings for resilientSend
+ */
+const DEFAULT_RETRY_OPTIONS = {
+  maxRetries: 3,
+  baseDelayMs: 100,
+  throttlingBaseDelayMs: 500,
+  maxDelayMs: 5000
+};
+
+/**
+ * Default circuit breaker settings
+ */
+const DEFAULT_CIRCUIT_BREAKER_OPTIONS = {
+  failureThreshold: 5,
+  resetTimeoutMs: 30000,
+  halfOpenMaxCalls: 1
+};
+
+// Circuit breakers keyed by dependency name
+const circuitBreakers = new Map();
+
+/**
+ * Classify an error thrown by an AWS SDK client
+ * @param {Error} error - Error thrown by send()
+ * @returns {string} One of ERROR_CATEGORIES
+ */
+function classifyError(error) {
+  if (!error) {
+    return ERROR_CATEGORIES.UNKNOWN;
+  }
+
+  const name = error.name || error.code;
+  const statusCode = error.$metadata?.httpStatusCode;
+
+  if (isThrottlingError(error) || error.$retryable?.throttling) {
+    return ERROR_CATEGORIES.THROTTLING;
+  }
+  if (CONFLICT_ERROR_NAMES.includes(name)) {
+    return ERROR_CATEGORIES.CONFLICT;
+  }
+  if (AUTH_ERROR_NAMES.includes(name)) {
+    return ERROR_CATEGORIES.AUTH;
+  }
+  if (VALIDATION_ERROR_NAMES.includes(name)) {
+    return ERROR_CATEGORIES.VALIDATION;
+  }
+  if (RETRYABLE_ERROR_NAMES.includes(name) || RETRYABLE_NETWORK_CODES.includes(error.code) ||
+    error.$retryable || error.$fault === 'server' || statusCode >= 500) {
+    return ERROR_CATEGORIES.RETRYABLE;
+  }
+  if (statusCode === 409) {
+    return ERROR_CATEGORIES.CONFLICT;
+  }
+  if (statusCode === 401 || statusCode === 403) {
+    return ERROR_CATEGORIES.AUTH;
+  }
+  if (statusCode >= 400) {
+    return ERROR_CATEGORIES.VALIDATION;
+  }
+
+  return ERROR_CATEGORIES.UNKNOWN;
+}
+
+/**
+ * Check whether an error is worth retrying
+ * @param {Error} error - Error thrown by send()
+ * @returns {boolean} True for throttling and transient errors
+ */
+function isRetryableError(error) {
+  const category = classifyError(error);
+  return category === ERROR_CATEGORIES.THROTTLING || category === ERROR_CATEGORIES.RETRYABLE;
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Backoff delay for a retry attempt (exponential, full jitter)
+ * @param {number} attempt - Retry attempt, starting at 1
+ * @param {Object} options - { baseDelayMs, maxDelayMs }
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(attempt, options = {}) {
+  const { baseDelayMs, maxDelayMs } = { ...DEFAULT_RETRY_OPTIONS, ...options };
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Create the error thrown while a circuit is open
+ * @param {CircuitBreaker} breaker - Open breaker
+ * @param {Error} cause - Last dependency error, if any
+ * @returns {Error} CircuitOpenError
+ */
+function createCircuitOpenError(breaker, cause) {
+  const error = new Error(`Circuit for ${breaker.name} is open; failing fast`);
+  error.name = 'CircuitOpenError';
+  error.dependency = breaker.name;
+  error.retryAfterMs = breaker.getRetryAfterMs();
+  if (cause) {
+    error.cause = cause;
+  }
+  return error;
+}
+
+/**
+ * Circuit breaker for one dependency. Opens after failureThreshold consecutive
+ * dependency failures, lets halfOpenMaxCalls trial requests through after
+ * resetTimeoutMs, and closes again on the first trial that succeeds.
+ * Only throttling and transient errors count as failures: validation, auth and
+ * conflict errors mean the dependency answered.
+ */
+class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = { ...DEFAULT_CIRCUIT_BREAKER_OPTIONS, ...options };
+    this.reset();
+  }
+
+  /**
+   * Return the breaker to the closed state and clear its counters
+   */
+  reset() {
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.totalFailures = 0;
+    this.rejected = 0;
+    this.openedAt = null;
+    this.halfOpenCalls = 0;
+    this.lastError = null;
+    this.lastFailureAt = null;
+  }
+
+  /**
+   * Current state, moving an open breaker to half-open once its timeout passed
+   * @returns {string} One of CIRCUIT_STATES
+   */
+  getState() {
+    if (this.state === CIRCUIT_STATES.OPEN && Date.now() - this.openedAt >= this.options.resetTimeoutMs) {
+      this.state = CIRCUIT_STATES.HALF_OPEN;
+      this.halfOpenCalls = 0;
+    }
+    return this.state;
+  }
+
+  /**
+   * Milliseconds until an open breaker lets a trial request through
+   * @returns {number} Delay, 0 unless open
+   */
+  getRetryAfterMs() {
+    if (this.getState() !== CIRCUIT_STATES.OPEN) {
+      return 0;
+    }
+    return Math.max(this.openedAt + this.options.resetTimeoutMs - Date.now(), 0);
+  }
+
+  /**
+   * Reserve a request slot
+   * @param {Error} lastError - Error to attach as cause when rejecting
+   * @throws {Error} CircuitOpenError when the breaker is open or its trial slots are taken
+   */
+  acquire(lastError) {
+    const state = this.getState();
+
+    if (state === CIRCUIT_STATES.OPEN ||
+      (state === CIRCUIT_STATES.HALF_OPEN && this.halfOpenCalls >= this.options.halfOpenMaxCalls)) {
+      this.rejected += 1;
+      throw createCircuitOpenError(this, lastError);
+    }
+
+    if (state === CIRCUIT_STATES.HALF_OPEN) {
+      this.halfOpenCalls += 1;
+    }
+  }
+
+  /**
+   * Record a request the dependency answered
+   */
+  recordSuccess() {
+    this.consecutiveFailures = 0;
+
+    if (this.state !== CIRCUIT_STATES.CLOSED) {
+      this.state = CIRCUIT_STATES.CLOSED;
+      this.openedAt = null;
+      this.halfOpenCalls = 0;
+    }
+  }
+
+  /**
+   * Record a dependency failure
+   * @param {Error} error - Error thrown by send()
+   */
+  recordFailure(error) {
+    this.consecutiveFailures += 1;
+    this.totalFailures += 1;
+    this.lastError = error?.name || 'Error';
+    this.lastFailureAt = Date.now();
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN || this.consecutiveFailures >= this.options.failureThreshold) {
+      this.state = CIRCUIT_STATES.OPEN;
+      this.openedAt = Date.now();
+      this.halfOpenCalls = 0;
+    }
+  }
+
+  /**
+   * Record the outcome of a request
+   * @param {Error} error - Error thrown by send(), or null on success
+   */
+  record(error) {
+    if (error && isRetryableError(error)) {
+      this.recordFailure(error);
+    } else {
+      this.recordSuccess();
+    }
+  }
+
+  /**
+   * Snapshot for health checks
+   * @returns {Object} Breaker status
+   */
+  toJSON() {
+    const state = this.getState();
+
+    return {
+      state,
+      consecutiveFailures: this.consecutiveFailures,
+      totalFailures: this.totalFailures,
+      rejected: this.rejected,
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt ? new Date(this.lastFailureAt).toISOString() : null,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAfterMs: this.getRetryAfterMs()
+    };
+  }
+}
+
+/**
+ * Create a standalone circuit breaker
+ * @param {string} name - Dependency name
+ * @param {Object} options - { failureThreshold, resetTimeoutMs, halfOpenMaxCalls }
+ * @returns {CircuitBreaker} Circuit breaker
+ */
+function createCircuitBreaker(name, options = {}) {
+  return new CircuitBreaker(name, options);
+}
+
+/**
+ * Get (or create) the shared circuit breaker for a dependency.
+ * Options only apply when the breaker is created.
+ * @param {string} dependency - Dependency name (e.g. 'dynamodb', 'cognito')
+ * @param {Object} options - { failureThreshold, resetTimeoutMs, halfOpenMaxCalls }
+ * @returns {CircuitBreaker} Circuit breaker
+ */
+function getCircuitBreaker(dependency, options = {}) {
+  if (!dependency || typeof dependency !== 'string') {
+    throw new Error('Circuit breaker dependency must be a non-empty string');
+  }
+
+  if (!circuitBreakers.has(dependency)) {
+    circuitBreakers.set(dependency, createCircuitBreaker(dependency, options));
+  }
+
+  return circuitBreakers.get(dependency);
+}
+
+/**
+ * Get the state of one dependency's breaker
+ * @param {string} dependency - Dependency name
+ * @returns {Object|null} Breaker status, or null when no breaker exists
+ */
+function getCircuitBreakerState(dependency) {
+  const breaker = circuitBreakers.get(dependency);
+  return breaker ? breaker.toJSON() : null;
+}
+
+/**
+ * Get the state of every breaker
+ * @returns {Object} Breaker status keyed by dependency name
+ */
+function getCircuitBreakerStates() {
+  const states = {};
+
+  circuitBreakers.forEach((breaker, dependency) => {
+    states[dependency] = breaker.toJSON();
+  });
+
+  return states;
+}
+
+/**
+ * Remove circuit breakers (primarily for testing)
+ * @param {string} dependency - Breaker to remove; all breakers when omitted
+ */
+function resetCircuitBreakers(dependency) {
+  if (dependency) {
+    circuitBreakers.delete(dependency);
+  } else {
+    circuitBreakers.clear();
+  }
+}
+
+/**
+ * Send a command with classified retries and a circuit breaker
+ * @param {Object} client - AWS SDK client (or Document client)
+ * @param {Object} command - Command instance
+ * @param {Object} options - Resilience options
+ * @param {string} options.dependency - Breaker name (e.g. 'dynamodb'); no breaker when omitted
+ * @param {number} options.maxRetries - Retries after the SDK gives up (default: 3)
+ * @param {number} options.baseDelayMs - Backoff base for transient errors (default: 100)
+ * @param {number} options.throttlingBaseDelayMs - Backoff base for throttling (default: 500)
+ * @param {number} options.maxDelayMs - Backoff ceiling cap (default: 5000)
+ * @param {Object} options.circuitBreaker - Breaker options used when it is created
+ * @param {Object} options.sendOptions - Options passed to send() (e.g. abortSignal)
+ * @returns {Promise<Object>} Command output
+ * @throws {Error} The last SDK error, tagged with errorCategory, or CircuitOpenError
+ */
+async function resilientSend(client, command, options = {}) {
+  const settings = { ...DEFAULT_RETRY_OPTIONS, ...options };
+  const breaker = settings.dependency ? getCircuitBreaker(settings.dependency, settings.circuitBreaker) : null;
+  let lastError = null;
+
+  for (let attempt = 0; ; attempt += 1) {
+    if (breaker) {
+      breaker.acquire(lastError);
+    }
+
+    try {
+      const output = await client.send(command, settings.sendOptions);
+      if (breaker) {
+        breaker.record(null);
+      }
+      return output;
+    } catch (error) {
+      if (breaker) {
+        breaker.record(error);
+      }
+
+      const category = classifyError(error);
+      error.errorCategory = category;
+      lastError = error;
+
+      if (attempt >= settings.maxRetries || !isRetryableError(error) || settings.sendOptions?.abortSignal?.aborted) {
+        throw error;
+      }
+
+      await sleep(getBackoffDelay(attempt + 1, {
+        baseDelayMs: category === ERROR_CATEGORIES.THROTTLING ? settings.throttlingBaseDelayMs : settings.baseDelayMs,
+        maxDelayMs: settings.maxDelayMs
+      }));
+    }
+  }
+}
+
+/**
+ * Wrap a client so every send() goes through resilientSend. The wrapper
+ * inherits from the client, so config and middlewareStack stay reachable.
+ * @param {Object} client - AWS SDK client (or Document client)
+ * @param {Object} options - resilientSend options; dependency names the breaker
+ * @returns {Object} Client whose send() retries and fails fast while the circuit is open
+ */
+function withResilience(client, options = {}) {
+  if (!client || typeof client.send !== 'function') {
+    throw new Error('withResilience requires a client with a send() method');
+  }
+
+  const wrapped = Object.create(client);
+
+  wrapped.send = (command, sendOptions) => resilientSend(client, command, {
+    ...options,
+    sendOptions: sendOptions || options.sendOptions
+  });
+
+  return wrapped;
+}
+
+module.exports = {
+  // Primary functions
+  resilientSend,
+  withResilience,
+  classifyError,
+
+  // Circuit breakers
+  CircuitBreaker,
+  createCircuitBreaker,
+  getCircuitBreaker,
+  getCircuitBreakerState,
+  getCircuitBreakerStates,
+  resetCircuitBreakers,
+
+  // Utilities
+  isRetryableError,
+  getBackoffDelay,
+  sleep,
+
+  // Constants
+  ERROR_CATEGORIES,
+  CIRCUIT_STATES,
+  DEFAULT_RETRY_OPTIONS,
+  DEFAULT_CIRCUIT_BREAKER_OPTIONS
+};
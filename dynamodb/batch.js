@@ -0,0 +1,248 @@
+'use strict';
+
+/**
+ * Chunked BatchGet / BatchWrite with unprocessed-item retry
+ * - Splits requests into DynamoDB's per-call limits (100 keys, 25 writes),
+ *   across tables
+ * - Re-sends UnprocessedKeys / UnprocessedItems with exponential backoff and
+ *   full jitter
+ * - Throws BatchUnprocessedError with whatever is still unprocessed once
+ *   retries are exhausted, instead of dropping it
+ */
+
+const { BatchGetCommand, BatchWriteCommand } = require('@aws-sdk/lib-dynamodb');
+const { getDynamoDbClient } = require('../clients/aws-clients');
+const { getBackoffDelay: backoffDelay, sleep } = require('../clients/resilience');
+const { createError } = require('./errors');
+
+// DynamoDB per-call limits
+const MAX_BATCH_GET_KEYS = 100;
+const MAX_BATCH_WRITE_ITEMS = 25;
+
+/**
+ * Default retry settings for unprocessed items
+ */
+const DEFAULT_BATCH_RETRY = {
+  maxRetries: 8,
+  baseDelayMs: 50,
+  maxDelayMs: 5000
+};
+
+/**
+ * Backoff delay for an unprocessed-item retry (exponential, full jitter, batch defaults)
+ * @param {number} attempt - Retry attempt, starting at 1
+ * @param {Object} options - { baseDelayMs, maxDelayMs }
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(attempt, options = {}) {
+  return backoffDelay(attempt, { ...DEFAULT_BATCH_RETRY, ...options });
+}
+
+/**
+ * Send queued requests in chunks until all are processed or retries run out.
+ * Requests are { tableName, request } pairs; sendChunk returns the unprocessed ones.
+ * @param {Object[]} queue - Requests
+ * @param {number} chunkSize - Requests per call
+ * @param {Function} sendChunk - async (requests) => unprocessed requests
+ * @param {Object} options - Retry options
+ * @returns {Promise<Object>} { calls, retries, unprocessed }
+ */
+async function processQueue(queue, chunkSize, sendChunk, options = {}) {
+  const retry = { ...DEFAULT_BATCH_RETRY, ...options };
+  const pending = [...queue];
+  let calls = 0;
+  let retries = 0;
+  let attempt = 0;
+
+  while (pending.length > 0) {
+    const chunk = pending.splice(0, chunkSize);
+    const unprocessed = await sendChunk(chunk);
+    calls += 1;
+
+    if (unprocessed.length === 0) {
+      attempt = 0;
+      continue;
+    }
+
+    // Unprocessed requests go back to the front so they are retried first
+    pending.unshift(...unprocessed);
+    attempt += 1;
+
+    if (attempt > retry.maxRetries) {
+      return { calls, retries, unprocessed: pending };
+    }
+
+    retries += 1;
+    await sleep(getBackoffDelay(attempt, retry));
+  }
+
+  return { calls, retries, unprocessed: [] };
+}
+
+/**
+ * Group { tableName, request } pairs by table
+ * @param {Object[]} requests - Requests
+ * @returns {Object} Requests by table name
+ */
+function groupByTable(requests) {
+  const grouped = {};
+  requests.forEach(({ tableName, request }) => {
+    (grouped[tableName] = grouped[tableName] || []).push(request);
+  });
+  return grouped;
+}
+
+/**
+ * Get items in chunks of 100 keys, retrying UnprocessedKeys
+ * @param {Object} requestItems - BatchGet RequestItems: { [table]: { Keys, ProjectionExpression, ... } }
+ * @param {Object} options - Batch options
+ * @param {Object} options.client - Document client (default: getDynamoDbClient())
+ * @param {number} options.maxRetries - Retries while keys remain unprocessed (default: 8)
+ * @param {number} options.baseDelayMs - First backoff ceiling (default: 50)
+ * @param {number} options.maxDelayMs - Backoff ceiling cap (default: 5000)
+ * @returns {Promise<Object>} { responses: { [table]: items }, calls, retries }
+ */
+async function batchGetItems(requestItems, options = {}) {
+  const client = options.client || getDynamoDbClient();
+  const tableOptions = {};
+  const queue = [];
+  const responses = {};
+
+  Object.entries(requestItems || {}).forEach(([tableName, { Keys = [], ...rest }]) => {
+    tableOptions[tableName] = rest;
+    responses[tableName] = [];
+    Keys.forEach(key => queue.push({ tableName, request: key }));
+  });
+
+  const result = await processQueue(queue, MAX_BATCH_GET_KEYS, async chunk => {
+    const RequestItems = {};
+    Object.entries(groupByTable(chunk)).forEach(([tableName, keys]) => {
+      RequestItems[tableName] = { ...tableOptions[tableName], Keys: keys };
+    });
+
+    const output = await client.send(new BatchGetCommand({ RequestItems }));
+
+    Object.entries(output.Responses || {}).forEach(([tableName, items]) => {
+      responses[tableName].push(...items);
+    });
+
+    return Object.entries(output.UnprocessedKeys || {}).flatMap(([tableName, { Keys = [] }]) =>
+      Keys.map(key => ({ tableName, request: key }))
+    );
+  }, options);
+
+  if (result.unprocessed.length > 0) {
+    const unprocessedKeys = {};
+    Object.entries(groupByTable(result.unprocessed)).forEach(([tableName, keys]) => {
+      unprocessedKeys[tableName] = { ...tableOptions[tableName], Keys: keys };
+    });
+
+    throw createError(
+      'BatchUnprocessedError',
+      `BatchGet left ${result.unprocessed.length} keys unprocessed after ${result.retries} retries`,
+      { unprocessedKeys, responses }
+    );
+  }
+
+  return { responses, calls: result.calls, retries: result.retries };
+}
+
+/**
+ * Write items in chunks of 25 requests, retrying UnprocessedItems
+ * @param {Object} requestItems - BatchWrite RequestItems: { [table]: [{ PutRequest } | { DeleteRequest }] }
+ * @param {Object} options - See batchGetItems()
+ * @returns {Promise<Object>} { calls, retries }
+ */
+async function batchWriteItems(requestItems, options = {}) {
+  const client = options.client || getDynamoDbClient();
+  const queue = [];
+
+  Object.entries(requestItems || {}).forEach(([tableName, requests]) => {
+    requests.forEach(request => queue.push({ tableName, request }));
+  });
+
+  const result = await processQueue(queue, MAX_BATCH_WRITE_ITEMS, async chunk => {
+    const output = await client.send(new BatchWriteCommand({ RequestItems: groupByTable(chunk) }));
+
+    return Object.entries(output.UnprocessedItems || {}).flatMap(([tableName, requests]) =>
+      requests.map(request => ({ tableName, request }))
+    );
+  }, options);
+
+  if (result.unprocessed.length > 0) {
+    throw createError(
+      'BatchUnprocessedError',
+      `BatchWrite left ${result.unprocessed.length} items unprocessed after ${result.retries} retries`,
+      { unprocessedItems: groupByTable(result.unprocessed) }
+    );
+  }
+
+  return { calls: result.calls, retries: result.retries };
+}
+
+/**
+ * Get items from one table by key
+ * @param {string} tableName - Table name
+ * @param {Object[]} keys - Keys (must be unique)
+ * @param {Object} options - See batchGetItems(), plus projectionExpression,
+ *   expressionAttributeNames and consistentRead
+ * @returns {Promise<Object[]>} Items found (in no particular order)
+ */
+async function batchGet(tableName, keys, options = {}) {
+  const request = { Keys: keys };
+
+  if (options.projectionExpression) {
+    request.ProjectionExpression = options.projectionExpression;
+    request.ExpressionAttributeNames = options.expressionAttributeNames;
+  }
+  if (options.consistentRead) {
+    request.ConsistentRead = true;
+  }
+
+  const { responses } = await batchGetItems({ [tableName]: request }, options);
+
+  return responses[tableName];
+}
+
+/**
+ * Put items into one table
+ * @param {string} tableName - Table name
+ * @param {Object[]} items - Items
+ * @param {Object} options - See batchGetItems()
+ * @returns {Promise<Object>} { calls, retries }
+ */
+function batchPut(tableName, items, options = {}) {
+  return batchWriteItems({
+    [tableName]: items.map(item => ({ PutRequest: { Item: item } }))
+  }, options);
+}
+
+/**
+ * Delete items from one table by key
+ * @param {string} tableName - Table name
+ * @param {Object[]} keys - Keys
+ * @param {Object} options - See batchGetItems()
+ * @returns {Promise<Object>} { calls, retries }
+ */
+function batchDelete(tableName, keys, options = {}) {
+  return batchWriteItems({
+    [tableName]: keys.map(key => ({ DeleteRequest: { Key: key } }))
+  }, options);
+}
+
+module.exports = {
+  // Primary functions
+  batchGetItems,
+  batchWriteItems,
+  batchGet,
+  batchPut,
+  batchDelete,
+
+  // Utilities
+  getBackoffDelay,
+
+  // Constants
+  MAX_BATCH_GET_KEYS,
+  MAX_BATCH_WRITE_ITEMS,
+  DEFAULT_BATCH_RETRY
+};
@@ -0,0 +1,617 @@
+'use strict';
+
+/**
+ * Single-table entity definitions for multi-tenant ERP data
+ * - Key templates ('ORG#{organizationId}') instead of hand-built keys
+ * - GSI key mappings written alongside the item
+ * - Entity type stored on every item and checked on read
+ * - get/put/delete/query helpers on top of getDynamoDbClient()
+ * - Every operation takes the tenant (organization) id first; partition keys
+ *   must contain it, so a query cannot read across tenants
+ */
+
+const {
+  GetCommand,
+  PutCommand,
+  DeleteCommand,
+  QueryCommand
+} = require('@aws-sdk/lib-dynamodb');
+const { getDynamoDbClient } = require('../clients/aws-clients');
+const { createError } = require('./errors');
+const { queryItems } = require('./pagination');
+const { putVersioned, deleteVersioned, DEFAULT_VERSION_ATTRIBUTE } = require('./versioning');
+
+// Attribute holding the tenant id on every item
+const DEFAULT_TENANT_ATTRIBUTE = 'organizationId';
+
+// Attribute holding the entity type on every item
+const ENTITY_TYPE_ATTRIBUTE = 'entityType';
+
+// Separator used between key template segments
+const KEY_SEPARATOR = '#';
+
+// Attribute types accepted in entity definitions
+const ATTRIBUTE_TYPES = ['string', 'number', 'boolean', 'object', 'array'];
+
+const PLACEHOLDER_PATTERN = /\{([A-Za-z0-9_]+)\}/g;
+
+// Defined entities keyed by type
+const entityRegistry = new Map();
+
+/**
+ * Parse a key template into literal and placeholder segments
+ * @param {string} template - Template such as 'ORG#{organizationId}#USER#{userId}'
+ * @returns {Object} { template, segments, fields }
+ */
+function parseKeyTemplate(template) {
+  if (typeof template !== 'string' || template.length === 0) {
+    throw new Error('Key template must be a non-empty string');
+  }
+
+  const segments = [];
+  const fields = [];
+  let lastIndex = 0;
+
+  template.replace(PLACEHOLDER_PATTERN, (match, field, offset) => {
+    if (offset > lastIndex) {
+      segments.push({ literal: template.slice(lastIndex, offset) });
+    }
+    segments.push({ field });
+    fields.push(field);
+    lastIndex = offset + match.length;
+    return match;
+  });
+
+  if (lastIndex < template.length) {
+    segments.push({ literal: template.slice(lastIndex) });
+  }
+
+  return { template, segments, fields };
+}
+
+/**
+ * Format a parsed key template with values
+ * @param {Object} parsed - Result of parseKeyTemplate()
+ * @param {Object} values - Values for the placeholders
+ * @param {Object} options - Formatting options
+ * @param {boolean} options.partial - Return the prefix up to the first missing value instead of throwing
+ * @returns {Object} { value, complete }
+ */
+function formatKeyTemplate(parsed, values, options = {}) {
+  let value = '';
+
+  for (const segment of parsed.segments) {
+    if (segment.literal !== undefined) {
+      value += segment.literal;
+      continue;
+    }
+
+    const fieldValue = values[segment.field];
+    if (fieldValue === undefined || fieldValue === null || fieldValue === '') {
+      if (options.partial) {
+        return { value, complete: false };
+      }
+      throw createError(
+        'EntityValidationError',
+        `Missing value for {${segment.field}} in key template ${parsed.template}`,
+        { errors: [`${segment.field} is required`] }
+      );
+    }
+
+    value += String(fieldValue);
+  }
+
+  return { value, complete: true };
+}
+
+/**
+ * Get the type of a value as used in entity attribute definitions
+ * @param {*} value - Value
+ * @returns {string} Attribute type
+ */
+function getAttributeType(value) {
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Parse a key mapping ({ PK: template, SK: template }; partition key first)
+ * @param {Object} mapping - Attribute name to template
+ * @param {string} label - Name used in error messages
+ * @returns {Object} { partition, sort }
+ */
+function parseKeyMapping(mapping, label) {
+  const entries = Object.entries(mapping || {});
+
+  if (entries.length < 1 || entries.length > 2) {
+    throw new Error(`${label} must map a partition key and an optional sort key to templates`);
+  }
+
+  const [partition, sort] = entries.map(([attribute, template]) => ({
+    attribute,
+    ...parseKeyTemplate(template)
+  }));
+
+  return { partition, sort: sort || null };
+}
+
+/**
+ * A single-table entity type
+ */
+class Entity {
+  /**
+   * @param {Object} definition - Entity definition
+   * @param {string} definition.type - Entity type stored on every item (e.g. 'User')
+   * @param {Object} definition.key - Table key templates, partition key first:
+   *   { PK: 'ORG#{organizationId}', SK: 'USER#{userId}' }
+   * @param {Object} definition.indexes - GSI key templates per index:
+   *   { GSI1: { GSI1PK: 'ORG#{organizationId}#EMAIL#{email}', GSI1SK: 'USER#{userId}' } }
+   * @param {Object} definition.attributes - Attribute types: { email: 'string', active: 'boolean' }
+   * @param {string[]} definition.required - Attributes required on put
+   * @param {string} definition.tenantAttribute - Tenant id attribute (default: organizationId)
+   * @param {boolean} definition.versioned - Optimistic locking on the `version` attribute (see versioning.js)
+   * @param {string} definition.tableName - Table name (default: DYNAMODB_TABLE_NAME at call time)
+   * @param {Object} definition.client - Document client (default: getDynamoDbClient() at call time)
+   */
+  constructor(definition = {}) {
+    if (typeof definition.type !== 'string' || definition.type.length === 0) {
+      throw new Error('Entity type must be a non-empty string');
+    }
+
+    this.type = definition.type;
+    this.tenantAttribute = definition.tenantAttribute || DEFAULT_TENANT_ATTRIBUTE;
+    this.key = parseKeyMapping(definition.key, `Entity ${this.type} key`);
+    this.indexes = {};
+    this.attributes = { ...definition.attributes };
+    this.required = [...(definition.required || [])];
+    this.tableName = definition.tableName;
+    this.client = definition.client;
+    this.versioned = !!definition.versioned;
+
+    if (this.versioned) {
+      this.attributes[DEFAULT_VERSION_ATTRIBUTE] = 'number';
+    }
+
+    Object.entries(definition.indexes || {}).forEach(([indexName, mapping]) => {
+      this.indexes[indexName] = parseKeyMapping(mapping, `Entity ${this.type} index ${indexName}`);
+    });
+
+    this.assertTenantScoped(this.key.partition, 'key');
+    Object.entries(this.indexes).forEach(([indexName, index]) => {
+      this.assertTenantScoped(index.partition, `index ${indexName}`);
+    });
+
+    Object.entries(this.attributes).forEach(([attribute, type]) => {
+      if (!ATTRIBUTE_TYPES.includes(type)) {
+        throw new Error(`Entity ${this.type} attribute ${attribute} has unsupported type ${type}`);
+      }
+    });
+  }
+
+  /**
+   * Require the tenant placeholder in a partition key template
+   * @param {Object} partition - Parsed partition key
+   * @param {string} label - Name used in error messages
+   */
+  assertTenantScoped(partition, label) {
+    if (!partition.fields.includes(this.tenantAttribute)) {
+      throw new Error(
+        `Entity ${this.type} ${label} partition template ${partition.template} must include {${this.tenantAttribute}}`
+      );
+    }
+  }
+
+  /**
+   * Merge the tenant id into key values, rejecting a conflicting tenant
+   * @param {string} organizationId - Tenant id
+   * @param {Object} values - Key or item values
+   * @returns {Object} Values with the tenant attribute set
+   */
+  scopeValues(organizationId, values = {}) {
+    if (typeof organizationId !== 'string' || organizationId.length === 0) {
+      throw createError('TenantScopeError', `${this.tenantAttribute} is required for ${this.type} operations`);
+    }
+    if (organizationId.includes(KEY_SEPARATOR)) {
+      throw createError('TenantScopeError', `${this.tenantAttribute} must not contain '${KEY_SEPARATOR}'`);
+    }
+
+    const current = values[this.tenantAttribute];
+    if (current !== undefined && current !== organizationId) {
+      throw createError(
+        'TenantScopeError',
+        `${this.type} belongs to ${this.tenantAttribute} ${current}, not ${organizationId}`
+      );
+    }
+
+    return { ...values, [this.tenantAttribute]: organizationId };
+  }
+
+  /**
+   * Build the table key for an item
+   * @param {string} organizationId - Tenant id
+   * @param {Object} values - Key values
+   * @returns {Object} { PK, SK }
+   */
+  buildKey(organizationId, values = {}) {
+    const scoped = this.scopeValues(organizationId, values);
+    const key = {
+      [this.key.partition.attribute]: formatKeyTemplate(this.key.partition, scoped).value
+    };
+
+    if (this.key.sort) {
+      key[this.key.sort.attribute] = formatKeyTemplate(this.key.sort, scoped).value;
+    }
+
+    return key;
+  }
+
+  /**
+   * Build GSI key attributes for an item. Indexes whose templates cannot be
+   * filled are skipped, which keeps the item out of that (sparse) index.
+   * @param {string} organizationId - Tenant id
+   * @param {Object} values - Item values
+   * @returns {Object} GSI key attributes
+   */
+  buildIndexKeys(organizationId, values = {}) {
+    const scoped = this.scopeValues(organizationId, values);
+    const keys = {};
+
+    Object.values(this.indexes).forEach(index => {
+      const partition = formatKeyTemplate(index.partition, scoped, { partial: true });
+      const sort = index.sort && formatKeyTemplate(index.sort, scoped, { partial: true });
+
+      if (partition.complete && (!sort || sort.complete)) {
+        keys[index.partition.attribute] = partition.value;
+        if (sort) {
+          keys[index.sort.attribute] = sort.value;
+        }
+      }
+    });
+
+    return keys;
+  }
+
+  /**
+   * Validate item data against the attribute definitions
+   * @param {Object} data - Item data
+   * @returns {string[]} Validation errors
+   */
+  validate(data = {}) {
+    const errors = [];
+
+    this.required.forEach(attribute => {
+      if (data[attribute] === undefined || data[attribute] === null) {
+        errors.push(`${attribute} is required`);
+      }
+    });
+
+    Object.entries(this.attributes).forEach(([attribute, type]) => {
+      const value = data[attribute];
+      if (value !== undefined && value !== null && getAttributeType(value) !== type) {
+        errors.push(`${attribute} must be of type ${type}`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Attribute names managed by the entity (table and index keys, entity type)
+   * @returns {string[]} Attribute names
+   */
+  getKeyAttributes() {
+    const attributes = [ENTITY_TYPE_ATTRIBUTE, this.key.partition.attribute];
+
+    if (this.key.sort) {
+      attributes.push(this.key.sort.attribute);
+    }
+    Object.values(this.indexes).forEach(index => {
+      attributes.push(index.partition.attribute);
+      if (index.sort) {
+        attributes.push(index.sort.attribute);
+      }
+    });
+
+    return attributes;
+  }
+
+  /**
+   * Build the stored item: data plus tenant id, entity type, table and GSI keys
+   * @param {string} organizationId - Tenant id
+   * @param {Object} data - Item data
+   * @returns {Object} DynamoDB item
+   */
+  toItem(organizationId, data = {}) {
+    const scoped = this.scopeValues(organizationId, data);
+    const errors = this.validate(scoped);
+
+    if (errors.length > 0) {
+      throw createError('EntityValidationError', `Invalid ${this.type}: ${errors.join(', ')}`, { errors });
+    }
+
+    return {
+      ...scoped,
+      [ENTITY_TYPE_ATTRIBUTE]: this.type,
+      ...this.buildIndexKeys(organizationId, scoped),
+      ...this.buildKey(organizationId, scoped)
+    };
+  }
+
+  /**
+   * Strip key attributes and the entity type from a stored item
+   * @param {Object} item - DynamoDB item
+   * @returns {Object|null} Entity data
+   */
+  fromItem(item) {
+    if (!item) {
+      return null;
+    }
+
+    const data = { ...item };
+    this.getKeyAttributes().forEach(attribute => {
+      delete data[attribute];
+    });
+    return data;
+  }
+
+  /**
+   * Check that a stored item belongs to this entity type and tenant
+   * @param {Object} item - DynamoDB item
+   * @param {string} organizationId - Tenant id
+   * @returns {boolean} True when the item matches
+   */
+  ownsItem(item, organizationId) {
+    return !!item &&
+      item[ENTITY_TYPE_ATTRIBUTE] === this.type &&
+      item[this.tenantAttribute] === organizationId;
+  }
+
+  /**
+   * Resolve the table name
+   * @param {Object} options - Operation options
+   * @returns {string} Table name
+   */
+  getTableName(options = {}) {
+    const tableName = options.tableName || this.tableName || process.env.DYNAMODB_TABLE_NAME;
+
+    if (!tableName) {
+      throw new Error(`No table name for ${this.type}: set DYNAMODB_TABLE_NAME or pass tableName`);
+    }
+
+    return tableName;
+  }
+
+  /**
+   * Resolve the Document client
+   * @param {Object} options - Operation options
+   * @returns {Object} Document client
+   */
+  getClient(options = {}) {
+    return options.client || this.client || getDynamoDbClient();
+  }
+
+  /**
+   * Get an entity by key
+   * @param {string} organizationId - Tenant id
+   * @param {Object} keyValues - Key values (e.g. { userId })
+   * @param {Object} options - { tableName, client, consistentRead }
+   * @returns {Promise<Object|null>} Entity data, or null if not found
+   */
+  async get(organizationId, keyValues = {}, options = {}) {
+    const result = await this.getClient(options).send(new GetCommand({
+      TableName: this.getTableName(options),
+      Key: this.buildKey(organizationId, keyValues),
+      ConsistentRead: options.consistentRead
+    }));
+
+    return this.ownsItem(result.Item, organizationId) ? this.fromItem(result.Item) : null;
+  }
+
+  /**
+   * Put an entity. Versioned entities write only if the stored version still
+   * equals data.version (absent for new entities) and return the next version;
+   * a lost race throws VersionConflictError.
+   * @param {string} organizationId - Tenant id
+   * @param {Object} data - Entity data
+   * @param {Object} options - { tableName, client, ifNotExists }
+   * @returns {Promise<Object>} Stored entity data
+   */
+  async put(organizationId, data = {}, options = {}) {
+    const item = this.toItem(organizationId, data);
+    const input = {
+      TableName: this.getTableName(options),
+      Item: item
+    };
+
+    if (options.ifNotExists) {
+      input.ConditionExpression = 'attribute_not_exists(#pk)';
+      input.ExpressionAttributeNames = { '#pk': this.key.partition.attribute };
+    }
+
+    if (this.versioned) {
+      const result = await putVersioned(input, { client: this.getClient(options) });
+      return this.fromItem(result.item);
+    }
+
+    await this.getClient(options).send(new PutCommand(input));
+
+    return this.fromItem(item);
+  }
+
+  /**
+   * Delete an entity by key
+   * @param {string} organizationId - Tenant id
+   * @param {Object} keyValues - Key values
+   * @param {Object} options - { tableName, client, expectedVersion }
+   * @returns {Promise<Object|null>} Deleted entity data, or null if it did not exist
+   */
+  async delete(organizationId, keyValues = {}, options = {}) {
+    const input = {
+      TableName: this.getTableName(options),
+      Key: this.buildKey(organizationId, keyValues),
+      ConditionExpression: 'attribute_not_exists(#pk) OR (#type = :type AND #tenant = :tenant)',
+      ExpressionAttributeNames: {
+        '#pk': this.key.partition.attribute,
+        '#type': ENTITY_TYPE_ATTRIBUTE,
+        '#tenant': this.tenantAttribute
+      },
+      ExpressionAttributeValues: {
+        ':type': this.type,
+        ':tenant': organizationId
+      },
+      ReturnValues: 'ALL_OLD'
+    };
+
+    const result = this.versioned && options.expectedVersion !== undefined
+      ? await deleteVersioned(input, options.expectedVersion, { client: this.getClient(options) })
+      : await this.getClient(options).send(new DeleteCommand(input));
+
+    return this.fromItem(result.Attributes);
+  }
+
+  /**
+   * Build QueryCommand input for the table or an index. The partition key is
+   * always fully built (so always tenant-scoped); the sort key becomes an
+   * equality when all its values are given, otherwise begins_with on the
+   * template prefix up to the first missing value.
+   * @param {string} organizationId - Tenant id
+   * @param {Object} options - Query options
+   * @param {string} options.index - GSI name (default: table)
+   * @param {Object} options.values - Key values
+   * @param {number} options.limit - Limit
+   * @param {Object} options.exclusiveStartKey - ExclusiveStartKey from a previous page
+   * @param {boolean} options.scanIndexForward - Sort order (default: true)
+   * @param {boolean} options.consistentRead - Consistent read (table only)
+   * @returns {Object} QueryCommand input
+   */
+  buildQuery(organizationId, options = {}) {
+    const keyMapping = options.index ? this.indexes[options.index] : this.key;
+
+    if (!keyMapping) {
+      throw new Error(`Entity ${this.type} has no index ${options.index}`);
+    }
+
+    const values = this.scopeValues(organizationId, options.values);
+    const names = {
+      '#pk': keyMapping.partition.attribute,
+      '#type': ENTITY_TYPE_ATTRIBUTE
+    };
+    const expressionValues = {
+      ':pk': formatKeyTemplate(keyMapping.partition, values).value,
+      ':type': this.type
+    };
+    let keyCondition = '#pk = :pk';
+
+    if (keyMapping.sort) {
+      const sort = formatKeyTemplate(keyMapping.sort, values, { partial: true });
+
+      if (sort.complete || sort.value) {
+        names['#sk'] = keyMapping.sort.attribute;
+        expressionValues[':sk'] = sort.value;
+        keyCondition += sort.complete ? ' AND #sk = :sk' : ' AND begins_with(#sk, :sk)';
+      }
+    }
+
+    return {
+      TableName: this.getTableName(options),
+      IndexName: options.index,
+      KeyConditionExpression: keyCondition,
+      FilterExpression: '#type = :type',
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: expressionValues,
+      Limit: options.limit,
+      ExclusiveStartKey: options.exclusiveStartKey,
+      ScanIndexForward: options.scanIndexForward,
+      ConsistentRead: options.consistentRead
+    };
+  }
+
+  /**
+   * Query one page of entities within a tenant
+   * @param {string} organizationId - Tenant id
+   * @param {Object} options - See buildQuery(), plus { tableName, client }
+   * @returns {Promise<Object>} { items, lastEvaluatedKey }
+   */
+  async query(organizationId, options = {}) {
+    const result = await this.getClient(options).send(new QueryCommand(this.buildQuery(organizationId, options)));
+
+    return {
+      items: (result.Items || [])
+        .filter(item => this.ownsItem(item, organizationId))
+        .map(item => this.fromItem(item)),
+      lastEvaluatedKey: result.LastEvaluatedKey
+    };
+  }
+
+  /**
+   * Iterate over all matching entities within a tenant, following LastEvaluatedKey
+   * @param {string} organizationId - Tenant id
+   * @param {Object} options - See buildQuery(), plus { tableName, client, pageSize, limit }
+   * @yields {Object} Entity data
+   */
+  async* iterate(organizationId, options = {}) {
+    const input = this.buildQuery(organizationId, { ...options, limit: options.pageSize });
+    const items = queryItems(input, { client: this.getClient(options), limit: options.limit });
+
+    for await (const item of items) {
+      if (this.ownsItem(item, organizationId)) {
+        yield this.fromItem(item);
+      }
+    }
+  }
+}
+
+/**
+ * Define and register an entity type
+ * @param {Object} definition - See Entity
+ * @returns {Entity} Entity
+ */
+function defineEntity(definition) {
+  const entity = new Entity(definition);
+  entityRegistry.set(entity.type, entity);
+  return entity;
+}
+
+/**
+ * Get a defined entity by type
+ * @param {string} type - Entity type
+ * @returns {Entity|undefined} Entity
+ */
+function getEntity(type) {
+  return entityRegistry.get(type);
+}
+
+/**
+ * Get the types of all defined entities
+ * @returns {string[]} Entity types
+ */
+function getEntityTypes() {
+  return Array.from(entityRegistry.keys());
+}
+
+/**
+ * Convert a stored item to entity data using its entityType attribute
+ * @param {Object} item - DynamoDB item
+ * @returns {Object|null} { type, data }, or null for unknown types
+ */
+function parseItem(item) {
+  const entity = item && entityRegistry.get(item[ENTITY_TYPE_ATTRIBUTE]);
+  return entity ? { type: entity.type, data: entity.fromItem(item) } : null;
+}
+
+module.exports = {
+  // Primary functions
+  defineEntity,
+  getEntity,
+  getEntityTypes,
+  parseItem,
+  Entity,
+
+  // Utilities
+  parseKeyTemplate,
+  formatKeyTemplate,
+
+  // Constants
+  DEFAULT_TENANT_ATTRIBUTE,
+  ENTITY_TYPE_ATTRIBUTE,
+  ATTRIBUTE_TYPES
+};
@@ -0,0 +1,25 @@
+'use strict';
+
+/**
+ * Errors raised by the DynamoDB helpers
+ * - Plain Error instances tagged with a name, like the SDK's service exceptions,
+ *   so callers can branch on error.name
+ */
+
+/**
+ * Create a named error
+ * @param {string} name - Error name
+ * @param {string} message - Error message
+ * @param {Object} extra - Additional properties
+ * @returns {Error} Error
+ */
+function createError(name, message, extra = {}) {
+  const error = new Error(message);
+  error.name = name;
+  Object.assign(error, extra);
+  return error;
+}
+
+module.exports = {
+  createError
+};
@@ -0,0 +1,446 @@
+'use strict';
+
+/**
+ * Expression builder for DynamoDB Update/Condition/Filter/KeyCondition expressions
+ * - Plain objects map attribute paths to values or operators:
+ *   { name: 'Acme', loginCount: add(1), legacy: remove() }
+ * - Every attribute name goes through ExpressionAttributeNames, so reserved
+ *   words (name, status, ...) need no special handling
+ * - buildExpressions() shares one set of placeholders across the update,
+ *   condition, filter, key condition and projection of a single command
+ * - Output spreads straight into lib-dynamodb command input
+ */
+
+// Marks operator objects so they can't be confused with map values
+const OPERATOR = Symbol('dynamodbExpressionOperator');
+
+const COMPARATORS = {
+  eq: '=',
+  ne: '<>',
+  lt: '<',
+  lte: '<=',
+  gt: '>',
+  gte: '>='
+};
+
+const PATH_SEGMENT_PATTERN = /^([^[\]]+)((?:\[\d+\])*)$/;
+
+/**
+ * Create an operator object
+ * @param {string} type - Operator type
+ * @param {Object} params - Operator parameters
+ * @returns {Object} Operator
+ */
+function operator(type, params = {}) {
+  return { [OPERATOR]: type, ...params };
+}
+
+/**
+ * Check whether a value is an operator object
+ * @param {*} value - Value
+ * @returns {boolean} True for operators
+ */
+function isOperator(value) {
+  return !!value && typeof value === 'object' && OPERATOR in value;
+}
+
+// Update operators
+
+/**
+ * SET attribute = value
+ * @param {*} value - Value
+ * @returns {Object} Operator
+ */
+function set(value) {
+  return operator('set', { value });
+}
+
+/**
+ * REMOVE attribute
+ * @returns {Object} Operator
+ */
+function remove() {
+  return operator('remove');
+}
+
+/**
+ * ADD attribute value (numbers are incremented, sets are unioned)
+ * @param {number|Set} value - Number or Set
+ * @returns {Object} Operator
+ */
+function add(value) {
+  return operator('add', { value });
+}
+
+/**
+ * SET attribute = list_append(attribute, values), creating the list if missing
+ * @param {Array} values - Values to append
+ * @returns {Object} Operator
+ */
+function append(values) {
+  return operator('append', { value: values });
+}
+
+/**
+ * SET attribute = if_not_exists(attribute, value)
+ * @param {*} value - Value used when the attribute does not exist
+ * @returns {Object} Operator
+ */
+function ifNotExists(value) {
+  return operator('ifNotExists', { value });
+}
+
+// Condition operators
+
+/**
+ * Build a comparison operator factory
+ * @param {string} type - Comparator key in COMPARATORS
+ * @returns {Function} value => operator
+ */
+function comparison(type) {
+  return value => operator('compare', { comparator: COMPARATORS[type], value });
+}
+
+const eq = comparison('eq');
+const ne = comparison('ne');
+const lt = comparison('lt');
+const lte = comparison('lte');
+const gt = comparison('gt');
+const gte = comparison('gte');
+
+/**
+ * attribute BETWEEN low AND high
+ * @param {*} low - Lower bound
+ * @param {*} high - Upper bound
+ * @returns {Object} Operator
+ */
+function between(low, high) {
+  return operator('between', { low, high });
+}
+
+/**
+ * begins_with(attribute, prefix)
+ * @param {string} prefix - Prefix
+ * @returns {Object} Operator
+ */
+function beginsWith(prefix) {
+  return operator('beginsWith', { value: prefix });
+}
+
+/**
+ * contains(attribute, value)
+ * @param {*} value - Substring or set/list element
+ * @returns {Object} Operator
+ */
+function contains(value) {
+  return operator('contains', { value });
+}
+
+/**
+ * attribute_exists(attribute)
+ * @returns {Object} Operator
+ */
+function attributeExists() {
+  return operator('attributeExists');
+}
+
+/**
+ * attribute_not_exists(attribute)
+ * @returns {Object} Operator
+ */
+function attributeNotExists() {
+  return operator('attributeNotExists');
+}
+
+/**
+ * Allocates placeholders for one command. Names are reused per attribute;
+ * every value gets its own placeholder.
+ */
+class ExpressionContext {
+  constructor() {
+    this.names = {};
+    this.values = {};
+    this.namePlaceholders = new Map();
+    this.usedPlaceholders = new Set();
+  }
+
+  /**
+   * Pick an unused placeholder based on a readable stem
+   * @param {string} prefix - '#' or ':'
+   * @param {string} stem - Attribute name
+   * @returns {string} Placeholder
+   */
+  allocate(prefix, stem) {
+    const base = `${prefix}${stem.replace(/[^A-Za-z0-9_]/g, '_') || 'attr'}`;
+    let placeholder = base;
+    let suffix = 1;
+
+    while (this.usedPlaceholders.has(placeholder)) {
+      placeholder = `${base}_${suffix}`;
+      suffix += 1;
+    }
+
+    this.usedPlaceholders.add(placeholder);
+    return placeholder;
+  }
+
+  /**
+   * Escape an attribute path ('address.city', 'items[0].qty')
+   * @param {string} path - Attribute path
+   * @returns {string} Path with name placeholders
+   */
+  path(path) {
+    if (typeof path !== 'string' || path.length === 0) {
+      throw new Error('Attribute path must be a non-empty string');
+    }
+
+    return path.split('.').map(segment => {
+      const match = PATH_SEGMENT_PATTERN.exec(segment);
+      if (!match) {
+        throw new Error(`Invalid attribute path: ${path}`);
+      }
+
+      const [, name, indexes] = match;
+      if (!this.namePlaceholders.has(name)) {
+        const placeholder = this.allocate('#', name);
+        this.namePlaceholders.set(name, placeholder);
+        this.names[placeholder] = name;
+      }
+
+      return `${this.namePlaceholders.get(name)}${indexes}`;
+    }).join('.');
+  }
+
+  /**
+   * Add a value placeholder
+   * @param {string} path - Attribute path the value belongs to (for readable placeholders)
+   * @param {*} value - Value
+   * @returns {string} Placeholder
+   */
+  value(path, value) {
+    const placeholder = this.allocate(':', path.split('.').pop().replace(/\[\d+\]/g, ''));
+    this.values[placeholder] = value;
+    return placeholder;
+  }
+
+  /**
+   * Expression attribute maps, omitting empty ones (DynamoDB rejects them)
+   * @returns {Object} { ExpressionAttributeNames, ExpressionAttributeValues }
+   */
+  toParams() {
+    const params = {};
+    if (Object.keys(this.names).length > 0) {
+      params.ExpressionAttributeNames = this.names;
+    }
+    if (Object.keys(this.values).length > 0) {
+      params.ExpressionAttributeValues = this.values;
+    }
+    return params;
+  }
+}
+
+/**
+ * Compile an update object into an UpdateExpression
+ * @param {Object} update - { path: value | set() | remove() | add() | append() | ifNotExists() }
+ * @param {ExpressionContext} context - Placeholder context
+ * @returns {string} UpdateExpression
+ */
+function compileUpdate(update, context) {
+  const clauses = { SET: [], REMOVE: [], ADD: [] };
+
+  Object.entries(update || {}).forEach(([path, entry]) => {
+    if (entry === undefined) {
+      return;
+    }
+
+    const type = isOperator(entry) ? entry[OPERATOR] : 'set';
+    const value = isOperator(entry) ? entry.value : entry;
+    const name = context.path(path);
+
+    switch (type) {
+    case 'set':
+      clauses.SET.push(`${name} = ${context.value(path, value)}`);
+      break;
+    case 'ifNotExists':
+      clauses.SET.push(`${name} = if_not_exists(${name}, ${context.value(path, value)})`);
+      break;
+    case 'append': {
+      const empty = context.value(`${path}_empty`, []);
+      clauses.SET.push(`${name} = list_append(if_not_exists(${name}, ${empty}), ${context.value(path, value)})`);
+      break;
+    }
+    case 'add':
+      clauses.ADD.push(`${name} ${context.value(path, value)}`);
+      break;
+    case 'remove':
+      clauses.REMOVE.push(name);
+      break;
+    default:
+      throw new Error(`Operator ${type} cannot be used in an update (${path})`);
+    }
+  });
+
+  const expression = Object.entries(clauses)
+    .filter(([, actions]) => actions.length > 0)
+    .map(([clause, actions]) => `${clause} ${actions.join(', ')}`)
+    .join(' ');
+
+  if (!expression) {
+    throw new Error('Update has no actions');
+  }
+
+  return expression;
+}
+
+/**
+ * Compile one condition on an attribute
+ * @param {string} path - Attribute path
+ * @param {*} entry - Value (equality) or condition operator
+ * @param {ExpressionContext} context - Placeholder context
+ * @returns {string} Condition
+ */
+function compileComparison(path, entry, context) {
+  const name = context.path(path);
+
+  if (!isOperator(entry)) {
+    return `${name} = ${context.value(path, entry)}`;
+  }
+
+  switch (entry[OPERATOR]) {
+  case 'compare':
+    return `${name} ${entry.comparator} ${context.value(path, entry.value)}`;
+  case 'between':
+    return `${name} BETWEEN ${context.value(path, entry.low)} AND ${context.value(path, entry.high)}`;
+  case 'beginsWith':
+    return `begins_with(${name}, ${context.value(path, entry.value)})`;
+  case 'contains':
+    return `contains(${name}, ${context.value(path, entry.value)})`;
+  case 'attributeExists':
+    return `attribute_exists(${name})`;
+  case 'attributeNotExists':
+    return `attribute_not_exists(${name})`;
+  default:
+    throw new Error(`Operator ${entry[OPERATOR]} cannot be used in a condition (${path})`);
+  }
+}
+
+/**
+ * Compile a condition object (AND of its entries) or an array of condition
+ * objects (OR of the groups)
+ * @param {Object|Object[]} condition - { path: value | operator | operator[] }
+ * @param {ExpressionContext} context - Placeholder context
+ * @returns {string} Condition expression
+ */
+function compileCondition(condition, context) {
+  if (Array.isArray(condition)) {
+    const groups = condition.map(group => compileCondition(group, context));
+    return groups.length > 1 ? groups.map(group => `(${group})`).join(' OR ') : groups[0];
+  }
+
+  const parts = [];
+  Object.entries(condition || {}).forEach(([path, entry]) => {
+    if (entry === undefined) {
+      return;
+    }
+    (Array.isArray(entry) && entry.every(isOperator) ? entry : [entry])
+      .forEach(item => parts.push(compileComparison(path, item, context)));
+  });
+
+  if (parts.length === 0) {
+    throw new Error('Condition has no clauses');
+  }
+
+  return parts.join(' AND ');
+}
+
+/**
+ * Build expression parameters for a single command
+ * @param {Object} expressions - Expressions to build
+ * @param {Object} expressions.update - Update object -> UpdateExpression
+ * @param {Object|Object[]} expressions.condition - Condition -> ConditionExpression
+ * @param {Object|Object[]} expressions.filter - Condition -> FilterExpression
+ * @param {Object} expressions.keyCondition - Key condition -> KeyConditionExpression
+ * @param {string[]} expressions.projection - Attribute paths -> ProjectionExpression
+ * @returns {Object} Expression parameters to spread into command input
+ */
+function buildExpressions(expressions = {}) {
+  const context = new ExpressionContext();
+  const params = {};
+
+  if (expressions.keyCondition) {
+    params.KeyConditionExpression = compileCondition(expressions.keyCondition, context);
+  }
+  if (expressions.update) {
+    params.UpdateExpression = compileUpdate(expressions.update, context);
+  }
+  if (expressions.condition) {
+    params.ConditionExpression = compileCondition(expressions.condition, context);
+  }
+  if (expressions.filter) {
+    params.FilterExpression = compileCondition(expressions.filter, context);
+  }
+  if (expressions.projection) {
+    params.ProjectionExpression = expressions.projection.map(path => context.path(path)).join(', ');
+  }
+
+  return { ...params, ...context.toParams() };
+}
+
+/**
+ * Build an UpdateExpression with its attribute maps
+ * @param {Object} update - Update object
+ * @returns {Object} { UpdateExpression, ExpressionAttributeNames, ExpressionAttributeValues }
+ */
+function buildUpdateExpression(update) {
+  return buildExpressions({ update });
+}
+
+/**
+ * Build a ConditionExpression with its attribute maps
+ * @param {Object|Object[]} condition - Condition
+ * @returns {Object} { ConditionExpression, ExpressionAttributeNames, ExpressionAttributeValues }
+ */
+function buildConditionExpression(condition) {
+  return buildExpressions({ condition });
+}
+
+/**
+ * Build a FilterExpression with its attribute maps
+ * @param {Object|Object[]} filter - Condition
+ * @returns {Object} { FilterExpression, ExpressionAttributeNames, ExpressionAttributeValues }
+ */
+function buildFilterExpression(filter) {
+  return buildExpressions({ filter });
+}
+
+module.exports = {
+  // Primary functions
+  buildExpressions,
+  buildUpdateExpression,
+  buildConditionExpression,
+  buildFilterExpression,
+
+  // Update operators
+  set,
+  remove,
+  add,
+  append,
+  ifNotExists,
+
+  // Condition operators
+  eq,
+  ne,
+  lt,
+  lte,
+  gt,
+  gte,
+  between,
+  beginsWith,
+  contains,
+  attributeExists,
+  attributeNotExists,
+
+  // Utilities
+  isOperator,
+  ExpressionContext
+};
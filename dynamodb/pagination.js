@@ -0,0 +1,160 @@
+'use strict';
+
+/**
+ * Async-iterator pagination for DynamoDB Query and Scan
+ * - Follows LastEvaluatedKey until the result set is exhausted
+ * - pageSize sets Limit on each request; limit caps the number of items yielded
+ * - Stops requesting pages as soon as the caller stops iterating
+ */
+
+const { QueryCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
+const { getDynamoDbClient } = require('../clients/aws-clients');
+
+/**
+ * Iterate over the pages of a Query or Scan
+ * @param {Function} CommandClass - QueryCommand or ScanCommand
+ * @param {Object} input - Command input
+ * @param {Object} options - Pagination options
+ * @param {Object} options.client - Document client (default: getDynamoDbClient())
+ * @param {number} options.pageSize - Limit sent with each request
+ * @param {number} options.maxPages - Stop after this many pages
+ * @yields {Object} { items, count, scannedCount, lastEvaluatedKey }
+ */
+async function* paginate(CommandClass, input, options = {}) {
+  const client = options.client || getDynamoDbClient();
+  let exclusiveStartKey = input.ExclusiveStartKey;
+  let pages = 0;
+
+  do {
+    const result = await client.send(new CommandClass({
+      ...input,
+      ...(options.pageSize && { Limit: options.pageSize }),
+      ExclusiveStartKey: exclusiveStartKey
+    }));
+
+    pages += 1;
+    exclusiveStartKey = result.LastEvaluatedKey;
+
+    yield {
+      items: result.Items || [],
+      count: result.Count || 0,
+      scannedCount: result.ScannedCount || 0,
+      lastEvaluatedKey: result.LastEvaluatedKey
+    };
+  } while (exclusiveStartKey && !(options.maxPages && pages >= options.maxPages));
+}
+
+/**
+ * Iterate over items across pages, stopping after options.limit items
+ * @param {Function} CommandClass - QueryCommand or ScanCommand
+ * @param {Object} input - Command input
+ * @param {Object} options - See paginate(), plus limit
+ * @yields {Object} Item
+ */
+async function* paginateItems(CommandClass, input, options = {}) {
+  const { limit } = options;
+  let yielded = 0;
+
+  if (limit === 0) {
+    return;
+  }
+
+  for await (const page of paginate(CommandClass, input, options)) {
+    for (const item of page.items) {
+      yield item;
+      yielded += 1;
+
+      if (limit && yielded >= limit) {
+        return;
+      }
+    }
+  }
+}
+
+/**
+ * Iterate over Query result pages
+ * @param {Object} input - QueryCommand input
+ * @param {Object} options - { client, pageSize, maxPages }
+ * @returns {AsyncGenerator<Object>} Pages
+ */
+function queryPages(input, options = {}) {
+  return paginate(QueryCommand, input, options);
+}
+
+/**
+ * Iterate over Scan result pages
+ * @param {Object} input - ScanCommand input
+ * @param {Object} options - { client, pageSize, maxPages }
+ * @returns {AsyncGenerator<Object>} Pages
+ */
+function scanPages(input, options = {}) {
+  return paginate(ScanCommand, input, options);
+}
+
+/**
+ * Iterate over Query result items
+ * @param {Object} input - QueryCommand input
+ * @param {Object} options - { client, pageSize, maxPages, limit }
+ * @returns {AsyncGenerator<Object>} Items
+ */
+function queryItems(input, options = {}) {
+  return paginateItems(QueryCommand, input, options);
+}
+
+/**
+ * Iterate over Scan result items
+ * @param {Object} input - ScanCommand input
+ * @param {Object} options - { client, pageSize, maxPages, limit }
+ * @returns {AsyncGenerator<Object>} Items
+ */
+function scanItems(input, options = {}) {
+  return paginateItems(ScanCommand, input, options);
+}
+
+/**
+ * Collect an async iterable into an array
+ * @param {AsyncIterable} iterable - Iterable
+ * @returns {Promise<Array>} Values
+ */
+async function collect(iterable) {
+  const values = [];
+  for await (const value of iterable) {
+    values.push(value);
+  }
+  return values;
+}
+
+/**
+ * Run a Query to completion (or options.limit items)
+ * @param {Object} input - QueryCommand input
+ * @param {Object} options - { client, pageSize, maxPages, limit }
+ * @returns {Promise<Object[]>} Items
+ */
+function queryAll(input, options = {}) {
+  return collect(queryItems(input, options));
+}
+
+/**
+ * Run a Scan to completion (or options.limit items)
+ * @param {Object} input - ScanCommand input
+ * @param {Object} options - { client, pageSize, maxPages, limit }
+ * @returns {Promise<Object[]>} Items
+ */
+function scanAll(input, options = {}) {
+  return collect(scanItems(input, options));
+}
+
+module.exports = {
+  // Primary functions
+  queryItems,
+  scanItems,
+  queryPages,
+  scanPages,
+  queryAll,
+  scanAll,
+
+  // Utilities
+  paginate,
+  paginateItems,
+  collect
+};
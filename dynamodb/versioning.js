@@ -0,0 +1,215 @@
+'use strict';
+
+/**
+ * Optimistic locking for DynamoDB writes
+ * - Items carry a numeric `version` attribute, starting at 1
+ * - Writes add a ConditionExpression on the version the caller last read
+ *   (ANDed with any condition already on the input) and bump it
+ * - A lost race throws VersionConflictError with the expected and current version
+ * - expectedVersion undefined (or 0) means the item must not be versioned yet
+ */
+
+const { PutCommand, UpdateCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const { getDynamoDbClient } = require('../clients/aws-clients');
+const { createError } = require('./errors');
+
+// Attribute holding the item version
+const DEFAULT_VERSION_ATTRIBUTE = 'version';
+
+// Placeholders added to the caller's expression attribute maps
+const VERSION_NAME = '#__version';
+const EXPECTED_VERSION_VALUE = ':__expectedVersion';
+const NEXT_VERSION_VALUE = ':__nextVersion';
+
+/**
+ * Read a version number from an item attribute. Conditional check failures
+ * return the old item in DynamoDB JSON ({ N: '3' }), not unmarshalled.
+ * @param {*} value - Attribute value
+ * @returns {number|null} Version, or null when missing
+ */
+function readVersion(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value === 'object' && value.N !== undefined) {
+    return Number(value.N);
+  }
+  return Number(value);
+}
+
+/**
+ * Add the version condition to a write input
+ * @param {Object} input - Put/Update/Delete command input
+ * @param {number} expectedVersion - Version the caller read (undefined/0 for unversioned items)
+ * @param {Object} options - { versionAttribute }
+ * @returns {Object} New input with ConditionExpression and attribute maps merged
+ */
+function withVersionCondition(input, expectedVersion, options = {}) {
+  const versionAttribute = options.versionAttribute || DEFAULT_VERSION_ATTRIBUTE;
+  const names = { ...input.ExpressionAttributeNames, [VERSION_NAME]: versionAttribute };
+  const values = { ...input.ExpressionAttributeValues };
+  let condition;
+
+  if (expectedVersion) {
+    condition = `${VERSION_NAME} = ${EXPECTED_VERSION_VALUE}`;
+    values[EXPECTED_VERSION_VALUE] = expectedVersion;
+  } else {
+    condition = `attribute_not_exists(${VERSION_NAME})`;
+  }
+
+  return {
+    ...input,
+    ConditionExpression: input.ConditionExpression
+      ? `(${input.ConditionExpression}) AND ${condition}`
+      : condition,
+    ExpressionAttributeNames: names,
+    ...(Object.keys(values).length > 0 && { ExpressionAttributeValues: values }),
+    ReturnValuesOnConditionCheckFailure: 'ALL_OLD'
+  };
+}
+
+/**
+ * Add `SET version = :next` to an update expression, merging into an existing SET clause
+ * @param {string} updateExpression - Update expression (may be empty)
+ * @returns {string} Update expression
+ */
+function addVersionIncrement(updateExpression = '') {
+  const assignment = `${VERSION_NAME} = ${NEXT_VERSION_VALUE}`;
+  const setClause = /(^|\s)SET\s+/i;
+
+  if (setClause.test(updateExpression)) {
+    return updateExpression.replace(setClause, match => `${match}${assignment}, `);
+  }
+
+  return `SET ${assignment} ${updateExpression}`.trim();
+}
+
+/**
+ * Check whether an error is a version conflict
+ * @param {Error} error - Error
+ * @returns {boolean} True for VersionConflictError
+ */
+function isVersionConflict(error) {
+  return error?.name === 'VersionConflictError';
+}
+
+/**
+ * Send a versioned write, turning a lost race into VersionConflictError.
+ * A condition failure where the stored version still matches comes from the
+ * caller's own condition and is rethrown unchanged.
+ * @param {Function} CommandClass - Document client command
+ * @param {Object} input - Command input with the version condition
+ * @param {number} expectedVersion - Version the caller read
+ * @param {Object} options - { client, versionAttribute }
+ * @returns {Promise<Object>} Command output
+ */
+async function sendVersioned(CommandClass, input, expectedVersion, options = {}) {
+  const client = options.client || getDynamoDbClient();
+  const versionAttribute = options.versionAttribute || DEFAULT_VERSION_ATTRIBUTE;
+
+  try {
+    return await client.send(new CommandClass(input));
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') {
+      throw error;
+    }
+
+    const currentVersion = readVersion(error.Item?.[versionAttribute]);
+    if ((currentVersion || null) === (expectedVersion || null)) {
+      throw error;
+    }
+
+    throw createError(
+      'VersionConflictError',
+      `Version conflict on ${input.TableName}: expected version ${expectedVersion || 'none'}, ` +
+        `found ${currentVersion === null ? 'none' : currentVersion}`,
+      {
+        tableName: input.TableName,
+        key: input.Key,
+        expectedVersion: expectedVersion || null,
+        currentVersion,
+        cause: error
+      }
+    );
+  }
+}
+
+/**
+ * Put an item with optimistic locking. The expected version defaults to the
+ * item's own version attribute; the stored item gets the next version.
+ * @param {Object} input - PutCommand input
+ * @param {Object} options - Write options
+ * @param {number} options.expectedVersion - Version the caller read (default: Item.version)
+ * @param {string} options.versionAttribute - Version attribute (default: version)
+ * @param {Object} options.client - Document client (default: getDynamoDbClient())
+ * @returns {Promise<Object>} { item, version }
+ */
+async function putVersioned(input, options = {}) {
+  const versionAttribute = options.versionAttribute || DEFAULT_VERSION_ATTRIBUTE;
+  const expectedVersion = options.expectedVersion !== undefined
+    ? options.expectedVersion
+    : input.Item[versionAttribute];
+  const version = (expectedVersion || 0) + 1;
+  const item = { ...input.Item, [versionAttribute]: version };
+
+  await sendVersioned(
+    PutCommand,
+    withVersionCondition({ ...input, Item: item }, expectedVersion, options),
+    expectedVersion,
+    options
+  );
+
+  return { item, version };
+}
+
+/**
+ * Update an item with optimistic locking, incrementing its version
+ * @param {Object} input - UpdateCommand input
+ * @param {number} expectedVersion - Version the caller read
+ * @param {Object} options - { versionAttribute, client }
+ * @returns {Promise<Object>} UpdateCommand output (ReturnValues defaults to ALL_NEW)
+ */
+function updateVersioned(input, expectedVersion, options = {}) {
+  const versioned = withVersionCondition(input, expectedVersion, options);
+
+  versioned.UpdateExpression = addVersionIncrement(input.UpdateExpression);
+  versioned.ExpressionAttributeValues = {
+    ...versioned.ExpressionAttributeValues,
+    [NEXT_VERSION_VALUE]: (expectedVersion || 0) + 1
+  };
+  versioned.ReturnValues = input.ReturnValues || 'ALL_NEW';
+
+  return sendVersioned(UpdateCommand, versioned, expectedVersion, options);
+}
+
+/**
+ * Delete an item only if it is still at the expected version
+ * @param {Object} input - DeleteCommand input
+ * @param {number} expectedVersion - Version the caller read
+ * @param {Object} options - { versionAttribute, client }
+ * @returns {Promise<Object>} DeleteCommand output
+ */
+function deleteVersioned(input, expectedVersion, options = {}) {
+  return sendVersioned(
+    DeleteCommand,
+    withVersionCondition(input, expectedVersion, options),
+    expectedVersion,
+    options
+  );
+}
+
+module.exports = {
+  // Primary functions
+  putVersioned,
+  updateVersioned,
+  deleteVersioned,
+  isVersionConflict,
+
+  // Utilities
+  withVersionCondition,
+  addVersionIncrement,
+  readVersion,
+
+  // Constants
+  DEFAULT_VERSION_ATTRIBUTE
+};
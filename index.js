@@ -11,24 +11,58 @@
 
 // AWS Clients
 const awsClients = require('./clients/aws-clients');
+const httpHandler = require('./clients/http-handler');
+const instrumentation = require('./clients/instrumentation');
+const resilience = require('./clients/resilience');
+const assumedRole = require('./clients/assumed-role');
+
+// DynamoDB data access
+const entities = require('./dynamodb/entities');
+const pagination = require('./dynamodb/pagination');
+const batch = require('./dynamodb/batch');
+const versioning = require('./dynamodb/versioning');
+const expressions = require('./dynamodb/expressions');
 
 // Utilities
 const environment = require('./utils/environment');
+const envSchema = require('./utils/env-schema');
+const secrets = require('./utils/secrets');
+const redaction = require('./utils/redaction');
 const health = require('./utils/health');
 const logger = require('./utils/logger');
+const idempotency = require('./utils/idempotency');
+const featureFlags = require('./utils/feature-flags');
 
 // Re-export all modules for easy access
 module.exports = {
   // AWS Clients
   clients: {
-    aws: awsClients
+    aws: awsClients,
+    http: httpHandler,
+    instrumentation,
+    resilience,
+    assumedRole
+  },
+
+  // DynamoDB data access
+  dynamodb: {
+    entities,
+    pagination,
+    batch,
+    versioning,
+    expressions
   },
 
   // Utilities
   utils: {
     environment,
+    envSchema,
+    secrets,
+    redaction,
     health,
-    logger
+    logger,
+    idempotency,
+    featureFlags
   },
 
   // Direct exports for convenience (backward compatibility)
@@ -45,5 +79,28 @@ module.exports = {
 module.exports.getCognitoClient = awsClients.getCognitoClient;
 module.exports.getDynamoDbClient = awsClients.getDynamoDbClient;
 module.exports.validateServiceEnvironment = environment.validateServiceEnvironment;
+module.exports.registerServiceEnvironment = environment.registerServiceEnvironment;
+module.exports.getEnvironmentInfo = environment.getEnvironmentInfo;
+module.exports.withInvocationContext = environment.withInvocationContext;
+module.exports.loadConfig = envSchema.loadConfig;
+module.exports.resolveEnvSecrets = secrets.resolveEnvSecrets;
+module.exports.withResolvedSecrets = secrets.withResolvedSecrets;
+module.exports.redact = redaction.redact;
+module.exports.configureRedaction = redaction.configureRedaction;
 module.exports.createHealthCheckResponse = health.createHealthCheckResponse;
-module.exports.Logger = logger;
\ No newline at end of file
+module.exports.Logger = logger;
+module.exports.createLogger = logger.createLogger;
+module.exports.withResilience = resilience.withResilience;
+module.exports.classifyError = resilience.classifyError;
+module.exports.withIdempotency = idempotency.withIdempotency;
+module.exports.defineFeatureFlags = featureFlags.defineFeatureFlags;
+module.exports.isFeatureEnabled = featureFlags.isFeatureEnabled;
+module.exports.defineEntity = entities.defineEntity;
+module.exports.queryItems = pagination.queryItems;
+module.exports.scanItems = pagination.scanItems;
+module.exports.batchGetItems = batch.batchGetItems;
+module.exports.batchWriteItems = batch.batchWriteItems;
+module.exports.putVersioned = versioning.putVersioned;
+module.exports.updateVersioned = versioning.updateVersioned;
+module.exports.isVersionConflict = versioning.isVersionConflict;
+module.exports.buildExpressions = expressions.buildExpressions;
\ No newline at end of file
@@ -2,7 +2,9 @@ module.exports = {
   testEnvironment: 'node',
   collectCoverageFrom: [
     'clients/**/*.js',
+    'dynamodb/**/*.js',
     'utils/**/*.js',
+    'testing/**/*.js',
     'index.js'
   ],
   coverageDirectory: 'coverage',
@@ -42,16 +42,19 @@ global.mockCognitoClient = mockCognitoClient;
 global.mockDynamoClient = mockDynamoClient;
 global.mockDynamoDbDocumentClient = mockDynamoDbDocumentClient;
 
-// Mock AWS SDK modules
+// Mock AWS SDK modules. Only the clients are replaced; command classes stay real
 jest.mock('@aws-sdk/client-cognito-identity-provider', () => ({
+  ...jest.requireActual('@aws-sdk/client-cognito-identity-provider'),
   CognitoIdentityProviderClient: jest.fn(() => mockCognitoClient)
 }));
 
 jest.mock('@aws-sdk/client-dynamodb', () => ({
+  ...jest.requireActual('@aws-sdk/client-dynamodb'),
   DynamoDBClient: jest.fn(() => mockDynamoClient)
 }));
 
 jest.mock('@aws-sdk/lib-dynamodb', () => ({
+  ...jest.requireActual('@aws-sdk/lib-dynamodb'),
   DynamoDBDocumentClient: {
     from: jest.fn(() => mockDynamoDbDocumentClient)
   }
@@ -0,0 +1,26 @@
+'use strict';
+
+/**
+ * AWS-shaped errors for the in-memory fakes
+ * - Same name, $fault and $metadata fields as SDK v3 service exceptions
+ */
+
+/**
+ * Create an error shaped like an AWS SDK service exception
+ * @param {string} name - Exception name
+ * @param {string} message - Error message
+ * @param {Object} extra - Additional properties
+ * @returns {Error} Service exception
+ */
+function createAwsError(name, message, extra = {}) {
+  const error = new Error(message);
+  error.name = name;
+  error.$fault = 'client';
+  error.$metadata = { httpStatusCode: 400, attempts: 1 };
+  Object.assign(error, extra);
+  return error;
+}
+
+module.exports = {
+  createAwsError
+};
@@ -0,0 +1,561 @@
+'use strict';
+
+/**
+ * Stateful in-memory Cognito user pool for tests
+ * - Drop-in for getCognitoClient() via global.mockCognitoClient
+ * - SignUp, ConfirmSignUp, AdminConfirmSignUp, InitiateAuth
+ *   (USER_PASSWORD_AUTH, REFRESH_TOKEN_AUTH), GetUser, AdminGetUser,
+ *   GlobalSignOut, DescribeUserPool
+ * - Issues JWTs signed locally with HS256 (verifyToken() checks them)
+ * - Throws the real exception names (UsernameExistsException, ...)
+ */
+
+const crypto = require('crypto');
+const { createAwsError } = require('./aws-errors');
+
+/**
+ * Default fake user pool settings
+ */
+const DEFAULT_OPTIONS = {
+  userPoolId: 'us-east-1_FakePool',
+  userPoolName: 'fake-user-pool',
+  confirmationCode: '123456',
+  tokenExpiresIn: 3600,
+  passwordMinLength: 8
+};
+
+/**
+ * Command names handled by the fake, mapped to handler methods
+ */
+const COMMAND_HANDLERS = {
+  SignUpCommand: 'signUp',
+  ConfirmSignUpCommand: 'confirmSignUp',
+  AdminConfirmSignUpCommand: 'adminConfirmSignUp',
+  InitiateAuthCommand: 'initiateAuth',
+  GetUserCommand: 'getUserByToken',
+  AdminGetUserCommand: 'adminGetUser',
+  GlobalSignOutCommand: 'globalSignOut',
+  DescribeUserPoolCommand: 'describeUserPool'
+};
+
+/**
+ * Create an InvalidParameterException
+ * @param {string} message - Error message
+ * @returns {Error} Invalid parameter error
+ */
+function invalidParameter(message) {
+  return createAwsError('InvalidParameterException', message);
+}
+
+/**
+ * Base64url-encode a JSON value
+ * @param {Object} value - Value
+ * @returns {string} Encoded segment
+ */
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Convert Cognito AttributeType list to a plain object
+ * @param {Array} attributes - [{ Name, Value }]
+ * @returns {Object} Attributes by name
+ */
+function attributesToObject(attributes = []) {
+  const result = {};
+  attributes.forEach(({ Name, Value }) => {
+    result[Name] = Value;
+  });
+  return result;
+}
+
+/**
+ * Convert a plain attribute object to a Cognito AttributeType list
+ * @param {Object} attributes - Attributes by name
+ * @returns {Array} [{ Name, Value }]
+ */
+function objectToAttributes(attributes) {
+  return Object.entries(attributes).map(([Name, Value]) => ({ Name, Value }));
+}
+
+/**
+ * Mask a delivery destination the way Cognito does (j***@e***)
+ * @param {string} destination - Email address or phone number
+ * @returns {string} Masked destination
+ */
+function maskDestination(destination) {
+  const [local, domain] = String(destination).split('@');
+  if (!domain) {
+    return `+*******${local.slice(-4)}`;
+  }
+  return `${local[0]}***@${domain[0]}***`;
+}
+
+/**
+ * In-memory Cognito Identity Provider client
+ */
+class CognitoFake {
+  /**
+   * @param {Object} options - Fake options
+   * @param {string} options.userPoolId - User pool id (default: us-east-1_FakePool)
+   * @param {string} options.clientId - App client id; any ClientId is accepted when unset
+   * @param {boolean} options.autoConfirm - Confirm users on sign-up (default: false)
+   * @param {string} options.confirmationCode - Code accepted by ConfirmSignUp (default: 123456)
+   * @param {number} options.tokenExpiresIn - Access/id token lifetime in seconds (default: 3600)
+   * @param {number} options.passwordMinLength - Minimum password length (default: 8)
+   * @param {string} options.signingSecret - HS256 secret (default: random per fake)
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.signingSecret = options.signingSecret || crypto.randomBytes(32).toString('hex');
+    this.users = new Map();
+    this.refreshTokens = new Map();
+    this.issuedTokens = new Map();
+    this.revokedTokens = new Set();
+    this.commands = [];
+    this.config = {
+      region: this.options.userPoolId.split('_')[0],
+      isFake: true
+    };
+  }
+
+  /**
+   * Send a Cognito command
+   * @param {Object} command - client-cognito-identity-provider command instance
+   * @returns {Promise<Object>} Command output
+   */
+  async send(command) {
+    const commandName = command?.constructor?.name;
+    const handler = COMMAND_HANDLERS[commandName];
+
+    if (!handler) {
+      throw invalidParameter(`CognitoFake does not support ${commandName || 'this command'}`);
+    }
+
+    const input = { ...command.input };
+    this.commands.push({ name: commandName, input });
+
+    const output = this[handler](input);
+
+    return {
+      ...output,
+      $metadata: { httpStatusCode: 200, attempts: 1 }
+    };
+  }
+
+  /**
+   * Issuer claim for tokens issued by this pool
+   * @returns {string} Issuer URL
+   */
+  get issuer() {
+    return `https://cognito-idp.${this.config.region}.amazonaws.com/${this.options.userPoolId}`;
+  }
+
+  /**
+   * Reject unknown app clients when a clientId is configured
+   * @param {string} clientId - ClientId from the request
+   */
+  checkClient(clientId) {
+    if (!clientId) {
+      throw invalidParameter('ClientId is required');
+    }
+    if (this.options.clientId && clientId !== this.options.clientId) {
+      throw createAwsError('ResourceNotFoundException', `User pool client ${clientId} does not exist.`);
+    }
+  }
+
+  /**
+   * Reject requests for a different user pool
+   * @param {string} userPoolId - UserPoolId from the request
+   */
+  checkUserPool(userPoolId) {
+    if (userPoolId !== this.options.userPoolId) {
+      throw createAwsError('ResourceNotFoundException', `User pool ${userPoolId} does not exist.`);
+    }
+  }
+
+  /**
+   * Look up a stored user (usernames are case-insensitive)
+   * @param {string} username - Username
+   * @returns {Object|undefined} Stored user
+   */
+  findUser(username) {
+    return username ? this.users.get(String(username).toLowerCase()) : undefined;
+  }
+
+  /**
+   * Look up a stored user or throw UserNotFoundException
+   * @param {string} username - Username
+   * @returns {Object} Stored user
+   */
+  requireUser(username) {
+    const user = this.findUser(username);
+    if (!user) {
+      throw createAwsError('UserNotFoundException', 'User does not exist.');
+    }
+    return user;
+  }
+
+  /**
+   * Store a new user
+   * @param {Object} params - User parameters
+   * @param {string} params.username - Username
+   * @param {string} params.password - Password
+   * @param {Object} params.attributes - Attributes by name (email, name, custom:*)
+   * @param {boolean} params.confirmed - Create the user as CONFIRMED
+   * @returns {Object} Stored user
+   */
+  createUser({ username, password, attributes = {}, confirmed = true }) {
+    if (!username) {
+      throw invalidParameter('Username is required');
+    }
+    if (this.findUser(username)) {
+      throw createAwsError('UsernameExistsException', 'User already exists');
+    }
+    if (!password || password.length < this.options.passwordMinLength) {
+      throw createAwsError(
+        'InvalidPasswordException',
+        'Password did not conform with policy: Password not long enough'
+      );
+    }
+
+    const sub = crypto.randomUUID();
+    const user = {
+      username,
+      sub,
+      password,
+      attributes: { ...attributes, sub },
+      status: confirmed ? 'CONFIRMED' : 'UNCONFIRMED',
+      enabled: true,
+      createdAt: new Date()
+    };
+
+    this.users.set(username.toLowerCase(), user);
+    return user;
+  }
+
+  /**
+   * SignUpCommand
+   * @param {Object} input - Command input
+   * @returns {Object} Command output
+   */
+  signUp(input) {
+    this.checkClient(input.ClientId);
+
+    const attributes = attributesToObject(input.UserAttributes);
+    const user = this.createUser({
+      username: input.Username,
+      password: input.Password,
+      attributes,
+      confirmed: !!this.options.autoConfirm
+    });
+
+    const output = {
+      UserConfirmed: user.status === 'CONFIRMED',
+      UserSub: user.sub
+    };
+
+    if (!output.UserConfirmed && attributes.email) {
+      output.CodeDeliveryDetails = {
+        Destination: maskDestination(attributes.email),
+        DeliveryMedium: 'EMAIL',
+        AttributeName: 'email'
+      };
+    }
+
+    return output;
+  }
+
+  /**
+   * ConfirmSignUpCommand
+   * @param {Object} input - Command input
+   * @returns {Object} Command output
+   */
+  confirmSignUp(input) {
+    this.checkClient(input.ClientId);
+    const user = this.requireUser(input.Username);
+
+    if (input.ConfirmationCode !== this.options.confirmationCode) {
+      throw createAwsError('CodeMismatchException', 'Invalid verification code provided, please try again.');
+    }
+    if (user.status === 'CONFIRMED') {
+      throw createAwsError('NotAuthorizedException', 'User cannot be confirmed. Current status is CONFIRMED');
+    }
+
+    user.status = 'CONFIRMED';
+    return {};
+  }
+
+  /**
+   * AdminConfirmSignUpCommand
+   * @param {Object} input - Command input
+   * @returns {Object} Command output
+   */
+  adminConfirmSignUp(input) {
+    this.checkUserPool(input.UserPoolId);
+    this.confirmUser(input.Username);
+    return {};
+  }
+
+  /**
+   * InitiateAuthCommand
+   * @param {Object} input - Command input
+   * @returns {Object} Command output
+   */
+  initiateAuth(input) {
+    this.checkClient(input.ClientId);
+    const params = input.AuthParameters || {};
+
+    if (input.AuthFlow === 'USER_PASSWORD_AUTH') {
+      const user = this.findUser(params.USERNAME);
+
+      if (!user || user.password !== params.PASSWORD) {
+        throw createAwsError('NotAuthorizedException', 'Incorrect username or password.');
+      }
+      if (!user.enabled) {
+        throw createAwsError('NotAuthorizedException', 'User is disabled.');
+      }
+      if (user.status !== 'CONFIRMED') {
+        throw createAwsError('UserNotConfirmedException', 'User is not confirmed.');
+      }
+
+      const refreshToken = crypto.randomBytes(48).toString('base64url');
+      this.refreshTokens.set(refreshToken, { username: user.username, clientId: input.ClientId });
+
+      return {
+        ChallengeParameters: {},
+        AuthenticationResult: {
+          ...this.issueTokens(user, input.ClientId),
+          RefreshToken: refreshToken
+        }
+      };
+    }
+
+    if (input.AuthFlow === 'REFRESH_TOKEN_AUTH' || input.AuthFlow === 'REFRESH_TOKEN') {
+      const session = this.refreshTokens.get(params.REFRESH_TOKEN);
+      const user = session && this.findUser(session.username);
+
+      if (!user || session.clientId !== input.ClientId) {
+        throw createAwsError('NotAuthorizedException', 'Invalid Refresh Token');
+      }
+
+      return {
+        ChallengeParameters: {},
+        AuthenticationResult: this.issueTokens(user, input.ClientId)
+      };
+    }
+
+    throw invalidParameter(`Unsupported AuthFlow: ${input.AuthFlow}`);
+  }
+
+  /**
+   * GetUserCommand
+   * @param {Object} input - Command input
+   * @returns {Object} Command output
+   */
+  getUserByToken(input) {
+    const claims = this.verifyToken(input.AccessToken, 'access');
+    const user = this.findUser(claims.username);
+
+    if (!user) {
+      throw createAwsError('NotAuthorizedException', 'Invalid Access Token');
+    }
+
+    return {
+      Username: user.username,
+      UserAttributes: objectToAttributes(user.attributes)
+    };
+  }
+
+  /**
+   * AdminGetUserCommand
+   * @param {Object} input - Command input
+   * @returns {Object} Command output
+   */
+  adminGetUser(input) {
+    this.checkUserPool(input.UserPoolId);
+    const user = this.requireUser(input.Username);
+
+    return {
+      Username: user.username,
+      UserAttributes: objectToAttributes(user.attributes),
+      UserStatus: user.status,
+      Enabled: user.enabled,
+      UserCreateDate: user.createdAt
+    };
+  }
+
+  /**
+   * GlobalSignOutCommand - revokes the user's refresh and access tokens
+   * @param {Object} input - Command input
+   * @returns {Object} Command output
+   */
+  globalSignOut(input) {
+    const claims = this.verifyToken(input.AccessToken, 'access');
+
+    this.refreshTokens.forEach((session, token) => {
+      if (session.username === claims.username) {
+        this.refreshTokens.delete(token);
+      }
+    });
+    (this.issuedTokens.get(claims.username) || []).forEach(jti => this.revokedTokens.add(jti));
+    this.issuedTokens.delete(claims.username);
+
+    return {};
+  }
+
+  /**
+   * DescribeUserPoolCommand (used by readiness probes)
+   * @param {Object} input - Command input
+   * @returns {Object} Command output
+   */
+  describeUserPool(input) {
+    this.checkUserPool(input.UserPoolId);
+
+    return {
+      UserPool: {
+        Id: this.options.userPoolId,
+        Name: this.options.userPoolName,
+        Status: 'Enabled',
+        EstimatedNumberOfUsers: this.users.size
+      }
+    };
+  }
+
+  /**
+   * Issue access and id tokens for a user
+   * @param {Object} user - Stored user
+   * @param {string} clientId - App client id
+   * @returns {Object} AuthenticationResult fields
+   */
+  issueTokens(user, clientId) {
+    const now = Math.floor(Date.now() / 1000);
+    const expiresIn = this.options.tokenExpiresIn;
+    const common = {
+      sub: user.sub,
+      iss: this.issuer,
+      iat: now,
+      auth_time: now,
+      exp: now + expiresIn,
+      jti: crypto.randomUUID()
+    };
+
+    if (!this.issuedTokens.has(user.username)) {
+      this.issuedTokens.set(user.username, new Set());
+    }
+    this.issuedTokens.get(user.username).add(common.jti);
+
+    return {
+      AccessToken: this.signToken({
+        ...common,
+        token_use: 'access',
+        client_id: clientId,
+        username: user.username,
+        scope: 'aws.cognito.signin.user.admin'
+      }),
+      IdToken: this.signToken({
+        ...user.attributes,
+        ...common,
+        token_use: 'id',
+        aud: clientId,
+        'cognito:username': user.username
+      }),
+      ExpiresIn: expiresIn,
+      TokenType: 'Bearer'
+    };
+  }
+
+  /**
+   * Sign a JWT with the fake's HS256 secret
+   * @param {Object} claims - Token claims
+   * @returns {string} Signed JWT
+   */
+  signToken(claims) {
+    const unsigned = `${encodeSegment({ alg: 'HS256', typ: 'JWT', kid: 'cognito-fake' })}.${encodeSegment(claims)}`;
+    const signature = crypto.createHmac('sha256', this.signingSecret).update(unsigned).digest('base64url');
+    return `${unsigned}.${signature}`;
+  }
+
+  /**
+   * Verify a token issued by this fake and return its claims
+   * @param {string} token - JWT
+   * @param {string} tokenUse - Expected token_use ('access' or 'id'), optional
+   * @returns {Object} Token claims
+   */
+  verifyToken(token, tokenUse) {
+    const invalid = () => createAwsError('NotAuthorizedException', `Invalid ${tokenUse === 'id' ? 'Id' : 'Access'} Token`);
+    const [header, payload, signature] = String(token || '').split('.');
+
+    if (!header || !payload || !signature) {
+      throw invalid();
+    }
+
+    const expected = crypto.createHmac('sha256', this.signingSecret).update(`${header}.${payload}`).digest();
+    const actual = Buffer.from(signature, 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      throw invalid();
+    }
+
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+
+    if (tokenUse && claims.token_use !== tokenUse) {
+      throw invalid();
+    }
+    if (claims.exp <= Math.floor(Date.now() / 1000)) {
+      throw createAwsError('NotAuthorizedException', 'Access Token has expired');
+    }
+    if (this.revokedTokens.has(claims.jti)) {
+      throw createAwsError('NotAuthorizedException', 'Access Token has been revoked');
+    }
+
+    return claims;
+  }
+
+  /**
+   * Mark a user as CONFIRMED
+   * @param {string} username - Username
+   * @returns {Object} Stored user
+   */
+  confirmUser(username) {
+    const user = this.requireUser(username);
+    user.status = 'CONFIRMED';
+    return user;
+  }
+
+  /**
+   * Get a stored user (including password and status) for assertions
+   * @param {string} username - Username
+   * @returns {Object|undefined} Stored user
+   */
+  getUser(username) {
+    return this.findUser(username);
+  }
+
+  /**
+   * Remove all users, sessions and recorded commands
+   */
+  reset() {
+    this.users.clear();
+    this.refreshTokens.clear();
+    this.issuedTokens.clear();
+    this.revokedTokens.clear();
+    this.commands = [];
+  }
+}
+
+/**
+ * Create an in-memory Cognito user pool
+ * @param {Object} options - See CognitoFake
+ * @returns {CognitoFake} Fake client
+ */
+function createCognitoFake(options = {}) {
+  return new CognitoFake(options);
+}
+
+module.exports = {
+  CognitoFake,
+  createCognitoFake,
+
+  // Constants
+  DEFAULT_OPTIONS
+};
@@ -0,0 +1,930 @@
+'use strict';
+
+/**
+ * DynamoDB expression parser and evaluator for the in-memory fake
+ * - Condition, filter and key condition expressions
+ * - Update expressions (SET, REMOVE, ADD, DELETE)
+ * - Projection expressions
+ * - Resolves ExpressionAttributeNames / ExpressionAttributeValues
+ */
+
+const { createAwsError } = require('./aws-errors');
+
+const KEYWORDS = ['AND', 'OR', 'NOT', 'BETWEEN', 'IN'];
+const UPDATE_CLAUSES = ['SET', 'REMOVE', 'ADD', 'DELETE'];
+const COMPARATORS = ['=', '<>', '<', '<=', '>', '>='];
+
+/**
+ * Create a ValidationException
+ * @param {string} message - Error message
+ * @returns {Error} Validation error
+ */
+function validationError(message) {
+  return createAwsError('ValidationException', message);
+}
+
+/**
+ * Check for a Set without relying on instanceof (values may come from another realm)
+ * @param {*} value - Value
+ * @returns {boolean} True for sets
+ */
+function isSet(value) {
+  return Object.prototype.toString.call(value) === '[object Set]';
+}
+
+/**
+ * Check for binary values (Buffer / Uint8Array)
+ * @param {*} value - Value
+ * @returns {boolean} True for binary values
+ */
+function isBinary(value) {
+  return ArrayBuffer.isView(value);
+}
+
+/**
+ * Deep copy a DynamoDB value (maps, lists, sets and binary included)
+ * @param {*} value - Value to copy
+ * @returns {*} Copy
+ */
+function cloneValue(value) {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (isSet(value)) {
+    return new Set(Array.from(value, cloneValue));
+  }
+  if (isBinary(value)) {
+    return Buffer.from(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(cloneValue);
+  }
+
+  const copy = {};
+  Object.keys(value).forEach(key => {
+    copy[key] = cloneValue(value[key]);
+  });
+  return copy;
+}
+
+/**
+ * Split an expression into tokens
+ * @param {string} expression - Expression string
+ * @returns {Object[]} Tokens with type and value
+ */
+function tokenize(expression) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < expression.length) {
+    const char = expression[index];
+
+    if (/\s/.test(char)) {
+      index += 1;
+      continue;
+    }
+
+    const twoChars = expression.slice(index, index + 2);
+    if (['<>', '<=', '>='].includes(twoChars)) {
+      tokens.push({ type: 'op', value: twoChars });
+      index += 2;
+      continue;
+    }
+
+    if ('=<>+-(),.[]'.includes(char)) {
+      tokens.push({ type: 'op', value: char });
+      index += 1;
+      continue;
+    }
+
+    const match = /^[#:]?[A-Za-z0-9_]+/.exec(expression.slice(index));
+    if (!match) {
+      throw validationError(`Invalid expression: unexpected character '${char}' in "${expression}"`);
+    }
+
+    const word = match[0];
+    if (word.startsWith('#')) {
+      tokens.push({ type: 'name', value: word });
+    } else if (word.startsWith(':')) {
+      tokens.push({ type: 'value', value: word });
+    } else if (/^[0-9]+$/.test(word)) {
+      tokens.push({ type: 'number', value: Number(word) });
+    } else {
+      tokens.push({ type: 'word', value: word });
+    }
+
+    index += word.length;
+  }
+
+  return tokens;
+}
+
+/**
+ * Token stream with lookahead helpers
+ */
+class TokenStream {
+  constructor(expression) {
+    this.expression = expression;
+    this.tokens = tokenize(expression);
+    this.position = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.position + offset];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  done() {
+    return this.position >= this.tokens.length;
+  }
+
+  isOp(value, offset = 0) {
+    const token = this.peek(offset);
+    return !!token && token.type === 'op' && token.value === value;
+  }
+
+  isKeyword(value, offset = 0) {
+    const token = this.peek(offset);
+    return !!token && token.type === 'word' && token.value.toUpperCase() === value;
+  }
+
+  expectOp(value) {
+    const token = this.next();
+    if (!token || token.type !== 'op' || token.value !== value) {
+      throw validationError(`Invalid expression: expected '${value}' in "${this.expression}"`);
+    }
+  }
+
+  expectKeyword(value) {
+    if (!this.isKeyword(value)) {
+      throw validationError(`Invalid expression: expected ${value} in "${this.expression}"`);
+    }
+    this.next();
+  }
+}
+
+/**
+ * Parse a document path (a.b[0].#c)
+ * @param {TokenStream} stream - Token stream
+ * @returns {Object} Path node
+ */
+function parsePath(stream) {
+  const first = stream.next();
+
+  if (!first || (first.type !== 'word' && first.type !== 'name')) {
+    throw validationError(`Invalid expression: expected attribute path in "${stream.expression}"`);
+  }
+
+  const segments = [{ type: first.type, value: first.value }];
+
+  for (;;) {
+    if (stream.isOp('.')) {
+      stream.next();
+      const token = stream.next();
+      if (!token || (token.type !== 'word' && token.type !== 'name')) {
+        throw validationError(`Invalid expression: expected attribute name in "${stream.expression}"`);
+      }
+      segments.push({ type: token.type, value: token.value });
+    } else if (stream.isOp('[')) {
+      stream.next();
+      const token = stream.next();
+      if (!token || token.type !== 'number') {
+        throw validationError(`Invalid expression: expected list index in "${stream.expression}"`);
+      }
+      stream.expectOp(']');
+      segments.push({ type: 'index', value: token.value });
+    } else {
+      break;
+    }
+  }
+
+  return { type: 'path', segments };
+}
+
+/**
+ * Parse function arguments
+ * @param {TokenStream} stream - Token stream
+ * @param {Function} parseArgument - Argument parser
+ * @returns {Object[]} Argument nodes
+ */
+function parseArguments(stream, parseArgument) {
+  const args = [];
+  stream.expectOp('(');
+
+  if (!stream.isOp(')')) {
+    args.push(parseArgument(stream));
+    while (stream.isOp(',')) {
+      stream.next();
+      args.push(parseArgument(stream));
+    }
+  }
+
+  stream.expectOp(')');
+  return args;
+}
+
+/**
+ * Parse an operand (path, value placeholder or size())
+ * @param {TokenStream} stream - Token stream
+ * @returns {Object} Operand node
+ */
+function parseOperand(stream) {
+  const token = stream.peek();
+
+  if (!token) {
+    throw validationError(`Invalid expression: unexpected end of "${stream.expression}"`);
+  }
+
+  if (token.type === 'value') {
+    stream.next();
+    return { type: 'value', name: token.value };
+  }
+
+  if (token.type === 'word' && stream.isOp('(', 1)) {
+    const name = stream.next().value;
+    return { type: 'function', name, args: parseArguments(stream, parseOperand) };
+  }
+
+  return parsePath(stream);
+}
+
+/**
+ * Parse a single comparison, BETWEEN, IN or function condition
+ * @param {TokenStream} stream - Token stream
+ * @returns {Object} Condition node
+ */
+function parsePredicate(stream) {
+  if (stream.isOp('(')) {
+    stream.next();
+    const inner = parseOr(stream);
+    stream.expectOp(')');
+    return inner;
+  }
+
+  const left = parseOperand(stream);
+
+  const token = stream.peek();
+  if (token && token.type === 'op' && COMPARATORS.includes(token.value)) {
+    stream.next();
+    return { type: 'compare', op: token.value, left, right: parseOperand(stream) };
+  }
+
+  if (stream.isKeyword('BETWEEN')) {
+    stream.next();
+    const low = parseOperand(stream);
+    stream.expectKeyword('AND');
+    return { type: 'between', value: left, low, high: parseOperand(stream) };
+  }
+
+  if (stream.isKeyword('IN')) {
+    stream.next();
+    return { type: 'in', value: left, list: parseArguments(stream, parseOperand) };
+  }
+
+  if (left.type === 'function') {
+    return left;
+  }
+
+  throw validationError(`Invalid expression: expected a condition in "${stream.expression}"`);
+}
+
+function parseNot(stream) {
+  if (stream.isKeyword('NOT')) {
+    stream.next();
+    return { type: 'not', operand: parseNot(stream) };
+  }
+  return parsePredicate(stream);
+}
+
+function parseAnd(stream) {
+  let node = parseNot(stream);
+  while (stream.isKeyword('AND')) {
+    stream.next();
+    node = { type: 'and', left: node, right: parseNot(stream) };
+  }
+  return node;
+}
+
+function parseOr(stream) {
+  let node = parseAnd(stream);
+  while (stream.isKeyword('OR')) {
+    stream.next();
+    node = { type: 'or', left: node, right: parseAnd(stream) };
+  }
+  return node;
+}
+
+/**
+ * Parse a condition, filter or key condition expression
+ * @param {string} expression - Expression string
+ * @returns {Object} Condition AST
+ */
+function parseCondition(expression) {
+  const stream = new TokenStream(expression);
+  const node = parseOr(stream);
+
+  if (!stream.done()) {
+    throw validationError(`Invalid expression: unexpected token in "${expression}"`);
+  }
+
+  return node;
+}
+
+/**
+ * Parse the right-hand side of a SET action
+ * @param {TokenStream} stream - Token stream
+ * @returns {Object} Value node
+ */
+function parseSetValue(stream) {
+  const left = parseOperand(stream);
+
+  if (stream.isOp('+') || stream.isOp('-')) {
+    const op = stream.next().value;
+    return { type: 'arithmetic', op, left, right: parseOperand(stream) };
+  }
+
+  return left;
+}
+
+/**
+ * Parse an update expression
+ * @param {string} expression - Update expression
+ * @returns {Object} { set, remove, add, delete } action lists
+ */
+function parseUpdate(expression) {
+  const stream = new TokenStream(expression);
+  const actions = { set: [], remove: [], add: [], delete: [] };
+
+  while (!stream.done()) {
+    const clauseToken = stream.next();
+    const clause = clauseToken.type === 'word' ? clauseToken.value.toUpperCase() : null;
+
+    if (!UPDATE_CLAUSES.includes(clause)) {
+      throw validationError(`Invalid UpdateExpression: expected SET, REMOVE, ADD or DELETE in "${expression}"`);
+    }
+
+    do {
+      if (stream.isOp(',')) {
+        stream.next();
+      }
+
+      const path = parsePath(stream);
+
+      if (clause === 'SET') {
+        stream.expectOp('=');
+        actions.set.push({ path, value: parseSetValue(stream) });
+      } else if (clause === 'REMOVE') {
+        actions.remove.push({ path });
+      } else {
+        actions[clause.toLowerCase()].push({ path, value: parseOperand(stream) });
+      }
+    } while (stream.isOp(','));
+  }
+
+  return actions;
+}
+
+/**
+ * Parse a projection expression into paths
+ * @param {string} expression - Projection expression
+ * @returns {Object[]} Path nodes
+ */
+function parseProjection(expression) {
+  const stream = new TokenStream(expression);
+  const paths = [parsePath(stream)];
+
+  while (stream.isOp(',')) {
+    stream.next();
+    paths.push(parsePath(stream));
+  }
+
+  if (!stream.done()) {
+    throw validationError(`Invalid ProjectionExpression: "${expression}"`);
+  }
+
+  return paths;
+}
+
+/**
+ * Resolve path segments to attribute names and indexes
+ * @param {Object} pathNode - Path node
+ * @param {Object} context - { names, values }
+ * @returns {Array<string|number>} Resolved path
+ */
+function resolvePath(pathNode, context) {
+  return pathNode.segments.map(segment => {
+    if (segment.type === 'name') {
+      const names = context.names || {};
+      if (!(segment.value in names)) {
+        throw validationError(`An expression attribute name used in the document path is not defined; attribute name: ${segment.value}`);
+      }
+      return names[segment.value];
+    }
+
+    if (segment.type === 'word' && KEYWORDS.includes(segment.value.toUpperCase())) {
+      throw validationError(`Attribute name is a reserved keyword; reserved keyword: ${segment.value}`);
+    }
+
+    return segment.value;
+  });
+}
+
+/**
+ * Read the value at a resolved path
+ * @param {Object} item - Item
+ * @param {Array<string|number>} path - Resolved path
+ * @returns {*} Value or undefined
+ */
+function getPathValue(item, path) {
+  return path.reduce((current, segment) => {
+    if (current === undefined || current === null) {
+      return undefined;
+    }
+    if (typeof segment === 'number') {
+      return Array.isArray(current) ? current[segment] : undefined;
+    }
+    return typeof current === 'object' && !Array.isArray(current) && !(isSet(current))
+      ? current[segment]
+      : undefined;
+  }, item);
+}
+
+/**
+ * Look up an expression attribute value
+ * @param {string} name - Placeholder (e.g. ':status')
+ * @param {Object} context - { names, values }
+ * @returns {*} Value
+ */
+function resolveValue(name, context) {
+  const values = context.values || {};
+
+  if (!(name in values)) {
+    throw validationError(`An expression attribute value used in expression is not defined; attribute value: ${name}`);
+  }
+
+  return values[name];
+}
+
+/**
+ * Get the DynamoDB type descriptor of a JS value
+ * @param {*} value - Value
+ * @returns {string|undefined} S, N, B, BOOL, NULL, L, M, SS, NS or BS
+ */
+function getAttributeType(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (value === null) {
+    return 'NULL';
+  }
+  if (typeof value === 'string') {
+    return 'S';
+  }
+  if (typeof value === 'number' || typeof value === 'bigint') {
+    return 'N';
+  }
+  if (typeof value === 'boolean') {
+    return 'BOOL';
+  }
+  if (isBinary(value)) {
+    return 'B';
+  }
+  if (Array.isArray(value)) {
+    return 'L';
+  }
+  if (isSet(value)) {
+    const first = value.values().next().value;
+    if (typeof first === 'number' || typeof first === 'bigint') {
+      return 'NS';
+    }
+    return isBinary(first) ? 'BS' : 'SS';
+  }
+  return 'M';
+}
+
+/**
+ * Deep equality for DynamoDB values (sets compare by members)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if equal
+ */
+function valuesEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+
+  const typeA = getAttributeType(a);
+  if (typeA !== getAttributeType(b) || a === undefined || a === null) {
+    return false;
+  }
+
+  if (typeA === 'B') {
+    return Buffer.from(a).equals(Buffer.from(b));
+  }
+  if (isSet(a)) {
+    return a.size === b.size && Array.from(a).every(member => Array.from(b).some(other => valuesEqual(member, other)));
+  }
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((member, index) => valuesEqual(member, b[index]));
+  }
+  if (typeof a === 'object') {
+    const keysA = Object.keys(a);
+    return keysA.length === Object.keys(b).length && keysA.every(key => valuesEqual(a[key], b[key]));
+  }
+
+  return false;
+}
+
+/**
+ * Order two scalar values; returns null when they are not comparable
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number|null} Negative, zero, positive or null
+ */
+function compareValues(a, b) {
+  const typeA = getAttributeType(a);
+
+  if (!typeA || typeA !== getAttributeType(b)) {
+    return null;
+  }
+  if (typeA === 'N') {
+    return Number(a) - Number(b);
+  }
+  if (typeA === 'S') {
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+  if (typeA === 'B') {
+    return Buffer.compare(Buffer.from(a), Buffer.from(b));
+  }
+
+  return null;
+}
+
+/**
+ * Size of a value as computed by size()
+ * @param {*} value - Value
+ * @returns {number|undefined} Size
+ */
+function sizeOf(value) {
+  if (typeof value === 'string' || Array.isArray(value) || isBinary(value)) {
+    return value.length;
+  }
+  if (isSet(value)) {
+    return value.size;
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).length;
+  }
+  return undefined;
+}
+
+/**
+ * Evaluate an operand node
+ * @param {Object} node - Operand node
+ * @param {Object} item - Item
+ * @param {Object} context - { names, values }
+ * @returns {*} Value
+ */
+function evaluateOperand(node, item, context) {
+  if (node.type === 'value') {
+    return resolveValue(node.name, context);
+  }
+
+  if (node.type === 'path') {
+    return getPathValue(item, resolvePath(node, context));
+  }
+
+  if (node.type === 'function' && node.name === 'size') {
+    return sizeOf(evaluateOperand(node.args[0], item, context));
+  }
+
+  throw validationError(`Invalid expression: function ${node.name} is not allowed as an operand`);
+}
+
+/**
+ * Evaluate a boolean function node
+ * @param {Object} node - Function node
+ * @param {Object} item - Item
+ * @param {Object} context - { names, values }
+ * @returns {boolean} Result
+ */
+function evaluateFunction(node, item, context) {
+  const arg = index => evaluateOperand(node.args[index], item, context);
+
+  switch (node.name) {
+  case 'attribute_exists':
+    return arg(0) !== undefined;
+  case 'attribute_not_exists':
+    return arg(0) === undefined;
+  case 'attribute_type':
+    return getAttributeType(arg(0)) === arg(1);
+  case 'begins_with': {
+    const value = arg(0);
+    const prefix = arg(1);
+    return typeof value === 'string' && typeof prefix === 'string' && value.startsWith(prefix);
+  }
+  case 'contains': {
+    const value = arg(0);
+    const operand = arg(1);
+    if (typeof value === 'string') {
+      return typeof operand === 'string' && value.includes(operand);
+    }
+    if (isSet(value) || Array.isArray(value)) {
+      return Array.from(value).some(member => valuesEqual(member, operand));
+    }
+    return false;
+  }
+  default:
+    throw validationError(`Invalid expression: unknown function ${node.name}`);
+  }
+}
+
+/**
+ * Evaluate a condition AST against an item
+ * @param {Object} node - Condition node
+ * @param {Object} item - Item (empty object for a missing item)
+ * @param {Object} context - { names, values }
+ * @returns {boolean} Result
+ */
+function evaluateCondition(node, item, context) {
+  switch (node.type) {
+  case 'or':
+    return evaluateCondition(node.left, item, context) || evaluateCondition(node.right, item, context);
+  case 'and':
+    return evaluateCondition(node.left, item, context) && evaluateCondition(node.right, item, context);
+  case 'not':
+    return !evaluateCondition(node.operand, item, context);
+  case 'function':
+    return evaluateFunction(node, item, context);
+  case 'between': {
+    const value = evaluateOperand(node.value, item, context);
+    const low = compareValues(value, evaluateOperand(node.low, item, context));
+    const high = compareValues(value, evaluateOperand(node.high, item, context));
+    return low !== null && high !== null && low >= 0 && high <= 0;
+  }
+  case 'in': {
+    const value = evaluateOperand(node.value, item, context);
+    return node.list.some(candidate => valuesEqual(value, evaluateOperand(candidate, item, context)));
+  }
+  case 'compare': {
+    const left = evaluateOperand(node.left, item, context);
+    const right = evaluateOperand(node.right, item, context);
+
+    if (node.op === '=') {
+      return valuesEqual(left, right);
+    }
+    if (node.op === '<>') {
+      return !valuesEqual(left, right);
+    }
+
+    const order = compareValues(left, right);
+    if (order === null) {
+      return false;
+    }
+    return {
+      '<': order < 0,
+      '<=': order <= 0,
+      '>': order > 0,
+      '>=': order >= 0
+    }[node.op];
+  }
+  default:
+    throw validationError('Invalid expression: expected a condition');
+  }
+}
+
+/**
+ * Parse and evaluate a condition expression string
+ * @param {string} expression - Condition expression
+ * @param {Object} item - Item (undefined for a missing item)
+ * @param {Object} context - { names, values }
+ * @returns {boolean} Result
+ */
+function matchesCondition(expression, item, context) {
+  if (!expression) {
+    return true;
+  }
+  return evaluateCondition(parseCondition(expression), item || {}, context);
+}
+
+/**
+ * Evaluate the right-hand side of a SET action
+ * @param {Object} node - Value node
+ * @param {Object} item - Item before the update
+ * @param {Object} context - { names, values }
+ * @returns {*} New value
+ */
+function evaluateSetValue(node, item, context) {
+  if (node.type === 'arithmetic') {
+    const left = evaluateSetValue(node.left, item, context);
+    const right = evaluateSetValue(node.right, item, context);
+
+    if (typeof left !== 'number' || typeof right !== 'number') {
+      throw validationError('An operand in the update expression has an incorrect data type');
+    }
+
+    return node.op === '+' ? left + right : left - right;
+  }
+
+  if (node.type === 'function' && node.name === 'if_not_exists') {
+    const existing = evaluateOperand(node.args[0], item, context);
+    return existing !== undefined ? existing : evaluateSetValue(node.args[1], item, context);
+  }
+
+  if (node.type === 'function' && node.name === 'list_append') {
+    const first = evaluateSetValue(node.args[0], item, context);
+    const second = evaluateSetValue(node.args[1], item, context);
+
+    if (!Array.isArray(first) || !Array.isArray(second)) {
+      throw validationError('An operand in the update expression has an incorrect data type');
+    }
+
+    return [...first, ...second];
+  }
+
+  return evaluateOperand(node, item, context);
+}
+
+/**
+ * Write a value at a path, requiring the parent to exist
+ * @param {Object} item - Item to modify
+ * @param {Array<string|number>} path - Resolved path
+ * @param {*} value - Value to write
+ */
+function setPathValue(item, path, value) {
+  const parent = path.length === 1 ? item : getPathValue(item, path.slice(0, -1));
+  const last = path[path.length - 1];
+
+  if (parent === undefined || parent === null || typeof parent !== 'object') {
+    throw validationError('The document path provided in the update expression is invalid for update');
+  }
+
+  if (typeof last === 'number') {
+    if (!Array.isArray(parent)) {
+      throw validationError('The document path provided in the update expression is invalid for update');
+    }
+    if (last >= parent.length) {
+      parent.push(value);
+    } else {
+      parent[last] = value;
+    }
+  } else {
+    parent[last] = value;
+  }
+}
+
+/**
+ * Remove the value at a path
+ * @param {Object} item - Item to modify
+ * @param {Array<string|number>} path - Resolved path
+ */
+function removePathValue(item, path) {
+  const parent = path.length === 1 ? item : getPathValue(item, path.slice(0, -1));
+  const last = path[path.length - 1];
+
+  if (Array.isArray(parent) && typeof last === 'number') {
+    parent.splice(last, 1);
+  } else if (parent && typeof parent === 'object') {
+    delete parent[last];
+  }
+}
+
+/**
+ * Apply an update expression to an item
+ * @param {string} expression - Update expression
+ * @param {Object} item - Item to update (mutated)
+ * @param {Object} context - { names, values }
+ * @returns {string[]} Top-level attribute names touched by the update
+ */
+function applyUpdate(expression, item, context) {
+  const actions = parseUpdate(expression);
+  const before = cloneValue(item);
+  const touched = new Set();
+
+  // Values are computed against the item as it was before the update
+  const sets = actions.set.map(action => ({
+    path: resolvePath(action.path, context),
+    value: evaluateSetValue(action.value, before, context)
+  }));
+
+  sets.forEach(({ path, value }) => {
+    setPathValue(item, path, cloneValue(value));
+    touched.add(path[0]);
+  });
+
+  actions.remove.forEach(action => {
+    const path = resolvePath(action.path, context);
+    removePathValue(item, path);
+    touched.add(path[0]);
+  });
+
+  actions.add.forEach(action => {
+    const path = resolvePath(action.path, context);
+    const value = evaluateOperand(action.value, before, context);
+    const existing = getPathValue(item, path);
+
+    if (typeof value === 'number') {
+      if (existing !== undefined && typeof existing !== 'number') {
+        throw validationError('An operand in the update expression has an incorrect data type');
+      }
+      setPathValue(item, path, (existing || 0) + value);
+    } else if (isSet(value)) {
+      if (existing !== undefined && !(isSet(existing))) {
+        throw validationError('An operand in the update expression has an incorrect data type');
+      }
+      setPathValue(item, path, new Set([...(existing || []), ...value]));
+    } else {
+      throw validationError('Incorrect operand type for operator or function; operator: ADD');
+    }
+    touched.add(path[0]);
+  });
+
+  actions.delete.forEach(action => {
+    const path = resolvePath(action.path, context);
+    const value = evaluateOperand(action.value, before, context);
+    const existing = getPathValue(item, path);
+
+    if (!(isSet(value))) {
+      throw validationError('Incorrect operand type for operator or function; operator: DELETE');
+    }
+
+    if (isSet(existing)) {
+      const remaining = new Set(Array.from(existing).filter(member => !value.has(member)));
+      if (remaining.size === 0) {
+        removePathValue(item, path);
+      } else {
+        setPathValue(item, path, remaining);
+      }
+    }
+    touched.add(path[0]);
+  });
+
+  return Array.from(touched);
+}
+
+/**
+ * Apply a projection expression to an item
+ * @param {string} expression - Projection expression
+ * @param {Object} item - Item
+ * @param {Object} names - ExpressionAttributeNames
+ * @returns {Object} Projected item
+ */
+function applyProjection(expression, item, names) {
+  if (!expression || !item) {
+    return item;
+  }
+
+  const result = {};
+
+  parseProjection(expression).forEach(pathNode => {
+    const path = resolvePath(pathNode, { names });
+    const value = getPathValue(item, path);
+
+    if (value === undefined) {
+      return;
+    }
+
+    let target = result;
+    path.slice(0, -1).forEach((segment, index) => {
+      if (target[segment] === undefined) {
+        target[segment] = typeof path[index + 1] === 'number' ? [] : {};
+      }
+      target = target[segment];
+    });
+
+    const last = path[path.length - 1];
+    if (Array.isArray(target) && typeof last === 'number') {
+      target.push(value);
+    } else {
+      target[last] = value;
+    }
+  });
+
+  return result;
+}
+
+module.exports = {
+  // Parsing
+  parseCondition,
+  parseUpdate,
+  parseProjection,
+
+  // Evaluation
+  matchesCondition,
+  evaluateCondition,
+  applyUpdate,
+  applyProjection,
+
+  // Value helpers
+  cloneValue,
+  isSet,
+  compareValues,
+  valuesEqual,
+  getAttributeType,
+
+  // Errors
+  validationError
+};
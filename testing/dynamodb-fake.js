@@ -0,0 +1,597 @@
+'use strict';
+
+/**
+ * Stateful in-memory DynamoDB Document client for tests
+ * - Drop-in for getDynamoDbClient() via global.mockDynamoDbDocumentClient
+ * - Get, Put, Update, Delete, Query, Scan, BatchGet, BatchWrite, TransactWrite
+ * - Evaluates ConditionExpression, UpdateExpression, KeyConditionExpression,
+ *   FilterExpression and ProjectionExpression
+ * - Throws the real exception names (ConditionalCheckFailedException, ...)
+ * - Rejects ExpressionAttributeNames/Values that no expression uses, as
+ *   DynamoDB does
+ */
+
+const {
+  matchesCondition,
+  applyUpdate,
+  applyProjection,
+  compareValues,
+  cloneValue,
+  validationError
+} = require('./dynamodb-expressions');
+const { createAwsError } = require('./aws-errors');
+
+/**
+ * Key schema used for tables that are not configured explicitly
+ * (the single-table PK/SK layout used across Arqtiva services)
+ */
+const DEFAULT_KEY_SCHEMA = {
+  partitionKey: 'PK',
+  sortKey: 'SK'
+};
+
+// DynamoDB per-call batch limits
+const MAX_BATCH_GET_KEYS = 100;
+const MAX_BATCH_WRITE_ITEMS = 25;
+
+/**
+ * Command names handled by the fake, mapped to handler methods
+ */
+const COMMAND_HANDLERS = {
+  GetCommand: 'get',
+  PutCommand: 'put',
+  UpdateCommand: 'update',
+  DeleteCommand: 'delete',
+  QueryCommand: 'query',
+  ScanCommand: 'scan',
+  BatchGetCommand: 'batchGet',
+  BatchWriteCommand: 'batchWrite',
+  TransactWriteCommand: 'transactWrite'
+};
+
+// Expressions that may reference #name and :value placeholders
+const EXPRESSION_PARAMETERS = [
+  'ConditionExpression',
+  'UpdateExpression',
+  'KeyConditionExpression',
+  'FilterExpression',
+  'ProjectionExpression'
+];
+
+/**
+ * Throw a ValidationException for ExpressionAttributeNames or
+ * ExpressionAttributeValues entries that no expression references
+ * @param {Object} input - Command input (or one transaction / batch request)
+ */
+function validatePlaceholders(input) {
+  const used = new Set();
+
+  EXPRESSION_PARAMETERS.forEach(parameter => {
+    ((input[parameter] || '').match(/[#:][A-Za-z0-9_]+/g) || []).forEach(token => used.add(token));
+  });
+
+  [['ExpressionAttributeNames', input.ExpressionAttributeNames], ['ExpressionAttributeValues', input.ExpressionAttributeValues]]
+    .forEach(([parameter, placeholders]) => {
+      const unused = Object.keys(placeholders || {}).filter(placeholder => !used.has(placeholder));
+
+      if (unused.length > 0) {
+        throw validationError(`Value provided in ${parameter} unused in expressions: keys: {${unused.join(', ')}}`);
+      }
+    });
+}
+
+/**
+ * Pick the named attributes of an item
+ * @param {Object} item - Item
+ * @param {string[]} attributes - Attribute names
+ * @returns {Object} Key object
+ */
+function pickAttributes(item, attributes) {
+  const result = {};
+  attributes.forEach(attribute => {
+    if (item[attribute] !== undefined) {
+      result[attribute] = item[attribute];
+    }
+  });
+  return result;
+}
+
+/**
+ * Pick the attributes listed in ReturnValues for an update
+ * @param {Object} item - Item
+ * @param {string[]} touched - Top-level attributes touched by the update
+ * @returns {Object|undefined} Attributes, or undefined if none
+ */
+function pickTouched(item, touched) {
+  if (!item) {
+    return undefined;
+  }
+  const picked = pickAttributes(item, touched);
+  return Object.keys(picked).length > 0 ? picked : undefined;
+}
+
+/**
+ * In-memory DynamoDB Document client
+ */
+class DynamoDbFake {
+  /**
+   * @param {Object} options - Fake options
+   * @param {Object} options.tables - Key schemas per table:
+   *   { [tableName]: { partitionKey, sortKey, indexes: { [indexName]: { partitionKey, sortKey } } } }
+   * @param {boolean} options.strictTables - Reject tables that are not configured (default: false)
+   * @param {number} options.batchCapacity - Requests processed per BatchGet/BatchWrite call; the rest
+   *   are returned as UnprocessedKeys/UnprocessedItems (default: unlimited)
+   */
+  constructor(options = {}) {
+    this.tableSchemas = { ...options.tables };
+    this.strictTables = !!options.strictTables;
+    this.batchCapacity = options.batchCapacity;
+    this.tables = new Map();
+    this.commands = [];
+    this.config = {
+      region: process.env.AWS_REGION || 'us-east-1',
+      isFake: true
+    };
+  }
+
+  /**
+   * Send a Document client command
+   * @param {Object} command - lib-dynamodb command instance (or { constructor.name, input })
+   * @returns {Promise<Object>} Command output
+   */
+  async send(command) {
+    const commandName = command?.constructor?.name;
+    const handler = COMMAND_HANDLERS[commandName];
+
+    if (!handler) {
+      throw validationError(`DynamoDbFake does not support ${commandName || 'this command'}`);
+    }
+
+    const input = cloneValue(command.input || {});
+    this.commands.push({ name: commandName, input });
+
+    validatePlaceholders(input);
+    (input.TransactItems || []).forEach(transactItem => validatePlaceholders(Object.values(transactItem)[0]));
+    Object.values(input.RequestItems || {}).forEach(request => {
+      if (!Array.isArray(request)) {
+        validatePlaceholders(request);
+      }
+    });
+
+    const output = this[handler](input);
+
+    return cloneValue({
+      ...output,
+      $metadata: { httpStatusCode: 200, attempts: 1 }
+    });
+  }
+
+  /**
+   * Get the key schema for a table
+   * @param {string} tableName - Table name
+   * @returns {Object} Key schema
+   */
+  getSchema(tableName) {
+    if (!tableName) {
+      throw validationError('TableName is required');
+    }
+
+    if (this.tableSchemas[tableName]) {
+      return { indexes: {}, ...this.tableSchemas[tableName] };
+    }
+
+    if (this.strictTables) {
+      throw createAwsError('ResourceNotFoundException', `Requested resource not found: Table: ${tableName} not found`);
+    }
+
+    return { ...DEFAULT_KEY_SCHEMA, indexes: {} };
+  }
+
+  /**
+   * Key attribute names of a table
+   * @param {Object} schema - Key schema
+   * @returns {string[]} Attribute names
+   */
+  getKeyAttributes(schema) {
+    return schema.sortKey ? [schema.partitionKey, schema.sortKey] : [schema.partitionKey];
+  }
+
+  /**
+   * Get the storage map for a table
+   * @param {string} tableName - Table name
+   * @returns {Map} Items keyed by serialized primary key
+   */
+  getTable(tableName) {
+    this.getSchema(tableName);
+
+    if (!this.tables.has(tableName)) {
+      this.tables.set(tableName, new Map());
+    }
+
+    return this.tables.get(tableName);
+  }
+
+  /**
+   * Serialize and validate a primary key
+   * @param {string} tableName - Table name
+   * @param {Object} key - Key or full item
+   * @param {boolean} exact - Require exactly the key attributes (Key parameters)
+   * @returns {string} Storage key
+   */
+  storageKey(tableName, key, exact = true) {
+    const schema = this.getSchema(tableName);
+    const keyAttributes = this.getKeyAttributes(schema);
+
+    if (!key || keyAttributes.some(attribute => key[attribute] === undefined) ||
+      (exact && Object.keys(key).length !== keyAttributes.length)) {
+      throw validationError('The provided key element does not match the schema');
+    }
+
+    return JSON.stringify(keyAttributes.map(attribute => key[attribute]));
+  }
+
+  /**
+   * Throw ConditionalCheckFailedException unless the condition holds
+   * @param {Object} input - Command input
+   * @param {Object} existing - Existing item
+   */
+  checkCondition(input, existing) {
+    const context = {
+      names: input.ExpressionAttributeNames,
+      values: input.ExpressionAttributeValues
+    };
+
+    if (!matchesCondition(input.ConditionExpression, existing, context)) {
+      const extra = {};
+      if (input.ReturnValuesOnConditionCheckFailure === 'ALL_OLD' && existing) {
+        extra.Item = cloneValue(existing);
+      }
+      throw createAwsError('ConditionalCheckFailedException', 'The conditional request failed', extra);
+    }
+  }
+
+  get(input) {
+    const item = this.getTable(input.TableName).get(this.storageKey(input.TableName, input.Key));
+
+    return item
+      ? { Item: applyProjection(input.ProjectionExpression, item, input.ExpressionAttributeNames) }
+      : {};
+  }
+
+  put(input) {
+    const table = this.getTable(input.TableName);
+    const storageKey = this.storageKey(input.TableName, input.Item, false);
+    const existing = table.get(storageKey);
+
+    this.checkCondition(input, existing);
+    table.set(storageKey, cloneValue(input.Item));
+
+    return input.ReturnValues === 'ALL_OLD' && existing ? { Attributes: existing } : {};
+  }
+
+  update(input) {
+    const table = this.getTable(input.TableName);
+    const storageKey = this.storageKey(input.TableName, input.Key);
+    const existing = table.get(storageKey);
+
+    this.checkCondition(input, existing);
+
+    const updated = cloneValue(existing || input.Key);
+    const touched = input.UpdateExpression
+      ? applyUpdate(input.UpdateExpression, updated, {
+        names: input.ExpressionAttributeNames,
+        values: input.ExpressionAttributeValues
+      })
+      : [];
+
+    const keyAttributes = this.getKeyAttributes(this.getSchema(input.TableName));
+    if (touched.some(attribute => keyAttributes.includes(attribute))) {
+      throw validationError('One or more parameter values were invalid: Cannot update attribute. This attribute is part of the key');
+    }
+
+    table.set(storageKey, updated);
+
+    switch (input.ReturnValues) {
+    case 'ALL_OLD':
+      return existing ? { Attributes: existing } : {};
+    case 'ALL_NEW':
+      return { Attributes: updated };
+    case 'UPDATED_OLD': {
+      const attributes = pickTouched(existing, touched);
+      return attributes ? { Attributes: attributes } : {};
+    }
+    case 'UPDATED_NEW': {
+      const attributes = pickTouched(updated, touched);
+      return attributes ? { Attributes: attributes } : {};
+    }
+    default:
+      return {};
+    }
+  }
+
+  delete(input) {
+    const table = this.getTable(input.TableName);
+    const storageKey = this.storageKey(input.TableName, input.Key);
+    const existing = table.get(storageKey);
+
+    this.checkCondition(input, existing);
+    table.delete(storageKey);
+
+    return input.ReturnValues === 'ALL_OLD' && existing ? { Attributes: existing } : {};
+  }
+
+  /**
+   * Shared implementation of Query and Scan
+   * @param {Object} input - Command input
+   * @param {string} keyCondition - KeyConditionExpression (Query only)
+   * @returns {Object} Output with Items, Count, ScannedCount, LastEvaluatedKey
+   */
+  read(input, keyCondition) {
+    const schema = this.getSchema(input.TableName);
+    const tableKeys = this.getKeyAttributes(schema);
+    let readSchema = schema;
+
+    if (input.IndexName) {
+      readSchema = schema.indexes[input.IndexName];
+      if (!readSchema) {
+        throw validationError(`The table does not have the specified index: ${input.IndexName}`);
+      }
+    }
+
+    const context = {
+      names: input.ExpressionAttributeNames,
+      values: input.ExpressionAttributeValues
+    };
+    const indexKeys = this.getKeyAttributes(readSchema);
+    const orderKeys = [...indexKeys, ...tableKeys.filter(key => !indexKeys.includes(key))];
+    const compareItems = (a, b) => {
+      for (const key of orderKeys) {
+        const order = compareValues(a[key], b[key]);
+        if (order) {
+          return order;
+        }
+      }
+      return 0;
+    };
+
+    // Sparse indexes only contain items that carry the index keys
+    let candidates = Array.from(this.getTable(input.TableName).values())
+      .filter(item => indexKeys.every(key => item[key] !== undefined))
+      .filter(item => !keyCondition || matchesCondition(keyCondition, item, context))
+      .sort(compareItems);
+
+    const descending = keyCondition && input.ScanIndexForward === false;
+    if (descending) {
+      candidates.reverse();
+    }
+
+    if (input.ExclusiveStartKey) {
+      const start = input.ExclusiveStartKey;
+      candidates = candidates.filter(item => {
+        const order = compareItems(item, start);
+        return descending ? order < 0 : order > 0;
+      });
+    }
+
+    const limited = input.Limit ? candidates.slice(0, input.Limit) : candidates;
+    const items = limited.filter(item => matchesCondition(input.FilterExpression, item, context));
+
+    const output = {
+      Count: items.length,
+      ScannedCount: limited.length
+    };
+
+    if (input.Select !== 'COUNT') {
+      output.Items = items.map(item => applyProjection(input.ProjectionExpression, item, input.ExpressionAttributeNames));
+    }
+
+    if (limited.length < candidates.length && limited.length > 0) {
+      output.LastEvaluatedKey = pickAttributes(limited[limited.length - 1], orderKeys);
+    }
+
+    return output;
+  }
+
+  query(input) {
+    if (!input.KeyConditionExpression) {
+      throw validationError('Either the KeyConditions or KeyConditionExpression parameter must be specified in the request.');
+    }
+    return this.read(input, input.KeyConditionExpression);
+  }
+
+  scan(input) {
+    return this.read(input, null);
+  }
+
+  /**
+   * Take the share of a batch this call processes; the rest is returned
+   * as unprocessed, like a throttled batch call
+   * @param {number} total - Requests in the call
+   * @returns {number} Requests to process
+   */
+  takeBatchCapacity(total) {
+    return this.batchCapacity === undefined ? total : Math.min(total, this.batchCapacity);
+  }
+
+  batchGet(input) {
+    const Responses = {};
+    const UnprocessedKeys = {};
+    const entries = Object.entries(input.RequestItems || {});
+    const total = entries.reduce((sum, [, request]) => sum + request.Keys.length, 0);
+
+    if (total > MAX_BATCH_GET_KEYS) {
+      throw validationError('Too many items requested for the BatchGetItem call');
+    }
+
+    let capacity = this.takeBatchCapacity(total);
+
+    entries.forEach(([tableName, request]) => {
+      const processed = request.Keys.slice(0, capacity);
+      const unprocessed = request.Keys.slice(capacity);
+      capacity -= processed.length;
+
+      Responses[tableName] = processed
+        .map(key => this.getTable(tableName).get(this.storageKey(tableName, key)))
+        .filter(Boolean)
+        .map(item => applyProjection(request.ProjectionExpression, item, request.ExpressionAttributeNames));
+
+      if (unprocessed.length > 0) {
+        UnprocessedKeys[tableName] = { ...request, Keys: unprocessed };
+      }
+    });
+
+    return { Responses, UnprocessedKeys };
+  }
+
+  batchWrite(input) {
+    const writes = [];
+    const UnprocessedItems = {};
+    const entries = Object.entries(input.RequestItems || {});
+    const total = entries.reduce((sum, [, requests]) => sum + requests.length, 0);
+
+    if (total > MAX_BATCH_WRITE_ITEMS) {
+      throw validationError('Too many items requested for the BatchWriteItem call');
+    }
+
+    let capacity = this.takeBatchCapacity(total);
+
+    // Validate every request before applying any
+    entries.forEach(([tableName, requests]) => {
+      requests.forEach(request => {
+        if (capacity === 0) {
+          UnprocessedItems[tableName] = [...(UnprocessedItems[tableName] || []), request];
+          return;
+        }
+        capacity -= 1;
+
+        if (request.PutRequest) {
+          const storageKey = this.storageKey(tableName, request.PutRequest.Item, false);
+          writes.push(() => this.getTable(tableName).set(storageKey, cloneValue(request.PutRequest.Item)));
+        } else if (request.DeleteRequest) {
+          const storageKey = this.storageKey(tableName, request.DeleteRequest.Key);
+          writes.push(() => this.getTable(tableName).delete(storageKey));
+        } else {
+          throw validationError('Each WriteRequest must contain a PutRequest or DeleteRequest');
+        }
+      });
+    });
+
+    writes.forEach(write => write());
+
+    return { UnprocessedItems };
+  }
+
+  transactWrite(input) {
+    const transactItems = input.TransactItems || [];
+    const snapshot = new Map(Array.from(this.tables.entries()).map(([name, table]) => [name, new Map(table)]));
+    const reasons = [];
+    const operations = [];
+
+    transactItems.forEach(transactItem => {
+      const [type, params] = Object.entries(transactItem)[0];
+      const key = type === 'Put' ? params.Item : params.Key;
+      const storageKey = this.storageKey(params.TableName, key, type !== 'Put');
+      const existing = this.getTable(params.TableName).get(storageKey);
+
+      try {
+        this.checkCondition(params, existing);
+        reasons.push({ Code: 'None' });
+      } catch (error) {
+        if (error.name !== 'ConditionalCheckFailedException') {
+          throw error;
+        }
+        reasons.push({
+          Code: 'ConditionalCheckFailed',
+          Message: error.message,
+          ...(error.Item ? { Item: error.Item } : {})
+        });
+      }
+
+      operations.push({ type, params });
+    });
+
+    if (reasons.some(reason => reason.Code !== 'None')) {
+      throw createAwsError(
+        'TransactionCanceledException',
+        `Transaction cancelled, please refer cancellation reasons for specific reasons [${reasons.map(r => r.Code).join(', ')}]`,
+        { CancellationReasons: reasons }
+      );
+    }
+
+    try {
+      operations.forEach(({ type, params }) => {
+        const operationInput = { ...params, ConditionExpression: undefined };
+        if (type === 'Put') {
+          this.put(operationInput);
+        } else if (type === 'Update') {
+          this.update(operationInput);
+        } else if (type === 'Delete') {
+          this.delete(operationInput);
+        }
+      });
+    } catch (error) {
+      // Roll back partial writes so the transaction stays atomic
+      this.tables = snapshot;
+      throw error;
+    }
+
+    return {};
+  }
+
+  /**
+   * Seed a table with items
+   * @param {string} tableName - Table name
+   * @param {Object[]} items - Items to store
+   * @returns {DynamoDbFake} This fake
+   */
+  seed(tableName, items = []) {
+    const table = this.getTable(tableName);
+    items.forEach(item => table.set(this.storageKey(tableName, item, false), cloneValue(item)));
+    return this;
+  }
+
+  /**
+   * Get a copy of all items in a table
+   * @param {string} tableName - Table name
+   * @returns {Object[]} Items
+   */
+  getItems(tableName) {
+    return cloneValue(Array.from((this.tables.get(tableName) || new Map()).values()));
+  }
+
+  /**
+   * Get a copy of a single item
+   * @param {string} tableName - Table name
+   * @param {Object} key - Primary key
+   * @returns {Object|undefined} Item
+   */
+  getItem(tableName, key) {
+    const item = this.getTable(tableName).get(this.storageKey(tableName, key));
+    return item ? cloneValue(item) : undefined;
+  }
+
+  /**
+   * Clear all stored items and the command log
+   */
+  reset() {
+    this.tables.clear();
+    this.commands = [];
+  }
+}
+
+/**
+ * Create an in-memory DynamoDB Document client
+ * @param {Object} options - See DynamoDbFake
+ * @returns {DynamoDbFake} Fake client
+ */
+function createDynamoDbFake(options = {}) {
+  return new DynamoDbFake(options);
+}
+
+module.exports = {
+  DynamoDbFake,
+  createDynamoDbFake,
+
+  // Constants
+  DEFAULT_KEY_SCHEMA
+};
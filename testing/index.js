@@ -0,0 +1,73 @@
+'use strict';
+
+/**
+ * Test helpers for services using @manukyanv07/shared-utils
+ * - Stateful in-memory fakes for AWS clients
+ * - install* helpers wire a fake into the package's mock injection hooks
+ *
+ * Not loaded by the package root; require '@manukyanv07/shared-utils/testing'.
+ */
+
+const { resetClients } = require('../clients/aws-clients');
+const dynamoDbFake = require('./dynamodb-fake');
+const cognitoFake = require('./cognito-fake');
+const stsFake = require('./sts-fake');
+
+/**
+ * Create a DynamoDB fake and inject it as the client returned by getDynamoDbClient()
+ * @param {Object} options - See DynamoDbFake
+ * @returns {DynamoDbFake} Installed fake
+ */
+function installDynamoDbFake(options = {}) {
+  const fake = dynamoDbFake.createDynamoDbFake(options);
+
+  global.mockDynamoDbDocumentClient = fake;
+  resetClients();
+
+  return fake;
+}
+
+/**
+ * Create a Cognito user pool fake and inject it as the client returned by getCognitoClient()
+ * @param {Object} options - See CognitoFake
+ * @returns {CognitoFake} Installed fake
+ */
+function installCognitoFake(options = {}) {
+  const fake = cognitoFake.createCognitoFake(options);
+
+  global.mockCognitoClient = fake;
+  resetClients();
+
+  return fake;
+}
+
+/**
+ * Create an STS fake and inject it as the client used for AssumeRole
+ * @param {Object} options - See StsFake
+ * @returns {StsFake} Installed fake
+ */
+function installStsFake(options = {}) {
+  const fake = stsFake.createStsFake(options);
+
+  global.mockStsClient = fake;
+  resetClients();
+
+  return fake;
+}
+
+module.exports = {
+  // DynamoDB
+  DynamoDbFake: dynamoDbFake.DynamoDbFake,
+  createDynamoDbFake: dynamoDbFake.createDynamoDbFake,
+  installDynamoDbFake,
+
+  // Cognito
+  CognitoFake: cognitoFake.CognitoFake,
+  createCognitoFake: cognitoFake.createCognitoFake,
+  installCognitoFake,
+
+  // STS
+  StsFake: stsFake.StsFake,
+  createStsFake: stsFake.createStsFake,
+  installStsFake
+};
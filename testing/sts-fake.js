@@ -0,0 +1,210 @@
+'use strict';
+
+/**
+ * In-memory STS stand-in for tests
+ * - Drop-in for the 'sts' client via global.mockStsClient
+ * - AssumeRole with role ARN, session name, external id and duration checks
+ * - GetCallerIdentity for the configured account
+ * - Issues unique temporary credentials with a real Expiration
+ * - Throws the real exception names (AccessDenied, ValidationError)
+ */
+
+const crypto = require('crypto');
+const { createAwsError } = require('./aws-errors');
+
+/**
+ * Default fake STS settings
+ */
+const DEFAULT_OPTIONS = {
+  accountId: '123456789012',
+  minDurationSeconds: 900,
+  maxDurationSeconds: 43200,
+  defaultDurationSeconds: 3600
+};
+
+/**
+ * Command names handled by the fake, mapped to handler methods
+ */
+const COMMAND_HANDLERS = {
+  AssumeRoleCommand: 'assumeRole',
+  GetCallerIdentityCommand: 'getCallerIdentity'
+};
+
+const ROLE_ARN_PATTERN = /^arn:aws[a-z-]*:iam::(\d{12}):role\/(?:[\w+=,.@-]+\/)*([\w+=,.@-]+)$/;
+const SESSION_NAME_PATTERN = /^[\w+=,.@-]{2,64}$/;
+
+/**
+ * Create a ValidationError
+ * @param {string} message - Error message
+ * @returns {Error} Validation error
+ */
+function validationError(message) {
+  return createAwsError('ValidationError', message);
+}
+
+/**
+ * Random uppercase alphanumeric id
+ * @param {number} length - Id length
+ * @returns {string} Id
+ */
+function randomId(length) {
+  return crypto.randomBytes(length).toString('hex').toUpperCase().slice(0, length);
+}
+
+/**
+ * In-memory STS client
+ */
+class StsFake {
+  /**
+   * @param {Object} options - Fake options
+   * @param {string} options.accountId - Caller account id (default: 123456789012)
+   * @param {Object} options.roles - Assumable roles: { [roleArn]: { externalId } }; any valid ARN is accepted when unset
+   * @param {number} options.defaultDurationSeconds - Credential lifetime without DurationSeconds (default: 3600)
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.roles = options.roles ? new Map(Object.entries(options.roles)) : null;
+    this.issuedCredentials = new Map();
+    this.commands = [];
+    this.config = {
+      region: 'us-east-1',
+      isFake: true
+    };
+  }
+
+  /**
+   * Send an STS command
+   * @param {Object} command - client-sts command instance
+   * @returns {Promise<Object>} Command output
+   */
+  async send(command) {
+    const commandName = command?.constructor?.name;
+    const handler = COMMAND_HANDLERS[commandName];
+
+    if (!handler) {
+      throw validationError(`StsFake does not support ${commandName || 'this command'}`);
+    }
+
+    const input = { ...command.input };
+    this.commands.push({ name: commandName, input });
+
+    const output = this[handler](input);
+
+    return {
+      ...output,
+      $metadata: { httpStatusCode: 200, attempts: 1 }
+    };
+  }
+
+  /**
+   * Allow a role to be assumed (switches the fake to an explicit allow-list)
+   * @param {string} roleArn - Role ARN
+   * @param {Object} options - { externalId } required from callers
+   */
+  allowRole(roleArn, options = {}) {
+    if (!this.roles) {
+      this.roles = new Map();
+    }
+    this.roles.set(roleArn, options);
+  }
+
+  /**
+   * Handle AssumeRole
+   * @param {Object} input - Command input
+   * @returns {Object} { Credentials, AssumedRoleUser }
+   */
+  assumeRole(input) {
+    const { RoleArn, RoleSessionName, ExternalId, DurationSeconds = this.options.defaultDurationSeconds } = input;
+    const match = ROLE_ARN_PATTERN.exec(RoleArn || '');
+
+    if (!match) {
+      throw validationError(`${RoleArn} is invalid`);
+    }
+    if (!SESSION_NAME_PATTERN.test(RoleSessionName || '')) {
+      throw validationError('1 validation error detected: Value at \'roleSessionName\' failed to satisfy constraint');
+    }
+    if (DurationSeconds < this.options.minDurationSeconds || DurationSeconds > this.options.maxDurationSeconds) {
+      throw validationError('The requested DurationSeconds exceeds the MaxSessionDuration set for this role.');
+    }
+
+    const role = this.roles ? this.roles.get(RoleArn) : {};
+
+    if (!role || (role.externalId !== undefined && role.externalId !== ExternalId)) {
+      throw createAwsError(
+        'AccessDenied',
+        `User: arn:aws:iam::${this.options.accountId}:user/test is not authorized to perform: sts:AssumeRole on resource: ${RoleArn}`,
+        { $metadata: { httpStatusCode: 403, attempts: 1 } }
+      );
+    }
+
+    const [, accountId, roleName] = match;
+    const accessKeyId = `ASIA${randomId(16)}`;
+    const expiration = new Date(Date.now() + DurationSeconds * 1000);
+
+    this.issuedCredentials.set(accessKeyId, {
+      roleArn: RoleArn,
+      sessionName: RoleSessionName,
+      externalId: ExternalId,
+      expiration
+    });
+
+    return {
+      Credentials: {
+        AccessKeyId: accessKeyId,
+        SecretAccessKey: crypto.randomBytes(30).toString('base64'),
+        SessionToken: crypto.randomBytes(64).toString('base64'),
+        Expiration: expiration
+      },
+      AssumedRoleUser: {
+        AssumedRoleId: `AROA${randomId(17)}:${RoleSessionName}`,
+        Arn: `arn:aws:sts::${accountId}:assumed-role/${roleName}/${RoleSessionName}`
+      }
+    };
+  }
+
+  /**
+   * Handle GetCallerIdentity
+   * @returns {Object} { Account, Arn, UserId }
+   */
+  getCallerIdentity() {
+    return {
+      Account: this.options.accountId,
+      Arn: `arn:aws:iam::${this.options.accountId}:user/test`,
+      UserId: `AIDA${randomId(17)}`
+    };
+  }
+
+  /**
+   * Look up credentials issued by AssumeRole
+   * @param {string} accessKeyId - Access key id
+   * @returns {Object|null} { roleArn, sessionName, externalId, expiration }
+   */
+  getIssuedCredentials(accessKeyId) {
+    return this.issuedCredentials.get(accessKeyId) || null;
+  }
+
+  /**
+   * Remove issued credentials and recorded commands
+   */
+  reset() {
+    this.issuedCredentials.clear();
+    this.commands = [];
+  }
+}
+
+/**
+ * Create an in-memory STS client
+ * @param {Object} options - See StsFake
+ * @returns {StsFake} Fake client
+ */
+function createStsFake(options = {}) {
+  return new StsFake(options);
+}
+
+module.exports = {
+  StsFake,
+  createStsFake,
+
+  // Constants
+  DEFAULT_OPTIONS
+};
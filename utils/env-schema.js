@@ -0,0 +1,312 @@
+'use strict';
+
+/**
+ * Typed environment schema
+ * - Each variable declares a type (string, int, bool, url, enum, json,
+ *   duration), default, description and required flag
+ * - Values are coerced to their type; every problem is collected and
+ *   reported at once, so one cold start shows the whole misconfiguration
+ * - loadConfig() returns a deeply frozen config object keyed by variable name
+ * - Standard variables can be pulled in with their existing descriptions
+ */
+
+const {
+  STANDARD_ENV_VARS,
+  LOCAL_ENDPOINT_ENV_VARS,
+  isSensitiveKey,
+  MASKED_VALUE
+} = require('./environment');
+const { redact } = require('./redaction');
+
+/**
+ * Supported variable types
+ */
+const ENV_TYPES = ['string', 'int', 'bool', 'url', 'enum', 'json', 'duration'];
+
+/**
+ * Accepted spellings for bool variables
+ */
+const BOOLEAN_VALUES = {
+  true: true,
+  '1': true,
+  yes: true,
+  on: true,
+  false: false,
+  '0': false,
+  no: false,
+  off: false
+};
+
+/**
+ * Milliseconds per duration unit
+ */
+const DURATION_UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+const DURATION_PATTERN = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/i;
+
+/**
+ * Parse a duration ('500ms', '30s', '5m', '1h', '1d'; bare numbers are milliseconds)
+ * @param {string|number} value - Duration
+ * @returns {number} Milliseconds
+ * @throws {Error} For malformed durations
+ */
+function parseDuration(value) {
+  if (typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+    return value;
+  }
+
+  const match = DURATION_PATTERN.exec(String(value).trim());
+  if (!match) {
+    throw new Error('must be a duration such as 500ms, 30s, 5m, 1h or 1d');
+  }
+
+  return Math.round(Number(match[1]) * DURATION_UNITS[(match[2] || 'ms').toLowerCase()]);
+}
+
+/**
+ * Coerce a raw environment value to a variable's type
+ * @param {string} raw - Raw value
+ * @param {Object} definition - Normalized variable definition
+ * @returns {*} Typed value
+ * @throws {Error} With a message describing the expected format
+ */
+function coerceEnvValue(raw, definition) {
+  const value = String(raw).trim();
+
+  switch (definition.type) {
+  case 'string':
+    return String(raw);
+  case 'int': {
+    if (!/^[-+]?\d+$/.test(value)) {
+      throw new Error('must be an integer');
+    }
+    const number = Number(value);
+    if (definition.min !== undefined && number < definition.min) {
+      throw new Error(`must be at least ${definition.min}`);
+    }
+    if (definition.max !== undefined && number > definition.max) {
+      throw new Error(`must be at most ${definition.max}`);
+    }
+    return number;
+  }
+  case 'bool': {
+    const key = value.toLowerCase();
+    // Own keys only: 'constructor' and friends are not booleans
+    if (!Object.prototype.hasOwnProperty.call(BOOLEAN_VALUES, key)) {
+      throw new Error('must be a boolean (true/false, 1/0, yes/no, on/off)');
+    }
+    return BOOLEAN_VALUES[key];
+  }
+  case 'url': {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (_error) {
+      throw new Error('must be an absolute URL');
+    }
+    if (!definition.protocols.includes(url.protocol.replace(/:$/, ''))) {
+      throw new Error(`must use ${definition.protocols.join(' or ')}`);
+    }
+    return value;
+  }
+  case 'enum':
+    if (!definition.values.includes(value)) {
+      throw new Error(`must be one of ${definition.values.join(', ')}`);
+    }
+    return value;
+  case 'json':
+    try {
+      return JSON.parse(value);
+    } catch (_error) {
+      throw new Error('must be valid JSON');
+    }
+  case 'duration':
+    return parseDuration(value);
+  default:
+    throw new Error(`has unknown type ${definition.type}`);
+  }
+}
+
+/**
+ * Normalize one variable definition. A string is shorthand for { type }.
+ * @param {string} name - Variable name
+ * @param {Object|string} definition - Variable definition
+ * @param {string} definition.type - One of ENV_TYPES (default: string)
+ * @param {*} definition.default - Value used when unset; strings are coerced like env values
+ * @param {string} definition.description - What the variable is for
+ * @param {boolean} definition.required - Fail when unset and without default (default: false)
+ * @param {string[]} definition.values - Allowed values for enum
+ * @param {number} definition.min - Lower bound for int
+ * @param {number} definition.max - Upper bound for int
+ * @param {string[]} definition.protocols - Allowed protocols for url (default: http, https)
+ * @returns {Object} Normalized definition
+ */
+function normalizeDefinition(name, definition) {
+  const spec = typeof definition === 'string' ? { type: definition } : { ...definition };
+  spec.type = spec.type || 'string';
+
+  if (!ENV_TYPES.includes(spec.type)) {
+    throw new Error(`${name}: unknown type ${spec.type}; expected one of ${ENV_TYPES.join(', ')}`);
+  }
+  if (spec.type === 'enum' && (!Array.isArray(spec.values) || spec.values.length === 0)) {
+    throw new Error(`${name}: enum variables need a non-empty values list`);
+  }
+  if (spec.type === 'url') {
+    spec.protocols = spec.protocols || ['http', 'https'];
+  }
+
+  spec.required = !!spec.required;
+  spec.description = spec.description || STANDARD_ENV_VARS[name] || LOCAL_ENDPOINT_ENV_VARS[name] || '';
+
+  return Object.freeze(spec);
+}
+
+/**
+ * Declare an environment schema. Definitions are checked up front so a typo
+ * in the schema fails immediately rather than when a variable is read.
+ * @param {Object} schema - { VAR_NAME: definition } (see normalizeDefinition)
+ * @returns {Object} Frozen, normalized schema
+ */
+function defineEnvSchema(schema = {}) {
+  const normalized = {};
+
+  Object.entries(schema).forEach(([name, definition]) => {
+    normalized[name] = normalizeDefinition(name, definition);
+  });
+
+  return Object.freeze(normalized);
+}
+
+/**
+ * Schema entries for standard variables, with their STANDARD_ENV_VARS
+ * (or LOCAL_ENDPOINT_ENV_VARS) descriptions. Local endpoints are typed as urls.
+ * @param {string[]} names - Variables to include (default: all STANDARD_ENV_VARS)
+ * @param {Object} overrides - Definition fields merged into every entry (default: { required: true })
+ * @returns {Object} Schema entries
+ */
+function getStandardEnvSchema(names = Object.keys(STANDARD_ENV_VARS), overrides = { required: true }) {
+  const schema = {};
+
+  names.forEach(name => {
+    if (STANDARD_ENV_VARS[name]) {
+      schema[name] = { type: 'string', description: STANDARD_ENV_VARS[name], ...overrides };
+    } else if (LOCAL_ENDPOINT_ENV_VARS[name]) {
+      schema[name] = { type: 'url', description: LOCAL_ENDPOINT_ENV_VARS[name], required: false };
+    } else {
+      throw new Error(`${name} is not a standard environment variable`);
+    }
+  });
+
+  return schema;
+}
+
+/**
+ * Freeze a value and everything it contains
+ * @param {*} value - Value
+ * @returns {*} The frozen value
+ */
+function deepFreeze(value) {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.freeze(value);
+    Object.values(value).forEach(deepFreeze);
+  }
+  return value;
+}
+
+/**
+ * Validate an environment against a schema, collecting every error
+ * @param {Object} schema - Schema (plain or from defineEnvSchema)
+ * @param {Object} env - Environment (default: process.env)
+ * @returns {Object} { valid, errors: [{ variable, message }], config }
+ */
+function validateEnvSchema(schema, env = process.env) {
+  const definitions = defineEnvSchema(schema);
+  const errors = [];
+  const config = {};
+
+  Object.entries(definitions).forEach(([name, definition]) => {
+    const raw = env[name];
+    const isSet = raw !== undefined && raw !== '';
+
+    if (!isSet) {
+      if (definition.default === undefined) {
+        if (definition.required) {
+          errors.push({ variable: name, message: `${name} is required${definition.description ? ` (${definition.description})` : ''}` });
+        }
+        config[name] = undefined;
+        return;
+      }
+
+      try {
+        if (typeof definition.default === 'string' && definition.type !== 'string') {
+          config[name] = coerceEnvValue(definition.default, definition);
+        } else if (definition.default !== null && typeof definition.default === 'object') {
+          // Cloned so freezing the config leaves the caller's schema alone
+          config[name] = structuredClone(definition.default);
+        } else {
+          config[name] = definition.default;
+        }
+      } catch (error) {
+        errors.push({ variable: name, message: `${name} default ${error.message}` });
+      }
+      return;
+    }
+
+    try {
+      config[name] = coerceEnvValue(raw, definition);
+    } catch (error) {
+      const shown = isSensitiveKey(name) ? MASKED_VALUE : JSON.stringify(redact(String(raw)));
+      errors.push({ variable: name, message: `${name} ${error.message} (got ${shown})` });
+    }
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    config: deepFreeze(config)
+  };
+}
+
+/**
+ * Load a typed, frozen config object. Meant to run at module scope so a
+ * misconfigured function fails at cold start with every problem listed.
+ * @param {Object} schema - Schema (plain or from defineEnvSchema)
+ * @param {Object} options - Load options
+ * @param {Object} options.env - Environment (default: process.env)
+ * @returns {Object} Frozen config keyed by variable name
+ * @throws {Error} EnvValidationError with errors: [{ variable, message }]
+ */
+function loadConfig(schema, options = {}) {
+  const { env = process.env } = options;
+  const result = validateEnvSchema(schema, env);
+
+  if (!result.valid) {
+    const error = new Error(`Invalid environment configuration:\n${result.errors.map(item => `  - ${item.message}`).join('\n')}`);
+    error.name = 'EnvValidationError';
+    error.errors = result.errors;
+    throw error;
+  }
+
+  return result.config;
+}
+
+module.exports = {
+  // Primary functions
+  loadConfig,
+  validateEnvSchema,
+  defineEnvSchema,
+  getStandardEnvSchema,
+
+  // Utilities
+  coerceEnvValue,
+  parseDuration,
+
+  // Constants
+  ENV_TYPES
+};
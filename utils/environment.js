@@ -5,19 +5,42 @@
  * - Validation performed at module load time
  * - Production optimization to avoid cold start delays
  * - Consistent error handling across services
+ * - Service environments registered at runtime or loaded from the consuming
+ *   repo's config file, with inheritance and deprecated variable aliases
+ * - Layered .env file loading for local development and tests
+ * - Lambda runtime details (function, log group, cold start, request id) and
+ *   SAM local / serverless-offline detection
  */
 
+const fs = require('fs');
+const path = require('path');
+const {
+  redact,
+  isRedactedKey,
+  addSensitiveValue,
+  clearSensitiveValues,
+  SENSITIVE_KEYS,
+  MASKED_VALUE
+} = require('./redaction');
+
 /**
  * Validate critical environment variables for a service
  * @param {string[]} requiredVars - Array of required environment variable names
  * @param {Object} options - Validation options
+ * @param {string} options.serviceName - Service name used in messages
+ * @param {boolean} options.skipInProduction - Skip when NODE_ENV is production (default: true)
+ * @param {boolean} options.throwOnMissing - Throw instead of warning (default: false)
+ * @param {Object} options.env - Environment to check (default: process.env)
+ * @param {boolean} options.silent - Do not console.warn (default: false)
  * @returns {Object} Validation result with warnings and errors
  */
 function validateEnvironment(requiredVars = [], options = {}) {
   const {
     serviceName = 'unknown-service',
     skipInProduction = true,
-    throwOnMissing = false
+    throwOnMissing = false,
+    env = process.env,
+    silent = false
   } = options;
 
   // Skip validation in production to avoid cold start delays
@@ -29,7 +52,7 @@ function validateEnvironment(requiredVars = [], options = {}) {
     };
   }
 
-  const missing = requiredVars.filter(varName => !process.env[varName]);
+  const missing = requiredVars.filter(varName => !env[varName]);
   const warnings = [];
 
   if (missing.length > 0) {
@@ -37,7 +60,9 @@ function validateEnvironment(requiredVars = [], options = {}) {
     warnings.push(warningMessage);
 
     // Log warning but don't fail (unless explicitly requested)
-    console.warn(warningMessage);
+    if (!silent) {
+      console.warn(warningMessage);
+    }
 
     if (throwOnMissing) {
       throw new Error(warningMessage);
@@ -63,7 +88,39 @@ const STANDARD_ENV_VARS = {
 };
 
 /**
- * Service-specific environment variable sets
+ * Environment variables that point clients at local endpoints
+ * (DynamoDB Local, LocalStack)
+ */
+const LOCAL_ENDPOINT_ENV_VARS = {
+  AWS_ENDPOINT_URL: 'Endpoint used by all AWS clients (e.g. LocalStack)',
+  DYNAMODB_ENDPOINT: 'DynamoDB endpoint override (e.g. DynamoDB Local)',
+  COGNITO_ENDPOINT: 'Cognito endpoint override'
+};
+
+/**
+ * Optional variables read by this package itself
+ */
+const PACKAGE_ENV_VARS = {
+  NODE_ENV: 'Runtime environment (production, development, test)',
+  STAGE: 'Deployment stage, selects .env.<stage>',
+  LOG_LEVEL: 'Minimum log level (debug, info, warn, error)',
+  SERVICE_NAME: 'Service name used in logs and role session names',
+  SERVICE_VERSION: 'Service version reported by health checks',
+  AWS_CLIENT_INIT_STRATEGY: 'Client initialization strategy (eager, lazy, none)',
+  SERVICE_ENV_CONFIG: 'Path to the service environment definitions file',
+  SECRETS_FILE: 'JSON file read by useFileSecretResolver() outside production'
+};
+
+/**
+ * Renamed variables accepted by every service: { OLD_NAME: 'NEW_NAME' }
+ */
+const STANDARD_ENV_ALIASES = {
+  DYNAMODB_TABLE: 'DYNAMODB_TABLE_NAME'
+};
+
+/**
+ * Built-in service environment variable sets.
+ * @deprecated Register services with registerServiceEnvironment() or a service env config file
  */
 const SERVICE_ENV_VARS = {
   'auth-service': [
@@ -77,30 +134,693 @@ const SERVICE_ENV_VARS = {
     'COGNITO_USER_POOL_CLIENT_ID'
   ],
   'organizations-service': [
-    'DYNAMODB_TABLE',
+    'DYNAMODB_TABLE_NAME',
     'COGNITO_USER_POOL_ID',
     'COGNITO_USER_POOL_CLIENT_ID'
   ]
 };
 
 /**
- * Validate environment for a specific service
+ * Service env config file looked up in the working directory when
+ * SERVICE_ENV_CONFIG is not set
+ */
+const DEFAULT_SERVICE_ENV_CONFIG_FILE = 'service-env.json';
+
+// Base name services extend to inherit every STANDARD_ENV_VARS entry
+const STANDARD_SERVICE = 'standard';
+
+// Registered service definitions keyed by service name
+const serviceEnvironments = new Map();
+
+// Whether the config file has been looked for
+let serviceEnvConfigLoaded = false;
+
+// Aliases already warned about in this container
+const warnedAliases = new Set();
+
+/**
+ * Normalize a variable list given as an array of names or a { NAME: description } map
+ * @param {string[]|Object} variables - Variables
+ * @returns {Object} { NAME: description }
+ */
+function normalizeVariableList(variables = []) {
+  if (Array.isArray(variables)) {
+    return Object.fromEntries(variables.map(name => [name, '']));
+  }
+  return { ...variables };
+}
+
+/**
+ * Register the environment a service needs. Registering a name again replaces it.
+ * @param {string} serviceName - Service name
+ * @param {Object} definition - Service definition
+ * @param {string|string[]} definition.extends - Services to inherit from; 'standard' inherits STANDARD_ENV_VARS
+ * @param {string[]|Object} definition.required - Required variables (names or { NAME: description })
+ * @param {string[]|Object} definition.optional - Optional variables (names or { NAME: description })
+ * @param {Object} definition.aliases - Deprecated names accepted in place of a variable: { OLD_NAME: 'NEW_NAME' }
+ */
+function registerServiceEnvironment(serviceName, definition = {}) {
+  if (!serviceName || typeof serviceName !== 'string' || serviceName === STANDARD_SERVICE) {
+    throw new Error(`Invalid service name: ${serviceName}`);
+  }
+
+  const aliases = { ...definition.aliases };
+  Object.entries(aliases).forEach(([alias, target]) => {
+    if (typeof target !== 'string' || !target || alias === target) {
+      throw new Error(`${serviceName}: alias ${alias} must point to another variable name`);
+    }
+  });
+
+  serviceEnvironments.set(serviceName, {
+    extends: [].concat(definition.extends || []),
+    required: normalizeVariableList(definition.required),
+    optional: normalizeVariableList(definition.optional),
+    aliases
+  });
+}
+
+/**
+ * Remove a registered service environment
+ * @param {string} serviceName - Service name
+ * @returns {boolean} True if a service was removed
+ */
+function unregisterServiceEnvironment(serviceName) {
+  return serviceEnvironments.delete(serviceName);
+}
+
+/**
+ * Read a service env config file
+ * @param {string} filePath - Config file path (relative to the working directory)
+ * @returns {Object} { name: definition }
+ */
+function readServiceEnvironmentConfig(filePath) {
+  const resolved = path.resolve(filePath);
+  let contents;
+
+  try {
+    // Read once at cold start, before any request is handled
+    // eslint-disable-next-line no-sync
+    contents = /\.json$/i.test(resolved) ? JSON.parse(fs.readFileSync(resolved, 'utf8')) : require(resolved);
+  } catch (error) {
+    throw new Error(`Could not load service environments from ${resolved}: ${error.message}`);
+  }
+
+  const services = contents && contents.services ? contents.services : contents;
+
+  if (!services || typeof services !== 'object' || Array.isArray(services)) {
+    throw new Error(`Service environment config ${resolved} must map service names to definitions`);
+  }
+
+  return services;
+}
+
+/**
+ * Register every service in a config file. JSON files and CommonJS modules are
+ * supported; either form holds { services: { name: definition } } or the
+ * name -> definition map itself.
+ * @param {string} filePath - Config file path (relative to the working directory)
+ * @param {Object} options - Load options
+ * @param {boolean} options.skipDefaultConfig - Make this file authoritative: never look for
+ *   SERVICE_ENV_CONFIG or service-env.json afterwards (default: false)
+ * @returns {string[]} Registered service names
+ */
+function loadServiceEnvironments(filePath, options = {}) {
+  const services = readServiceEnvironmentConfig(filePath);
+
+  Object.entries(services).forEach(([serviceName, definition]) => {
+    registerServiceEnvironment(serviceName, definition);
+  });
+
+  if (options.skipDefaultConfig) {
+    serviceEnvConfigLoaded = true;
+  }
+
+  return Object.keys(services);
+}
+
+/**
+ * Load the consuming repo's service env config file once per container:
+ * SERVICE_ENV_CONFIG if set (must exist), otherwise service-env.json in the
+ * working directory if present. Services already registered at runtime or
+ * through loadServiceEnvironments() are kept; the file only adds the others.
+ */
+function ensureServiceEnvConfigLoaded() {
+  if (serviceEnvConfigLoaded) {
+    return;
+  }
+
+  const configured = process.env.SERVICE_ENV_CONFIG;
+  const filePath = configured || path.join(process.cwd(), DEFAULT_SERVICE_ENV_CONFIG_FILE);
+
+  // eslint-disable-next-line no-sync
+  if (configured || fs.existsSync(filePath)) {
+    Object.entries(readServiceEnvironmentConfig(filePath)).forEach(([serviceName, definition]) => {
+      if (!serviceEnvironments.has(serviceName)) {
+        registerServiceEnvironment(serviceName, definition);
+      }
+    });
+  }
+
+  // Only once the file loaded, so a broken file keeps failing loudly
+  serviceEnvConfigLoaded = true;
+}
+
+/**
+ * Forget registered services and look for the config file again on next use
+ * (primarily for testing)
+ */
+function resetServiceEnvironments() {
+  serviceEnvironments.clear();
+  warnedAliases.clear();
+  serviceEnvConfigLoaded = false;
+}
+
+/**
+ * Resolve a service's environment, including inherited variables and aliases.
+ * Registered services win over the built-in SERVICE_ENV_VARS sets.
+ * @param {string} serviceName - Service name
+ * @returns {Object|null} { name, required, optional, aliases, descriptions }, or null if unknown
+ */
+function getServiceEnvironment(serviceName) {
+  ensureServiceEnvConfigLoaded();
+
+  return resolveServiceEnvironment(serviceName, []);
+}
+
+/**
+ * Resolve a service definition recursively
+ * @param {string} serviceName - Service name
+ * @param {string[]} chain - Services being resolved, for cycle detection
+ * @returns {Object|null} Resolved environment
+ */
+function resolveServiceEnvironment(serviceName, chain) {
+  if (chain.includes(serviceName)) {
+    throw new Error(`Service environment inheritance cycle: ${[...chain, serviceName].join(' -> ')}`);
+  }
+
+  let definition = serviceEnvironments.get(serviceName);
+
+  if (!definition && serviceName === STANDARD_SERVICE) {
+    definition = { extends: [], required: { ...STANDARD_ENV_VARS }, optional: {}, aliases: {} };
+  } else if (!definition && SERVICE_ENV_VARS[serviceName]) {
+    definition = { extends: [], required: normalizeVariableList(SERVICE_ENV_VARS[serviceName]), optional: {}, aliases: {} };
+  }
+
+  if (!definition) {
+    return null;
+  }
+
+  const resolved = { name: serviceName, required: [], optional: [], aliases: { ...STANDARD_ENV_ALIASES }, descriptions: {} };
+
+  const addVariables = (list, variables) => {
+    Object.entries(variables).forEach(([name, description]) => {
+      if (!list.includes(name)) {
+        list.push(name);
+      }
+      resolved.descriptions[name] = description || resolved.descriptions[name] ||
+        STANDARD_ENV_VARS[name] || LOCAL_ENDPOINT_ENV_VARS[name] || '';
+    });
+  };
+
+  definition.extends.forEach(parentName => {
+    const parent = resolveServiceEnvironment(parentName, [...chain, serviceName]);
+    if (!parent) {
+      throw new Error(`${serviceName} extends unknown service environment ${parentName}`);
+    }
+    addVariables(resolved.required, Object.fromEntries(parent.required.map(name => [name, parent.descriptions[name]])));
+    addVariables(resolved.optional, Object.fromEntries(parent.optional.map(name => [name, parent.descriptions[name]])));
+    Object.assign(resolved.aliases, parent.aliases);
+  });
+
+  addVariables(resolved.required, definition.required);
+  addVariables(resolved.optional, definition.optional);
+  Object.assign(resolved.aliases, definition.aliases);
+
+  // A variable required anywhere in the chain is required
+  resolved.optional = resolved.optional.filter(name => !resolved.required.includes(name));
+
+  return resolved;
+}
+
+/**
+ * List services with a known environment (registered, from the config file or built in)
+ * @returns {string[]} Service names
+ */
+function getRegisteredServices() {
+  ensureServiceEnvConfigLoaded();
+
+  return Array.from(new Set([...Object.keys(SERVICE_ENV_VARS), ...serviceEnvironments.keys()]));
+}
+
+/**
+ * Find deprecated aliases in use and copy their values to the new names, so
+ * code reading the new name keeps working. Warns once per alias per container.
+ * @param {Object} aliases - { OLD_NAME: 'NEW_NAME' }
+ * @param {Object} options - { env, serviceName, apply, silent }
+ * @returns {Object[]} [{ variable, replacement }] for every alias in use
+ */
+function resolveEnvironmentAliases(aliases, options = {}) {
+  const { env = process.env, serviceName = 'unknown-service', apply = true, silent = false } = options;
+  const deprecated = [];
+
+  Object.entries(aliases).forEach(([alias, target]) => {
+    if (!env[alias]) {
+      return;
+    }
+
+    deprecated.push({ variable: alias, replacement: target });
+
+    if (apply && !env[target]) {
+      env[target] = env[alias];
+    }
+
+    if (!silent && !warnedAliases.has(alias)) {
+      warnedAliases.add(alias);
+      console.warn(`${serviceName}: ${alias} is deprecated, use ${target} instead`);
+    }
+  });
+
+  return deprecated;
+}
+
+/**
+ * Validate environment for a specific service. Deprecated aliases are
+ * accepted (with a warning) and their values copied to the new names.
  * @param {string} serviceName - Name of the service
- * @param {Object} options - Validation options
- * @returns {Object} Validation result
+ * @param {Object} options - Validation options (see validateEnvironment)
+ * @param {boolean} options.applyAliases - Copy alias values to the new names (default: true)
+ * @returns {Object} Validation result, plus deprecated: [{ variable, replacement }]
  */
 function validateServiceEnvironment(serviceName, options = {}) {
-  const requiredVars = SERVICE_ENV_VARS[serviceName] || [];
+  const { applyAliases = true, ...validationOptions } = options;
+  const service = getServiceEnvironment(serviceName);
+  const deprecated = resolveEnvironmentAliases(service ? service.aliases : STANDARD_ENV_ALIASES, {
+    serviceName,
+    apply: applyAliases,
+    env: validationOptions.env,
+    silent: validationOptions.silent
+  });
 
-  return validateEnvironment(requiredVars, {
+  const result = validateEnvironment(service ? service.required : [], {
     serviceName,
-    ...options
+    ...validationOptions
+  });
+
+  return {
+    ...result,
+    deprecated,
+    warnings: [
+      ...result.warnings,
+      ...deprecated.map(({ variable, replacement }) => `${variable} is deprecated, use ${replacement} instead`)
+    ]
+  };
+}
+
+/**
+ * Variables set by the Lambda runtime, local emulators or the OS, never reported as unknown
+ */
+const RUNTIME_ENV_PATTERN = /^(?:AWS_\w+|LAMBDA_\w+|_HANDLER|IS_OFFLINE|_X_AMZN_TRACE_ID|TZ|LANG|PATH|LD_LIBRARY_PATH|NODE_PATH|NODE_OPTIONS|NODE_EXTRA_CA_CERTS)$/;
+
+/**
+ * Check an environment against a service definition and describe every
+ * problem, e.g. for CI before a deploy
+ * @param {string} serviceName - Service name (built in, registered or from the config file)
+ * @param {Object} options - Check options
+ * @param {Object} options.env - Environment to check (default: process.env); not modified
+ * @param {boolean} options.checkUnknown - Report variables the service does not define (default: true)
+ * @returns {Object} { service, valid, missing, deprecated, unknown }
+ * @throws {Error} For services without a definition
+ */
+function checkServiceEnvironment(serviceName, options = {}) {
+  const { env = process.env, checkUnknown = true } = options;
+  const service = getServiceEnvironment(serviceName);
+
+  if (!service) {
+    throw new Error(`Unknown service environment: ${serviceName}`);
+  }
+
+  const describe = name => service.descriptions[name] || STANDARD_ENV_VARS[name] ||
+    LOCAL_ENDPOINT_ENV_VARS[name] || PACKAGE_ENV_VARS[name] || '';
+
+  const result = validateServiceEnvironment(serviceName, {
+    env: { ...env },
+    silent: true,
+    skipInProduction: false
+  });
+
+  const known = new Set([
+    ...service.required,
+    ...service.optional,
+    ...Object.keys(service.aliases),
+    ...Object.keys(STANDARD_ENV_VARS),
+    ...Object.keys(LOCAL_ENDPOINT_ENV_VARS),
+    ...Object.keys(PACKAGE_ENV_VARS)
+  ]);
+
+  const unknown = checkUnknown ?
+    Object.keys(env).filter(name => !known.has(name) && !RUNTIME_ENV_PATTERN.test(name)).sort() :
+    [];
+
+  return {
+    service: serviceName,
+    valid: result.missing.length === 0,
+    missing: result.missing.map(variable => ({ variable, description: describe(variable) })),
+    deprecated: result.deprecated.map(({ variable, replacement }) => ({
+      variable,
+      replacement,
+      description: describe(replacement)
+    })),
+    unknown: unknown.map(variable => ({ variable }))
+  };
+}
+
+/**
+ * .env files in load order; later files override earlier ones.
+ * '<stage>' is replaced by the stage name.
+ */
+const ENV_FILE_LAYERS = ['.env', '.env.<stage>', '.env.local'];
+
+// Source of every variable named in a loaded .env file: file name or 'process.env'
+const envSources = new Map();
+
+// Variables set by loadEnvFiles per env object, as Maps of name -> { value, source },
+// so reloading reports them by file rather than as 'process.env'
+let loadedEnvVars = new WeakMap();
+
+const ENV_LINE_PATTERN = /^\s*(?:export\s+)?([A-Za-z_][\w.-]*)\s*=\s*(.*?)\s*$/;
+const ENV_REFERENCE_PATTERN = /\\\$|\$(?:\{([A-Za-z_]\w*)(?:(:?-)([^}]*))?\}|([A-Za-z_]\w*))/g;
+const ESCAPES = { n: '\n', r: '\r', t: '\t' };
+
+/**
+ * Parse .env content into entries. Double-quoted values support \n, \r, \t
+ * escapes and interpolation; single-quoted values are taken literally;
+ * unquoted values end at an inline ' #' comment.
+ * @param {string} content - File content
+ * @param {string} fileName - File name for error messages
+ * @returns {Object} { NAME: { value, expand } }
+ * @throws {Error} For lines that are not comments, blank or NAME=value
+ */
+function parseEnvEntries(content, fileName = '.env') {
+  const entries = {};
+
+  String(content).split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith('#')) {
+      return;
+    }
+
+    const match = ENV_LINE_PATTERN.exec(line);
+    if (!match) {
+      throw new Error(`${fileName}:${index + 1}: expected NAME=value`);
+    }
+
+    const [, name, rawValue] = match;
+    const quote = rawValue[0];
+
+    if ((quote === '"' || quote === '\'') && rawValue.lastIndexOf(quote) > 0) {
+      const inner = rawValue.slice(1, rawValue.lastIndexOf(quote));
+      entries[name] = quote === '\'' ?
+        { value: inner, expand: false } :
+        { value: inner.replace(/\\([nrt"\\])/g, (_match, char) => ESCAPES[char] || char), expand: true };
+      return;
+    }
+
+    entries[name] = { value: rawValue.replace(/\s+#.*$/, ''), expand: true };
   });
+
+  return entries;
+}
+
+/**
+ * Parse .env content into raw (uninterpolated) values
+ * @param {string} content - File content
+ * @returns {Object} { NAME: value }
+ */
+function parseEnvFile(content) {
+  const entries = parseEnvEntries(content);
+
+  return Object.fromEntries(Object.entries(entries).map(([name, entry]) => [name, entry.value]));
+}
+
+/**
+ * Interpolate ${NAME}, ${NAME:-default} (unset or empty), ${NAME-default}
+ * (unset) and $NAME references; \$ is a literal dollar sign
+ * @param {Object} entries - Merged entries from parseEnvEntries
+ * @param {Object} env - Environment; its values win over file values
+ * @returns {Object} { NAME: value }
+ * @throws {Error} For circular references
+ */
+function expandEnvEntries(entries, env) {
+  const expanded = {};
+
+  const lookup = (name, chain) => {
+    if (env[name] !== undefined) {
+      return env[name];
+    }
+    if (!entries[name]) {
+      return undefined;
+    }
+    return resolve(name, chain);
+  };
+
+  const resolve = (name, chain = []) => {
+    if (expanded[name] !== undefined) {
+      return expanded[name];
+    }
+    if (chain.includes(name)) {
+      throw new Error(`Circular .env reference: ${[...chain, name].join(' -> ')}`);
+    }
+
+    const { value, expand } = entries[name];
+    expanded[name] = !expand ? value : value.replace(ENV_REFERENCE_PATTERN, (match, braced, operator, fallback, bare) => {
+      if (match === '\\$') {
+        return '$';
+      }
+
+      const current = lookup(braced || bare, [...chain, name]);
+      if (operator === ':-' && !current) {
+        return fallback;
+      }
+      if (operator === '-' && current === undefined) {
+        return fallback;
+      }
+      return current === undefined ? '' : current;
+    });
+
+    return expanded[name];
+  };
+
+  Object.keys(entries).forEach(name => resolve(name));
+
+  return expanded;
+}
+
+/**
+ * Load layered .env files into the environment: .env, then .env.<stage>,
+ * then .env.local, each overriding the one before. Variables already set in
+ * the environment always win. Disabled in production (NODE_ENV or stage
+ * 'production' in the target env, or NODE_ENV in process.env) unless forced.
+ * @param {Object} options - Load options
+ * @param {string} options.dir - Directory holding the files (default: working directory)
+ * @param {string} options.stage - Stage for .env.<stage> (default: STAGE, then NODE_ENV)
+ * @param {Object} options.env - Environment to update (default: process.env)
+ * @param {boolean} options.force - Load even in production (default: false)
+ * @returns {Object} { loaded, files, sources: { NAME: source } }
+ */
+function loadEnvFiles(options = {}) {
+  const {
+    dir = process.cwd(),
+    env = process.env,
+    stage = env.STAGE || env.NODE_ENV,
+    force = false
+  } = options;
+
+  const production = env.NODE_ENV === 'production' || stage === 'production' || isProductionEnvironment();
+
+  if (production && !force) {
+    return { loaded: false, files: [], sources: {}, reason: 'production' };
+  }
+
+  const layers = ENV_FILE_LAYERS
+    .filter(layer => stage || !layer.includes('<stage>'))
+    .map(layer => layer.replace('<stage>', stage));
+  const entries = {};
+  const fileSources = {};
+  const files = [];
+
+  layers.forEach(layer => {
+    const filePath = path.join(dir, layer);
+
+    // eslint-disable-next-line no-sync
+    if (!fs.existsSync(filePath)) {
+      return;
+    }
+
+    // eslint-disable-next-line no-sync
+    const layerEntries = parseEnvEntries(fs.readFileSync(filePath, 'utf8'), layer);
+    Object.keys(layerEntries).forEach(name => {
+      fileSources[name] = layer;
+    });
+    Object.assign(entries, layerEntries);
+    files.push(filePath);
+  });
+
+  const values = expandEnvEntries(entries, env);
+  const sources = {};
+
+  if (!loadedEnvVars.has(env)) {
+    loadedEnvVars.set(env, new Map());
+  }
+  const loaded = loadedEnvVars.get(env);
+
+  Object.entries(values).forEach(([name, value]) => {
+    const previous = loaded.get(name);
+
+    if (env[name] === undefined) {
+      env[name] = value;
+      sources[name] = fileSources[name];
+      loaded.set(name, { value, source: sources[name] });
+    } else if (previous && previous.value === env[name]) {
+      sources[name] = previous.source;
+    } else {
+      sources[name] = 'process.env';
+    }
+    envSources.set(name, sources[name]);
+  });
+
+  return { loaded: files.length > 0, files, sources };
+}
+
+/**
+ * Get the source of every variable named in a loaded .env file
+ * @returns {Object} { NAME: '.env' | '.env.<stage>' | '.env.local' | 'process.env' }
+ */
+function getEnvSources() {
+  return Object.fromEntries(envSources);
+}
+
+/**
+ * Forget recorded .env sources (primarily for testing)
+ */
+function resetEnvSources() {
+  envSources.clear();
+  loadedEnvVars = new WeakMap();
+}
+
+// Invocations handled by this container, and the Lambda context of the current one
+let invocationCount = 0;
+let invocationContext = null;
+
+/**
+ * Record the Lambda context of the invocation being handled. The first
+ * invocation in a container is its cold start.
+ * @param {Object} lambdaContext - Lambda context object
+ * @returns {Object} Recorded invocation context
+ */
+function setInvocationContext(lambdaContext = {}) {
+  invocationCount++;
+  invocationContext = {
+    requestId: lambdaContext.awsRequestId,
+    functionName: lambdaContext.functionName,
+    functionVersion: lambdaContext.functionVersion,
+    memoryLimitInMB: lambdaContext.memoryLimitInMB,
+    logGroupName: lambdaContext.logGroupName,
+    logStreamName: lambdaContext.logStreamName,
+    invokedFunctionArn: lambdaContext.invokedFunctionArn
+  };
+
+  return invocationContext;
+}
+
+/**
+ * Get the context recorded for the current invocation
+ * @returns {Object|null} Invocation context, or null outside a wrapped handler
+ */
+function getInvocationContext() {
+  return invocationContext;
+}
+
+/**
+ * Forget the current invocation and the cold start state (primarily for testing)
+ */
+function resetInvocationContext() {
+  invocationContext = null;
+  invocationCount = 0;
+}
+
+/**
+ * Wrap a Lambda handler so getEnvironmentInfo(), health responses and log
+ * entries report the current request id and cold start
+ * @param {Function} handler - Lambda handler (event, context)
+ * @returns {Function} Wrapped handler
+ */
+function withInvocationContext(handler) {
+  return async (event, context) => {
+    setInvocationContext(context);
+
+    try {
+      return await handler(event, context);
+    } finally {
+      invocationContext = null;
+    }
+  };
+}
+
+/**
+ * Detect a local Lambda emulator
+ * @returns {string|null} 'sam-local', 'serverless-offline', or null
+ */
+function getLocalRuntime() {
+  if (process.env.AWS_SAM_LOCAL === 'true') {
+    return 'sam-local';
+  }
+  if (process.env.IS_OFFLINE && process.env.IS_OFFLINE !== 'false') {
+    return 'serverless-offline';
+  }
+  return null;
+}
+
+/**
+ * Whether this is the container's cold start. Only wrapped handlers count
+ * invocations, so before the first one it is unknown whether code runs during
+ * initialization or in a handler without the wrapper.
+ * @returns {boolean|null} True during the first wrapped invocation, false once
+ *   one has started, null before any
+ */
+function isColdStart() {
+  if (invocationCount === 0) {
+    return null;
+  }
+
+  return invocationContext !== null && invocationCount === 1;
+}
+
+/**
+ * Describe the Lambda runtime. Values come from the current invocation
+ * context when a wrapped handler is running, otherwise from the variables
+ * Lambda sets in every function's environment.
+ * @returns {Object} { isLambda, localRuntime, functionName, functionVersion, memorySize, logGroupName, logStreamName, coldStart, requestId }
+ */
+function getLambdaRuntimeInfo() {
+  const invocation = invocationContext || {};
+  const functionName = invocation.functionName || process.env.AWS_LAMBDA_FUNCTION_NAME;
+  const memorySize = invocation.memoryLimitInMB || process.env.AWS_LAMBDA_FUNCTION_MEMORY_SIZE;
+
+  return {
+    isLambda: Boolean(functionName),
+    localRuntime: getLocalRuntime(),
+    functionName: functionName || null,
+    functionVersion: invocation.functionVersion || process.env.AWS_LAMBDA_FUNCTION_VERSION || null,
+    memorySize: memorySize ? Number(memorySize) : null,
+    logGroupName: invocation.logGroupName || process.env.AWS_LAMBDA_LOG_GROUP_NAME || null,
+    logStreamName: invocation.logStreamName || process.env.AWS_LAMBDA_LOG_STREAM_NAME || null,
+    coldStart: isColdStart(),
+    requestId: invocation.requestId || null
+  };
 }
 
 /**
  * Get environment configuration summary
- * @returns {Object} Environment configuration details
+ * @returns {Object} Environment configuration details, including the Lambda runtime under `lambda`
  */
 function getEnvironmentInfo() {
   return {
@@ -110,10 +830,38 @@ function getEnvironmentInfo() {
     isProduction: process.env.NODE_ENV === 'production',
     isDevelopment: process.env.NODE_ENV === 'development' || process.env.NODE_ENV === 'dev',
     serviceVersion: process.env.SERVICE_VERSION || '1.0.0',
+    localMode: isLocalEndpointMode(),
+    localEndpoints: getLocalEndpoints(),
+    envSources: getEnvSources(),
+    lambda: getLambdaRuntimeInfo(),
     timestamp: new Date().toISOString()
   };
 }
 
+/**
+ * Get configured local endpoint overrides
+ * @returns {Object} Map of endpoint env var names to their values
+ */
+function getLocalEndpoints() {
+  const endpoints = {};
+
+  Object.keys(LOCAL_ENDPOINT_ENV_VARS).forEach(varName => {
+    if (process.env[varName]) {
+      endpoints[varName] = process.env[varName];
+    }
+  });
+
+  return endpoints;
+}
+
+/**
+ * Check if any client is pointed at a local endpoint
+ * @returns {boolean} True if local endpoint mode is active
+ */
+function isLocalEndpointMode() {
+  return Object.keys(getLocalEndpoints()).length > 0;
+}
+
 /**
  * Check if running in test environment
  * @returns {boolean} True if in test environment
@@ -152,29 +900,40 @@ function getEnvVar(varName, defaultValue = null, required = false) {
 }
 
 /**
- * Mask sensitive environment variables for logging
- * @param {Object} env - Environment object to mask
- * @returns {Object} Masked environment object
+ * Check whether a key names a sensitive value
+ * @param {string} key - Environment variable or property name
+ * @returns {boolean} True if the key matches a redaction key pattern
  */
-function maskSensitiveEnvVars(env = process.env) {
-  const sensitiveKeys = [
-    'COGNITO_USER_POOL_CLIENT_SECRET',
-    'AWS_ACCESS_KEY_ID',
-    'AWS_SECRET_ACCESS_KEY',
-    'DATABASE_PASSWORD',
-    'API_KEY',
-    'SECRET'
-  ];
+function isSensitiveKey(key) {
+  return isRedactedKey(key);
+}
 
-  const masked = { ...env };
+/**
+ * Mark an environment variable as holding a secret, whatever its name.
+ * Its key and its value are masked by maskSensitiveEnvVars and redaction from then on.
+ * @param {string} key - Environment variable name
+ * @param {string} value - Secret value
+ */
+function markSecretEnvVar(key, value) {
+  addSensitiveValue(key, value);
+}
 
-  Object.keys(masked).forEach(key => {
-    if (sensitiveKeys.some(sensitive => key.toUpperCase().includes(sensitive))) {
-      masked[key] = '***MASKED***';
-    }
-  });
+/**
+ * Forget variables marked with markSecretEnvVar (primarily for testing)
+ */
+function clearSecretEnvVars() {
+  clearSensitiveValues();
+}
 
-  return masked;
+/**
+ * Mask sensitive environment variables for logging, using the redaction
+ * rules: sensitive keys, detected secrets (JWTs, access keys, ...) and values
+ * resolved from secret references
+ * @param {Object} env - Environment object to mask
+ * @returns {Object} Masked environment object
+ */
+function maskSensitiveEnvVars(env = process.env) {
+  return redact({ ...env });
 }
 
 module.exports = {
@@ -182,16 +941,52 @@ module.exports = {
   validateEnvironment,
   validateServiceEnvironment,
 
+  // Service environments
+  registerServiceEnvironment,
+  unregisterServiceEnvironment,
+  loadServiceEnvironments,
+  getServiceEnvironment,
+  getRegisteredServices,
+  resetServiceEnvironments,
+  resolveEnvironmentAliases,
+  checkServiceEnvironment,
+
+  // .env files
+  loadEnvFiles,
+  parseEnvFile,
+  getEnvSources,
+  resetEnvSources,
+
   // Environment info
   getEnvironmentInfo,
   isTestEnvironment,
   isProductionEnvironment,
+  isLocalEndpointMode,
+  getLocalEndpoints,
+
+  // Lambda runtime
+  getLambdaRuntimeInfo,
+  getLocalRuntime,
+  withInvocationContext,
+  setInvocationContext,
+  getInvocationContext,
+  resetInvocationContext,
 
   // Utilities
   getEnvVar,
   maskSensitiveEnvVars,
+  isSensitiveKey,
+  markSecretEnvVar,
+  clearSecretEnvVars,
 
   // Constants
   STANDARD_ENV_VARS,
-  SERVICE_ENV_VARS
+  SERVICE_ENV_VARS,
+  STANDARD_ENV_ALIASES,
+  DEFAULT_SERVICE_ENV_CONFIG_FILE,
+  ENV_FILE_LAYERS,
+  LOCAL_ENDPOINT_ENV_VARS,
+  PACKAGE_ENV_VARS,
+  SENSITIVE_KEYS,
+  MASKED_VALUE
 };
\ No newline at end of file
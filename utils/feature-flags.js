@@ -0,0 +1,454 @@
+'use strict';
+
+/**
+ * Feature flags with per-organization overrides
+ * - Flags are declared in code with a default; FEATURE_<NAME> env vars
+ *   override the default per deployment
+ * - Per-organization overrides live in DynamoDB (PK ORG#<id>, SK
+ *   FEATURE_FLAG#<name>), so a module can be rolled out per customer without
+ *   a redeploy
+ * - Percentage rollouts hash the organization or user id with the flag name,
+ *   so each id stays in or out of the rollout as the percentage grows
+ * - Overrides are read once per organization and cached in the warm
+ *   container for a TTL
+ *
+ * Precedence: organization override, then env var, then declared default.
+ */
+
+const crypto = require('crypto');
+const { PutCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const { getDynamoDbClient } = require('../clients/aws-clients');
+const { queryAll } = require('../dynamodb/pagination');
+const { buildExpressions, beginsWith } = require('../dynamodb/expressions');
+const { coerceEnvValue } = require('./env-schema');
+const { logger } = require('./logger');
+
+/**
+ * Default feature flag settings
+ */
+const DEFAULT_FEATURE_FLAG_OPTIONS = {
+  cacheTtlMs: 60 * 1000,
+  partitionKey: 'PK',
+  sortKey: 'SK',
+  partitionKeyPrefix: 'ORG#',
+  sortKeyPrefix: 'FEATURE_FLAG#',
+  envPrefix: 'FEATURE_'
+};
+
+/**
+ * Ids a percentage rollout can hash on
+ */
+const ROLLOUT_KEYS = {
+  organization: 'organizationId',
+  user: 'userId'
+};
+
+// Declared flags keyed by name
+const flagDefinitions = new Map();
+
+// Overrides per organization: { overrides, expiresAt, pending }
+const overrideCache = new Map();
+
+let settings = { ...DEFAULT_FEATURE_FLAG_OPTIONS };
+
+/**
+ * Normalize a flag value to a rollout percentage
+ * @param {boolean|number|string|Object} value - true/false, 0-100, 'N%', 'true'/'off'/..., or { percentage }
+ * @param {string} label - What the value is, for error messages
+ * @returns {number} Percentage (0 = off, 100 = on)
+ * @throws {Error} For values that are not a boolean or a percentage
+ */
+function toPercentage(value, label) {
+  let percentage = value;
+
+  if (typeof value === 'boolean') {
+    percentage = value ? 100 : 0;
+  } else if (value && typeof value === 'object') {
+    percentage = value.percentage;
+  } else if (typeof value === 'string') {
+    const text = value.trim();
+
+    if (/^\d+(\.\d+)?%$/.test(text)) {
+      percentage = Number(text.slice(0, -1));
+    } else {
+      // Booleans are spelled as for bool env schema variables
+      try {
+        percentage = coerceEnvValue(text, { type: 'bool' }) ? 100 : 0;
+      } catch (_error) {
+        percentage = NaN;
+      }
+    }
+  }
+
+  if (typeof percentage !== 'number' || !(percentage >= 0 && percentage <= 100)) {
+    throw new Error(`${label} must be true, false or a percentage between 0% and 100% (got ${JSON.stringify(value)})`);
+  }
+
+  return percentage;
+}
+
+/**
+ * Env var holding a flag's deployment default: FEATURE_ plus the flag name in
+ * SNAKE_CASE (inventoryModule -> FEATURE_INVENTORY_MODULE)
+ * @param {string} name - Flag name
+ * @returns {string} Env var name
+ */
+function getFlagEnvVar(name) {
+  return settings.envPrefix + name
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[^A-Za-z0-9]+/g, '_')
+    .toUpperCase();
+}
+
+/**
+ * Declare feature flags. Declaring a name again replaces it.
+ * @param {Object} definitions - { name: definition }
+ * @param {boolean|number|string} definitions[].default - Default value: boolean or percentage ('25%', 25)
+ * @param {string} definitions[].by - Id a percentage rollout hashes on: 'organization' (default) or 'user'
+ * @param {string} definitions[].env - Env var overriding the default (default: FEATURE_<NAME>)
+ * @param {string} definitions[].description - What the flag controls
+ * @returns {string[]} Declared flag names
+ */
+function defineFeatureFlags(definitions = {}) {
+  Object.entries(definitions).forEach(([name, definition]) => {
+    const spec = typeof definition === 'object' && definition !== null ? definition : { default: definition };
+    const by = spec.by || 'organization';
+
+    if (!ROLLOUT_KEYS[by]) {
+      throw new Error(`Feature flag ${name}: by must be one of ${Object.keys(ROLLOUT_KEYS).join(', ')}`);
+    }
+
+    flagDefinitions.set(name, Object.freeze({
+      name,
+      percentage: toPercentage(spec.default ?? false, `Feature flag ${name} default`),
+      by,
+      env: spec.env || getFlagEnvVar(name),
+      description: spec.description || ''
+    }));
+  });
+
+  return Object.keys(definitions);
+}
+
+/**
+ * Get a declared flag
+ * @param {string} name - Flag name
+ * @returns {Object} Definition
+ * @throws {Error} For undeclared flags, so typos fail loudly
+ */
+function getFlagDefinition(name) {
+  const definition = flagDefinitions.get(name);
+
+  if (!definition) {
+    throw new Error(`Unknown feature flag: ${name}`);
+  }
+
+  return definition;
+}
+
+/**
+ * Stable bucket in [0, 100) for a flag and id
+ * @param {string} flagName - Flag name
+ * @param {string} id - Organization or user id
+ * @returns {number} Bucket
+ */
+function getRolloutBucket(flagName, id) {
+  const digest = crypto.createHash('sha256').update(`${flagName}:${id}`).digest();
+
+  return (digest.readUInt32BE(0) % 10000) / 100;
+}
+
+/**
+ * Resolve the table name
+ * @returns {string} Table name
+ * @throws {Error} When neither tableName nor DYNAMODB_TABLE_NAME is set
+ */
+function getTableName() {
+  const tableName = settings.tableName || process.env.DYNAMODB_TABLE_NAME;
+
+  if (!tableName) {
+    throw new Error('Feature flag overrides require a table: set DYNAMODB_TABLE_NAME or configure tableName');
+  }
+
+  return tableName;
+}
+
+/**
+ * Key of an organization's override item
+ * @param {string} organizationId - Organization id
+ * @param {string} flagName - Flag name
+ * @returns {Object} Item key
+ */
+function getOverrideKey(organizationId, flagName) {
+  return {
+    [settings.partitionKey]: `${settings.partitionKeyPrefix}${organizationId}`,
+    [settings.sortKey]: `${settings.sortKeyPrefix}${flagName}`
+  };
+}
+
+/**
+ * Read an organization's overrides from DynamoDB
+ * @param {string} organizationId - Organization id
+ * @returns {Promise<Object>} { flagName: percentage }
+ */
+async function fetchOverrides(organizationId) {
+  const items = await queryAll({
+    TableName: getTableName(),
+    ...buildExpressions({
+      keyCondition: {
+        [settings.partitionKey]: `${settings.partitionKeyPrefix}${organizationId}`,
+        [settings.sortKey]: beginsWith(settings.sortKeyPrefix)
+      }
+    })
+  }, { client: settings.client || getDynamoDbClient() });
+
+  const overrides = {};
+
+  items.forEach(item => {
+    const flagName = item[settings.sortKey].slice(settings.sortKeyPrefix.length);
+    if (typeof item.percentage === 'number') {
+      overrides[flagName] = item.percentage;
+    }
+  });
+
+  return overrides;
+}
+
+/**
+ * Get an organization's overrides, from the cache while fresh. When DynamoDB
+ * is unavailable, stale overrides (or none) are used for one TTL and a
+ * warning is logged; flag checks never fail a request.
+ * @param {string} organizationId - Organization id
+ * @returns {Promise<Object>} { flagName: percentage }
+ */
+async function getOrganizationOverrides(organizationId) {
+  if (!organizationId) {
+    return {};
+  }
+
+  const cached = overrideCache.get(organizationId);
+
+  if (cached && cached.overrides && cached.expiresAt > Date.now()) {
+    return cached.overrides;
+  }
+  if (cached && cached.pending) {
+    return cached.pending;
+  }
+
+  const entry = cached || {};
+  overrideCache.set(organizationId, entry);
+
+  entry.pending = fetchOverrides(organizationId)
+    .then(overrides => {
+      entry.overrides = overrides;
+      entry.expiresAt = Date.now() + settings.cacheTtlMs;
+      return overrides;
+    })
+    .catch(error => {
+      // Keep serving what we have for one TTL rather than retrying on every check
+      logger.warn('Failed to load feature flag overrides', { organizationId, error });
+      entry.overrides = entry.overrides || {};
+      entry.expiresAt = Date.now() + settings.cacheTtlMs;
+      return entry.overrides;
+    })
+    .finally(() => {
+      entry.pending = null;
+    });
+
+  return entry.pending;
+}
+
+/**
+ * Read a flag's env var
+ * @param {Object} definition - Flag definition
+ * @returns {number|undefined} Percentage, or undefined when unset or invalid
+ */
+function getEnvPercentage(definition) {
+  const raw = process.env[definition.env];
+
+  if (raw === undefined || raw === '') {
+    return undefined;
+  }
+
+  try {
+    return toPercentage(raw, definition.env);
+  } catch (error) {
+    logger.warn('Ignoring invalid feature flag env var', { variable: definition.env, error: error.message });
+    return undefined;
+  }
+}
+
+/**
+ * Evaluate a flag against known overrides
+ * @param {Object} definition - Flag definition
+ * @param {Object} overrides - Organization overrides
+ * @param {Object} context - { organizationId, userId }
+ * @returns {Object} { name, enabled, source, percentage }
+ */
+function evaluate(definition, overrides, context) {
+  const envPercentage = getEnvPercentage(definition);
+  let source = 'default';
+  let percentage = definition.percentage;
+
+  if (overrides[definition.name] !== undefined) {
+    source = 'override';
+    percentage = overrides[definition.name];
+  } else if (envPercentage !== undefined) {
+    source = 'env';
+    percentage = envPercentage;
+  }
+
+  const id = context[ROLLOUT_KEYS[definition.by]];
+  let enabled = percentage >= 100;
+
+  if (percentage > 0 && percentage < 100) {
+    // A partial rollout without the id to hash on stays off
+    enabled = id !== undefined && id !== null && getRolloutBucket(definition.name, id) < percentage;
+  }
+
+  return { name: definition.name, enabled, source, percentage };
+}
+
+/**
+ * Evaluate one flag with details on where its value came from
+ * @param {string} name - Flag name
+ * @param {Object} context - Evaluation context
+ * @param {string} context.organizationId - Organization (tenant) id; selects overrides and organization rollouts
+ * @param {string} context.userId - User id for user rollouts
+ * @returns {Promise<Object>} { name, enabled, source: 'override' | 'env' | 'default', percentage }
+ */
+async function getFeatureFlag(name, context = {}) {
+  const definition = getFlagDefinition(name);
+  const overrides = await getOrganizationOverrides(context.organizationId);
+
+  return evaluate(definition, overrides, context);
+}
+
+/**
+ * Check whether a flag is on
+ * @param {string} name - Flag name
+ * @param {Object} context - { organizationId, userId }, see getFeatureFlag
+ * @returns {Promise<boolean>} True if enabled
+ */
+async function isFeatureEnabled(name, context = {}) {
+  return (await getFeatureFlag(name, context)).enabled;
+}
+
+/**
+ * Evaluate every declared flag (one override lookup per organization)
+ * @param {Object} context - { organizationId, userId }, see getFeatureFlag
+ * @returns {Promise<Object>} { flagName: enabled }
+ */
+async function evaluateFeatureFlags(context = {}) {
+  const overrides = await getOrganizationOverrides(context.organizationId);
+  const flags = {};
+
+  flagDefinitions.forEach(definition => {
+    flags[definition.name] = evaluate(definition, overrides, context).enabled;
+  });
+
+  return flags;
+}
+
+/**
+ * Store an organization override. Other warm containers pick it up when
+ * their cache expires.
+ * @param {string} organizationId - Organization id
+ * @param {string} name - Flag name
+ * @param {boolean|number|string} value - true/false or a percentage
+ * @returns {Promise<number>} Stored percentage
+ */
+async function setFeatureFlagOverride(organizationId, name, value) {
+  getFlagDefinition(name);
+  const percentage = toPercentage(value, `Override for ${name}`);
+
+  await (settings.client || getDynamoDbClient()).send(new PutCommand({
+    TableName: getTableName(),
+    Item: {
+      ...getOverrideKey(organizationId, name),
+      percentage,
+      updatedAt: new Date().toISOString()
+    }
+  }));
+
+  overrideCache.delete(organizationId);
+
+  return percentage;
+}
+
+/**
+ * Remove an organization override, falling back to the env var or default
+ * @param {string} organizationId - Organization id
+ * @param {string} name - Flag name
+ */
+async function removeFeatureFlagOverride(organizationId, name) {
+  await (settings.client || getDynamoDbClient()).send(new DeleteCommand({
+    TableName: getTableName(),
+    Key: getOverrideKey(organizationId, name)
+  }));
+
+  overrideCache.delete(organizationId);
+}
+
+/**
+ * Change feature flag settings
+ * @param {Object} options - Settings merged into the current ones
+ * @param {string} options.tableName - Table holding overrides (default: DYNAMODB_TABLE_NAME)
+ * @param {number} options.cacheTtlMs - How long overrides are reused (default: 60 seconds)
+ * @param {Object} options.client - Document client (default: getDynamoDbClient())
+ * @param {string} options.partitionKey - Partition key attribute (default: PK)
+ * @param {string} options.sortKey - Sort key attribute (default: SK)
+ * @param {string} options.partitionKeyPrefix - Partition key prefix (default: ORG#)
+ * @param {string} options.sortKeyPrefix - Sort key prefix (default: FEATURE_FLAG#)
+ * @param {string} options.envPrefix - Prefix of derived env var names (default: FEATURE_)
+ */
+function configureFeatureFlags(options = {}) {
+  settings = { ...settings, ...options };
+  overrideCache.clear();
+}
+
+/**
+ * Drop cached overrides, e.g. after changing them out of band
+ * @param {string} organizationId - Organization to drop (default: all)
+ */
+function clearFeatureFlagCache(organizationId) {
+  if (organizationId === undefined) {
+    overrideCache.clear();
+  } else {
+    overrideCache.delete(organizationId);
+  }
+}
+
+/**
+ * Forget declared flags, cached overrides and settings (primarily for testing)
+ */
+function resetFeatureFlags() {
+  flagDefinitions.clear();
+  overrideCache.clear();
+  settings = { ...DEFAULT_FEATURE_FLAG_OPTIONS };
+}
+
+module.exports = {
+  // Primary functions
+  defineFeatureFlags,
+  isFeatureEnabled,
+  getFeatureFlag,
+  evaluateFeatureFlags,
+
+  // Overrides
+  setFeatureFlagOverride,
+  removeFeatureFlagOverride,
+  clearFeatureFlagCache,
+
+  // Configuration
+  configureFeatureFlags,
+  resetFeatureFlags,
+
+  // Utilities
+  getRolloutBucket,
+  getFlagEnvVar,
+
+  // Constants
+  DEFAULT_FEATURE_FLAG_OPTIONS,
+  ROLLOUT_KEYS
+};
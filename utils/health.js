@@ -5,9 +5,47 @@
  * - Consistent health check format across services
  * - Client health monitoring
  * - Environment validation checks
+ * - Opt-in active dependency probes for readiness checks
+ * - Open circuit breakers reported as a degraded dependency
+ * - Response bodies redacted, so error messages cannot leak secrets
  */
 
+const { DescribeTableCommand } = require('@aws-sdk/client-dynamodb');
+const { DescribeUserPoolCommand } = require('@aws-sdk/client-cognito-identity-provider');
+
 const { getEnvironmentInfo, validateServiceEnvironment } = require('./environment');
+const { redact } = require('./redaction');
+const { getRequestHandlerSettings } = require('../clients/http-handler');
+const { getAllClientMetrics } = require('../clients/instrumentation');
+const { getCircuitBreakerStates, CIRCUIT_STATES } = require('../clients/resilience');
+
+/**
+ * Default probe settings
+ */
+const DEFAULT_PROBE_TIMEOUT_MS = 2000;
+const DEFAULT_PROBE_CACHE_TTL_MS = 30000;
+
+/**
+ * Active probes per client type. Each probe targets the resource named by an
+ * option (or its env var) and issues a cheap read-only describe call.
+ */
+const DEPENDENCY_PROBES = {
+  dynamodb: {
+    optionKey: 'tableName',
+    envVar: 'DYNAMODB_TABLE_NAME',
+    createCommand: tableName => new DescribeTableCommand({ TableName: tableName }),
+    summarize: output => ({ tableStatus: output?.Table?.TableStatus })
+  },
+  cognito: {
+    optionKey: 'userPoolId',
+    envVar: 'COGNITO_USER_POOL_ID',
+    createCommand: userPoolId => new DescribeUserPoolCommand({ UserPoolId: userPoolId }),
+    summarize: output => ({ userPoolStatus: output?.UserPool?.Status })
+  }
+};
+
+// Probe results cached per client type and resource
+const probeCache = new Map();
 
 /**
  * Create standardized health check response
@@ -32,6 +70,7 @@ function createHealthCheckResponse(serviceName, additionalChecks = {}) {
     version: envInfo.serviceVersion,
     timestamp: envInfo.timestamp,
     environment: envInfo.nodeEnv,
+    lambda: envInfo.lambda,
     checks: {
       ...baseChecks,
       ...additionalChecks
@@ -50,7 +89,11 @@ async function performHealthCheck(serviceName, clients = {}, options = {}) {
   const {
     checkEnvironment = true,
     checkClients = true,
-    includeMetrics = false
+    checkCircuitBreakers = true,
+    includeMetrics = false,
+    probeDependencies = false,
+    clientTypes = {},
+    probeOptions = {}
   } = options;
 
   const checks = {};
@@ -85,8 +128,19 @@ async function performHealthCheck(serviceName, clients = {}, options = {}) {
   if (checkClients && clients) {
     for (const [clientName, client] of Object.entries(clients)) {
       try {
+        const clientType = clientTypes[clientName] || inferClientType(client);
+
         if (client && typeof client.getClientHealth === 'function') {
           checks[clientName] = await client.getClientHealth();
+        } else if (client && probeDependencies && DEPENDENCY_PROBES[clientType]) {
+          checks[clientName] = await checkAWSClientHealth(client, clientType, {
+            ...probeOptions,
+            probe: true
+          });
+
+          if (checks[clientName].status === 'error') {
+            overallStatus = 'unhealthy';
+          }
         } else if (client) {
           checks[clientName] = {
             status: 'ok',
@@ -112,12 +166,32 @@ async function performHealthCheck(serviceName, clients = {}, options = {}) {
     }
   }
 
+  // Circuit breakers: an open or half-open breaker means a dependency is failing fast
+  if (checkCircuitBreakers) {
+    const dependencies = getCircuitBreakerStates();
+    const tripped = Object.keys(dependencies)
+      .filter(dependency => dependencies[dependency].state !== CIRCUIT_STATES.CLOSED);
+
+    if (Object.keys(dependencies).length > 0) {
+      checks.circuitBreakers = {
+        status: tripped.length > 0 ? 'degraded' : 'ok',
+        degraded: tripped,
+        dependencies
+      };
+    }
+
+    if (tripped.length > 0 && overallStatus === 'healthy') {
+      overallStatus = 'degraded';
+    }
+  }
+
   // Performance metrics (if requested)
   if (includeMetrics) {
     checks.performance = {
       uptime: process.uptime(),
       memoryUsage: process.memoryUsage(),
-      cpuUsage: process.cpuUsage()
+      cpuUsage: process.cpuUsage(),
+      awsClients: getAllClientMetrics()
     };
   }
 
@@ -142,13 +216,134 @@ function basicHealthCheck(serviceName) {
   };
 }
 
+/**
+ * Infer the client type from an SDK client instance
+ * @param {Object} client - AWS client instance
+ * @returns {string} Client type (dynamodb, cognito or unknown)
+ */
+function inferClientType(client) {
+  const className = client?.constructor?.name || '';
+
+  if (className.startsWith('DynamoDB')) {
+    return 'dynamodb';
+  }
+
+  if (className.startsWith('CognitoIdentityProvider')) {
+    return 'cognito';
+  }
+
+  return 'unknown';
+}
+
+/**
+ * Run an active probe against a dependency, with timeout and cached result
+ * @param {Object} awsClient - AWS client instance
+ * @param {string} clientType - Client type with an entry in DEPENDENCY_PROBES
+ * @param {Object} options - Probe options
+ * @param {string} options.tableName - DynamoDB table (default: DYNAMODB_TABLE_NAME)
+ * @param {string} options.userPoolId - Cognito user pool (default: COGNITO_USER_POOL_ID)
+ * @param {number} options.timeoutMs - Probe timeout (default: 2000)
+ * @param {number} options.cacheTtlMs - How long a result is reused (default: 30000, 0 disables)
+ * @returns {Object} Probe result
+ */
+async function probeDependency(awsClient, clientType, options = {}) {
+  const {
+    timeoutMs = DEFAULT_PROBE_TIMEOUT_MS,
+    cacheTtlMs = DEFAULT_PROBE_CACHE_TTL_MS
+  } = options;
+
+  const probe = DEPENDENCY_PROBES[clientType];
+
+  if (!probe) {
+    return {
+      status: 'skipped',
+      message: `No probe available for ${clientType}`
+    };
+  }
+
+  const resource = options[probe.optionKey] || process.env[probe.envVar];
+
+  if (!resource) {
+    return {
+      status: 'error',
+      message: `${probe.envVar} is not set`
+    };
+  }
+
+  const cacheKey = `${clientType}:${resource}`;
+  const cached = probeCache.get(cacheKey);
+
+  if (cached && cached.client === awsClient && cached.expiresAt > Date.now()) {
+    return { ...cached.result, cached: true };
+  }
+
+  const startTime = Date.now();
+  const abortController = new AbortController();
+  let timer;
+
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(() => {
+      abortController.abort();
+      const error = new Error(`Probe timed out after ${timeoutMs}ms`);
+      error.name = 'ProbeTimeoutError';
+      reject(error);
+    }, timeoutMs);
+  });
+
+  let result;
+
+  try {
+    const output = await Promise.race([
+      awsClient.send(probe.createCommand(resource), { abortSignal: abortController.signal }),
+      timeout
+    ]);
+
+    result = {
+      status: 'ok',
+      resource,
+      ...probe.summarize(output)
+    };
+  } catch (error) {
+    result = {
+      status: 'error',
+      resource,
+      errorName: error.name,
+      error: error.message
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+
+  result.durationMs = Date.now() - startTime;
+  result.checkedAt = new Date().toISOString();
+
+  if (cacheTtlMs > 0) {
+    probeCache.set(cacheKey, {
+      client: awsClient,
+      result,
+      expiresAt: Date.now() + cacheTtlMs
+    });
+  }
+
+  return { ...result, cached: false };
+}
+
+/**
+ * Clear cached probe results
+ */
+function clearProbeCache() {
+  probeCache.clear();
+}
+
 /**
  * Check AWS client health
  * @param {Object} awsClient - AWS client instance
  * @param {string} clientType - Type of client (cognito, dynamodb, etc.)
+ * @param {Object} options - Health check options
+ * @param {boolean} options.probe - Run an active dependency probe (see probeDependency)
  * @returns {Object} Client health status
  */
-async function checkAWSClientHealth(awsClient, clientType = 'unknown') {
+async function checkAWSClientHealth(awsClient, clientType = 'unknown', options = {}) {
   if (!awsClient) {
     return {
       status: 'error',
@@ -161,15 +356,30 @@ async function checkAWSClientHealth(awsClient, clientType = 'unknown') {
   try {
     // Basic client configuration check
     const config = awsClient.config || {};
+    const connectionPool = getRequestHandlerSettings(config.requestHandler);
 
-    return {
+    const health = {
       status: 'ok',
       type: clientType,
       initialized: true,
       region: config.region || 'unknown',
       maxAttempts: config.maxAttempts || 'default',
-      timeout: config.requestTimeout || 'default'
+      timeout: connectionPool?.requestTimeout || config.requestTimeout || 'default'
     };
+
+    if (connectionPool) {
+      health.connectionPool = connectionPool;
+    }
+
+    if (options.probe) {
+      health.probe = await probeDependency(awsClient, clientType, options);
+
+      if (health.probe.status === 'error') {
+        health.status = 'error';
+      }
+    }
+
+    return health;
   } catch (error) {
     return {
       status: 'error',
@@ -181,7 +391,7 @@ async function checkAWSClientHealth(awsClient, clientType = 'unknown') {
 }
 
 /**
- * Create Lambda-specific health response with proper headers
+ * Create Lambda-specific health response with proper headers. The body is redacted.
  * @param {Object} healthData - Health check data
  * @param {number} statusCode - HTTP status code (default: 200)
  * @returns {Object} Lambda response object with CORS headers
@@ -204,7 +414,7 @@ function createLambdaHealthResponse(healthData, statusCode = 200) {
       'Expires': '0',
       ...corsHeaders
     },
-    body: JSON.stringify({
+    body: JSON.stringify(redact({
       data: healthData,
       meta: {
         service: healthData.service || 'unknown-service',
@@ -213,7 +423,7 @@ function createLambdaHealthResponse(healthData, statusCode = 200) {
         timestamp: new Date().toISOString(),
         environment: process.env.NODE_ENV || 'unknown'
       }
-    })
+    }))
   };
 }
 
@@ -221,9 +431,10 @@ function createLambdaHealthResponse(healthData, statusCode = 200) {
  * Health check middleware for Lambda functions
  * @param {string} serviceName - Name of the service
  * @param {Object} clients - Client instances to check
+ * @param {Object} options - Extra performHealthCheck options (clientTypes, probeOptions)
  * @returns {Function} Middleware function
  */
-function healthCheckMiddleware(serviceName, clients = {}) {
+function healthCheckMiddleware(serviceName, clients = {}, options = {}) {
   return async (event, _context) => {
     // Only handle health check paths
     if (!event.path || !event.path.includes('/health')) {
@@ -231,10 +442,13 @@ function healthCheckMiddleware(serviceName, clients = {}) {
     }
 
     try {
+      // Readiness (/health/ready or ?probe=true) runs active dependency probes
       const healthData = await performHealthCheck(serviceName, clients, {
+        ...options,
         checkEnvironment: true,
         checkClients: true,
-        includeMetrics: event.queryStringParameters?.metrics === 'true'
+        includeMetrics: event.queryStringParameters?.metrics === 'true',
+        probeDependencies: event.path.endsWith('/ready') || event.queryStringParameters?.probe === 'true'
       });
 
       const statusCode = healthData.status === 'healthy' ? 200 :
@@ -262,6 +476,8 @@ module.exports = {
 
   // AWS specific
   checkAWSClientHealth,
+  probeDependency,
+  clearProbeCache,
 
   // Lambda specific
   createLambdaHealthResponse,
@@ -0,0 +1,428 @@
+'use strict';
+
+/**
+ * Idempotent Lambda handlers backed by DynamoDB
+ * - Hashes an idempotency key taken from the event (Idempotency-Key header by default)
+ * - Claims the key with an IN_PROGRESS record, stores the response as COMPLETED,
+ *   both with a TTL, in the table from DYNAMODB_TABLE_NAME
+ * - Replays the stored response for retries; rejects concurrent duplicates and
+ *   key reuse with a different payload
+ * - Failed invocations (thrown errors, 5xx responses) release the key so the
+ *   client can retry
+ */
+
+const crypto = require('crypto');
+const { GetCommand, PutCommand, UpdateCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const { getDynamoDbClient } = require('../clients/aws-clients');
+const { buildExpressions, attributeNotExists, lt } = require('../dynamodb/expressions');
+const { logger, parseBody } = require('./logger');
+const { redact } = require('./redaction');
+
+const STATUS_IN_PROGRESS = 'IN_PROGRESS';
+const STATUS_COMPLETED = 'COMPLETED';
+
+/**
+ * Default idempotency settings
+ */
+const DEFAULT_IDEMPOTENCY_OPTIONS = {
+  key: 'headers.idempotency-key',
+  payload: 'body',
+  ttlSeconds: 24 * 60 * 60,
+  inProgressTimeoutSeconds: 60,
+  keyPrefix: 'IDEMPOTENCY#',
+  partitionKey: 'PK',
+  sortKey: 'SK',
+  ttlAttribute: 'expiresAt',
+  requireKey: false
+};
+
+/**
+ * Create a named error carrying an HTTP status code
+ * @param {string} name - Error name
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error
+ */
+function createIdempotencyError(name, message, statusCode) {
+  const error = new Error(message);
+  error.name = name;
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * JSON.stringify with sorted object keys, so equal values hash equally
+ * @param {*} value - Value
+ * @returns {string} JSON
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * SHA-256 of a value
+ * @param {*} value - Value
+ * @returns {string} Hex digest
+ */
+function hashValue(value) {
+  return crypto.createHash('sha256').update(stableStringify(value)).digest('hex');
+}
+
+/**
+ * Read a dotted path from the event. Object keys fall back to a
+ * case-insensitive match (HTTP headers) and JSON string bodies are parsed.
+ * @param {Object} event - Lambda event
+ * @param {string} path - Path such as 'headers.idempotency-key' or 'body.email'
+ * @returns {*} Value, or undefined
+ */
+function getEventValue(event, path) {
+  return path.split('.').reduce((value, segment) => {
+    const current = typeof value === 'string' ? parseBody(value) : value;
+
+    if (!current || typeof current !== 'object') {
+      return undefined;
+    }
+    if (segment in current) {
+      return current[segment];
+    }
+
+    const match = Object.keys(current).find(key => key.toLowerCase() === segment.toLowerCase());
+    return match === undefined ? undefined : current[match];
+  }, event);
+}
+
+/**
+ * Extract a value from the event using a path, list of paths or function
+ * @param {Object} event - Lambda event
+ * @param {string|string[]|Function} selector - Selector
+ * @returns {*} Value, or undefined when nothing was found
+ */
+function selectFromEvent(event, selector) {
+  if (typeof selector === 'function') {
+    return selector(event);
+  }
+  if (Array.isArray(selector)) {
+    const values = selector.map(path => getEventValue(event, path));
+    return values.every(value => value === undefined || value === null || value === '') ? undefined : values;
+  }
+
+  const value = getEventValue(event, selector);
+  return value === null || value === '' ? undefined : value;
+}
+
+/**
+ * Check for an API Gateway / function URL event
+ * @param {Object} event - Lambda event
+ * @returns {boolean} True for HTTP events
+ */
+function isHttpEvent(event) {
+  return !!(event && (event.httpMethod || event.requestContext?.http));
+}
+
+/**
+ * Build an HTTP error response for an idempotency error
+ * @param {Error} error - Idempotency error
+ * @returns {Object} API Gateway response
+ */
+function createIdempotencyErrorResponse(error) {
+  const codes = {
+    IdempotencyConflictError: 'IDEMPOTENCY_CONFLICT',
+    IdempotencyKeyMismatchError: 'IDEMPOTENCY_KEY_MISMATCH',
+    IdempotencyKeyMissingError: 'IDEMPOTENCY_KEY_MISSING'
+  };
+
+  return {
+    statusCode: error.statusCode,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(redact({
+      error: {
+        code: codes[error.name],
+        message: error.message
+      }
+    }))
+  };
+}
+
+/**
+ * Whether a handler result should be stored for replay
+ * @param {*} response - Handler result
+ * @returns {boolean} True unless it is a 5xx HTTP response
+ */
+function isStorableResponse(response) {
+  return !(response && typeof response === 'object' && response.statusCode >= 500);
+}
+
+/**
+ * Mark a replayed HTTP response
+ * @param {*} response - Stored response
+ * @returns {*} Response with the Idempotent-Replayed header when it is an HTTP response
+ */
+function markReplayed(response) {
+  if (!response || typeof response !== 'object' || response.statusCode === undefined) {
+    return response;
+  }
+  return { ...response, headers: { ...response.headers, 'Idempotent-Replayed': 'true' } };
+}
+
+/**
+ * Wrap a Lambda handler so retries with the same idempotency key replay the first response
+ * @param {Function} handler - async (event, context) => response
+ * @param {Object} options - Idempotency options
+ * @param {string|string[]|Function} options.key - Event path(s) or function giving the key
+ *   (default: 'headers.idempotency-key')
+ * @param {string|string[]|Function|false} options.payload - Event part that must match on replay
+ *   (default: 'body'; false disables the check)
+ * @param {string} options.scope - Namespace for keys (default: SERVICE_NAME or the function name)
+ * @param {number} options.ttlSeconds - How long completed responses are kept (default: 24h)
+ * @param {number} options.inProgressTimeoutSeconds - How long an unfinished claim blocks retries
+ *   (default: the invocation's remaining time, or 60)
+ * @param {boolean} options.requireKey - Reject events without a key (default: false, runs the handler)
+ * @param {string} options.tableName - Table (default: DYNAMODB_TABLE_NAME)
+ * @param {Object} options.client - Document client (default: getDynamoDbClient())
+ * @param {string} options.partitionKey - Partition key attribute (default: PK)
+ * @param {string} options.sortKey - Sort key attribute (default: SK; null for tables without one)
+ * @param {string} options.ttlAttribute - TTL attribute, epoch seconds (default: expiresAt)
+ * @returns {Function} Wrapped handler
+ */
+function withIdempotency(handler, options = {}) {
+  const settings = { ...DEFAULT_IDEMPOTENCY_OPTIONS, ...options };
+
+  return async (event, context = {}) => {
+    const keyValue = selectFromEvent(event, settings.key);
+
+    if (keyValue === undefined) {
+      if (!settings.requireKey) {
+        return handler(event, context);
+      }
+      return handleError(event, createIdempotencyError(
+        'IdempotencyKeyMissingError',
+        'An idempotency key is required for this request',
+        400
+      ));
+    }
+
+    const store = createIdempotencyStore(settings, event, keyValue);
+
+    try {
+      await store.claim(context);
+    } catch (error) {
+      if (error.name !== 'ConditionalCheckFailedException') {
+        throw error;
+      }
+
+      const record = await store.get();
+      if (!record) {
+        // The claim expired between the failed put and the read; let the client retry
+        return handleError(event, createIdempotencyError(
+          'IdempotencyConflictError',
+          'A request with this idempotency key was just completed or expired, retry',
+          409
+        ));
+      }
+      if (record.payloadHash !== store.payloadHash) {
+        return handleError(event, createIdempotencyError(
+          'IdempotencyKeyMismatchError',
+          'The idempotency key was already used with a different request payload',
+          422
+        ));
+      }
+      if (record.status === STATUS_COMPLETED) {
+        logger.debug('Replaying idempotent response', { idempotencyKey: store.hash });
+        return markReplayed(record.response);
+      }
+      return handleError(event, createIdempotencyError(
+        'IdempotencyConflictError',
+        'A request with this idempotency key is already in progress',
+        409
+      ));
+    }
+
+    let response;
+    try {
+      response = await handler(event, context);
+    } catch (error) {
+      await store.release();
+      throw error;
+    }
+
+    if (isStorableResponse(response)) {
+      await store.complete(response);
+    } else {
+      await store.release();
+    }
+
+    return response;
+  };
+}
+
+/**
+ * Return an error response for HTTP events, throw otherwise
+ * @param {Object} event - Lambda event
+ * @param {Error} error - Idempotency error
+ * @returns {Object} API Gateway response
+ */
+function handleError(event, error) {
+  if (isHttpEvent(event)) {
+    return createIdempotencyErrorResponse(error);
+  }
+  throw error;
+}
+
+/**
+ * Create the DynamoDB operations for one idempotency key
+ * @param {Object} settings - Resolved options
+ * @param {Object} event - Lambda event
+ * @param {*} keyValue - Key taken from the event
+ * @returns {Object} Store with claim/get/complete/release
+ */
+function createIdempotencyStore(settings, event, keyValue) {
+  const scope = settings.scope || process.env.SERVICE_NAME || process.env.AWS_LAMBDA_FUNCTION_NAME || 'default';
+  const hash = hashValue({ scope, key: keyValue });
+  const payloadHash = settings.payload === false
+    ? null
+    : hashValue(parseBody(selectFromEvent(event, settings.payload)) ?? null);
+  const client = settings.client || getDynamoDbClient();
+  const tableName = settings.tableName || process.env.DYNAMODB_TABLE_NAME;
+
+  if (!tableName) {
+    throw new Error('Idempotency requires a table: set DYNAMODB_TABLE_NAME or pass tableName');
+  }
+
+  const key = { [settings.partitionKey]: `${settings.keyPrefix}${hash}` };
+  if (settings.sortKey) {
+    key[settings.sortKey] = 'IDEMPOTENCY';
+  }
+
+  const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+  // Written by claim(); complete() and release() only touch the record while
+  // it still holds this token, so they never overwrite or recreate a record
+  // another invocation took over after the claim expired
+  const claimToken = crypto.randomUUID();
+  const ownClaim = { status: STATUS_IN_PROGRESS, claimToken };
+
+  return {
+    hash,
+    payloadHash,
+
+    /**
+     * Write the IN_PROGRESS record unless a live record exists
+     * @param {Object} context - Lambda context
+     */
+    async claim(context) {
+      const now = nowSeconds();
+      const remainingMs = typeof context.getRemainingTimeInMillis === 'function'
+        ? context.getRemainingTimeInMillis()
+        : null;
+      const timeoutSeconds = remainingMs ? Math.ceil(remainingMs / 1000) : settings.inProgressTimeoutSeconds;
+
+      await client.send(new PutCommand({
+        TableName: tableName,
+        Item: {
+          ...key,
+          status: STATUS_IN_PROGRESS,
+          claimToken,
+          payloadHash,
+          inProgressExpiresAt: now + timeoutSeconds,
+          [settings.ttlAttribute]: now + settings.ttlSeconds,
+          createdAt: new Date().toISOString()
+        },
+        ...buildExpressions({
+          condition: [
+            { [settings.partitionKey]: attributeNotExists() },
+            { [settings.ttlAttribute]: lt(now) },
+            { status: STATUS_IN_PROGRESS, inProgressExpiresAt: lt(now) }
+          ]
+        })
+      }));
+    },
+
+    /**
+     * Read the current record
+     * @returns {Promise<Object|undefined>} Record
+     */
+    async get() {
+      const result = await client.send(new GetCommand({
+        TableName: tableName,
+        Key: key,
+        ConsistentRead: true
+      }));
+      const record = result.Item;
+
+      return record && record[settings.ttlAttribute] >= nowSeconds() ? record : undefined;
+    },
+
+    /**
+     * Store the response and mark the record COMPLETED, if this invocation still holds the claim
+     * @param {*} response - Handler response
+     */
+    async complete(response) {
+      try {
+        await client.send(new UpdateCommand({
+          TableName: tableName,
+          Key: key,
+          ...buildExpressions({
+            update: {
+              status: STATUS_COMPLETED,
+              response,
+              completedAt: new Date().toISOString(),
+              [settings.ttlAttribute]: nowSeconds() + settings.ttlSeconds
+            },
+            condition: ownClaim
+          })
+        }));
+      } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+          logger.warn('Idempotency claim lost before the response was stored', { idempotencyKey: hash });
+          return;
+        }
+        // The response is already computed; a failed write only loses replay for this key
+        logger.warn('Failed to store idempotent response', { idempotencyKey: hash, error });
+        await this.release();
+      }
+    },
+
+    /**
+     * Delete this invocation's IN_PROGRESS record so the request can be retried
+     */
+    async release() {
+      try {
+        await client.send(new DeleteCommand({
+          TableName: tableName,
+          Key: key,
+          ...buildExpressions({ condition: ownClaim })
+        }));
+      } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+          return;
+        }
+        logger.warn('Failed to release idempotency key', { idempotencyKey: hash, error });
+      }
+    }
+  };
+}
+
+module.exports = {
+  // Primary functions
+  withIdempotency,
+
+  // Utilities
+  hashValue,
+  stableStringify,
+  getEventValue,
+  createIdempotencyErrorResponse,
+
+  // Constants
+  DEFAULT_IDEMPOTENCY_OPTIONS,
+  STATUS_IN_PROGRESS,
+  STATUS_COMPLETED
+};
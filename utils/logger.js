@@ -0,0 +1,318 @@
+'use strict';
+
+/**
+ * Shared structured logger following Lambda best practices
+ * - One JSON object per line for CloudWatch Logs Insights
+ * - Service name and Lambda request id on every entry
+ * - Child loggers for per-request and per-component context
+ * - Sensitive keys and detected secrets redacted with the package redaction rules
+ */
+
+const crypto = require('crypto');
+const { isProductionEnvironment, getInvocationContext } = require('./environment');
+const { redact, serializeError } = require('./redaction');
+
+/**
+ * Log levels in ascending order of severity
+ */
+const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40
+};
+
+/**
+ * Console method used for each level
+ */
+const CONSOLE_METHODS = {
+  debug: 'log',
+  info: 'log',
+  warn: 'warn',
+  error: 'error'
+};
+
+/**
+ * Resolve the default log level from the environment
+ * @returns {string} Log level name
+ */
+function getDefaultLevel() {
+  const envLevel = (process.env.LOG_LEVEL || '').toLowerCase();
+
+  if (LOG_LEVELS[envLevel]) {
+    return envLevel;
+  }
+
+  // Debug output is only enabled by default outside production
+  return isProductionEnvironment() ? 'info' : 'debug';
+}
+
+/**
+ * Generate a correlation id for request tracing
+ * @returns {string} Random UUID
+ */
+function generateCorrelationId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Drop undefined fields so they can't overwrite values merged before them
+ * @param {Object} fields - Fields
+ * @returns {Object} Fields without undefined values
+ */
+function withoutUndefined(fields) {
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Structured JSON logger
+ */
+class Logger {
+  /**
+   * @param {Object} options - Logger options
+   * @param {string} options.serviceName - Service name added to every entry
+   * @param {string} options.level - Minimum level to emit (debug, info, warn, error)
+   * @param {Object} options.context - Context fields added to every entry
+   */
+  constructor(options = {}) {
+    this.serviceName = options.serviceName ||
+      process.env.SERVICE_NAME ||
+      process.env.AWS_LAMBDA_FUNCTION_NAME ||
+      'unknown-service';
+    this.level = LOG_LEVELS[options.level] ? options.level : getDefaultLevel();
+    this.context = { ...options.context };
+  }
+
+  /**
+   * Create a child logger that inherits this logger's settings and context
+   * @param {Object} context - Additional context fields
+   * @returns {Logger} Child logger
+   */
+  child(context = {}) {
+    return new Logger({
+      serviceName: this.serviceName,
+      level: this.level,
+      context: { ...this.context, ...context }
+    });
+  }
+
+  /**
+   * Attach the Lambda request id (and optional correlation id) to this logger
+   * @param {Object} lambdaContext - Lambda context object
+   * @param {Object} event - Lambda event, used to pick up an incoming correlation id
+   * @returns {Logger} This logger
+   */
+  setLambdaContext(lambdaContext = {}, event = {}) {
+    const headers = event.headers || {};
+
+    this.context.requestId = lambdaContext.awsRequestId;
+    this.context.correlationId = headers['x-correlation-id'] ||
+      headers['X-Correlation-Id'] ||
+      lambdaContext.awsRequestId ||
+      generateCorrelationId();
+
+    return this;
+  }
+
+  /**
+   * Check whether a level would be emitted
+   * @param {string} level - Log level name
+   * @returns {boolean} True if enabled
+   */
+  isLevelEnabled(level) {
+    return LOG_LEVELS[level] >= LOG_LEVELS[this.level];
+  }
+
+  /**
+   * Write a log entry
+   * @param {string} level - Log level name
+   * @param {string} message - Log message
+   * @param {Object|Error} data - Additional structured data
+   * @returns {Object|null} The emitted entry, or null if filtered out
+   */
+  log(level, message, data = {}) {
+    if (!LOG_LEVELS[level] || !this.isLevelEnabled(level)) {
+      return null;
+    }
+
+    const fields = data instanceof Error ? { error: data } : data;
+    const invocation = getInvocationContext();
+
+    const envelope = {
+      level: level.toUpperCase(),
+      timestamp: new Date().toISOString(),
+      service: this.serviceName,
+      message
+    };
+
+    // The envelope is assigned first to keep it at the start of the line and
+    // again last, so context and fields can never overwrite it
+    const entry = redact(Object.assign(
+      { ...envelope },
+      // Inside a handler wrapped with withInvocationContext, even loggers
+      // without setLambdaContext carry the request id
+      invocation && invocation.requestId ? { requestId: invocation.requestId } : {},
+      withoutUndefined(this.context),
+      withoutUndefined(fields),
+      envelope
+    ));
+
+    // eslint-disable-next-line no-console
+    console[CONSOLE_METHODS[level]](JSON.stringify(entry));
+
+    return entry;
+  }
+
+  debug(message, data) {
+    return this.log('debug', message, data);
+  }
+
+  info(message, data) {
+    return this.log('info', message, data);
+  }
+
+  warn(message, data) {
+    return this.log('warn', message, data);
+  }
+
+  error(message, data) {
+    return this.log('error', message, data);
+  }
+
+  /**
+   * Log the duration of an operation
+   * @param {string} operation - Operation name
+   * @param {number} durationMs - Duration in milliseconds
+   * @param {Object} data - Additional structured data
+   * @returns {Object|null} The emitted entry
+   */
+  logPerformance(operation, durationMs, data = {}) {
+    return this.info(`Performance: ${operation}`, {
+      type: 'performance',
+      operation,
+      durationMs,
+      ...data
+    });
+  }
+
+  /**
+   * Log a business metric
+   * @param {string} name - Metric name
+   * @param {number} value - Metric value
+   * @param {string} unit - Metric unit
+   * @param {Object} data - Additional structured data
+   * @returns {Object|null} The emitted entry
+   */
+  logMetric(name, value, unit = 'Count', data = {}) {
+    return this.info(`Metric: ${name}`, {
+      type: 'metric',
+      metric: { name, value, unit },
+      ...data
+    });
+  }
+
+  /**
+   * Log a security-relevant event
+   * @param {string} event - Security event name
+   * @param {Object} data - Additional structured data
+   * @returns {Object|null} The emitted entry
+   */
+  logSecurity(event, data = {}) {
+    return this.warn(`Security: ${event}`, {
+      type: 'security',
+      securityEvent: event,
+      ...data
+    });
+  }
+
+  /**
+   * Log an incoming Lambda (API Gateway) event
+   * @param {Object} event - Lambda event
+   * @param {Object} options - Inclusion options
+   * @returns {Object|null} The emitted entry
+   */
+  logEvent(event = {}, options = {}) {
+    const {
+      includeHeaders = false,
+      includeBody = false,
+      includeQuery = true
+    } = options;
+
+    const details = {
+      type: 'event',
+      httpMethod: event.httpMethod,
+      path: event.path,
+      sourceIp: event.requestContext?.identity?.sourceIp
+    };
+
+    if (includeQuery) {
+      details.queryStringParameters = event.queryStringParameters;
+    }
+
+    if (includeHeaders) {
+      details.headers = event.headers;
+    }
+
+    if (includeBody) {
+      details.body = parseBody(event.body);
+    }
+
+    return this.info('Lambda event received', details);
+  }
+}
+
+/**
+ * Parse a JSON request body, falling back to the raw string
+ * @param {string} body - Raw request body
+ * @returns {*} Parsed body
+ */
+function parseBody(body) {
+  if (typeof body !== 'string') {
+    return body;
+  }
+
+  try {
+    return JSON.parse(body);
+  } catch (_error) {
+    return body;
+  }
+}
+
+/**
+ * Create a new logger
+ * @param {Object} options - Logger options
+ * @returns {Logger} Configured logger
+ */
+function createLogger(options = {}) {
+  return new Logger(options);
+}
+
+// Default package-level logger
+const defaultLogger = new Logger();
+
+module.exports = {
+  // Logger class and factory
+  Logger,
+  createLogger,
+  logger: defaultLogger,
+
+  // Default logger shortcuts
+  debug: (message, data) => defaultLogger.debug(message, data),
+  info: (message, data) => defaultLogger.info(message, data),
+  warn: (message, data) => defaultLogger.warn(message, data),
+  error: (message, data) => defaultLogger.error(message, data),
+  child: context => defaultLogger.child(context),
+  logPerformance: (operation, durationMs, data) => defaultLogger.logPerformance(operation, durationMs, data),
+  logMetric: (name, value, unit, data) => defaultLogger.logMetric(name, value, unit, data),
+  logSecurity: (event, data) => defaultLogger.logSecurity(event, data),
+  logEvent: (event, options) => defaultLogger.logEvent(event, options),
+
+  // Utilities
+  redact,
+  serializeError,
+  generateCorrelationId,
+  parseBody,
+
+  // Constants
+  LOG_LEVELS
+};
@@ -0,0 +1,356 @@
+'use strict';
+
+/**
+ * Deep redaction of secrets in logs, health responses and error payloads
+ * - Walks nested objects, arrays, Maps and Sets (circular references and
+ *   depth are bounded)
+ * - Key patterns mask whole values by property name (password, apiKey, ...)
+ * - Value detectors mask secrets wherever they appear in strings: JWTs,
+ *   Cognito refresh tokens, AWS access key ids, bearer tokens
+ * - Values resolved from secret references are masked wherever they appear
+ * - Rules are configurable per redactor or for the whole package
+ */
+
+/**
+ * Key substrings that mark a value as sensitive (matched case-insensitively,
+ * ignoring _ and - so camelCase properties match)
+ */
+const SENSITIVE_KEYS = [
+  'COGNITO_USER_POOL_CLIENT_SECRET',
+  'AWS_ACCESS_KEY_ID',
+  'AWS_SECRET_ACCESS_KEY',
+  'DATABASE_PASSWORD',
+  'PASSWORD',
+  'TOKEN',
+  'API_KEY',
+  'SECRET',
+  'AUTHORIZATION',
+  'COOKIE',
+  'PRIVATE_KEY'
+];
+
+/**
+ * Keys never masked by key pattern although they contain TOKEN or SECRET:
+ * pagination cursors, token metadata, and the Secrets Manager client and
+ * secret identifiers (reported by getClientHealth() and in logs)
+ */
+const DEFAULT_ALLOW_KEYS = [
+  'nextToken',
+  'paginationToken',
+  'continuationToken',
+  'tokenType',
+  'tokenExpiresIn',
+  'tokenUse',
+  'secretsManager',
+  'SECRETS_MANAGER_ENDPOINT',
+  'secretId',
+  'secretArn'
+];
+
+/**
+ * Value detectors applied to every string. Cognito refresh tokens are
+ * five-part JWEs, so they are matched before three-part JWTs.
+ */
+const DEFAULT_DETECTORS = {
+  cognitoRefreshToken: /\beyJ[\w-]+\.[\w-]+\.[\w-]+\.[\w-]+\.[\w-]+/g,
+  jwt: /\beyJ[\w-]+\.eyJ[\w-]+\.[\w-]*/g,
+  awsAccessKeyId: /\b(?:AKIA|ASIA)[A-Z0-9]{16}\b/g,
+  bearerToken: /\bBearer\s+[\w.~+/-]+=*/gi
+};
+
+/**
+ * Replacement value for masked entries
+ */
+const MASKED_VALUE = '***MASKED***';
+
+/**
+ * Maximum depth walked when redacting nested data
+ */
+const MAX_REDACT_DEPTH = 10;
+
+// Registered secret values shorter than this are only masked on exact match,
+// so short values do not mask unrelated text
+const MIN_SECRET_SUBSTRING_LENGTH = 8;
+
+// Keys and values registered as secret at runtime (e.g. resolved secret references)
+const sensitiveKeys = new Set();
+const sensitiveValues = new Set();
+
+// Rules used by redact() and everything built on it
+let defaultSettings = null;
+
+/**
+ * Normalize a key for substring matching
+ * @param {string} key - Key
+ * @returns {string} Upper-case key without separators
+ */
+function normalizeKey(key) {
+  return String(key).toUpperCase().replace(/[_-]/g, '');
+}
+
+/**
+ * Make sure a detector replaces every match
+ * @param {string} name - Detector name
+ * @param {RegExp} pattern - Detector pattern
+ * @returns {RegExp} Global pattern
+ */
+function toGlobalPattern(name, pattern) {
+  if (!(pattern instanceof RegExp)) {
+    throw new Error(`Redaction detector ${name} must be a RegExp`);
+  }
+  return pattern.global ? pattern : new RegExp(pattern.source, `${pattern.flags}g`);
+}
+
+/**
+ * Resolve redaction rules against the defaults
+ * @param {Object} rules - Redaction rules
+ * @param {Array<string|RegExp>} rules.keys - Extra key patterns; strings match as substrings, RegExps test the raw key
+ * @param {Object} rules.detectors - Extra value detectors: { name: RegExp }; a name set to null disables a default
+ * @param {string[]} rules.allowKeys - Keys never masked by key pattern (exact, case-insensitive), added to DEFAULT_ALLOW_KEYS
+ * @param {boolean} rules.replaceDefaults - Use only the given keys, detectors and allowed keys (default: false)
+ * @param {string} rules.replacement - Replacement value (default: ***MASKED***)
+ * @param {number} rules.maxDepth - Maximum nesting depth (default: 10)
+ * @returns {Object} Settings
+ */
+function normalizeRules(rules = {}) {
+  const {
+    keys = [],
+    detectors = {},
+    allowKeys = [],
+    replaceDefaults = false,
+    replacement = MASKED_VALUE,
+    maxDepth = MAX_REDACT_DEPTH
+  } = rules;
+
+  const keyPatterns = [...(replaceDefaults ? [] : SENSITIVE_KEYS), ...keys];
+  const allDetectors = { ...(replaceDefaults ? {} : DEFAULT_DETECTORS), ...detectors };
+
+  return {
+    keySubstrings: keyPatterns.filter(pattern => typeof pattern === 'string').map(normalizeKey),
+    keyRegExps: keyPatterns.filter(pattern => pattern instanceof RegExp),
+    detectors: Object.entries(allDetectors)
+      .filter(([, pattern]) => pattern)
+      .map(([name, pattern]) => ({ name, pattern: toGlobalPattern(name, pattern) })),
+    allowKeys: new Set([...(replaceDefaults ? [] : DEFAULT_ALLOW_KEYS), ...allowKeys].map(normalizeKey)),
+    replacement,
+    maxDepth
+  };
+}
+
+/**
+ * Check a key against the settings' key patterns
+ * @param {string} key - Property name
+ * @param {Object} settings - Settings from normalizeRules
+ * @returns {boolean} True if the value under this key is masked
+ */
+function matchesKey(key, settings) {
+  const normalized = normalizeKey(key);
+
+  if (settings.allowKeys.has(normalized)) {
+    return false;
+  }
+  if (sensitiveKeys.has(key)) {
+    return true;
+  }
+
+  return settings.keySubstrings.some(pattern => normalized.includes(pattern)) ||
+    settings.keyRegExps.some(pattern => pattern.test(key));
+}
+
+/**
+ * Mask detected secrets inside a string
+ * @param {string} value - String
+ * @param {Object} settings - Settings from normalizeRules
+ * @returns {string} Redacted string
+ */
+function redactString(value, settings) {
+  if (sensitiveValues.has(value)) {
+    return settings.replacement;
+  }
+
+  let result = value;
+
+  settings.detectors.forEach(({ pattern }) => {
+    result = result.replace(pattern, settings.replacement);
+  });
+
+  sensitiveValues.forEach(secret => {
+    if (secret.length >= MIN_SECRET_SUBSTRING_LENGTH && result.includes(secret)) {
+      result = result.split(secret).join(settings.replacement);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Serialize an Error into a plain object
+ * @param {Error} error - Error to serialize
+ * @returns {Object} Serializable error details
+ */
+function serializeError(error) {
+  const serialized = {
+    name: error.name,
+    message: error.message,
+    stack: error.stack
+  };
+
+  if (error.code) {
+    serialized.code = error.code;
+  }
+
+  if (error.$metadata) {
+    serialized.requestId = error.$metadata.requestId;
+    serialized.httpStatusCode = error.$metadata.httpStatusCode;
+  }
+
+  return serialized;
+}
+
+/**
+ * Redact a value recursively
+ * @param {*} value - Value
+ * @param {Object} settings - Settings from normalizeRules
+ * @param {number} depth - Current depth
+ * @param {Set} ancestors - Objects on the current path, for cycle detection
+ * @returns {*} Redacted copy
+ */
+function redactValue(value, settings, depth, ancestors) {
+  if (value instanceof Error) {
+    return redactValue(serializeError(value), settings, depth, ancestors);
+  }
+
+  if (typeof value === 'string') {
+    return redactString(value, settings);
+  }
+
+  if (value === null || typeof value !== 'object' || value instanceof Date) {
+    return value;
+  }
+
+  if (ancestors.has(value)) {
+    return '[Circular]';
+  }
+
+  if (depth >= settings.maxDepth) {
+    return '[Truncated]';
+  }
+
+  ancestors.add(value);
+
+  let result;
+  if (Array.isArray(value) || value instanceof Set) {
+    result = Array.from(value, item => redactValue(item, settings, depth + 1, ancestors));
+  } else if (value instanceof Map) {
+    // Logged as a plain object so keys stay readable and key patterns apply
+    result = {};
+    value.forEach((item, key) => {
+      result[String(key)] = matchesKey(String(key), settings) ?
+        settings.replacement :
+        redactValue(item, settings, depth + 1, ancestors);
+    });
+  } else {
+    result = {};
+    Object.keys(value).forEach(key => {
+      result[key] = matchesKey(key, settings) ?
+        settings.replacement :
+        redactValue(value[key], settings, depth + 1, ancestors);
+    });
+  }
+
+  ancestors.delete(value);
+
+  return result;
+}
+
+/**
+ * Create a redactor with its own rules
+ * @param {Object} rules - See normalizeRules
+ * @returns {Function} (value) => redacted copy
+ */
+function createRedactor(rules = {}) {
+  const settings = normalizeRules(rules);
+
+  return value => redactValue(value, settings, 0, new Set());
+}
+
+/**
+ * Redact a value with the package-wide rules (used by the logger, health
+ * responses and error payloads)
+ * @param {*} value - Value to redact
+ * @returns {*} Redacted copy; the input is never modified
+ */
+function redact(value) {
+  return redactValue(value, defaultSettings, 0, new Set());
+}
+
+/**
+ * Check whether a key is masked by the package-wide rules
+ * @param {string} key - Property or environment variable name
+ * @returns {boolean} True if values under this key are masked
+ */
+function isRedactedKey(key) {
+  return matchesKey(key, defaultSettings);
+}
+
+/**
+ * Set the package-wide rules
+ * @param {Object} rules - See normalizeRules
+ */
+function configureRedaction(rules = {}) {
+  defaultSettings = normalizeRules(rules);
+}
+
+/**
+ * Restore the default package-wide rules
+ */
+function resetRedaction() {
+  configureRedaction();
+}
+
+/**
+ * Mask a key, and optionally its value wherever it appears, from now on
+ * @param {string} key - Exact key
+ * @param {string} value - Secret value
+ */
+function addSensitiveValue(key, value) {
+  if (key) {
+    sensitiveKeys.add(key);
+  }
+  if (value) {
+    sensitiveValues.add(String(value));
+  }
+}
+
+/**
+ * Forget keys and values registered with addSensitiveValue (primarily for testing)
+ */
+function clearSensitiveValues() {
+  sensitiveKeys.clear();
+  sensitiveValues.clear();
+}
+
+resetRedaction();
+
+module.exports = {
+  // Primary functions
+  redact,
+  createRedactor,
+
+  // Configuration
+  configureRedaction,
+  resetRedaction,
+  addSensitiveValue,
+  clearSensitiveValues,
+
+  // Utilities
+  isRedactedKey,
+  serializeError,
+
+  // Constants
+  SENSITIVE_KEYS,
+  DEFAULT_ALLOW_KEYS,
+  DEFAULT_DETECTORS,
+  MASKED_VALUE,
+  MAX_REDACT_DEPTH
+};
@@ -0,0 +1,373 @@
+'use strict';
+
+/**
+ * Secret references in environment values
+ * - `ssm:/arqtiva/prod/api-key` reads a (SecureString) SSM parameter
+ * - `secret:arn:aws:secretsmanager:...` reads a Secrets Manager secret;
+ *   append `#field` to pick one field of a JSON secret
+ * - Resolvers are pluggable per scheme; resolved values are cached in memory
+ *   with a TTL, so warm invocations do not call AWS and rotated secrets are
+ *   picked up once the entry expires
+ * - A file-based resolver serves local development and tests; it is only
+ *   used when useFileSecretResolver() is called
+ * - Resolved variables are marked secret for maskSensitiveEnvVars and the logger
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { GetParameterCommand } = require('@aws-sdk/client-ssm');
+const { GetSecretValueCommand } = require('@aws-sdk/client-secrets-manager');
+const { getClient } = require('../clients/aws-clients');
+const { markSecretEnvVar, isProductionEnvironment } = require('./environment');
+const { logger } = require('./logger');
+
+/**
+ * Default time resolved values are reused before being fetched again
+ */
+const DEFAULT_SECRET_TTL_MS = 5 * 60 * 1000;
+
+const SECRET_REF_PATTERN = /^(ssm|secret):(.+)$/;
+
+// Resolvers keyed by scheme
+const resolvers = new Map();
+
+// Cached values keyed by reference: { value, expiresAt, pending }
+const secretCache = new Map();
+
+// References found per env object, as Maps of variable name -> { ref, value };
+// the env is overwritten with the resolved value, so the reference is kept
+// here for refreshes
+let envSecretRefs = new WeakMap();
+
+/**
+ * Parse a secret reference
+ * @param {string} value - Environment value
+ * @returns {Object|null} { ref, scheme, id, field }, or null if the value is not a reference
+ */
+function parseSecretRef(value) {
+  const match = typeof value === 'string' ? SECRET_REF_PATTERN.exec(value.trim()) : null;
+
+  if (!match) {
+    return null;
+  }
+
+  // Only the first # separates the field; secret ids and field names may contain more
+  const separator = match[2].indexOf('#');
+  const id = separator === -1 ? match[2] : match[2].slice(0, separator);
+  const field = separator === -1 ? null : match[2].slice(separator + 1);
+
+  return { ref: value.trim(), scheme: match[1], id, field: field || null };
+}
+
+/**
+ * Check whether an environment value is a secret reference
+ * @param {string} value - Environment value
+ * @returns {boolean} True for ssm: and secret: references
+ */
+function isSecretRef(value) {
+  return parseSecretRef(value) !== null;
+}
+
+/**
+ * Resolve an SSM parameter, decrypting SecureStrings
+ * @param {Object} ref - Parsed reference
+ * @returns {Promise<string>} Parameter value
+ */
+async function resolveSsmParameter(ref) {
+  const output = await getClient('ssm').send(new GetParameterCommand({
+    Name: ref.id,
+    WithDecryption: true
+  }));
+
+  return output.Parameter && output.Parameter.Value;
+}
+
+/**
+ * Resolve a Secrets Manager secret
+ * @param {Object} ref - Parsed reference
+ * @returns {Promise<string>} Secret string
+ */
+async function resolveSecretsManagerSecret(ref) {
+  const output = await getClient('secretsManager').send(new GetSecretValueCommand({
+    SecretId: ref.id
+  }));
+
+  return output.SecretString;
+}
+
+/**
+ * Register the resolver for a scheme, replacing the current one
+ * @param {string} scheme - 'ssm' or 'secret'
+ * @param {Function} resolver - async (ref: { ref, scheme, id, field }) => string
+ */
+function registerSecretResolver(scheme, resolver) {
+  if (!['ssm', 'secret'].includes(scheme)) {
+    throw new Error(`Unknown secret reference scheme: ${scheme}`);
+  }
+  if (typeof resolver !== 'function') {
+    throw new Error(`Secret resolver for ${scheme} must be a function`);
+  }
+
+  resolvers.set(scheme, resolver);
+  secretCache.clear();
+}
+
+/**
+ * Create a resolver that reads values from a JSON file instead of AWS. The
+ * file maps full references (`ssm:/arqtiva/dev/api-key`) or bare ids
+ * (`/arqtiva/dev/api-key`, secret ARNs) to values; object values are
+ * serialized so `#field` references work as they do against Secrets Manager.
+ * The file is read once, when the resolver is created.
+ * @param {string} filePath - JSON file path (relative to the working directory)
+ * @returns {Function} Resolver usable for every scheme
+ */
+function createFileSecretResolver(filePath) {
+  const resolved = path.resolve(filePath);
+  let values;
+
+  try {
+    // eslint-disable-next-line no-sync
+    values = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load secrets from ${resolved}: ${error.message}`);
+  }
+
+  return async ref => {
+    const bareRef = `${ref.scheme}:${ref.id}`;
+    const value = [bareRef, ref.id].map(key => values[key]).find(candidate => candidate !== undefined);
+
+    if (value === undefined) {
+      const error = new Error(`${bareRef} is not defined in ${resolved}`);
+      error.name = 'ResourceNotFoundException';
+      throw error;
+    }
+
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  };
+}
+
+/**
+ * Use a secrets file for every scheme (local development and tests). A file
+ * that cannot be loaded is reported with a warning and the current resolvers
+ * stay in place. SECRETS_FILE is ignored in production, so a leaked variable
+ * cannot replace SSM and Secrets Manager in a deployed function.
+ * @param {string} filePath - JSON file path, see createFileSecretResolver (default: SECRETS_FILE outside production)
+ * @returns {boolean} True if the file resolver is now in use
+ */
+function useFileSecretResolver(filePath = isProductionEnvironment() ? undefined : process.env.SECRETS_FILE) {
+  if (!filePath) {
+    return false;
+  }
+
+  let resolver;
+  try {
+    resolver = createFileSecretResolver(filePath);
+  } catch (error) {
+    logger.warn('Secrets file not used', { error: error.message });
+    return false;
+  }
+
+  registerSecretResolver('ssm', resolver);
+  registerSecretResolver('secret', resolver);
+
+  return true;
+}
+
+/**
+ * Pick a field from a JSON secret
+ * @param {Object} ref - Parsed reference
+ * @param {string} value - Resolved value
+ * @returns {string} Field value, or the whole value when no field was asked for
+ */
+function selectSecretField(ref, value) {
+  if (!ref.field) {
+    return value;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch (_error) {
+    throw new Error(`${ref.scheme}:${ref.id} is not a JSON secret, cannot read field ${ref.field}`);
+  }
+
+  if (parsed === null || typeof parsed !== 'object' || parsed[ref.field] === undefined) {
+    throw new Error(`${ref.scheme}:${ref.id} has no field ${ref.field}`);
+  }
+
+  const field = parsed[ref.field];
+  return typeof field === 'string' ? field : JSON.stringify(field);
+}
+
+/**
+ * Resolve one secret reference, using the cache while the value is fresh.
+ * Concurrent callers share one in-flight lookup. When a refresh fails, the
+ * last resolved value is served for another TTL and a warning is logged; only
+ * a reference that never resolved fails.
+ * @param {string} value - Secret reference
+ * @param {Object} options - Resolve options
+ * @param {number} options.ttlMs - Cache lifetime (default: 5 minutes)
+ * @returns {Promise<string>} Resolved value
+ */
+async function resolveSecretRef(value, options = {}) {
+  const { ttlMs = DEFAULT_SECRET_TTL_MS } = options;
+  const ref = parseSecretRef(value);
+
+  if (!ref) {
+    throw new Error(`Not a secret reference: ${value}`);
+  }
+
+  const cached = secretCache.get(ref.ref);
+
+  if (cached && cached.value !== undefined && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+  if (cached && cached.pending) {
+    return cached.pending;
+  }
+
+  const entry = cached || {};
+  secretCache.set(ref.ref, entry);
+
+  entry.pending = (async () => {
+    const raw = await resolvers.get(ref.scheme)(ref);
+
+    if (typeof raw !== 'string') {
+      throw new Error(`${ref.scheme}:${ref.id} resolved to no value`);
+    }
+
+    entry.value = selectSecretField(ref, raw);
+    entry.expiresAt = Date.now() + ttlMs;
+    return entry.value;
+  })()
+    .catch(error => {
+      if (entry.value === undefined) {
+        throw error;
+      }
+
+      // Keep serving the last value rather than failing every warm invocation
+      logger.warn('Failed to refresh secret reference, using cached value', {
+        ref: `${ref.scheme}:${ref.id}`,
+        error: error.message
+      });
+      entry.expiresAt = Date.now() + ttlMs;
+      return entry.value;
+    })
+    .finally(() => {
+      entry.pending = null;
+    });
+
+  return entry.pending;
+}
+
+/**
+ * Resolve every secret reference in an environment, replacing the references
+ * with their values and marking the variables secret. Meant to run at cold
+ * start; calling it again re-resolves only entries whose cache has expired,
+ * and skips variables changed since they were resolved.
+ * @param {Object} options - Resolve options
+ * @param {Object} options.env - Environment to update (default: process.env)
+ * @param {number} options.ttlMs - Cache lifetime (default: 5 minutes)
+ * @returns {Promise<string[]>} Names of the resolved variables
+ * @throws {Error} SecretResolutionError with errors: [{ variable, message }] listing every failure
+ */
+async function resolveEnvSecrets(options = {}) {
+  const { env = process.env, ttlMs } = options;
+  const discovered = [];
+
+  if (!envSecretRefs.has(env)) {
+    envSecretRefs.set(env, new Map());
+  }
+  const refs = envSecretRefs.get(env);
+
+  Object.entries(env).forEach(([name, value]) => {
+    if (isSecretRef(value)) {
+      refs.set(name, { ref: value, value: undefined });
+      discovered.push(name);
+    }
+  });
+
+  // A variable changed since it was resolved is no longer ours to refresh
+  refs.forEach((tracked, name) => {
+    if (env[name] !== tracked.ref && (tracked.value === undefined || env[name] !== tracked.value)) {
+      refs.delete(name);
+    }
+  });
+
+  const names = Array.from(refs.keys());
+  const errors = [];
+
+  await Promise.all(names.map(async name => {
+    const tracked = refs.get(name);
+
+    try {
+      const value = await resolveSecretRef(tracked.ref, { ttlMs });
+      tracked.value = value;
+      env[name] = value;
+      markSecretEnvVar(name, value);
+    } catch (error) {
+      // The reference itself is safe to report; the value never is
+      errors.push({ variable: name, message: `${name} (${tracked.ref}): ${error.message}` });
+    }
+  }));
+
+  if (errors.length > 0) {
+    const error = new Error(`Could not resolve secret references:\n${errors.map(item => `  - ${item.message}`).join('\n')}`);
+    error.name = 'SecretResolutionError';
+    error.errors = errors;
+    throw error;
+  }
+
+  if (discovered.length > 0) {
+    logger.debug('Resolved secret references in environment', { variables: discovered });
+  }
+
+  return names;
+}
+
+/**
+ * Wrap a Lambda handler so secret references in process.env are resolved
+ * before it runs. The first invocation pays for the lookups; later ones hit
+ * the cache until the TTL expires.
+ * @param {Function} handler - Lambda handler
+ * @param {Object} options - See resolveEnvSecrets
+ * @returns {Function} Wrapped handler
+ */
+function withResolvedSecrets(handler, options = {}) {
+  return async (event, context) => {
+    await resolveEnvSecrets(options);
+    return handler(event, context);
+  };
+}
+
+/**
+ * Restore the default AWS resolvers and drop cached values (primarily for testing)
+ */
+function resetSecretResolvers() {
+  resolvers.set('ssm', resolveSsmParameter);
+  resolvers.set('secret', resolveSecretsManagerSecret);
+  secretCache.clear();
+  envSecretRefs = new WeakMap();
+}
+
+resetSecretResolvers();
+
+module.exports = {
+  // Primary functions
+  resolveEnvSecrets,
+  resolveSecretRef,
+  withResolvedSecrets,
+
+  // Resolvers
+  registerSecretResolver,
+  createFileSecretResolver,
+  useFileSecretResolver,
+  resetSecretResolvers,
+
+  // Utilities
+  parseSecretRef,
+  isSecretRef,
+
+  // Constants
+  DEFAULT_SECRET_TTL_MS
+};